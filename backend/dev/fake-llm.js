@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/**
+ * Fake LLM Server
+ *
+ * A scripted, OpenAI-compatible streaming /v1/chat/completions endpoint for running
+ * the agent offline. Replies come from a scenario file instead of a model:
+ * the last user message picks a scenario, and the number of assistant turns
+ * since that message picks the step. Steps stream canned content deltas or
+ * tool calls, split into small chunks like a real provider would.
+ *
+ * Usage:
+ *   node dev/fake-llm.js [--port 3002] [--script dev/scenarios/default.json]
+ *
+ * Then start the backend with LLM_PROVIDER=openai and
+ * LLM_BASE_URL=http://localhost:3002/v1.
+ *
+ * Scenario file format:
+ *   {
+ *     "scenarios": [
+ *       { "match": "club-?mate", "steps": [
+ *         { "tool_calls": [{ "name": "stripe__list_prices", "arguments": { "product": "prod_fake_club_mate" } }] },
+ *         { "content": "Here you go: {{result.url}}" }
+ *       ] }
+ *     ],
+ *     "fallback": { "content": "..." }
+ *   }
+ *
+ * "match" is a case-insensitive regular expression. In content and
+ * arguments, {{result.path}} is replaced with a field of the latest tool
+ * result (parsed as JSON).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEFAULT_PORT = 3002;
+const DEFAULT_SCRIPT = path.join(__dirname, 'scenarios/default.json');
+const DEFAULT_CHUNK_DELAY_MS = 15;
+const ARGUMENT_CHUNK_SIZE = 12; // Characters of tool arguments per delta
+
+// ============================================================================
+// SCENARIOS
+// ============================================================================
+
+function loadScript(scriptPath) {
+    const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    if (!Array.isArray(script.scenarios)) {
+        throw new Error(`${scriptPath}: expected a "scenarios" array`);
+    }
+    for (const scenario of script.scenarios) {
+        scenario.pattern = new RegExp(scenario.match || '.*', 'i');
+    }
+    return script;
+}
+
+/**
+ * Picks the step to play for a conversation
+ * @param {any} script - Loaded scenario file
+ * @param {Array} messages - OpenAI chat messages from the request
+ * @returns {{ name: string, step: any }}
+ */
+function selectStep(script, messages) {
+    let lastUserIndex = -1;
+    messages.forEach((message, index) => {
+        if (message.role === 'user') lastUserIndex = index;
+    });
+
+    const userMessage = lastUserIndex >= 0 ? String(messages[lastUserIndex].content || '') : '';
+    const turn = messages.slice(lastUserIndex + 1).filter((message) => message.role === 'assistant').length;
+    const scenario = script.scenarios.find((item) => item.pattern.test(userMessage));
+
+    if (!scenario) {
+        return { name: 'fallback', step: script.fallback || { content: 'I am a scripted assistant and have no answer for that.' } };
+    }
+    if (turn >= scenario.steps.length) {
+        return { name: `${scenario.match} (finished)`, step: { content: 'That is all I was scripted to do.' } };
+    }
+    return { name: `${scenario.match} #${turn + 1}`, step: scenario.steps[turn] };
+}
+
+/**
+ * Replaces {{result.path}} placeholders with fields of the latest tool result
+ */
+function fillTemplate(text, messages) {
+    const lastTool = [...messages].reverse().find((message) => message.role === 'tool');
+    let result = {};
+    try {
+        result = lastTool ? JSON.parse(lastTool.content) : {};
+    } catch (e) {
+        result = { text: lastTool.content };
+    }
+
+    return text.replace(/\{\{\s*result\.([\w.]+)\s*\}\}/g, (match, keyPath) => {
+        const value = keyPath.split('.').reduce((current, key) => current?.[key], result);
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+// ============================================================================
+// RESPONSE
+// ============================================================================
+
+/**
+ * Turns a scripted step into OpenAI-format stream chunks
+ */
+function buildChunks(step, messages, model) {
+    const id = `chatcmpl-fake-${Date.now()}`;
+    const chunk = (delta, finishReason = null, extra = {}) => ({
+        id,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }],
+        ...extra,
+    });
+
+    const chunks = [chunk({ role: 'assistant' })];
+    let completionLength = 0;
+
+    if (step.content) {
+        const content = fillTemplate(step.content, messages);
+        completionLength += content.length;
+        // Word by word, keeping the whitespace
+        for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+            chunks.push(chunk({ content: piece }));
+        }
+    }
+
+    (step.tool_calls || []).forEach((toolCall, index) => {
+        const args = fillTemplate(JSON.stringify(toolCall.arguments || {}), messages);
+        completionLength += args.length;
+        chunks.push(chunk({
+            tool_calls: [{
+                index,
+                id: `call_fake_${Date.now()}_${index}`,
+                type: 'function',
+                function: { name: toolCall.name, arguments: '' },
+            }],
+        }));
+        for (let i = 0; i < args.length; i += ARGUMENT_CHUNK_SIZE) {
+            chunks.push(chunk({ tool_calls: [{ index, function: { arguments: args.slice(i, i + ARGUMENT_CHUNK_SIZE) } }] }));
+        }
+    });
+
+    // Rough token estimate, good enough for the usage display
+    const promptTokens = Math.ceil(JSON.stringify(messages).length / 4);
+    const completionTokens = Math.ceil(completionLength / 4);
+    chunks.push(chunk({}, step.tool_calls?.length ? 'tool_calls' : 'stop', {
+        usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+    }));
+
+    return chunks;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+function parseArgs(argv) {
+    const delay = parseInt(process.env.FAKE_LLM_DELAY_MS, 10);
+    const options = {
+        port: parseInt(process.env.FAKE_LLM_PORT, 10) || DEFAULT_PORT,
+        script: process.env.FAKE_LLM_SCRIPT || DEFAULT_SCRIPT,
+        delay: Number.isNaN(delay) ? DEFAULT_CHUNK_DELAY_MS : delay,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--script') options.script = argv[++i];
+        else if (argv[i] === '--delay') options.delay = parseInt(argv[++i], 10);
+    }
+    return options;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const script = loadScript(options.script);
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ error: { message: `Not found: ${req.method} ${req.url}` } }));
+        }
+
+        let body;
+        try {
+            body = JSON.parse(await readBody(req));
+        } catch (e) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ error: { message: 'Invalid JSON body' } }));
+        }
+
+        const messages = Array.isArray(body.messages) ? body.messages : [];
+        const offeredTools = new Set((body.tools || []).map((tool) => tool.function?.name));
+        const { name, step } = selectStep(script, messages);
+        console.log(`[FakeLLM] ${messages.length} message(s), ${offeredTools.size} tool(s) -> ${name}`);
+
+        for (const toolCall of step.tool_calls || []) {
+            if (!offeredTools.has(toolCall.name)) {
+                console.warn(`[FakeLLM] Scripted tool ${toolCall.name} was not offered in this request`);
+            }
+        }
+
+        const chunks = buildChunks(step, messages, body.model || 'fake-llm');
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+        for (const item of chunks) {
+            if (res.destroyed) return;
+            res.write(`data: ${JSON.stringify(item)}\n\n`);
+            await sleep(options.delay);
+        }
+        res.end('data: [DONE]\n\n');
+    });
+
+    server.listen(options.port, () => {
+        console.log(`[FakeLLM] Listening on http://localhost:${options.port}/v1 (${script.scenarios.length} scenario(s) from ${options.script})`);
+    });
+}
+
+main();
@@ -0,0 +1,504 @@
+#!/usr/bin/env node
+/**
+ * Fake Stripe MCP Server
+ *
+ * A local stand-in for mcp.stripe.com so the agent can run without network
+ * access or a Stripe account. Speaks MCP Streamable HTTP (sessions, JSON or
+ * SSE responses) and implements tools/list and tools/call against an
+ * in-memory store of products, prices, customers, payment links and
+ * invoices.
+ *
+ * Usage:
+ *   node dev/fake-stripe-mcp.js [--port 3001] [--sse] [--fail-rate 0.3] [--latency 5000] [--rate-limit 2]
+ *
+ * Then start the backend with STRIPE_MCP_URL=http://localhost:3001/mcp
+ * (or point a server in mcp-servers.json at that URL). The store is reset
+ * on every start; GET /state dumps it for debugging.
+ *
+ * --fail-rate (or FAKE_STRIPE_MCP_FAIL_RATE) answers that share of requests
+ * with a 503 to exercise the client's retries. Like Stripe's hosted MCP
+ * server, it runs every tools/call it gets: nothing is de-duplicated.
+ * --latency (or FAKE_STRIPE_MCP_LATENCY_MS) holds every tools/call answer
+ * back that many milliseconds, to exercise tool timeouts and cancellation.
+ * --rate-limit (or FAKE_STRIPE_MCP_RATE_LIMIT) answers tools/call requests
+ * beyond that many per second with a 429 and Retry-After, like Stripe's rate
+ * limiter.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PROTOCOL_VERSION = '2025-06-18';
+const DEFAULT_PORT = 3001;
+const DEFAULT_LIST_LIMIT = 10;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Creates the in-memory store, seeded with the fridge's usual drinks
+ */
+function createStore() {
+    const store = { products: [], prices: [], customers: [], paymentLinks: [], invoices: [] };
+    const seed = [
+        { id: 'club_mate', name: 'Club-Mate', unitAmount: 250 },
+        { id: 'cola', name: 'Cola', unitAmount: 200 },
+        { id: 'beer', name: 'Beer', unitAmount: 300 },
+    ];
+
+    for (const item of seed) {
+        const product = createObject('product', { name: item.name, description: null }, `prod_fake_${item.id}`);
+        const price = createObject('price', {
+            product: product.id,
+            unit_amount: item.unitAmount,
+            currency: 'eur',
+            type: 'one_time',
+        }, `price_fake_${item.id}`);
+        product.default_price = price.id;
+        store.products.push(product);
+        store.prices.push(price);
+    }
+
+    return store;
+}
+
+const ID_PREFIXES = {
+    product: 'prod',
+    price: 'price',
+    customer: 'cus',
+    payment_link: 'plink',
+    invoice: 'in',
+};
+
+/**
+ * Builds a Stripe-like object with an ID, "object" and "created" fields
+ */
+function createObject(type, fields, id) {
+    return {
+        id: id || `${ID_PREFIXES[type]}_fake_${crypto.randomBytes(7).toString('hex')}`,
+        object: type,
+        created: Math.floor(Date.now() / 1000),
+        livemode: false,
+        ...fields,
+    };
+}
+
+function listResult(items, limit) {
+    const max = parseInt(limit, 10) || DEFAULT_LIST_LIMIT;
+    return { object: 'list', data: items.slice(0, max), has_more: items.length > max };
+}
+
+// ============================================================================
+// TOOLS
+// ============================================================================
+
+/**
+ * Error raised by a tool handler; reported as an isError tool result like Stripe MCP does
+ */
+function toolError(message) {
+    const error = new Error(message);
+    error.isToolError = true;
+    return error;
+}
+
+function requireString(args, key) {
+    if (typeof args[key] !== 'string' || !args[key]) {
+        throw toolError(`Missing required parameter: ${key}`);
+    }
+    return args[key];
+}
+
+/**
+ * Tool definitions and handlers, named like the hosted Stripe MCP tools
+ */
+const TOOLS = [
+    {
+        name: 'list_products',
+        description: 'Fetch a list of Products from Stripe.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                limit: { type: 'integer', description: 'A limit on the number of objects to be returned, between 1 and 100.' },
+            },
+        },
+        handler: (store, args) => listResult(store.products, args.limit),
+    },
+    {
+        name: 'create_product',
+        description: 'Create a product in Stripe.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'The name of the product.' },
+                description: { type: 'string', description: 'The description of the product.' },
+            },
+            required: ['name'],
+        },
+        handler: (store, args) => {
+            const product = createObject('product', {
+                name: requireString(args, 'name'),
+                description: args.description || null,
+                default_price: null,
+            });
+            store.products.unshift(product);
+            return product;
+        },
+    },
+    {
+        name: 'list_prices',
+        description: 'Fetch a list of Prices from Stripe.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                product: { type: 'string', description: 'The ID of the product to list prices for.' },
+                limit: { type: 'integer', description: 'A limit on the number of objects to be returned, between 1 and 100.' },
+            },
+        },
+        handler: (store, args) => listResult(
+            store.prices.filter((price) => !args.product || price.product === args.product),
+            args.limit
+        ),
+    },
+    {
+        name: 'create_price',
+        description: 'Create a price in Stripe.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                product: { type: 'string', description: 'The ID of the product to create the price for.' },
+                unit_amount: { type: 'integer', description: 'The unit amount of the price in cents.' },
+                currency: { type: 'string', description: 'The currency of the price.' },
+            },
+            required: ['product', 'unit_amount', 'currency'],
+        },
+        handler: (store, args) => {
+            const productId = requireString(args, 'product');
+            const product = store.products.find((item) => item.id === productId);
+            if (!product) {
+                throw toolError(`No such product: '${productId}'`);
+            }
+            const unitAmount = parseInt(args.unit_amount, 10);
+            if (!Number.isInteger(unitAmount) || unitAmount < 0) {
+                throw toolError('Invalid unit_amount: must be a non-negative integer');
+            }
+            const price = createObject('price', {
+                product: productId,
+                unit_amount: unitAmount,
+                currency: requireString(args, 'currency').toLowerCase(),
+                type: 'one_time',
+            });
+            store.prices.unshift(price);
+            if (!product.default_price) {
+                product.default_price = price.id;
+            }
+            return price;
+        },
+    },
+    {
+        name: 'list_customers',
+        description: 'Fetch a list of Customers from Stripe.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                email: { type: 'string', description: 'A case-sensitive filter on the list based on the customer\'s email field.' },
+                limit: { type: 'integer', description: 'A limit on the number of objects to be returned, between 1 and 100.' },
+            },
+        },
+        handler: (store, args) => listResult(
+            store.customers.filter((customer) => !args.email || customer.email === args.email),
+            args.limit
+        ),
+    },
+    {
+        name: 'create_customer',
+        description: 'Create a customer in Stripe.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'The name of the customer.' },
+                email: { type: 'string', description: 'The email of the customer.' },
+            },
+            required: ['name'],
+        },
+        handler: (store, args) => {
+            const customer = createObject('customer', {
+                name: requireString(args, 'name'),
+                email: args.email || null,
+            });
+            store.customers.unshift(customer);
+            return customer;
+        },
+    },
+    {
+        name: 'create_payment_link',
+        description: 'Create a payment link in Stripe.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                price: { type: 'string', description: 'The ID of the price to create the payment link for.' },
+                quantity: { type: 'integer', description: 'The quantity of the product to include.' },
+            },
+            required: ['price', 'quantity'],
+        },
+        handler: (store, args) => {
+            const priceId = requireString(args, 'price');
+            const price = store.prices.find((item) => item.id === priceId);
+            if (!price) {
+                throw toolError(`No such price: '${priceId}'`);
+            }
+            const quantity = parseInt(args.quantity, 10);
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                throw toolError('Invalid quantity: must be a positive integer');
+            }
+            const link = createObject('payment_link', {
+                active: true,
+                line_items: [{ price: priceId, quantity }],
+                amount_total: price.unit_amount * quantity,
+                currency: price.currency,
+            });
+            link.url = `https://buy.stripe.com/test_${link.id.replace(/^plink_fake_/, '')}`;
+            store.paymentLinks.unshift(link);
+            return link;
+        },
+    },
+    {
+        name: 'create_invoice',
+        description: 'Create an invoice in Stripe.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                customer: { type: 'string', description: 'The ID of the customer to create the invoice for.' },
+                days_until_due: { type: 'integer', description: 'The number of days until the invoice is due.' },
+            },
+            required: ['customer'],
+        },
+        handler: (store, args) => {
+            const customerId = requireString(args, 'customer');
+            if (!store.customers.some((customer) => customer.id === customerId)) {
+                throw toolError(`No such customer: '${customerId}'`);
+            }
+            const invoice = createObject('invoice', {
+                customer: customerId,
+                status: 'draft',
+                days_until_due: parseInt(args.days_until_due, 10) || 30,
+                amount_due: 0,
+                currency: 'eur',
+            });
+            store.invoices.unshift(invoice);
+            return invoice;
+        },
+    },
+    {
+        name: 'list_invoices',
+        description: 'Fetch a list of Invoices from Stripe.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                customer: { type: 'string', description: 'The ID of the customer to list invoices for.' },
+                limit: { type: 'integer', description: 'A limit on the number of objects to be returned, between 1 and 100.' },
+            },
+        },
+        handler: (store, args) => listResult(
+            store.invoices.filter((invoice) => !args.customer || invoice.customer === args.customer),
+            args.limit
+        ),
+    },
+];
+
+// ============================================================================
+// JSON-RPC
+// ============================================================================
+
+function rpcResult(id, result) {
+    return { jsonrpc: '2.0', id, result };
+}
+
+function rpcError(id, code, message) {
+    return { jsonrpc: '2.0', id: id ?? null, error: { code, message } };
+}
+
+/**
+ * Handles one JSON-RPC request and returns its response
+ */
+function handleRequest(store, message) {
+    switch (message.method) {
+        case 'initialize':
+            return rpcResult(message.id, {
+                protocolVersion: PROTOCOL_VERSION,
+                capabilities: { tools: { listChanged: false } },
+                serverInfo: { name: 'fake-stripe-mcp', version: '0.1.0' },
+            });
+
+        case 'ping':
+            return rpcResult(message.id, {});
+
+        case 'tools/list':
+            return rpcResult(message.id, {
+                tools: TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+            });
+
+        case 'tools/call': {
+            const tool = TOOLS.find((item) => item.name === message.params?.name);
+            if (!tool) {
+                return rpcError(message.id, INVALID_PARAMS, `Unknown tool: ${message.params?.name}`);
+            }
+            try {
+                const output = tool.handler(store, message.params.arguments || {});
+                console.log(`[FakeStripeMCP] ${tool.name} -> ${output.id || `${output.data.length} item(s)`}`);
+                return rpcResult(message.id, { content: [{ type: 'text', text: JSON.stringify(output, null, 2) }] });
+            } catch (error) {
+                if (!error.isToolError) throw error;
+                console.log(`[FakeStripeMCP] ${tool.name} failed: ${error.message}`);
+                return rpcResult(message.id, { content: [{ type: 'text', text: error.message }], isError: true });
+            }
+        }
+
+        default:
+            return rpcError(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    }
+}
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+function parseArgs(argv) {
+    const options = {
+        port: parseInt(process.env.FAKE_STRIPE_MCP_PORT, 10) || DEFAULT_PORT,
+        sse: false,
+        failRate: parseFloat(process.env.FAKE_STRIPE_MCP_FAIL_RATE) || 0,
+        latency: parseInt(process.env.FAKE_STRIPE_MCP_LATENCY_MS, 10) || 0,
+        rateLimit: parseInt(process.env.FAKE_STRIPE_MCP_RATE_LIMIT, 10) || 0,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--sse') options.sse = true;
+        else if (argv[i] === '--fail-rate') options.failRate = parseFloat(argv[++i]);
+        else if (argv[i] === '--latency') options.latency = parseInt(argv[++i], 10);
+        else if (argv[i] === '--rate-limit') options.rateLimit = parseInt(argv[++i], 10);
+    }
+    return options;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const store = createStore();
+    const sessions = new Set();
+    const recentCalls = []; // Times of the tools/call requests let through in the last second
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method === 'GET' && req.url === '/state') {
+            return sendJson(res, 200, store);
+        }
+
+        const sessionId = req.headers['mcp-session-id'];
+
+        if (req.method === 'DELETE') {
+            sessions.delete(sessionId);
+            res.writeHead(204);
+            return res.end();
+        }
+        if (req.method !== 'POST') {
+            // No server-initiated stream
+            res.writeHead(405, { Allow: 'POST, DELETE' });
+            return res.end();
+        }
+
+        let message;
+        try {
+            message = JSON.parse(await readBody(req));
+        } catch (e) {
+            return sendJson(res, 400, rpcError(null, PARSE_ERROR, 'Parse error'));
+        }
+        if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+            return sendJson(res, 400, rpcError(message?.id, INVALID_REQUEST, 'Invalid request'));
+        }
+
+        const headers = {};
+        if (message.method === 'initialize') {
+            const newSessionId = crypto.randomUUID();
+            sessions.add(newSessionId);
+            headers['Mcp-Session-Id'] = newSessionId;
+            console.log(`[FakeStripeMCP] New session ${newSessionId}`);
+        } else if (!sessions.has(sessionId)) {
+            // Same as a real server after a restart: the client has to initialize again
+            return sendJson(res, 404, rpcError(message.id, INVALID_REQUEST, 'Session not found'));
+        }
+
+        // Notifications and responses get no reply
+        if (message.id === undefined) {
+            res.writeHead(202);
+            return res.end();
+        }
+
+        if (options.failRate > 0 && message.method !== 'initialize' && Math.random() < options.failRate) {
+            console.log(`[FakeStripeMCP] Simulating an outage for ${message.method} ${message.params?.name || ''}`);
+            return sendJson(res, 503, rpcError(message.id, INTERNAL_ERROR, 'Service temporarily unavailable'));
+        }
+
+        if (options.rateLimit > 0 && message.method === 'tools/call') {
+            const now = Date.now();
+            while (recentCalls.length > 0 && recentCalls[0] <= now - 1000) {
+                recentCalls.shift();
+            }
+            if (recentCalls.length >= options.rateLimit) {
+                console.log(`[FakeStripeMCP] Rate limiting ${message.params?.name || ''}`);
+                return sendJson(res, 429, rpcError(message.id, INTERNAL_ERROR, 'Too many requests'), { 'Retry-After': '1' });
+            }
+            recentCalls.push(now);
+        }
+
+        // The tool runs after the wait even if the client gave up, like a slow real server
+        if (options.latency > 0 && message.method === 'tools/call') {
+            await new Promise((resolve) => setTimeout(resolve, options.latency));
+        }
+
+        let response;
+        try {
+            response = handleRequest(store, message);
+        } catch (error) {
+            console.error('[FakeStripeMCP] Request failed:', error);
+            response = rpcError(message.id, INTERNAL_ERROR, error.message);
+        }
+
+        if (!options.sse) {
+            return sendJson(res, 200, response, headers);
+        }
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', ...headers });
+        res.end(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+    });
+
+    server.listen(options.port, () => {
+        console.log(`[FakeStripeMCP] Listening on http://localhost:${options.port}/mcp (${options.sse ? 'SSE' : 'JSON'} responses)`);
+        console.log(`[FakeStripeMCP] ${store.products.length} product(s): ${store.prices.map((price) => price.id).join(', ')}`);
+    });
+}
+
+main();
@@ -0,0 +1,514 @@
+/**
+ * Admin Reports
+ *
+ * What the fridge sold and what the agent did, for hub organizers: sales
+ * per product and per day, payment links still waiting to be paid, top
+ * buyers, tool call error rates and recent conversations.
+ *
+ * Sales come from the hub's own orders (see lib/orders), which know the
+ * member, the conversation and the items behind every payment link. The
+ * Stripe tools fill in what the hub doesn't know (names of products sold
+ * outside the fridge catalog) and the payments Stripe itself reports, to
+ * check the two agree. Tool statistics come from the audit log.
+ *
+ * Amounts are in the smallest currency unit (cents). Days are the
+ * server's local days.
+ */
+
+const { listOrders } = require('./orders');
+const { listMembers } = require('./members');
+const { listConversations } = require('./conversations');
+const { searchAuditLog } = require('./audit-log');
+const { getItem } = require('./fridge/catalog');
+const { getPrice } = require('./prices');
+const { callStripeMCPTool } = require('./mcp/stripe-mcp');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Admin');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_LIST_LIMIT = 10;
+const MAX_LIST_LIMIT = 100;
+const STRIPE_LIST_LIMIT = 100; // Most the Stripe list tools return in one call
+const UNPAID_STATUSES = ['pending', 'partially_paid'];
+
+// ============================================================================
+// RANGES
+// ============================================================================
+
+/**
+ * The local date of a time, e.g. "2026-10-18"
+ */
+function dateKey(time) {
+    const date = new Date(time);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Start of a local day given as "YYYY-MM-DD"
+ */
+function startOfDay(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date).getTime();
+}
+
+/**
+ * Reads the report period from query parameters
+ * @param {{ from?: string, to?: string, days?: string|number }} query - from/to are local dates
+ *   (YYYY-MM-DD, both included); days counts back from to (default: today)
+ * @returns {{ from: string, to: string, start: number, end: number }} end is exclusive
+ * @throws {Error} With status 400 on malformed dates or an oversized range
+ */
+function parseRange(query = {}) {
+    const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+    for (const key of ['from', 'to']) {
+        const value = query[key];
+        // A day that doesn't exist (2026-02-30) would roll over into the next month
+        if (value !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || dateKey(startOfDay(value)) !== value)) {
+            throw badRequest(`${key} must be a date (YYYY-MM-DD)`);
+        }
+    }
+    const days = query.days === undefined ? DEFAULT_RANGE_DAYS : parseInt(query.days, 10);
+    if (!Number.isInteger(days) || days < 1) {
+        throw badRequest('days must be a positive integer');
+    }
+
+    const to = query.to || dateKey(Date.now());
+    const end = startOfDay(to) + 24 * 60 * 60 * 1000;
+    let start;
+    if (query.from) {
+        start = startOfDay(query.from);
+    } else {
+        // Counted in calendar days, so a change to or from summer time doesn't move the start
+        const first = new Date(startOfDay(to));
+        first.setDate(first.getDate() - (days - 1));
+        start = first.getTime();
+    }
+    if (Number.isNaN(start) || Number.isNaN(end) || start >= end) {
+        throw badRequest('from must be a date before to');
+    }
+    if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        throw badRequest(`The period can be at most ${MAX_RANGE_DAYS} days`);
+    }
+    return { from: dateKey(start), to, start, end };
+}
+
+/**
+ * Reads a list limit from a query parameter
+ */
+function parseLimit(value) {
+    const limit = parseInt(value, 10);
+    return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_LIST_LIMIT) : DEFAULT_LIST_LIMIT;
+}
+
+function inRange(time, range) {
+    const timestamp = Date.parse(time);
+    return timestamp >= range.start && timestamp < range.end;
+}
+
+// ============================================================================
+// STRIPE
+// ============================================================================
+
+/**
+ * Calls a read-only Stripe tool and returns the parsed list
+ * @param {any} member - Admin the report is made for (audit log attribution)
+ * @returns {Promise<Array>} The list's data
+ */
+async function listFromStripe(name, args, member) {
+    const result = await callStripeMCPTool(name, args, { source: 'admin_report', member });
+    const text = result?.content?.find((item) => item.type === 'text')?.text || '';
+    if (result?.isError || !text) {
+        throw new Error(`Stripe ${name} failed: ${text || 'empty response'}`);
+    }
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : Array.isArray(parsed?.data) ? parsed.data : [];
+}
+
+/**
+ * Looks up the names of products the hub doesn't know, from the Stripe product and price lists
+ * @param {string[]} priceIds - Prices without a known product name
+ * @param {any} member - See listFromStripe
+ * @returns {Promise<Map<string, { productId: string|null, name: string|null }>>} Price ID -> product
+ */
+async function lookUpProducts(priceIds, member) {
+    const [prices, products] = await Promise.all([
+        listFromStripe('list_prices', { limit: STRIPE_LIST_LIMIT }, member),
+        listFromStripe('list_products', { limit: STRIPE_LIST_LIMIT }, member),
+    ]);
+    const productNames = new Map(products.map((product) => [product.id, product.name || null]));
+    const found = new Map();
+    for (const price of prices) {
+        if (priceIds.includes(price.id)) {
+            const productId = typeof price.product === 'string' ? price.product : price.product?.id || null;
+            found.set(price.id, { productId, name: productNames.get(productId) || null });
+        }
+    }
+    return found;
+}
+
+/**
+ * Sums the succeeded payments Stripe reports for the period. Stripe returns the most
+ * recent payments only, so older periods may be incomplete (complete: false).
+ * @param {{ start: number, end: number }} range - Report period
+ * @param {any} member - See listFromStripe
+ */
+async function summarizeStripePayments(range, member) {
+    const paymentIntents = await listFromStripe('list_payment_intents', { limit: STRIPE_LIST_LIMIT }, member);
+    const inPeriod = paymentIntents.filter((intent) =>
+        intent.status === 'succeeded' && intent.created * 1000 >= range.start && intent.created * 1000 < range.end);
+    const oldest = Math.min(...paymentIntents.map((intent) => intent.created * 1000));
+    return {
+        payments: inPeriod.length,
+        amount: inPeriod.reduce((sum, intent) => sum + (intent.amount_received ?? intent.amount ?? 0), 0),
+        currency: inPeriod[0]?.currency || null,
+        complete: paymentIntents.length < STRIPE_LIST_LIMIT || oldest < range.start,
+    };
+}
+
+// ============================================================================
+// SALES
+// ============================================================================
+
+/**
+ * Lists the payments received in a period, with the share of each order line they paid for
+ * @returns {Array<{ order: any, payment: any, amount: number|null, lines: Array<{ priceId: string, productId: string|null, quantity: number, amount: number|null }> }>}
+ */
+function listPayments(range) {
+    const payments = [];
+    for (const order of listOrders()) {
+        const shares = order.expectedPayments || 1;
+        for (const payment of order.payments || []) {
+            if (!inRange(payment.paidAt, range)) {
+                continue;
+            }
+            // A payment of a split order pays for its share of every line
+            const lines = order.lineItems.map((item) => {
+                const unitAmount = getPrice(item.priceId)?.unitAmount ?? null;
+                return {
+                    priceId: item.priceId,
+                    productId: item.productId || getPrice(item.priceId)?.productId || null,
+                    quantity: item.quantity / shares,
+                    listAmount: unitAmount === null ? null : (unitAmount * item.quantity) / shares,
+                };
+            });
+            const amount = payment.amountTotal ?? (lines.every((line) => line.listAmount !== null)
+                ? lines.reduce((sum, line) => sum + line.listAmount, 0)
+                : null);
+            // What was paid is spread over the lines by their list price (by quantity when unknown)
+            const weights = lines.map((line) => line.listAmount ?? line.quantity);
+            const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+            payments.push({
+                order,
+                payment,
+                amount,
+                lines: lines.map((line, index) => ({
+                    priceId: line.priceId,
+                    productId: line.productId,
+                    quantity: line.quantity,
+                    amount: amount === null || totalWeight === 0 ? null : (amount * weights[index]) / totalWeight,
+                })),
+            });
+        }
+    }
+    return payments;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Sales per product and per day
+ * @param {{ from: string, to: string, start: number, end: number }} range - From parseRange
+ * @param {{ member?: any }} [options] - member: the admin, for Stripe lookups of unknown products
+ * @returns {Promise<any>} { period, currency, totals, by_product, by_day, warnings }
+ */
+async function buildSalesReport(range, { member } = {}) {
+    const payments = listPayments(range);
+    const warnings = [];
+
+    const products = new Map(); // product ID (or price ID when unknown) -> totals
+    for (const { lines } of payments) {
+        for (const line of lines) {
+            const key = line.productId || line.priceId;
+            const entry = products.get(key) || {
+                product_id: line.productId,
+                price_ids: new Set(),
+                name: getItem(line.productId)?.name || getPrice(line.priceId)?.name || null,
+                quantity: 0,
+                revenue: 0,
+                revenue_unknown: false,
+            };
+            entry.price_ids.add(line.priceId);
+            entry.quantity += line.quantity;
+            if (line.amount === null) {
+                entry.revenue_unknown = true;
+            } else {
+                entry.revenue += line.amount;
+            }
+            products.set(key, entry);
+        }
+    }
+
+    const unnamed = [...products.values()].filter((entry) => !entry.name);
+    if (unnamed.length > 0 && member) {
+        try {
+            const found = await lookUpProducts(unnamed.flatMap((entry) => [...entry.price_ids]), member);
+            for (const entry of unnamed) {
+                const match = [...entry.price_ids].map((priceId) => found.get(priceId)).find(Boolean);
+                entry.product_id = entry.product_id || match?.productId || null;
+                entry.name = match?.name || null;
+            }
+        } catch (error) {
+            log.warn('Failed to look up product names in Stripe', { error: error.message });
+            warnings.push(`Product names could not be looked up in Stripe: ${error.message}`);
+        }
+    }
+
+    const days = new Map();
+    for (const day = new Date(range.start); day.getTime() < range.end; day.setDate(day.getDate() + 1)) {
+        days.set(dateKey(day), { date: dateKey(day), payments: 0, revenue: 0 });
+    }
+    for (const { payment, amount } of payments) {
+        const day = days.get(dateKey(payment.paidAt));
+        if (day) {
+            day.payments += 1;
+            day.revenue += amount || 0;
+        }
+    }
+
+    const byProduct = [...products.values()]
+        .map((entry) => ({
+            product_id: entry.product_id,
+            name: entry.name,
+            price_ids: [...entry.price_ids],
+            quantity: round(entry.quantity),
+            revenue: Math.round(entry.revenue),
+            revenue_unknown: entry.revenue_unknown,
+        }))
+        .sort((a, b) => b.revenue - a.revenue || b.quantity - a.quantity);
+
+    return {
+        period: { from: range.from, to: range.to },
+        currency: payments.find(({ payment }) => payment.currency)?.payment.currency || null,
+        totals: {
+            payments: payments.length,
+            orders: new Set(payments.map(({ order }) => order.id)).size,
+            revenue: Math.round(payments.reduce((sum, { amount }) => sum + (amount || 0), 0)),
+            items: round(byProduct.reduce((sum, entry) => sum + entry.quantity, 0)),
+        },
+        by_product: byProduct,
+        by_day: [...days.values()].map((day) => ({ ...day, revenue: Math.round(day.revenue) })),
+        warnings,
+    };
+}
+
+// ============================================================================
+// UNPAID LINKS
+// ============================================================================
+
+/**
+ * Payment links the agent (or a group order) created that are not fully paid
+ * @param {{ limit?: number }} [options]
+ * @returns {{ total: number, amount_outstanding: number|null, links: Array }} Oldest first
+ */
+function listUnpaidLinks({ limit = MAX_LIST_LIMIT } = {}) {
+    const members = new Map(listMembers().map((member) => [member.id, member]));
+    const unpaid = listOrders().filter((order) => UNPAID_STATUSES.includes(order.status)).reverse();
+
+    const links = unpaid.map((order) => {
+        const prices = order.lineItems.map((item) => getPrice(item.priceId)?.unitAmount ?? null);
+        const expected = prices.every((price) => price !== null)
+            ? order.lineItems.reduce((sum, item, index) => sum + prices[index] * item.quantity, 0)
+            : null;
+        const shares = order.expectedPayments || 1;
+        const paidShares = (order.payments || []).length;
+        return {
+            order_id: order.id,
+            payment_link: order.paymentLinkId,
+            url: order.url,
+            status: order.status,
+            member_id: order.memberId,
+            member_name: members.get(order.memberId)?.name || null,
+            conversation_id: order.conversationId,
+            group_order_id: order.groupOrderId,
+            created_at: order.createdAt,
+            age_hours: Math.round((Date.now() - Date.parse(order.createdAt)) / (60 * 60 * 1000)),
+            payments: `${paidShares}/${shares}`,
+            amount_expected: expected,
+            amount_outstanding: expected === null ? null : Math.round((expected * (shares - paidShares)) / shares),
+            currency: order.lineItems.map((item) => getPrice(item.priceId)?.currency).find(Boolean) || null,
+        };
+    });
+
+    return {
+        total: links.length,
+        amount_outstanding: links.every((link) => link.amount_outstanding !== null)
+            ? links.reduce((sum, link) => sum + link.amount_outstanding, 0)
+            : null,
+        links: links.slice(0, limit),
+    };
+}
+
+// ============================================================================
+// BUYERS
+// ============================================================================
+
+/**
+ * Who paid the most in a period. A payment counts for the member whose email paid it,
+ * else for the member the order was made for (single-payment orders only).
+ * @param {{ start: number, end: number }} range - From parseRange
+ * @param {{ limit?: number }} [options]
+ * @returns {Array<{ member_id: string|null, name: string|null, email: string|null, payments: number, spent: number }>}
+ */
+function listTopBuyers(range, { limit = DEFAULT_LIST_LIMIT } = {}) {
+    const members = listMembers();
+    const byId = new Map(members.map((member) => [member.id, member]));
+    const byEmail = new Map(members.map((member) => [member.email.toLowerCase(), member]));
+
+    const buyers = new Map();
+    for (const { order, payment, amount } of listPayments(range)) {
+        const member = (payment.email && byEmail.get(payment.email.toLowerCase())) ||
+            ((order.expectedPayments || 1) === 1 ? byId.get(order.memberId) : null) ||
+            null;
+        const key = member ? member.id : payment.email ? payment.email.toLowerCase() : 'unknown';
+        const buyer = buyers.get(key) || {
+            member_id: member?.id || null,
+            name: member?.name || null,
+            email: member?.email || payment.email || null,
+            payments: 0,
+            spent: 0,
+        };
+        buyer.payments += 1;
+        buyer.spent += amount || 0;
+        buyers.set(key, buyer);
+    }
+
+    return [...buyers.values()]
+        .map((buyer) => ({ ...buyer, spent: Math.round(buyer.spent) }))
+        .sort((a, b) => b.spent - a.spent || b.payments - a.payments)
+        .slice(0, limit);
+}
+
+// ============================================================================
+// TOOLS
+// ============================================================================
+
+/**
+ * Stripe tool calls per tool and outcome, from the audit log (the reports' own calls left out)
+ * @param {{ from: string, to: string }} range - From parseRange
+ * @returns {{ calls: number, error_rate: number|null, tools: Array }} error_rate counts errors (Stripe or
+ *   the transport failed) among the calls that were sent; denied and rejected calls never were
+ */
+function buildToolStats(range) {
+    const { entries } = searchAuditLog({ from: range.from, to: range.to }, { all: true });
+    const tools = new Map();
+    for (const entry of entries.filter((item) => item.source !== 'admin_report')) {
+        const stats = tools.get(entry.tool) || {
+            tool: entry.tool,
+            calls: 0,
+            success: 0,
+            error: 0,
+            denied: 0,
+            rejected: 0,
+            elapsedTotal: 0,
+            elapsedCount: 0,
+        };
+        stats.calls += 1;
+        stats[entry.outcome] = (stats[entry.outcome] || 0) + 1;
+        if (Number.isFinite(entry.elapsedMs)) {
+            stats.elapsedTotal += entry.elapsedMs;
+            stats.elapsedCount += 1;
+        }
+        tools.set(entry.tool, stats);
+    }
+
+    const errorRate = (success, error) => (success + error > 0 ? round(error / (success + error)) : null);
+    const rows = [...tools.values()]
+        .map(({ elapsedTotal, elapsedCount, ...stats }) => ({
+            ...stats,
+            error_rate: errorRate(stats.success, stats.error),
+            avg_elapsed_ms: elapsedCount > 0 ? Math.round(elapsedTotal / elapsedCount) : null,
+        }))
+        .sort((a, b) => b.calls - a.calls);
+
+    const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+    return { calls: sum('calls'), error_rate: errorRate(sum('success'), sum('error')), tools: rows };
+}
+
+// ============================================================================
+// CONVERSATIONS
+// ============================================================================
+
+/**
+ * The most recently active conversations, with who had them and what they bought
+ * @param {{ limit?: number }} [options]
+ * @returns {Array}
+ */
+function listRecentConversations({ limit = DEFAULT_LIST_LIMIT } = {}) {
+    const members = new Map(listMembers().map((member) => [member.id, member]));
+    const orders = listOrders();
+    return listConversations().slice(0, limit).map((conversation) => {
+        const conversationOrders = orders.filter((order) => order.conversationId === conversation.id);
+        return {
+            id: conversation.id,
+            title: conversation.title,
+            member_id: conversation.memberId || null,
+            member_name: members.get(conversation.memberId)?.name || null,
+            updated_at: conversation.updatedAt,
+            message_count: conversation.messageCount,
+            payment_links: conversationOrders.length,
+            paid: conversationOrders.filter((order) => order.status === 'paid').length,
+        };
+    });
+}
+
+// ============================================================================
+// DASHBOARD
+// ============================================================================
+
+/**
+ * Everything the admin dashboard shows, in one response
+ * @param {{ from: string, to: string, start: number, end: number }} range - From parseRange
+ * @param {{ member: any, limit?: number }} options - member: the admin (for the Stripe calls)
+ * @returns {Promise<any>}
+ */
+async function buildDashboard(range, { member, limit = DEFAULT_LIST_LIMIT }) {
+    const startTime = Date.now();
+    const [sales, stripePayments] = await Promise.all([
+        buildSalesReport(range, { member }),
+        summarizeStripePayments(range, member).catch((error) => {
+            log.warn('Failed to list payments in Stripe', { error: error.message });
+            return { error: error.message };
+        }),
+    ]);
+
+    const dashboard = {
+        period: sales.period,
+        generated_at: new Date().toISOString(),
+        sales,
+        stripe_payments: stripePayments,
+        unpaid_links: listUnpaidLinks({ limit }),
+        top_buyers: listTopBuyers(range, { limit }),
+        tool_stats: buildToolStats(range),
+        recent_conversations: listRecentConversations({ limit }),
+    };
+    log.info(`Built the dashboard for ${range.from}..${range.to}`, { elapsedMs: Date.now() - startTime });
+    return dashboard;
+}
+
+module.exports = {
+    parseRange,
+    parseLimit,
+    buildSalesReport,
+    listUnpaidLinks,
+    listTopBuyers,
+    buildToolStats,
+    listRecentConversations,
+    buildDashboard,
+};
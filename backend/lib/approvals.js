@@ -0,0 +1,162 @@
+/**
+ * Tool Call Approvals
+ *
+ * Human-in-the-loop gate for state-changing tool calls.
+ * The agent loop registers a pending approval and waits until the
+ * frontend approves or rejects it (or the approval times out). Only the
+ * member the chat runs for can decide on its approvals.
+ */
+
+const crypto = require('crypto');
+const { parseNamespacedName } = require('./mcp/registry');
+const { isReadOnlyTool } = require('./mcp/tools');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const APPROVAL_TIMEOUT_MS = parseInt(process.env.APPROVAL_TIMEOUT_MS, 10) || 5 * 60 * 1000; // 5 minutes
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Reads the tools that need approval from APPROVAL_REQUIRED_TOOLS
+ * (comma-separated, "none" to disable). Entries are either bare tool names
+ * (any MCP server) or namespaced ("stripe__create_refund").
+ * @returns {Set<string>|null} Tool names requiring approval, or null when not configured
+ */
+function loadApprovalRequiredTools() {
+    const configured = process.env.APPROVAL_REQUIRED_TOOLS;
+
+    if (configured === undefined || configured.trim() === '') {
+        return null;
+    }
+
+    if (configured.trim().toLowerCase() === 'none') {
+        return new Set();
+    }
+
+    return new Set(
+        configured.split(',').map((name) => name.trim()).filter(Boolean)
+    );
+}
+
+const approvalRequiredTools = loadApprovalRequiredTools();
+console.log(approvalRequiredTools
+    ? `[Approvals] ${approvalRequiredTools.size} tool(s) require approval (APPROVAL_REQUIRED_TOOLS)`
+    : '[Approvals] Every tool that is not read-only requires approval');
+
+/**
+ * Checks whether a tool call must be approved before it runs. Unless
+ * APPROVAL_REQUIRED_TOOLS overrides it, that is every tool that is not
+ * read-only (see isReadOnlyTool), local tools included, so a new MCP tool
+ * that changes something is gated without being listed anywhere.
+ * @param {string} toolName - Tool name as emitted by the model
+ * @returns {boolean} True if the call needs approval
+ */
+function requiresApproval(toolName) {
+    if (!approvalRequiredTools) {
+        return !isReadOnlyTool(toolName);
+    }
+    if (approvalRequiredTools.has(toolName)) {
+        return true;
+    }
+    const target = parseNamespacedName(toolName);
+    return target !== null && approvalRequiredTools.has(target.tool);
+}
+
+// ============================================================================
+// PENDING APPROVALS
+// ============================================================================
+
+const pendingApprovals = new Map();
+
+/**
+ * Registers a pending approval for a tool call
+ * @param {string} toolName - Tool name
+ * @param {Record<string, any>} toolArguments - Parsed tool arguments
+ * @param {string} ownerId - ID of the member the chat runs for, who alone may decide
+ * @returns {{ id: string, decision: Promise<{ approved: boolean, reason?: string }> }}
+ */
+function requestApproval(toolName, toolArguments, ownerId) {
+    const id = crypto.randomUUID();
+    console.log(`[Approvals] Waiting for approval ${id} (${toolName}) by ${ownerId}`);
+
+    const decision = new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            console.warn(`[Approvals] Approval ${id} timed out after ${APPROVAL_TIMEOUT_MS}ms`);
+            settle(id, { approved: false, reason: 'Approval timed out' });
+        }, APPROVAL_TIMEOUT_MS);
+
+        pendingApprovals.set(id, {
+            toolName,
+            toolArguments,
+            ownerId,
+            resolve,
+            timer,
+        });
+    });
+
+    return { id, decision };
+}
+
+/**
+ * Settles a pending approval
+ * @param {string} id - Approval ID
+ * @param {{ approved: boolean, reason?: string }} result - Decision
+ * @returns {boolean} False if no such approval is pending
+ */
+function settle(id, result) {
+    const pending = pendingApprovals.get(id);
+    if (!pending) {
+        return false;
+    }
+
+    clearTimeout(pending.timer);
+    pendingApprovals.delete(id);
+    console.log(`[Approvals] Approval ${id} (${pending.toolName}) ${result.approved ? 'approved' : 'rejected'}`);
+    pending.resolve(result);
+    return true;
+}
+
+/**
+ * Resolves a pending approval with the user's decision
+ * @param {string} id - Approval ID
+ * @param {boolean} approved - Whether the user approved the tool call
+ * @param {string} ownerId - ID of the member deciding; must be the one the approval was requested for
+ * @returns {boolean} False if no such approval is pending
+ * @throws {Error} With status 403 when the approval belongs to another member
+ */
+function resolveApproval(id, approved, ownerId) {
+    const pending = pendingApprovals.get(id);
+    if (pending && pending.ownerId !== ownerId) {
+        console.warn(`[Approvals] ${ownerId} tried to decide approval ${id} of ${pending.ownerId}`);
+        const error = new Error('This approval belongs to another member');
+        error.status = 403;
+        throw error;
+    }
+    return settle(id, {
+        approved: approved === true,
+        reason: approved === true ? undefined : 'Rejected by user',
+    });
+}
+
+/**
+ * Rejects pending approvals, e.g. when the client disconnects
+ * @param {string[]} ids - Approval IDs
+ * @param {string} reason - Rejection reason
+ */
+function cancelApprovals(ids, reason) {
+    for (const id of ids) {
+        settle(id, { approved: false, reason });
+    }
+}
+
+module.exports = {
+    requiresApproval,
+    requestApproval,
+    resolveApproval,
+    cancelApprovals,
+};
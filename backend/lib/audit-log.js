@@ -0,0 +1,219 @@
+/**
+ * Stripe Audit Log
+ *
+ * Append-only record of every Stripe action taken on behalf of members:
+ * who asked, in which conversation, the tool and its full arguments, the
+ * Stripe object IDs in the result, how long it took and how it ended.
+ * One JSON object per line in DATA_DIR/audit-log.jsonl; lines are only
+ * ever appended, never rewritten.
+ *
+ * Outcomes: success, error (Stripe or the transport failed), denied (the
+ * tool policy refused the call) and rejected (a human did not approve it).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./json-store');
+const { getLogContext } = require('./logger');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const AUDIT_LOG_PATH = path.join(DATA_DIR, 'audit-log.jsonl');
+const OUTCOMES = ['success', 'error', 'denied', 'rejected'];
+const DEFAULT_SEARCH_LIMIT = 100;
+const MAX_SEARCH_LIMIT = 1000;
+
+// Prefixes of Stripe object IDs worth indexing (products, prices, customers, payment links, invoices, ...)
+const STRIPE_ID_PATTERN = /\b(?:acct|ba|card|ch|cn|cs|cus|dp|evt|ii|in|pi|pm|plink|po|price|prod|promo|py|re|seti|si|sub|tok|tr|txn)_[A-Za-z0-9_]+\b/g;
+
+const CSV_COLUMNS = [
+    'id',
+    'timestamp',
+    'source',
+    'memberId',
+    'memberName',
+    'conversationId',
+    'profile',
+    'tool',
+    'outcome',
+    'elapsedMs',
+    'objectIds',
+    'arguments',
+    'error',
+    'correlationId',
+];
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Collects the Stripe object IDs mentioned in a tool result
+ * @param {string} resultText - Tool result text (usually JSON)
+ * @returns {string[]} Unique IDs in order of appearance
+ */
+function extractStripeObjectIds(resultText) {
+    if (typeof resultText !== 'string' || !resultText) {
+        return [];
+    }
+    return [...new Set(resultText.match(STRIPE_ID_PATTERN) || [])];
+}
+
+/**
+ * Appends a Stripe action to the audit log; write problems are logged, never thrown
+ * @param {{
+ *   source: 'agent'|'group_order'|'member_sync'|'admin_report',
+ *   member?: any,
+ *   conversationId?: string|null,
+ *   profileId?: string,
+ *   tool: string,
+ *   arguments?: any,
+ *   outcome: 'success'|'error'|'denied'|'rejected',
+ *   error?: string|null,
+ *   resultText?: string,
+ *   elapsedMs?: number,
+ * }} action - tool is the Stripe tool name without the server namespace
+ * @returns {any} The recorded entry
+ */
+function recordStripeAction(action) {
+    const entry = {
+        id: `aud_${crypto.randomUUID()}`,
+        timestamp: new Date().toISOString(),
+        source: action.source,
+        memberId: action.member?.id || null,
+        memberName: action.member?.name || null,
+        conversationId: action.conversationId || null,
+        profile: action.profileId || null,
+        tool: action.tool,
+        arguments: action.arguments ?? {},
+        outcome: action.outcome,
+        error: action.error || null,
+        objectIds: extractStripeObjectIds(action.resultText),
+        elapsedMs: action.elapsedMs ?? null,
+        // Links the entry to the request's log lines
+        correlationId: getLogContext().correlationId || null,
+    };
+
+    try {
+        fs.mkdirSync(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+        fs.appendFileSync(AUDIT_LOG_PATH, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+        console.error(`[Audit] Failed to record ${entry.tool} for ${entry.memberId}:`, error.message);
+    }
+    return entry;
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * Reads every entry, skipping lines that are not valid JSON (e.g. a torn last line)
+ * @returns {Array} Entries, oldest first
+ */
+function readEntries() {
+    let raw;
+    try {
+        raw = fs.readFileSync(AUDIT_LOG_PATH, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const entries = [];
+    for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (e) {
+            console.warn('[Audit] Skipping unreadable audit log line');
+        }
+    }
+    return entries;
+}
+
+/**
+ * Searches the audit log, newest first
+ * @param {{
+ *   memberId?: string,
+ *   conversationId?: string,
+ *   tool?: string,
+ *   outcome?: string,
+ *   objectId?: string,
+ *   from?: string,
+ *   to?: string,
+ *   q?: string,
+ *   limit?: number|string,
+ * }} filters - tool matches by substring, from/to are ISO dates (inclusive), q searches the whole entry
+ * @param {{ all?: boolean }} [options] - all ignores the limit (for exports)
+ * @returns {{ total: number, entries: Array }} total counts all matches before the limit
+ */
+function searchAuditLog(filters = {}, options = {}) {
+    const { memberId, conversationId, tool, outcome, objectId, from, to, q } = filters;
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+        throw Object.assign(new Error('from and to must be ISO dates'), { status: 400 });
+    }
+    if (outcome && !OUTCOMES.includes(outcome)) {
+        throw Object.assign(new Error(`outcome must be one of ${OUTCOMES.join(', ')}`), { status: 400 });
+    }
+    const query = q ? String(q).toLowerCase() : null;
+
+    const matches = readEntries().filter((entry) => {
+        const time = Date.parse(entry.timestamp);
+        return (!memberId || entry.memberId === memberId) &&
+            (!conversationId || entry.conversationId === conversationId) &&
+            (!tool || entry.tool.includes(tool)) &&
+            (!outcome || entry.outcome === outcome) &&
+            (!objectId || entry.objectIds.includes(objectId) || JSON.stringify(entry.arguments).includes(objectId)) &&
+            (fromTime === null || time >= fromTime) &&
+            // A bare date includes the whole day
+            (toTime === null || time <= (/^\d{4}-\d{2}-\d{2}$/.test(to) ? toTime + 24 * 60 * 60 * 1000 - 1 : toTime)) &&
+            (!query || JSON.stringify(entry).toLowerCase().includes(query));
+    }).reverse();
+
+    if (options.all) {
+        return { total: matches.length, entries: matches };
+    }
+    const limit = Math.min(parseInt(filters.limit, 10) || DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+    return { total: matches.length, entries: matches.slice(0, limit) };
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+function toCsvValue(value) {
+    let text;
+    if (value === null || value === undefined) text = '';
+    else if (Array.isArray(value)) text = value.join(' ');
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+    // Keep spreadsheet apps from evaluating cells as formulas
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats audit log entries as CSV
+ * @param {Array} entries - Entries from searchAuditLog
+ * @returns {string} CSV with a header row
+ */
+function toCsv(entries) {
+    const rows = entries.map((entry) => CSV_COLUMNS.map((column) => toCsvValue(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    recordStripeAction,
+    searchAuditLog,
+    toCsv,
+};
@@ -0,0 +1,110 @@
+/**
+ * Authentication Middleware
+ *
+ * Resolves the signed-in member from the session cookie (or an
+ * "Authorization: Bearer <token>" header, for scripts) and guards routes
+ * that need a member or an admin.
+ */
+
+const { getSessionMember } = require('./members');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const SESSION_COOKIE = 'fridge_session';
+
+// ============================================================================
+// SESSION TOKENS
+// ============================================================================
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (e) {
+            // Ignore malformed cookie values
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Reads the session token from a request
+ * @param {import('express').Request} req - Request
+ * @returns {string|null} Token or null
+ */
+function getSessionToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim() || null;
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+/**
+ * Sets the session cookie
+ * @param {import('express').Response} res - Response
+ * @param {{ token: string, expiresAt: number }} session - Session from createSession
+ */
+function setSessionCookie(res, session) {
+    res.cookie(SESSION_COOKIE, session.token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: res.req.secure,
+        path: '/',
+        expires: new Date(session.expiresAt),
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Attaches the signed-in member (or null) to req.member
+ */
+function loadMember(req, res, next) {
+    req.member = getSessionMember(getSessionToken(req));
+    next();
+}
+
+/**
+ * Rejects requests without a signed-in member
+ */
+function requireMember(req, res, next) {
+    if (!req.member) {
+        return res.status(401).json({ error: 'Please sign in first' });
+    }
+    next();
+}
+
+/**
+ * Rejects requests from anyone but admins
+ */
+function requireAdmin(req, res, next) {
+    if (!req.member) {
+        return res.status(401).json({ error: 'Please sign in first' });
+    }
+    if (req.member.role !== 'admin') {
+        return res.status(403).json({ error: 'Admins only' });
+    }
+    next();
+}
+
+module.exports = {
+    getSessionToken,
+    setSessionCookie,
+    clearSessionCookie,
+    loadMember,
+    requireMember,
+    requireAdmin,
+};
@@ -0,0 +1,150 @@
+/**
+ * Checkout Cards
+ *
+ * Finds Stripe payment link and Checkout URLs in tool results and
+ * describes each as a "checkout" chat event: the URL, what is being paid
+ * for, the total and a QR code (SVG) to scan and pay on a phone at the
+ * fridge. The chat shows it as a payment card that waits for the
+ * payment_received event of its order (see lib/orders).
+ *
+ *   {
+ *     "type": "checkout",
+ *     "checkout": {
+ *       "kind": "payment_link",
+ *       "url": "https://buy.stripe.com/...",
+ *       "payment_link": "plink_...",
+ *       "order_id": "ord_...",
+ *       "status": "pending",
+ *       "amount_total": 500,
+ *       "currency": "eur",
+ *       "line_items": [{ "name": "Club-Mate", "price": "price_...", "quantity": 2, "unit_amount": 250 }],
+ *       "qr_svg": "<svg ...>"
+ *     }
+ *   }
+ *
+ * Amounts are in the smallest currency unit and null when not known.
+ */
+
+const QRCode = require('qrcode');
+const { getPrice } = require('./prices');
+const { listOrders } = require('./orders');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Checkout');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CHECKOUT_URL_PATTERN = /https:\/\/(buy|checkout)\.stripe\.com\/[^\s"'`<>()\[\]\\]+/g;
+const MAX_CHECKOUTS_PER_RESULT = 5;
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Finds the payment link and Checkout URLs in a tool result
+ * @param {string} resultText - Tool result text
+ * @returns {Array<{ kind: 'payment_link'|'checkout_session', url: string }>} Unique URLs, in order
+ */
+function findCheckoutUrls(resultText) {
+    const found = new Map();
+    for (const match of String(resultText || '').matchAll(CHECKOUT_URL_PATTERN)) {
+        // Markdown or prose around the URL can leave trailing punctuation
+        const url = match[0].replace(/[.,;:!?*_]+$/, '');
+        if (!found.has(url)) {
+            found.set(url, { kind: match[1] === 'buy' ? 'payment_link' : 'checkout_session', url });
+        }
+    }
+    return [...found.values()].slice(0, MAX_CHECKOUTS_PER_RESULT);
+}
+
+/**
+ * Finds the Stripe object a URL belongs to in a JSON tool result (a payment link or Checkout Session)
+ * @returns {any|null}
+ */
+function findStripeObject(resultText, url) {
+    let parsed;
+    try {
+        parsed = JSON.parse(resultText);
+    } catch (error) {
+        return null;
+    }
+    const candidates = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.data) ? parsed.data : [parsed];
+    return candidates.find((candidate) => candidate && typeof candidate === 'object' && candidate.url === url) || null;
+}
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * Describes line items with their names and amounts, where known
+ * @param {Array<{ priceId: string, productId?: string|null, quantity: number }>} lineItems - Order line items
+ */
+function describeLineItems(lineItems) {
+    return lineItems.map((item) => {
+        const price = getPrice(item.priceId);
+        return {
+            name: price?.name || null,
+            price: item.priceId,
+            quantity: item.quantity,
+            unit_amount: price?.unitAmount ?? null,
+            currency: price?.currency || null,
+        };
+    });
+}
+
+/**
+ * Builds the checkout events for the URLs in a tool result. A URL the hub has an order for
+ * (see lib/orders) gets its line items and payment status from the order.
+ * @param {{ resultText: string, singleOnly?: boolean }} source - singleOnly skips results with
+ *   several URLs (e.g. a list of payment links)
+ * @returns {Promise<Array<any>>} Checkout objects (see the module comment)
+ */
+async function buildCheckouts({ resultText, singleOnly = false }) {
+    const urls = findCheckoutUrls(resultText);
+    if (singleOnly && urls.length > 1) {
+        return [];
+    }
+    const checkouts = [];
+    for (const { kind, url } of urls) {
+        const stripeObject = findStripeObject(resultText, url);
+        const order = listOrders().find((candidate) => candidate.url === url) || null;
+        const lineItems = order ? describeLineItems(order.lineItems) : [];
+        const knownTotal = lineItems.length > 0 && lineItems.every((item) => item.unit_amount !== null)
+            ? lineItems.reduce((sum, item) => sum + item.unit_amount * item.quantity, 0)
+            : null;
+
+        let qrSvg = null;
+        try {
+            qrSvg = await QRCode.toString(url, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+        } catch (error) {
+            // The card still works as a link
+            log.error('Failed to draw the QR code', { url, error: error.message });
+        }
+
+        checkouts.push({
+            kind,
+            url,
+            payment_link: order?.paymentLinkId || (kind === 'payment_link' ? stripeObject?.id || null : null),
+            checkout_session: kind === 'checkout_session' ? stripeObject?.id || null : null,
+            order_id: order?.id || null,
+            status: order?.status || (stripeObject?.payment_status === 'paid' ? 'paid' : 'pending'),
+            amount_total: stripeObject?.amount_total ?? knownTotal,
+            currency: stripeObject?.currency || lineItems.find((item) => item.currency)?.currency || null,
+            line_items: lineItems.map(({ currency, ...item }) => item),
+            qr_svg: qrSvg,
+        });
+    }
+    if (checkouts.length > 0) {
+        log.info(`Built ${checkouts.length} checkout card(s)`);
+    }
+    return checkouts;
+}
+
+module.exports = {
+    findCheckoutUrls,
+    buildCheckouts,
+};
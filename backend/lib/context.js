@@ -0,0 +1,318 @@
+/**
+ * Context Window Management
+ *
+ * Keeps what is sent to the model within a token budget. Tokens are
+ * estimated from text length (about four characters per token), which is
+ * close enough to leave headroom without a tokenizer per provider.
+ *
+ * Two mechanisms:
+ * - Tool results larger than TOOL_RESULT_MAX_TOKENS are compacted before the
+ *   model sees them: long lists keep their first items plus a count, long
+ *   strings are cut, and anything still too large is truncated with a note.
+ * - When a request nears CONTEXT_TOKEN_BUDGET, older turns (a user message
+ *   and everything up to the next one) are folded into a running summary
+ *   written by the model. The most recent turns are always kept verbatim.
+ *   Stored conversations keep the summary and how many messages it covers,
+ *   so the next request starts from it.
+ *
+ * Configuration (environment):
+ *   CONTEXT_TOKEN_BUDGET       Prompt budget: system prompts, tools, summary and history (default 16000)
+ *   CONTEXT_SUMMARIZE_AT       Share of the budget that triggers a summary (default 0.8)
+ *   CONTEXT_KEEP_RECENT_TURNS  Turns never folded into the summary (default 2)
+ *   TOOL_RESULT_MAX_TOKENS     Largest tool result passed to the model (default 2000)
+ */
+
+const { makeLLMRequest } = require('./llm');
+const { readSSEEvents } = require('./sse');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Context');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 16000;
+const CONTEXT_SUMMARIZE_AT = parseFloat(process.env.CONTEXT_SUMMARIZE_AT) || 0.8;
+const CONTEXT_KEEP_RECENT_TURNS = Math.max(1, parseInt(process.env.CONTEXT_KEEP_RECENT_TURNS, 10) || 2);
+const TOOL_RESULT_MAX_TOKENS = parseInt(process.env.TOOL_RESULT_MAX_TOKENS, 10) || 2000;
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4; // Role and separators
+const SUMMARY_MAX_TOKENS = 600;
+const SUMMARY_PROMPT = 'Summarize the earlier part of this conversation between a member of the Commons Hub and the fridge assistant. ' +
+    'Keep what later turns may rely on: what the member asked for, products, prices and quantities, payment links, ' +
+    'group orders and Stripe object IDs, decisions and open questions. Write short plain sentences, at most 200 words.';
+
+// Compaction steps for JSON tool results, tried in order until the result fits
+const COMPACTION_STEPS = [
+    { maxItems: 20, maxString: 500 },
+    { maxItems: 10, maxString: 200 },
+    { maxItems: 5, maxString: 100 },
+    { maxItems: 2, maxString: 60 },
+];
+
+// ============================================================================
+// ESTIMATES
+// ============================================================================
+
+/**
+ * Estimates the tokens in a string or JSON value
+ * @param {any} value - Text, or anything JSON-serializable
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(value) {
+    if (value === null || value === undefined) {
+        return 0;
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimates the prompt tokens of a chat request
+ * @param {Array} messages - OpenAI-format messages
+ * @param {Array} [tools] - OpenAI tool definitions
+ * @returns {number} Estimated tokens
+ */
+function estimatePromptTokens(messages, tools = []) {
+    const messageTokens = messages.reduce((total, message) => total + MESSAGE_OVERHEAD_TOKENS +
+        estimateTokens(message.content) + estimateTokens(message.tool_calls), 0);
+    return messageTokens + (tools.length > 0 ? estimateTokens(tools) : 0);
+}
+
+// ============================================================================
+// TOOL RESULTS
+// ============================================================================
+
+/**
+ * Shrinks a JSON value: lists keep their first items, strings are cut, empty fields dropped
+ */
+function compactValue(value, step) {
+    if (typeof value === 'string') {
+        return value.length > step.maxString ? `${value.slice(0, step.maxString)}…` : value;
+    }
+    if (Array.isArray(value)) {
+        const items = value.slice(0, step.maxItems).map((item) => compactValue(item, step));
+        if (value.length > step.maxItems) {
+            items.push(`… ${value.length - step.maxItems} more item(s) not shown`);
+        }
+        return items;
+    }
+    if (value && typeof value === 'object') {
+        const compacted = {};
+        for (const [key, field] of Object.entries(value)) {
+            const isEmpty = field === null || field === '' ||
+                (typeof field === 'object' && Object.keys(field).length === 0);
+            if (!isEmpty) {
+                compacted[key] = compactValue(field, step);
+            }
+        }
+        return compacted;
+    }
+    return value;
+}
+
+/**
+ * Keeps a tool result within TOOL_RESULT_MAX_TOKENS
+ * @param {string} content - Tool result text (usually JSON)
+ * @returns {{ content: string, truncated: boolean, originalTokens: number }}
+ */
+function limitToolResult(content) {
+    const originalTokens = estimateTokens(content);
+    if (typeof content !== 'string' || originalTokens <= TOOL_RESULT_MAX_TOKENS) {
+        return { content, truncated: false, originalTokens };
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch (e) {
+        parsed = undefined;
+    }
+    if (parsed && typeof parsed === 'object') {
+        for (const step of COMPACTION_STEPS) {
+            const compacted = JSON.stringify({
+                ...(Array.isArray(parsed) ? { items: compactValue(parsed, step) } : compactValue(parsed, step)),
+                _note: `Result shortened from about ${originalTokens} tokens; ask for fewer items or a specific ID for details.`,
+            });
+            if (estimateTokens(compacted) <= TOOL_RESULT_MAX_TOKENS) {
+                return { content: compacted, truncated: true, originalTokens };
+            }
+        }
+    }
+
+    const maxChars = TOOL_RESULT_MAX_TOKENS * CHARS_PER_TOKEN;
+    return {
+        content: `${content.slice(0, maxChars)}\n… [truncated: about ${originalTokens - TOOL_RESULT_MAX_TOKENS} more tokens not shown]`,
+        truncated: true,
+        originalTokens,
+    };
+}
+
+// ============================================================================
+// SUMMARIES
+// ============================================================================
+
+/**
+ * Builds the system message that carries the running summary
+ * @param {string} summary - Summary text
+ * @returns {{ role: 'system', content: string }}
+ */
+function buildSummaryMessage(summary) {
+    return { role: 'system', content: `Summary of the earlier conversation:\n${summary}` };
+}
+
+/**
+ * Renders messages as a plain transcript for the summarizer
+ */
+function toTranscript(messages) {
+    const lines = [];
+    for (const message of messages) {
+        if (message.role === 'user') {
+            lines.push(`Member: ${message.content}`);
+        } else if (message.role === 'assistant') {
+            if (message.content) {
+                lines.push(`Assistant: ${message.content}`);
+            }
+            for (const toolCall of message.tool_calls || []) {
+                lines.push(`Assistant called ${toolCall.function.name}(${toolCall.function.arguments})`);
+            }
+        } else if (message.role === 'tool') {
+            const text = String(message.content || '');
+            lines.push(`Tool result: ${text.length > 800 ? `${text.slice(0, 800)}…` : text}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Fallback summary when the model cannot write one: the member's requests and the assistant's answers, shortened
+ */
+function summarizeExtractively(previousSummary, messages) {
+    const lines = previousSummary ? [previousSummary] : [];
+    for (const message of messages) {
+        if ((message.role === 'user' || message.role === 'assistant') && message.content) {
+            const text = String(message.content).replace(/\s+/g, ' ').trim();
+            const speaker = message.role === 'user' ? 'Member' : 'Assistant';
+            lines.push(`${speaker}: ${text.length > 200 ? `${text.slice(0, 200)}…` : text}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Asks the model to fold messages into the running summary
+ * @param {string|null} previousSummary - Summary so far
+ * @param {Array} messages - Messages to fold in
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<string>} New summary
+ */
+async function summarizeMessages(previousSummary, messages, options = {}) {
+    const startTime = Date.now();
+    const transcript = toTranscript(messages);
+    const request = [
+        { role: 'system', content: 'You write concise, factual summaries of chat transcripts.' },
+        {
+            role: 'user',
+            content: `${SUMMARY_PROMPT}\n\n${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}Transcript:\n${transcript}`,
+        },
+    ];
+
+    try {
+        const response = await makeLLMRequest(request, [], 0.2, SUMMARY_MAX_TOKENS, { signal: options.signal });
+        if (!response.ok || !response.body) {
+            throw new Error(`status ${response.status}`);
+        }
+        let summary = '';
+        for await (const event of readSSEEvents(response.body)) {
+            if (event.data === '[DONE]') continue;
+            try {
+                summary += JSON.parse(event.data).choices?.[0]?.delta?.content || '';
+            } catch (e) {
+                // Skip non-JSON events
+            }
+        }
+        if (!summary.trim()) {
+            throw new Error('empty summary');
+        }
+        log.info(`Summarized ${messages.length} message(s)`, { elapsedMs: Date.now() - startTime });
+        return summary.trim();
+    } catch (error) {
+        if (options.signal?.aborted) {
+            throw error;
+        }
+        log.warn('Summary by the model failed, keeping an extract', { elapsedMs: Date.now() - startTime, error: error.message });
+        return summarizeExtractively(previousSummary, messages);
+    }
+}
+
+// ============================================================================
+// BUDGET
+// ============================================================================
+
+/**
+ * Folds older turns into the summary when the prompt nears the budget
+ * @param {{
+ *   systemMessages: Array,
+ *   summary: string|null,
+ *   history: Array,
+ *   tools: Array,
+ *   signal?: AbortSignal,
+ * }} context - history is every message after the summary, oldest first
+ * @returns {Promise<{ summary: string|null, history: Array, foldedCount: number }>} foldedCount
+ *   is how many history messages went into the summary (0 when nothing changed)
+ */
+async function fitToBudget({ systemMessages, summary, history, tools, signal }) {
+    const promptFor = (currentSummary, messages) => [
+        ...systemMessages,
+        ...(currentSummary ? [buildSummaryMessage(currentSummary)] : []),
+        ...messages,
+    ];
+    const estimate = estimatePromptTokens(promptFor(summary, history), tools);
+    if (estimate <= CONTEXT_TOKEN_BUDGET * CONTEXT_SUMMARIZE_AT) {
+        return { summary, history, foldedCount: 0 };
+    }
+
+    // Turns start at user messages, so tool calls always stay next to their results
+    const turnStarts = history
+        .map((message, index) => (message.role === 'user' ? index : -1))
+        .filter((index) => index > 0);
+    const foldable = turnStarts.slice(0, Math.max(0, turnStarts.length + 1 - CONTEXT_KEEP_RECENT_TURNS));
+    if (foldable.length === 0) {
+        log.warn('Prompt is over the summary threshold but only recent turns are left', { estimatedTokens: estimate, budget: CONTEXT_TOKEN_BUDGET });
+        return { summary, history, foldedCount: 0 };
+    }
+
+    // Fold as little as gets under the threshold, assuming a full-length summary
+    const target = CONTEXT_TOKEN_BUDGET * CONTEXT_SUMMARIZE_AT - SUMMARY_MAX_TOKENS;
+    const foldedCount = foldable.find((start) => estimatePromptTokens(promptFor(null, history.slice(start)), tools) <= target) ??
+        foldable[foldable.length - 1];
+
+    log.info(`Summarizing ${foldedCount} message(s)`, { estimatedTokens: estimate, budget: CONTEXT_TOKEN_BUDGET });
+    const newSummary = await summarizeMessages(summary, history.slice(0, foldedCount), { signal });
+    return { summary: newSummary, history: history.slice(foldedCount), foldedCount };
+}
+
+/**
+ * Describes the budget for the usage event
+ * @param {{ messages: Array, tools: Array, summarizedMessages: number, truncatedToolResults: number }} state
+ * @returns {{ budget: number, estimated_prompt_tokens: number, summarized_messages: number, truncated_tool_results: number }}
+ */
+function describeBudget({ messages, tools, summarizedMessages, truncatedToolResults }) {
+    return {
+        budget: CONTEXT_TOKEN_BUDGET,
+        estimated_prompt_tokens: estimatePromptTokens(messages, tools),
+        summarized_messages: summarizedMessages,
+        truncated_tool_results: truncatedToolResults,
+    };
+}
+
+module.exports = {
+    estimateTokens,
+    estimatePromptTokens,
+    limitToolResult,
+    buildSummaryMessage,
+    fitToBudget,
+    describeBudget,
+};
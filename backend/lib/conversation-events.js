@@ -0,0 +1,59 @@
+/**
+ * Conversation Events
+ *
+ * Pushes server-initiated messages (e.g. "payment received") to the chat
+ * that is open for a conversation, over a long-lived SSE connection.
+ */
+
+// ============================================================================
+// SUBSCRIBERS
+// ============================================================================
+
+const subscribers = new Map(); // conversationId -> Set<res>
+
+/**
+ * Attaches an SSE response to a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {import('express').Response} res - Response with SSE headers already set
+ */
+function subscribe(conversationId, res) {
+    if (!subscribers.has(conversationId)) {
+        subscribers.set(conversationId, new Set());
+    }
+    subscribers.get(conversationId).add(res);
+    console.log(`[Events] Client subscribed to ${conversationId}`);
+
+    res.on('close', () => {
+        const set = subscribers.get(conversationId);
+        if (!set) return;
+        set.delete(res);
+        if (set.size === 0) {
+            subscribers.delete(conversationId);
+        }
+        console.log(`[Events] Client unsubscribed from ${conversationId}`);
+    });
+}
+
+/**
+ * Sends an event to every open chat of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {any} payload - JSON-serializable event
+ * @returns {number} Number of clients the event was delivered to
+ */
+function publish(conversationId, payload) {
+    const set = subscribers.get(conversationId);
+    if (!set || set.size === 0) {
+        console.log(`[Events] No open chat for ${conversationId}, dropping ${payload.type} event`);
+        return 0;
+    }
+
+    for (const res of set) {
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    }
+    return set.size;
+}
+
+module.exports = {
+    subscribe,
+    publish,
+};
@@ -0,0 +1,283 @@
+/**
+ * Conversations
+ *
+ * Server-side chat history. Each conversation is stored as its own JSON
+ * file in DATA_DIR/conversations, including the assistant tool_calls and
+ * tool results produced by the agent loop, so a chat can be resumed after
+ * a page reload with the full context the model saw.
+ *
+ * Long conversations also carry a running summary (see lib/context):
+ * { text, messageCount } where the first messageCount messages are the
+ * ones it replaces when building the model's context. The messages
+ * themselves are never removed, so the chat still shows them.
+ *
+ * Messages that arrive from outside a chat (e.g. a payment confirmation
+ * from a webhook) wait while a chat request is running on the
+ * conversation and are appended when it ends, so they never land between
+ * an assistant's tool_calls and the tool results that answer them. They
+ * are only added to conversations that exist, never start one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, createJsonStore } = require('./json-store');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CONVERSATIONS_DIR = 'conversations';
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const TITLE_MAX_LENGTH = 60;
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Checks that an ID is safe to use as a file name
+ * @param {string} id - Conversation ID
+ * @returns {boolean} True if valid
+ */
+function isValidConversationId(id) {
+    return typeof id === 'string' && CONVERSATION_ID_PATTERN.test(id);
+}
+
+function storeFor(id) {
+    if (!isValidConversationId(id)) {
+        throw new Error(`Invalid conversation ID: ${id}`);
+    }
+    return createJsonStore(path.join(CONVERSATIONS_DIR, `${id}.json`), () => null);
+}
+
+/**
+ * Derives a sidebar title from the first user message
+ */
+function deriveTitle(messages) {
+    const firstUserMessage = messages.find((message) => message.role === 'user' && message.content);
+    if (!firstUserMessage) {
+        return 'New conversation';
+    }
+    const text = String(firstUserMessage.content).replace(/\s+/g, ' ').trim();
+    return text.length > TITLE_MAX_LENGTH ? `${text.slice(0, TITLE_MAX_LENGTH - 1)}…` : text;
+}
+
+// ============================================================================
+// CONVERSATIONS
+// ============================================================================
+
+/**
+ * Gets a conversation with its full message history
+ * @param {string} id - Conversation ID
+ * @returns {any|null} Conversation or null
+ */
+function getConversation(id) {
+    const store = storeFor(id);
+    return store.exists() ? store.load() : null;
+}
+
+/**
+ * Whether a member may read or change a conversation
+ * @param {any} conversation - Stored conversation
+ * @param {any} member - Public member record
+ * @returns {boolean} True for the member who started it, and for admins
+ */
+function canAccessConversation(conversation, member) {
+    if (!member) {
+        return false;
+    }
+    return member.role === 'admin' || conversation.memberId === member.id;
+}
+
+/**
+ * Checks a client-supplied conversation ID before something stores it to post to that chat later
+ * @param {any} id - Conversation ID from the client or the chat request
+ * @param {any} member - Public member record
+ * @returns {string|null} The ID if it is a stored conversation the member may access, null otherwise
+ */
+function accessibleConversationId(id, member) {
+    if (!isValidConversationId(id)) {
+        return null;
+    }
+    const conversation = getConversation(id);
+    return conversation && canAccessConversation(conversation, member) ? id : null;
+}
+
+/**
+ * Lists conversation summaries, most recently updated first
+ * @param {{ memberId?: string }} [filter] - Only list one member's conversations
+ * @returns {Array<{ id: string, title: string, memberId: string|null, createdAt: string, updatedAt: string, messageCount: number }>}
+ */
+function listConversations(filter = {}) {
+    const dir = path.join(DATA_DIR, CONVERSATIONS_DIR);
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir)
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => getConversation(path.basename(file, '.json')))
+        .filter(Boolean)
+        .filter((conversation) => !filter.memberId || conversation.memberId === filter.memberId)
+        .map(({ id, title, memberId, createdAt, updatedAt, messages }) => ({
+            id,
+            title,
+            memberId: memberId || null,
+            createdAt,
+            updatedAt,
+            messageCount: messages.length,
+        }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Appends messages to a conversation, creating it if needed
+ * @param {string} id - Conversation ID
+ * @param {Array} messages - OpenAI-format messages (user, assistant, tool)
+ * @param {{ memberId?: string }} [owner] - Member who starts the conversation (only used when creating it)
+ * @returns {any} Updated conversation
+ */
+function appendMessages(id, messages, owner = {}) {
+    const store = storeFor(id);
+    const now = new Date().toISOString();
+    const conversation = store.load() || {
+        id,
+        memberId: owner.memberId || null,
+        title: null,
+        createdAt: now,
+        updatedAt: now,
+        messages: [],
+    };
+
+    conversation.messages.push(...messages.map((message) => ({ ...message, createdAt: now })));
+    conversation.title = conversation.title || deriveTitle(conversation.messages);
+    conversation.updatedAt = now;
+    store.save(conversation);
+    return conversation;
+}
+
+// ============================================================================
+// TURNS
+// ============================================================================
+
+const runningTurns = new Map(); // conversation ID -> chat requests running on it
+const deferredMessages = new Map(); // conversation ID -> messages waiting for them to end
+
+/**
+ * Appends messages from outside a chat to a conversation that was already started; they
+ * never start one, which would have no owner
+ * @returns {boolean} False if there is no such conversation
+ */
+function appendToExisting(id, messages) {
+    if (!storeFor(id).exists()) {
+        console.log(`[Conversations] ${id} does not exist, not storing ${messages.length} message(s)`);
+        return false;
+    }
+    appendMessages(id, messages);
+    return true;
+}
+
+/**
+ * Marks a chat request as running on a conversation; call endTurn when it is done
+ * @param {string} id - Conversation ID
+ */
+function beginTurn(id) {
+    runningTurns.set(id, (runningTurns.get(id) || 0) + 1);
+}
+
+/**
+ * Ends a chat request's turn and appends the messages that waited for it
+ * @param {string} id - Conversation ID
+ */
+function endTurn(id) {
+    const running = (runningTurns.get(id) || 1) - 1;
+    if (running > 0) {
+        runningTurns.set(id, running);
+        return;
+    }
+    runningTurns.delete(id);
+    const waiting = deferredMessages.get(id);
+    deferredMessages.delete(id);
+    if (waiting) {
+        try {
+            appendToExisting(id, waiting);
+        } catch (error) {
+            console.error(`[Conversations] Failed to save ${waiting.length} deferred message(s) for ${id}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Appends messages from outside a chat: now, or when the chat running on the conversation ends.
+ * Only conversations that exist get them.
+ * @param {string} id - Conversation ID
+ * @param {Array} messages - OpenAI-format messages
+ * @returns {boolean} True if they were appended now, false if they wait for the turn to end or
+ *   there is no such conversation
+ */
+function appendBetweenTurns(id, messages) {
+    if (!runningTurns.has(id)) {
+        return appendToExisting(id, messages);
+    }
+    deferredMessages.set(id, [...(deferredMessages.get(id) || []), ...messages]);
+    console.log(`[Conversations] ${id} has a chat running, keeping ${messages.length} message(s) until it ends`);
+    return false;
+}
+
+/**
+ * Returns the stored history in the shape the LLM expects
+ * @param {string} id - Conversation ID
+ * @returns {{ summary: string|null, summarizedCount: number, messages: Array }} The running summary,
+ *   how many stored messages it covers, and the messages after those without storage metadata
+ */
+function getModelContext(id) {
+    const conversation = getConversation(id);
+    if (!conversation) {
+        return { summary: null, summarizedCount: 0, messages: [] };
+    }
+    const summarizedCount = conversation.summary?.messageCount || 0;
+    return {
+        summary: conversation.summary?.text || null,
+        summarizedCount,
+        messages: conversation.messages.slice(summarizedCount).map(({ createdAt, ...message }) => message),
+    };
+}
+
+/**
+ * Replaces the running summary
+ * @param {string} id - Conversation ID
+ * @param {{ text: string, messageCount: number }} summary - messageCount counts from the first stored message
+ */
+function saveSummary(id, summary) {
+    const store = storeFor(id);
+    const conversation = store.load();
+    if (!conversation) {
+        return;
+    }
+    conversation.summary = { ...summary, updatedAt: new Date().toISOString() };
+    store.save(conversation);
+}
+
+/**
+ * Deletes a conversation
+ * @param {string} id - Conversation ID
+ * @returns {boolean} False if it did not exist
+ */
+function deleteConversation(id) {
+    return storeFor(id).remove();
+}
+
+module.exports = {
+    isValidConversationId,
+    canAccessConversation,
+    accessibleConversationId,
+    getConversation,
+    listConversations,
+    appendMessages,
+    appendBetweenTurns,
+    beginTurn,
+    endTurn,
+    getModelContext,
+    saveSummary,
+    deleteConversation,
+};
@@ -0,0 +1,132 @@
+/**
+ * Fridge Catalog
+ *
+ * Local inventory of the Commons Hub fridge. Tracks stock counts per
+ * Stripe product, along with the price used to sell it.
+ */
+
+const { createJsonStore } = require('../json-store');
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+const store = createJsonStore('fridge-catalog.json', () => ({ items: {} }));
+const catalog = store.load();
+console.log(`[Fridge] Loaded ${Object.keys(catalog.items).length} catalog item(s) from ${store.filePath}`);
+
+// ============================================================================
+// CATALOG
+// ============================================================================
+
+/**
+ * Lists all catalog items with their stock levels
+ * @returns {Array} Catalog items sorted by name
+ */
+function listItems() {
+    return Object.values(catalog.items)
+        .sort((a, b) => (a.name || a.productId).localeCompare(b.name || b.productId));
+}
+
+/**
+ * Gets a catalog item by Stripe product ID
+ * @param {string} productId - Stripe product ID (prod_...)
+ * @returns {any|null} Catalog item or null
+ */
+function getItem(productId) {
+    return catalog.items[productId] || null;
+}
+
+/**
+ * Finds a catalog item by Stripe price ID
+ * @param {string} priceId - Stripe price ID (price_...)
+ * @returns {any|null} Catalog item or null
+ */
+function findItemByPriceId(priceId) {
+    return Object.values(catalog.items).find((item) => item.priceId === priceId) || null;
+}
+
+/**
+ * Searches catalog items by product ID or case-insensitive name match
+ * @param {string} query - Product ID or part of a product name
+ * @returns {Array} Matching catalog items
+ */
+function searchItems(query) {
+    const needle = String(query).trim().toLowerCase();
+    return listItems().filter((item) =>
+        item.productId.toLowerCase() === needle ||
+        (item.name && item.name.toLowerCase().includes(needle))
+    );
+}
+
+/**
+ * Adds stock for a product, creating the catalog item if needed
+ * @param {string} productId - Stripe product ID
+ * @param {number} quantity - Number of units added to the fridge
+ * @param {{ name?: string, priceId?: string, unitAmount?: number, currency?: string }} details - Optional product details
+ * @returns {any} Updated catalog item
+ */
+function restock(productId, quantity, details = {}) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error('Restock quantity must be a positive integer');
+    }
+
+    const existing = catalog.items[productId] || { productId, stock: 0 };
+    const item = {
+        ...existing,
+        name: details.name ?? existing.name ?? null,
+        priceId: details.priceId ?? existing.priceId ?? null,
+        unitAmount: details.unitAmount ?? existing.unitAmount ?? null,
+        currency: details.currency ?? existing.currency ?? null,
+        stock: existing.stock + quantity,
+        updatedAt: new Date().toISOString(),
+    };
+
+    catalog.items[productId] = item;
+    store.save(catalog);
+    console.log(`[Fridge] Restocked ${productId} +${quantity} (now ${item.stock})`);
+    return item;
+}
+
+/**
+ * Decrements stock for a paid order
+ * @param {Array<{ productId?: string, priceId?: string, quantity: number }>} lineItems - Paid line items
+ * @returns {Array} Updated catalog items (unknown products are skipped)
+ */
+function recordSale(lineItems) {
+    const updated = [];
+
+    for (const lineItem of lineItems) {
+        const item = lineItem.productId
+            ? catalog.items[lineItem.productId]
+            : findItemByPriceId(lineItem.priceId);
+
+        if (!item) {
+            console.warn('[Fridge] Sold item is not in the catalog:', lineItem);
+            continue;
+        }
+
+        const quantity = lineItem.quantity || 1;
+        if (item.stock < quantity) {
+            console.warn(`[Fridge] Stock for ${item.productId} would go negative (${item.stock} - ${quantity})`);
+        }
+        item.stock = Math.max(0, item.stock - quantity);
+        item.updatedAt = new Date().toISOString();
+        updated.push(item);
+        console.log(`[Fridge] Sold ${quantity} x ${item.productId} (now ${item.stock})`);
+    }
+
+    if (updated.length > 0) {
+        store.save(catalog);
+    }
+    return updated;
+}
+
+module.exports = {
+    listItems,
+    getItem,
+    findItemByPriceId,
+    searchItems,
+    restock,
+    recordSale,
+};
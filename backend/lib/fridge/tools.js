@@ -0,0 +1,60 @@
+/**
+ * Fridge Tools
+ *
+ * Local (non-MCP) tools that let the model query the fridge catalog.
+ */
+
+const { listItems, searchItems } = require('./catalog');
+
+// ============================================================================
+// TOOL DEFINITIONS
+// ============================================================================
+
+const checkFridgeStockTool = {
+    type: 'function',
+    function: {
+        name: 'check_fridge_stock',
+        description: 'Check which drinks are in the Commons Hub fridge and how many are left. ' +
+            'Call this before creating a payment link to make sure the items are available. ' +
+            'Returns the Stripe product ID, price ID, unit amount and stock for each item.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: {
+                    type: 'string',
+                    description: 'Optional Stripe product ID or part of a product name. Omit to list everything.',
+                },
+            },
+        },
+    },
+};
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+/**
+ * Returns stock information for the whole fridge or matching items
+ * @param {{ query?: string }} args - Tool arguments
+ * @returns {Promise<string>} JSON result for the model
+ */
+async function checkFridgeStock(args) {
+    const items = args?.query ? searchItems(args.query) : listItems();
+    return JSON.stringify({
+        items: items.map((item) => ({
+            product_id: item.productId,
+            name: item.name,
+            price_id: item.priceId,
+            unit_amount: item.unitAmount,
+            currency: item.currency,
+            stock: item.stock,
+            available: item.stock > 0,
+        })),
+    });
+}
+
+module.exports = {
+    fridgeTools: [
+        { definition: checkFridgeStockTool, handler: checkFridgeStock },
+    ],
+};
@@ -0,0 +1,526 @@
+/**
+ * Group Orders
+ *
+ * A round of drinks shared by several members. One member starts it, the
+ * others join (through the chat or the shared link) and pick their items.
+ * When the host locks the round, Stripe payment links are created either
+ * one per participant or as a single link that everyone pays an even
+ * share of. Payments arrive through the Stripe webhook (see lib/orders).
+ *
+ * Lifecycle: open -> locked -> partially_paid -> paid (or open -> cancelled)
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('../json-store');
+const { getItem } = require('../fridge/catalog');
+const { getMember } = require('../members');
+const { callStripeMCPTool } = require('../mcp/stripe-mcp');
+const { publish } = require('../conversation-events');
+const { extractPaymentLink, recordPaymentLinkOrder, onOrderPayment } = require('../orders');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const SPLIT_MODES = ['per_participant', 'even'];
+const MAX_QUANTITY_PER_ITEM = 20;
+const TITLE_MAX_LENGTH = 60;
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+const store = createJsonStore('group-orders.json', () => ({ groupOrders: {} }));
+const data = store.load();
+console.log(`[GroupOrders] Loaded ${Object.keys(data.groupOrders).length} group order(s)`);
+
+const lockInProgress = new Set(); // group order IDs whose payment links are being created
+
+function persist() {
+    store.save(data);
+}
+
+/**
+ * Error with the HTTP status the routes should answer with
+ */
+function groupOrderError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// ============================================================================
+// VIEWS
+// ============================================================================
+
+function participantTotal(participant) {
+    return participant.items.reduce((sum, item) => sum + item.unitAmount * item.quantity, 0);
+}
+
+function groupTotal(group) {
+    return Object.values(group.participants).reduce((sum, participant) => sum + participantTotal(participant), 0);
+}
+
+/**
+ * Builds what a member gets to see of a group order
+ * @param {any} group - Stored group order
+ * @param {string|null} viewerMemberId - Member looking at it (only their own payment link is included)
+ * @returns {any} Group order view
+ */
+function toGroupOrderView(group, viewerMemberId) {
+    const host = group.participants[group.hostMemberId];
+    return {
+        id: group.id,
+        title: group.title,
+        status: group.status,
+        split_mode: group.splitMode,
+        host: { id: group.hostMemberId, name: host?.name || null },
+        share_path: `/?group=${group.id}`,
+        total: groupTotal(group),
+        currency: group.currency,
+        share_amount: group.combined?.shareAmount ?? null,
+        payment_url: group.combined?.url || null,
+        participants: Object.values(group.participants).map((participant) => ({
+            member_id: participant.memberId,
+            name: participant.name,
+            items: participant.items.map(({ productId, name, unitAmount, currency, quantity }) => ({
+                product_id: productId,
+                name,
+                unit_amount: unitAmount,
+                currency,
+                quantity,
+            })),
+            amount: participant.amount ?? participantTotal(participant),
+            paid: participant.paid,
+            payment_url: participant.memberId === viewerMemberId ? participant.url : null,
+        })),
+        created_at: group.createdAt,
+        locked_at: group.lockedAt,
+        paid_at: group.paidAt,
+    };
+}
+
+/**
+ * Pushes the new state to every participant's open chat
+ */
+function publishUpdate(group) {
+    const delivered = new Set();
+    for (const participant of Object.values(group.participants)) {
+        if (!participant.conversationId || delivered.has(participant.conversationId)) continue;
+        delivered.add(participant.conversationId);
+        publish(participant.conversationId, {
+            type: 'group_order_updated',
+            group_order: toGroupOrderView(group, participant.memberId),
+        });
+    }
+}
+
+function save(group) {
+    persist();
+    publishUpdate(group);
+    return group;
+}
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+/**
+ * Gets a group order by ID
+ * @param {string} groupOrderId - Group order ID
+ * @returns {any|null} Stored group order or null
+ */
+function getGroupOrder(groupOrderId) {
+    return data.groupOrders[groupOrderId] || null;
+}
+
+function requireGroupOrder(groupOrderId) {
+    const group = getGroupOrder(groupOrderId);
+    if (!group) {
+        throw groupOrderError(`Group order not found: ${groupOrderId}`, 404);
+    }
+    return group;
+}
+
+function requireOpen(group) {
+    if (group.status !== 'open' || lockInProgress.has(group.id)) {
+        throw groupOrderError(`Group order ${group.id} is ${group.status}, it can no longer be changed`, 409);
+    }
+}
+
+function requireHost(group, member) {
+    if (group.hostMemberId !== member.id) {
+        throw groupOrderError('Only the member who started the group order can do this', 403);
+    }
+}
+
+/**
+ * Lists the group orders a member takes part in, newest first
+ * @param {{ memberId?: string, status?: string }} [filter] - Optional filter
+ * @returns {Array} Stored group orders
+ */
+function listGroupOrders(filter = {}) {
+    return Object.values(data.groupOrders)
+        .filter((group) => !filter.memberId || group.participants[filter.memberId])
+        .filter((group) => !filter.status || group.status === filter.status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+function createParticipant(member, conversationId) {
+    return {
+        memberId: member.id,
+        name: member.name,
+        email: member.email,
+        conversationId: conversationId || null,
+        items: [],
+        amount: null,
+        paid: false,
+        paidAt: null,
+        orderId: null,
+        url: null,
+        joinedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Starts a group order; the host joins it right away
+ * @param {{ host: any, conversationId?: string, title?: string, splitMode?: string }} params
+ * @returns {any} Stored group order
+ */
+function createGroupOrder({ host, conversationId, title, splitMode = 'per_participant' }) {
+    if (!SPLIT_MODES.includes(splitMode)) {
+        throw groupOrderError(`split_mode must be one of: ${SPLIT_MODES.join(', ')}`);
+    }
+
+    const group = {
+        id: `grp_${crypto.randomBytes(12).toString('base64url')}`,
+        title: String(title || `${host.name}'s round`).trim().slice(0, TITLE_MAX_LENGTH),
+        hostMemberId: host.id,
+        status: 'open',
+        splitMode,
+        currency: null,
+        participants: { [host.id]: createParticipant(host, conversationId) },
+        combined: null,
+        createdAt: new Date().toISOString(),
+        lockedAt: null,
+        paidAt: null,
+    };
+
+    data.groupOrders[group.id] = group;
+    console.log(`[GroupOrders] ${host.id} started ${group.id} (${splitMode})`);
+    return save(group);
+}
+
+/**
+ * Adds a member to an open group order (joining twice only updates the chat to notify)
+ * @param {string} groupOrderId - Group order ID
+ * @param {any} member - Public member record
+ * @param {string} [conversationId] - Chat to send updates to
+ * @returns {any} Stored group order
+ */
+function joinGroupOrder(groupOrderId, member, conversationId) {
+    const group = requireGroupOrder(groupOrderId);
+    const existing = group.participants[member.id];
+    if (existing) {
+        existing.conversationId = conversationId || existing.conversationId;
+        return save(group);
+    }
+
+    requireOpen(group);
+    group.participants[member.id] = createParticipant(member, conversationId);
+    console.log(`[GroupOrders] ${member.id} joined ${group.id}`);
+    return save(group);
+}
+
+/**
+ * Replaces the items a participant picked
+ * @param {string} groupOrderId - Group order ID
+ * @param {any} member - Public member record (must have joined)
+ * @param {Array<{ productId: string, quantity: number }>} items - Fridge products and quantities
+ * @returns {any} Stored group order
+ */
+function setParticipantItems(groupOrderId, member, items) {
+    const group = requireGroupOrder(groupOrderId);
+    requireOpen(group);
+    const participant = group.participants[member.id];
+    if (!participant) {
+        throw groupOrderError('Join the group order before picking items', 403);
+    }
+    if (!Array.isArray(items)) {
+        throw groupOrderError('items must be an array');
+    }
+
+    // Merge duplicates so quantities add up
+    const quantities = new Map();
+    for (const item of items) {
+        const quantity = parseInt(item?.quantity, 10);
+        if (!item?.productId || !Number.isInteger(quantity) || quantity < 0) {
+            throw groupOrderError('Each item needs a productId and a non-negative quantity');
+        }
+        quantities.set(item.productId, (quantities.get(item.productId) || 0) + quantity);
+    }
+
+    const picked = [];
+    for (const [productId, quantity] of quantities) {
+        if (quantity === 0) continue;
+        const catalogItem = getItem(productId);
+        if (!catalogItem || !catalogItem.priceId || typeof catalogItem.unitAmount !== 'number') {
+            throw groupOrderError(`${productId} is not sold from the fridge`);
+        }
+        if (quantity > MAX_QUANTITY_PER_ITEM) {
+            throw groupOrderError(`At most ${MAX_QUANTITY_PER_ITEM} of each item per person`);
+        }
+
+        const pickedByOthers = Object.values(group.participants)
+            .filter((other) => other.memberId !== member.id)
+            .flatMap((other) => other.items)
+            .filter((item) => item.productId === productId)
+            .reduce((sum, item) => sum + item.quantity, 0);
+        if (pickedByOthers + quantity > catalogItem.stock) {
+            throw groupOrderError(`Only ${Math.max(catalogItem.stock - pickedByOthers, 0)} ${catalogItem.name || productId} left for this round`);
+        }
+
+        picked.push({
+            productId,
+            priceId: catalogItem.priceId,
+            name: catalogItem.name || productId,
+            unitAmount: catalogItem.unitAmount,
+            currency: (catalogItem.currency || 'eur').toLowerCase(),
+            quantity,
+        });
+    }
+
+    participant.items = picked;
+    console.log(`[GroupOrders] ${member.id} picked ${picked.length} item(s) in ${group.id}`);
+    return save(group);
+}
+
+/**
+ * Cancels an open group order
+ * @param {string} groupOrderId - Group order ID
+ * @param {any} member - Public member record (must be the host)
+ * @returns {any} Stored group order
+ */
+function cancelGroupOrder(groupOrderId, member) {
+    const group = requireGroupOrder(groupOrderId);
+    requireHost(group, member);
+    requireOpen(group);
+    group.status = 'cancelled';
+    console.log(`[GroupOrders] ${group.id} cancelled`);
+    return save(group);
+}
+
+// ============================================================================
+// PAYMENT LINKS
+// ============================================================================
+
+/**
+ * Calls a Stripe MCP tool and returns the result text, throwing on tool errors
+ * @param {{ source: string, member: any, conversationId?: string|null }} actor - Audit log attribution
+ */
+async function callStripe(name, args, actor) {
+    const result = await callStripeMCPTool(name, args, actor);
+    const text = result?.content?.find((item) => item.type === 'text')?.text || '';
+    if (result?.isError || !text) {
+        throw new Error(`Stripe ${name} failed: ${text || 'empty response'}`);
+    }
+    return text;
+}
+
+function parseStripeId(text, prefix) {
+    try {
+        const parsed = JSON.parse(text);
+        if (parsed?.id) return parsed.id;
+    } catch (e) {
+        // Not JSON, fall through to pattern matching
+    }
+    const match = new RegExp(`\\b${prefix}_\\w+`).exec(text);
+    if (!match) {
+        throw new Error(`No ${prefix}_ ID in Stripe response`);
+    }
+    return match[0];
+}
+
+/**
+ * Creates a one-off price for an amount and a payment link for it
+ * @returns {Promise<{ priceId: string, resultText: string }>} The link's create_payment_link result
+ */
+async function createAmountLink(productId, amount, currency, actor) {
+    const priceId = parseStripeId(
+        await callStripe('create_price', { product: productId, unit_amount: amount, currency }, actor),
+        'price'
+    );
+    const resultText = await callStripe('create_payment_link', { price: priceId, quantity: 1 }, actor);
+    return { priceId, resultText };
+}
+
+function toOrderLineItems(items) {
+    return items.map(({ priceId, productId, quantity }) => ({ priceId, productId, quantity }));
+}
+
+/**
+ * Locks a group order and creates its payment links
+ * @param {string} groupOrderId - Group order ID
+ * @param {any} member - Public member record (must be the host)
+ * @param {{ splitMode?: string }} [options] - Override the split chosen at the start
+ * @returns {Promise<any>} Stored group order
+ */
+async function lockGroupOrder(groupOrderId, member, options = {}) {
+    const group = requireGroupOrder(groupOrderId);
+    requireHost(group, member);
+    requireOpen(group);
+
+    const splitMode = options.splitMode || group.splitMode;
+    if (!SPLIT_MODES.includes(splitMode)) {
+        throw groupOrderError(`split_mode must be one of: ${SPLIT_MODES.join(', ')}`);
+    }
+    const payers = Object.values(group.participants).filter((participant) => participant.items.length > 0);
+    if (payers.length === 0) {
+        throw groupOrderError('Nobody has picked anything yet');
+    }
+    const currencies = new Set(payers.flatMap((participant) => participant.items.map((item) => item.currency)));
+    if (currencies.size > 1) {
+        throw groupOrderError(`Items are priced in different currencies (${[...currencies].join(', ')})`);
+    }
+    const currency = [...currencies][0];
+
+    lockInProgress.add(group.id);
+    const startTime = Date.now();
+    // operationId makes a retried lock reuse the Stripe objects a failed attempt already created
+    const actor = {
+        source: 'group_order',
+        member,
+        conversationId: group.participants[member.id]?.conversationId,
+        operationId: `${group.id}:lock`,
+    };
+    try {
+        // One product per round, with a one-off price per amount to collect
+        const productId = parseStripeId(
+            await callStripe('create_product', { name: `Fridge round: ${group.title}`, description: `Group order ${group.id}` }, actor),
+            'prod'
+        );
+
+        if (splitMode === 'per_participant') {
+            const links = [];
+            for (const participant of payers) {
+                const amount = participantTotal(participant);
+                // Payers owing the same amount still each get their own link, counted against their own spend cap
+                const payerActor = {
+                    ...actor,
+                    member: getMember(participant.memberId) || { id: participant.memberId, name: participant.name },
+                    conversationId: participant.conversationId,
+                    operationId: `${actor.operationId}:${participant.memberId}`,
+                };
+                links.push({ participant, amount, ...(await createAmountLink(productId, amount, currency, payerActor)) });
+            }
+            for (const { participant, amount, priceId, resultText } of links) {
+                const order = recordPaymentLinkOrder({
+                    conversationId: participant.conversationId,
+                    memberId: participant.memberId,
+                    toolArguments: { price: priceId, quantity: 1 },
+                    resultText,
+                    lineItems: toOrderLineItems(participant.items),
+                    groupOrderId: group.id,
+                });
+                participant.amount = amount;
+                participant.orderId = order?.id || null;
+                participant.url = order?.url || extractPaymentLink(resultText).url;
+            }
+        } else {
+            // Everyone pays the same share of one link; rounding up so the round is covered
+            const shareAmount = Math.ceil(groupTotal(group) / payers.length);
+            const { priceId, resultText } = await createAmountLink(productId, shareAmount, currency, actor);
+            const host = group.participants[group.hostMemberId];
+            const order = recordPaymentLinkOrder({
+                conversationId: host.conversationId,
+                memberId: host.memberId,
+                toolArguments: { price: priceId, quantity: 1 },
+                resultText,
+                lineItems: toOrderLineItems(payers.flatMap((participant) => participant.items)),
+                groupOrderId: group.id,
+                expectedPayments: payers.length,
+            });
+            group.combined = {
+                orderId: order?.id || null,
+                url: order?.url || extractPaymentLink(resultText).url,
+                shareAmount,
+            };
+            for (const participant of payers) {
+                participant.amount = shareAmount;
+            }
+        }
+    } catch (error) {
+        console.error(`[GroupOrders] Failed to lock ${group.id} (${Date.now() - startTime}ms):`, error.message);
+        throw groupOrderError(`Could not create the payment links: ${error.message}`, 502);
+    } finally {
+        lockInProgress.delete(group.id);
+    }
+
+    // Participants who did not pick anything have nothing to pay
+    for (const participant of Object.values(group.participants)) {
+        if (participant.items.length === 0) {
+            participant.amount = 0;
+            participant.paid = true;
+        }
+    }
+    group.splitMode = splitMode;
+    group.currency = currency;
+    group.status = 'locked';
+    group.lockedAt = new Date().toISOString();
+    console.log(`[GroupOrders] ${group.id} locked with ${payers.length} payer(s), ${splitMode} (${Date.now() - startTime}ms)`);
+    return save(group);
+}
+
+// ============================================================================
+// PAYMENTS
+// ============================================================================
+
+/**
+ * Marks participants as paid when a payment for one of the round's links comes in
+ */
+function handleOrderPayment(order, payment) {
+    const group = order.groupOrderId ? getGroupOrder(order.groupOrderId) : null;
+    if (!group) {
+        return;
+    }
+
+    const participants = Object.values(group.participants);
+    let participant;
+    if (group.combined?.orderId === order.id) {
+        // Shares are anonymous; attribute by checkout email, else to the next one still owing
+        const unpaid = participants.filter((item) => !item.paid);
+        participant = unpaid.find((item) => payment.email && item.email === payment.email.toLowerCase()) || unpaid[0];
+    } else {
+        participant = participants.find((item) => item.orderId === order.id && !item.paid);
+    }
+    if (!participant) {
+        console.warn(`[GroupOrders] Payment for ${order.id} does not match anyone still owing in ${group.id}`);
+        return;
+    }
+
+    participant.paid = true;
+    participant.paidAt = payment.paidAt;
+    const isFullyPaid = participants.every((item) => item.paid);
+    group.status = isFullyPaid ? 'paid' : 'partially_paid';
+    group.paidAt = isFullyPaid ? payment.paidAt : null;
+    console.log(`[GroupOrders] ${participant.memberId} paid in ${group.id} (${group.status})`);
+    save(group);
+}
+
+onOrderPayment(handleOrderPayment);
+
+module.exports = {
+    SPLIT_MODES,
+    toGroupOrderView,
+    getGroupOrder,
+    listGroupOrders,
+    createGroupOrder,
+    joinGroupOrder,
+    setParticipantItems,
+    cancelGroupOrder,
+    lockGroupOrder,
+};
@@ -0,0 +1,203 @@
+/**
+ * Group Order Tools
+ *
+ * Local tools that let the model run a group order for the signed-in
+ * member: start a round, join one, pick items and lock it for payment.
+ */
+
+const {
+    SPLIT_MODES,
+    toGroupOrderView,
+    getGroupOrder,
+    listGroupOrders,
+    createGroupOrder,
+    joinGroupOrder,
+    setParticipantItems,
+    lockGroupOrder,
+} = require('.');
+const { accessibleConversationId } = require('../conversations');
+
+// ============================================================================
+// TOOL DEFINITIONS
+// ============================================================================
+
+const groupOrderIdParameter = {
+    type: 'string',
+    description: 'Group order ID (grp_...). Omit to use the latest open group order the member takes part in.',
+};
+
+const startGroupOrderTool = {
+    type: 'function',
+    function: {
+        name: 'start_group_order',
+        description: 'Start a group order (a round of drinks) that other members can join. ' +
+            'Returns the group order with a share_path that others can open to join.',
+        parameters: {
+            type: 'object',
+            properties: {
+                title: { type: 'string', description: 'Short name for the round, e.g. "Friday drinks".' },
+                split_mode: {
+                    type: 'string',
+                    enum: SPLIT_MODES,
+                    description: 'per_participant: everyone pays for what they picked. even: one link, everyone pays the same share.',
+                },
+            },
+        },
+    },
+};
+
+const joinGroupOrderTool = {
+    type: 'function',
+    function: {
+        name: 'join_group_order',
+        description: 'Join an open group order started by another member.',
+        parameters: {
+            type: 'object',
+            properties: {
+                group_order_id: { type: 'string', description: 'Group order ID (grp_...).' },
+            },
+            required: ['group_order_id'],
+        },
+    },
+};
+
+const setGroupOrderItemsTool = {
+    type: 'function',
+    function: {
+        name: 'set_group_order_items',
+        description: 'Set what the member wants in a group order, replacing their previous pick. ' +
+            'Use product IDs from check_fridge_stock.',
+        parameters: {
+            type: 'object',
+            properties: {
+                group_order_id: groupOrderIdParameter,
+                items: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            product_id: { type: 'string', description: 'Stripe product ID (prod_...).' },
+                            quantity: { type: 'integer', description: 'How many.' },
+                        },
+                        required: ['product_id', 'quantity'],
+                    },
+                },
+            },
+            required: ['items'],
+        },
+    },
+};
+
+const getGroupOrderTool = {
+    type: 'function',
+    function: {
+        name: 'get_group_order',
+        description: 'Show a group order: its status, participants, what they picked and who has paid.',
+        parameters: {
+            type: 'object',
+            properties: {
+                group_order_id: groupOrderIdParameter,
+            },
+        },
+    },
+};
+
+const lockGroupOrderTool = {
+    type: 'function',
+    function: {
+        name: 'lock_group_order',
+        description: 'Close a group order to changes and create its Stripe payment links. ' +
+            'Only the member who started it can do this.',
+        parameters: {
+            type: 'object',
+            properties: {
+                group_order_id: groupOrderIdParameter,
+                split_mode: {
+                    type: 'string',
+                    enum: SPLIT_MODES,
+                    description: 'Change how the bill is split. Defaults to the mode chosen at the start.',
+                },
+            },
+        },
+    },
+};
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+function requireMember(context) {
+    if (!context?.member) {
+        throw new Error('Group orders need a signed-in member');
+    }
+    return context.member;
+}
+
+/**
+ * Resolves the group order a tool call refers to
+ */
+function resolveGroupOrderId(args, member) {
+    if (args?.group_order_id) {
+        return args.group_order_id;
+    }
+    const [latest] = listGroupOrders({ memberId: member.id, status: 'open' });
+    if (!latest) {
+        throw new Error('No open group order found, start one first');
+    }
+    return latest.id;
+}
+
+function toResult(group, member) {
+    return JSON.stringify({ group_order: toGroupOrderView(group, member.id) });
+}
+
+async function startGroupOrder(args, context) {
+    const member = requireMember(context);
+    const group = createGroupOrder({
+        host: member,
+        conversationId: accessibleConversationId(context.conversationId, member),
+        title: args?.title,
+        splitMode: args?.split_mode,
+    });
+    return toResult(group, member);
+}
+
+async function joinGroupOrderHandler(args, context) {
+    const member = requireMember(context);
+    const conversationId = accessibleConversationId(context.conversationId, member);
+    return toResult(joinGroupOrder(args?.group_order_id, member, conversationId), member);
+}
+
+async function setGroupOrderItems(args, context) {
+    const member = requireMember(context);
+    const items = (Array.isArray(args?.items) ? args.items : []).map((item) => ({
+        productId: item?.product_id,
+        quantity: item?.quantity,
+    }));
+    return toResult(setParticipantItems(resolveGroupOrderId(args, member), member, items), member);
+}
+
+async function getGroupOrderHandler(args, context) {
+    const member = requireMember(context);
+    const group = getGroupOrder(resolveGroupOrderId(args, member));
+    if (!group) {
+        throw new Error(`Group order not found: ${args.group_order_id}`);
+    }
+    return toResult(group, member);
+}
+
+async function lockGroupOrderHandler(args, context) {
+    const member = requireMember(context);
+    const group = await lockGroupOrder(resolveGroupOrderId(args, member), member, { splitMode: args?.split_mode });
+    return toResult(group, member);
+}
+
+module.exports = {
+    groupOrderTools: [
+        { definition: startGroupOrderTool, handler: startGroupOrder },
+        { definition: joinGroupOrderTool, handler: joinGroupOrderHandler },
+        { definition: setGroupOrderItemsTool, handler: setGroupOrderItems },
+        { definition: getGroupOrderTool, handler: getGroupOrderHandler },
+        { definition: lockGroupOrderTool, handler: lockGroupOrderHandler },
+    ],
+};
@@ -0,0 +1,72 @@
+/**
+ * JSON File Store
+ *
+ * Minimal persistence helper for small local data files (catalog, orders, ...).
+ * Files live in DATA_DIR (defaults to backend/data) and are written atomically.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Creates a store backed by a single JSON file
+ * @param {string} filename - File name (or relative path) inside DATA_DIR
+ * @param {() => any} createDefault - Returns the initial value when the file does not exist
+ * @returns {{ filePath: string, exists: () => boolean, load: () => any, save: (data: any) => void, remove: () => boolean }}
+ */
+function createJsonStore(filename, createDefault) {
+    const filePath = path.join(DATA_DIR, filename);
+
+    function load() {
+        try {
+            const raw = fs.readFileSync(filePath, 'utf8');
+            return JSON.parse(raw);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[Store] Failed to read ${filePath}:`, error.message);
+            }
+            return createDefault();
+        }
+    }
+
+    function exists() {
+        return fs.existsSync(filePath);
+    }
+
+    function save(data) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        // Write to a temp file first so a crash never leaves a truncated file
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    function remove() {
+        try {
+            fs.unlinkSync(filePath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    return { filePath, exists, load, save, remove };
+}
+
+module.exports = {
+    DATA_DIR,
+    createJsonStore,
+};
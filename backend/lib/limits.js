@@ -0,0 +1,365 @@
+/**
+ * Limits
+ *
+ * Rate limits and spend caps for the agent.
+ *
+ * Rate limits count chat requests and tool calls per client IP and per
+ * member over a sliding window; a request over either limit is refused
+ * and not counted. Counts live in memory, so they start over when the
+ * server restarts.
+ *
+ * Spend caps bound the money each member can move through Stripe per day
+ * (the server's local day): the total of the payment links created for
+ * them, and of the refunds they make. The amount of a call is reserved
+ * before it is sent and given back if it fails, so calls running at the
+ * same time can't go over the cap together. Daily totals are stored in
+ * DATA_DIR/spend.json. Amounts are in the smallest currency unit (cents)
+ * and summed as they are: the hub sells in a single currency.
+ *
+ * Configuration (environment, 0 turns a limit off):
+ *   RATE_LIMIT_WINDOW_MS             Window of the rate limits (default 60000)
+ *   CHAT_RATE_LIMIT_PER_IP           Chat requests per IP per window (default 30)
+ *   CHAT_RATE_LIMIT_PER_MEMBER       Chat requests per member per window (default 10)
+ *   TOOL_CALL_RATE_LIMIT_PER_IP      Tool calls per IP per window (default 120)
+ *   TOOL_CALL_RATE_LIMIT_PER_MEMBER  Tool calls per member per window (default 60)
+ *   PAYMENT_LINK_DAILY_CAP           Payment link total per member per day, in cents (default 5000)
+ *   REFUND_DAILY_CAP                 Refund total per member per day, in cents (default 0, off)
+ */
+
+const { createJsonStore } = require('./json-store');
+const { rememberPrices, getPrice } = require('./prices');
+const { STRIPE_SERVER_NAME, toNamespacedName, parseNamespacedName } = require('./mcp/registry');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Limits');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Reads a non-negative integer setting
+ */
+function readLimit(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+const RATE_LIMIT_WINDOW_MS = readLimit('RATE_LIMIT_WINDOW_MS', 60 * 1000) || 60 * 1000;
+const MAX_TRACKED_KEYS = 10000; // Above this, idle IPs and members are swept out
+const KEPT_SPEND_DAYS = 7;
+
+const PAYMENT_LINK_TOOL = toNamespacedName(STRIPE_SERVER_NAME, 'create_payment_link');
+const REFUND_TOOL = toNamespacedName(STRIPE_SERVER_NAME, 'create_refund');
+
+// Money-moving Stripe tools, by the name the model sees, and how to read the amount of a call
+const SPEND_CAPS = {
+    [PAYMENT_LINK_TOOL]: {
+        label: 'payment links',
+        cap: readLimit('PAYMENT_LINK_DAILY_CAP', 5000),
+        amountOf: paymentLinkAmount,
+        invalidArguments: invalidQuantities,
+    },
+    [REFUND_TOOL]: {
+        label: 'refunds',
+        cap: readLimit('REFUND_DAILY_CAP', 0),
+        // Without an amount Stripe refunds the whole charge, which is not known here
+        amountOf: (args) => (Number.isInteger(args?.amount) && args.amount > 0 ? args.amount : null),
+    },
+};
+
+// ============================================================================
+// RATE LIMITS
+// ============================================================================
+
+/**
+ * Describes the window for messages, e.g. "per minute"
+ */
+function describeWindow() {
+    return RATE_LIMIT_WINDOW_MS === 60 * 1000 ? 'per minute' : `per ${Math.round(RATE_LIMIT_WINDOW_MS / 1000)}s`;
+}
+
+/**
+ * Creates a sliding window rate limit over client IPs and members
+ * @param {string} what - What is counted, for messages (e.g. "chat requests")
+ * @param {{ ip: number, member: number }} limits - Allowed per window; 0 means unlimited
+ * @returns {{ check: ({ ip?: string, memberId?: string }) => any|null }} check() counts the request
+ *   and returns null, or returns the limit it would break (and doesn't count it)
+ */
+function createRateLimit(what, limits) {
+    const hits = new Map(); // "ip:..." or "member:..." -> timestamps within the window, oldest first
+
+    function recentHits(key, now) {
+        const timestamps = hits.get(key) || [];
+        while (timestamps.length > 0 && timestamps[0] <= now - RATE_LIMIT_WINDOW_MS) {
+            timestamps.shift();
+        }
+        return timestamps;
+    }
+
+    function sweep(now) {
+        for (const key of hits.keys()) {
+            if (recentHits(key, now).length === 0) {
+                hits.delete(key);
+            }
+        }
+    }
+
+    function check({ ip, memberId }) {
+        const now = Date.now();
+        const scopes = [
+            { scope: 'ip', key: ip && `ip:${ip}`, limit: limits.ip },
+            { scope: 'member', key: memberId && `member:${memberId}`, limit: limits.member },
+        ].filter(({ key, limit }) => key && limit > 0);
+
+        for (const { scope, key, limit } of scopes) {
+            const timestamps = recentHits(key, now);
+            if (timestamps.length >= limit) {
+                const retryAfterSeconds = Math.max(1, Math.ceil((timestamps[0] + RATE_LIMIT_WINDOW_MS - now) / 1000));
+                log.warn(`${what} rate limit hit for ${key} (${limit} ${describeWindow()})`, { scope, limit });
+                return {
+                    code: 'rate_limited',
+                    scope,
+                    limit,
+                    retry_after_seconds: retryAfterSeconds,
+                    message: `Too many ${what}: at most ${limit} ${describeWindow()} per ${scope === 'ip' ? 'IP address' : 'member'}. ` +
+                        `Try again in ${retryAfterSeconds}s.`,
+                };
+            }
+        }
+
+        if (hits.size > MAX_TRACKED_KEYS) {
+            sweep(now);
+        }
+        for (const { key } of scopes) {
+            hits.set(key, [...recentHits(key, now), now]);
+        }
+        return null;
+    }
+
+    return { check };
+}
+
+const chatRateLimit = createRateLimit('chat requests', {
+    ip: readLimit('CHAT_RATE_LIMIT_PER_IP', 30),
+    member: readLimit('CHAT_RATE_LIMIT_PER_MEMBER', 10),
+});
+
+const toolCallRateLimit = createRateLimit('tool calls', {
+    ip: readLimit('TOOL_CALL_RATE_LIMIT_PER_IP', 120),
+    member: readLimit('TOOL_CALL_RATE_LIMIT_PER_MEMBER', 60),
+});
+
+// ============================================================================
+// AMOUNTS
+// ============================================================================
+
+function paymentLinkItems(args) {
+    return Array.isArray(args?.line_items) ? args.line_items : [{ price: args?.price, quantity: args?.quantity }];
+}
+
+/**
+ * Reads a line item quantity; Stripe counts a missing one as 1
+ * @returns {number|null} Null unless it is a positive integer (or its digits as a string)
+ */
+function parseQuantity(quantity) {
+    if (quantity === undefined || quantity === null) {
+        return 1;
+    }
+    if (Number.isInteger(quantity) && quantity > 0) {
+        return quantity;
+    }
+    return typeof quantity === 'string' && /^[1-9][0-9]*$/.test(quantity) ? Number(quantity) : null;
+}
+
+/**
+ * Describes the quantities of a create_payment_link call that can't be counted
+ * @returns {string|null} Null when every quantity is a positive integer
+ */
+function invalidQuantities(args) {
+    const invalid = paymentLinkItems(args)
+        .map((item) => item?.quantity)
+        .filter((quantity) => parseQuantity(quantity) === null);
+    return invalid.length > 0
+        ? `quantity ${invalid.map((quantity) => JSON.stringify(quantity)).join(', ')} is not a positive whole number.`
+        : null;
+}
+
+/**
+ * Total of a create_payment_link call (price and quantity, or line_items)
+ * @returns {number|null} Null when a price's amount or a quantity is not known
+ */
+function paymentLinkAmount(args) {
+    let total = 0;
+    for (const item of paymentLinkItems(args)) {
+        const unitAmount = typeof item?.price === 'string' ? getPrice(item.price)?.unitAmount ?? null : null;
+        const quantity = parseQuantity(item?.quantity);
+        if (unitAmount === null || quantity === null) {
+            return null;
+        }
+        total += unitAmount * quantity;
+    }
+    return total;
+}
+
+// ============================================================================
+// SPEND CAPS
+// ============================================================================
+
+const store = createJsonStore('spend.json', () => ({ days: {} }));
+const spend = store.load(); // { days: { "2026-10-18": { "mem_...": { "stripe__create_payment_link": 1250 } } } }
+
+/**
+ * The server's local date, e.g. "2026-10-18"
+ */
+function today() {
+    const now = new Date();
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Adds to (or, with a negative amount, takes from) a member's total for today
+ */
+function addSpend(day, memberId, toolName, amount) {
+    for (const oldDay of Object.keys(spend.days).sort().slice(0, -KEPT_SPEND_DAYS)) {
+        delete spend.days[oldDay];
+    }
+    const totals = spend.days[day] ??= {};
+    const memberTotals = totals[memberId] ??= {};
+    memberTotals[toolName] = Math.max(0, (memberTotals[toolName] || 0) + amount);
+    try {
+        store.save(spend);
+    } catch (error) {
+        log.error('Failed to save spend totals', { error: error.message });
+    }
+}
+
+/**
+ * Checks a tool call against the member's daily spend cap
+ * @param {{ toolName: string, args: Record<string, any>, member?: any }} call - toolName as the model sees it
+ * @returns {{ amount: number|null, denial: any|null }} amount counted against the cap (null when
+ *   the tool is not capped), and what the call would break, if anything
+ */
+function evaluateSpend({ toolName, args, member }) {
+    const rule = SPEND_CAPS[toolName];
+    if (!rule || rule.cap === 0 || !member?.id) {
+        return { amount: null, denial: null };
+    }
+    const deny = (amount, denial) => {
+        log.warn(`${toolName} over the spend cap for ${member.id}`, { tool: toolName, code: denial.code, reason: denial.message });
+        return { amount, denial };
+    };
+
+    const invalid = rule.invalidArguments?.(args || {});
+    if (invalid) {
+        return deny(null, {
+            code: 'spend_quantity_invalid',
+            cap: rule.cap,
+            message: `Can't check this call against the daily cap for ${rule.label}: ${invalid}`,
+        });
+    }
+
+    const amount = rule.amountOf(args || {});
+    if (amount === null) {
+        return deny(null, {
+            code: 'spend_amount_unknown',
+            cap: rule.cap,
+            message: `Can't check this call against the daily cap for ${rule.label}: its amount is not known. ` +
+                (toolName === REFUND_TOOL
+                    ? 'Pass the refund amount explicitly.'
+                    : 'List the prices first, or use prices from the fridge catalog.'),
+        });
+    }
+
+    const spent = spend.days[today()]?.[member.id]?.[toolName] || 0;
+    if (spent + amount > rule.cap) {
+        return deny(amount, {
+            code: 'spend_cap_exceeded',
+            cap: rule.cap,
+            spent,
+            amount,
+            message: `Daily cap for ${rule.label} reached: ${formatCents(spent)} of ${formatCents(rule.cap)} used today, ` +
+                `this one would add ${formatCents(amount)}.`,
+        });
+    }
+    return { amount, denial: null };
+}
+
+function formatCents(amount) {
+    return (amount / 100).toFixed(2);
+}
+
+/**
+ * Checks a tool call against the member's daily spend cap, without reserving anything
+ * @param {{ toolName: string, args: Record<string, any>, member?: any }} call - toolName as the model sees it
+ * @returns {any|null} What the call would break, or null
+ */
+function checkSpendCap(call) {
+    return evaluateSpend(call).denial;
+}
+
+/**
+ * Runs an MCP tool call within the member's daily spend cap: the amount is reserved
+ * before the call and given back if the call fails. Stripe calls all go through here
+ * so the price amounts in their results are remembered.
+ * @param {{ toolName: string, args: Record<string, any>, member?: any, signal?: AbortSignal }} call - toolName
+ *   as the model sees it; signal is the call's, see below
+ * @param {() => Promise<any>} run - Makes the tool call
+ * @returns {Promise<any>} tools/call result
+ * @throws {Error} With code "spend_cap_exceeded", "spend_amount_unknown" or "spend_quantity_invalid"
+ *   (and the denial as error.limit) when over the cap or not countable; the call is not made
+ */
+async function runWithSpendCap(call, run) {
+    const { amount, denial } = evaluateSpend(call);
+    if (denial) {
+        const error = new Error(denial.message);
+        error.code = denial.code;
+        error.limit = denial;
+        throw error;
+    }
+
+    const day = today();
+    if (amount !== null) {
+        addSpend(day, call.member.id, call.toolName, amount);
+    }
+    let succeeded = false;
+    try {
+        const result = await run();
+        succeeded = !result?.isError;
+        const resultText = result?.content?.find((item) => item.type === 'text')?.text;
+        if (succeeded && resultText && parseNamespacedName(call.toolName)?.server === STRIPE_SERVER_NAME) {
+            rememberPrices(resultText);
+        }
+        return result;
+    } finally {
+        // An aborted call may still have gone through in Stripe, so it keeps counting
+        if (amount !== null && !succeeded && !call.signal?.aborted) {
+            addSpend(day, call.member.id, call.toolName, -amount);
+        }
+    }
+}
+
+/**
+ * Builds the tool result the model sees for a call refused by a limit
+ * @param {{ code: string, message: string, retry_after_seconds?: number }} limit
+ * @returns {string} JSON tool result
+ */
+function formatLimit(limit) {
+    return JSON.stringify({
+        error: {
+            type: 'limit_exceeded',
+            code: limit.code,
+            message: limit.message,
+            retry_after_seconds: limit.retry_after_seconds,
+        },
+    });
+}
+
+module.exports = {
+    chatRateLimit,
+    toolCallRateLimit,
+    checkSpendCap,
+    runWithSpendCap,
+    formatLimit,
+};
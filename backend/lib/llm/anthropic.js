@@ -0,0 +1,288 @@
+/**
+ * Anthropic Provider
+ *
+ * Adapter for Anthropic's Messages API. Requests are translated from the
+ * OpenAI chat format used by the agent loop, and the streamed response is
+ * translated back into OpenAI-format SSE chunks so the loop does not need
+ * to know which provider it is talking to.
+ */
+
+const { createSSEDecoder } = require('../sse');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const STOP_REASON_TO_FINISH_REASON = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    max_tokens: 'length',
+    tool_use: 'tool_calls',
+};
+
+// ============================================================================
+// REQUEST TRANSLATION
+// ============================================================================
+
+/**
+ * Parses tool call arguments, falling back to an empty object
+ */
+function parseArguments(text) {
+    if (!text) return {};
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Converts OpenAI-format messages to Anthropic system prompt + messages
+ * @param {Array} messages - OpenAI chat messages
+ * @returns {{ system: string|undefined, messages: Array }}
+ */
+function convertMessages(messages) {
+    const systemParts = [];
+    const converted = [];
+
+    // Anthropic requires alternating roles, so consecutive blocks of the same role are merged
+    function append(role, blocks) {
+        const last = converted[converted.length - 1];
+        if (last && last.role === role) {
+            last.content.push(...blocks);
+        } else {
+            converted.push({ role, content: blocks });
+        }
+    }
+
+    for (const message of messages) {
+        if (message.role === 'system') {
+            systemParts.push(message.content);
+            continue;
+        }
+
+        if (message.role === 'tool') {
+            append('user', [{
+                type: 'tool_result',
+                tool_use_id: message.tool_call_id,
+                content: message.content || '',
+            }]);
+            continue;
+        }
+
+        const blocks = [];
+        if (message.content) {
+            blocks.push({ type: 'text', text: message.content });
+        }
+        if (message.role === 'assistant' && Array.isArray(message.tool_calls)) {
+            for (const toolCall of message.tool_calls) {
+                blocks.push({
+                    type: 'tool_use',
+                    id: toolCall.id,
+                    name: toolCall.function.name,
+                    input: parseArguments(toolCall.function.arguments),
+                });
+            }
+        }
+        if (blocks.length > 0) {
+            append(message.role === 'assistant' ? 'assistant' : 'user', blocks);
+        }
+    }
+
+    return {
+        system: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
+        messages: converted,
+    };
+}
+
+/**
+ * Converts OpenAI-format tool definitions to Anthropic tools
+ * @param {Array} tools - OpenAI tool definitions
+ * @returns {Array} Anthropic tool definitions
+ */
+function convertTools(tools) {
+    return tools.map((tool) => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters || { type: 'object', properties: {} },
+    }));
+}
+
+// ============================================================================
+// STREAM TRANSLATION
+// ============================================================================
+
+/**
+ * Translates one Anthropic stream event into OpenAI-format chunks
+ * @param {any} event - Parsed Anthropic SSE event data
+ * @param {{ id: string, model: string, toolIndexByBlock: Map<number, number>, usage: any }} state
+ * @returns {Array} OpenAI-format chunks to emit
+ */
+function translateEvent(event, state) {
+    const chunk = (choice, extra = {}) => ({
+        id: state.id,
+        object: 'chat.completion.chunk',
+        model: state.model,
+        choices: [{ index: 0, ...choice }],
+        ...extra,
+    });
+
+    switch (event.type) {
+        case 'message_start':
+            state.id = event.message?.id || state.id;
+            state.model = event.message?.model || state.model;
+            state.usage.prompt_tokens = event.message?.usage?.input_tokens || 0;
+            return [];
+
+        case 'content_block_start':
+            if (event.content_block?.type === 'tool_use') {
+                const toolIndex = state.toolIndexByBlock.size;
+                state.toolIndexByBlock.set(event.index, toolIndex);
+                return [chunk({
+                    delta: {
+                        tool_calls: [{
+                            index: toolIndex,
+                            id: event.content_block.id,
+                            type: 'function',
+                            function: { name: event.content_block.name, arguments: '' },
+                        }],
+                    },
+                })];
+            }
+            return [];
+
+        case 'content_block_delta':
+            if (event.delta?.type === 'text_delta') {
+                return [chunk({ delta: { content: event.delta.text } })];
+            }
+            if (event.delta?.type === 'input_json_delta' && state.toolIndexByBlock.has(event.index)) {
+                return [chunk({
+                    delta: {
+                        tool_calls: [{
+                            index: state.toolIndexByBlock.get(event.index),
+                            function: { arguments: event.delta.partial_json },
+                        }],
+                    },
+                })];
+            }
+            return [];
+
+        case 'message_delta': {
+            state.usage.completion_tokens = event.usage?.output_tokens || 0;
+            state.usage.total_tokens = state.usage.prompt_tokens + state.usage.completion_tokens;
+            const finishReason = STOP_REASON_TO_FINISH_REASON[event.delta?.stop_reason] || 'stop';
+            return [chunk({ delta: {}, finish_reason: finishReason }, { usage: { ...state.usage } })];
+        }
+
+        case 'error':
+            return [{ error: event.error?.message || 'Anthropic stream error' }];
+
+        default:
+            return [];
+    }
+}
+
+/**
+ * Wraps an Anthropic SSE body in a stream of OpenAI-format SSE chunks
+ * @param {ReadableStream} body - Anthropic response body
+ * @param {string} model - Requested model
+ * @returns {ReadableStream} OpenAI-format SSE byte stream
+ */
+function toOpenAIStream(body, model) {
+    const encoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+    const sseDecoder = createSSEDecoder();
+    const state = { id: `msg_${Date.now()}`, model, toolIndexByBlock: new Map(), usage: { prompt_tokens: 0 } };
+
+    function emit(events, controller) {
+        for (const { data } of events) {
+            let event;
+            try {
+                event = JSON.parse(data);
+            } catch (e) {
+                continue;
+            }
+            for (const out of translateEvent(event, state)) {
+                controller.enqueue(encoder.encode(`data: ${JSON.stringify(out)}\n\n`));
+            }
+        }
+    }
+
+    return body.pipeThrough(new TransformStream({
+        transform(bytes, controller) {
+            emit(sseDecoder.push(textDecoder.decode(bytes, { stream: true })), controller);
+        },
+        flush(controller) {
+            emit(sseDecoder.push(textDecoder.decode()), controller);
+            emit(sseDecoder.flush(), controller);
+            controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+        },
+    }));
+}
+
+// ============================================================================
+// REQUEST
+// ============================================================================
+
+/**
+ * Makes a streaming Messages API request
+ * @param {{ baseUrl: string, apiKey: string, model: string }} config - Provider configuration
+ * @param {{ messages: Array, tools: Array, temperature: number, maxTokens: number, signal?: AbortSignal }} request
+ * @returns {Promise<Response>} Response streaming OpenAI-format SSE chunks
+ */
+async function streamChat(config, { messages, tools, temperature, maxTokens, signal }) {
+    const { system, messages: anthropicMessages } = convertMessages(messages);
+
+    const requestBody = {
+        model: config.model,
+        messages: anthropicMessages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+    };
+
+    if (system) {
+        requestBody.system = system;
+    }
+    if (tools.length > 0) {
+        requestBody.tools = convertTools(tools);
+    }
+
+    const response = await fetch(`${config.baseUrl.replace(/\/+$/, '')}/v1/messages`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': config.apiKey,
+            'anthropic-version': ANTHROPIC_VERSION,
+        },
+        body: JSON.stringify(requestBody),
+        signal,
+    });
+
+    if (!response.ok || !response.body) {
+        return response;
+    }
+
+    return new Response(toOpenAIStream(response.body, config.model), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: { 'Content-Type': 'text/event-stream' },
+    });
+}
+
+module.exports = {
+    name: 'anthropic',
+    defaults: {
+        baseUrl: DEFAULT_BASE_URL,
+        model: 'claude-sonnet-4-5',
+        apiKeyEnv: 'ANTHROPIC_API_KEY',
+        requiresApiKey: true,
+        toolSchema: 'full',
+    },
+    streamChat,
+    convertMessages,
+    convertTools,
+};
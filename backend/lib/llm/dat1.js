@@ -0,0 +1,58 @@
+/**
+ * dat1 Provider
+ *
+ * dat1 hosts gpt-oss-120b behind an OpenAI-style chat endpoint that is
+ * authenticated with an X-API-Key header and does not take a model name.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEFAULT_BASE_URL = 'https://api.dat1.co/api/v1/collection/gpt-120-oss/invoke-chat';
+
+// ============================================================================
+// REQUEST
+// ============================================================================
+
+/**
+ * Makes a streaming chat request to dat1
+ * @param {{ baseUrl: string, apiKey: string }} config - Provider configuration
+ * @param {{ messages: Array, tools: Array, temperature: number, maxTokens: number, signal?: AbortSignal }} request
+ * @returns {Promise<Response>} Response streaming OpenAI-format SSE chunks
+ */
+async function streamChat(config, { messages, tools, temperature, maxTokens, signal }) {
+    const requestBody = {
+        messages,
+        temperature,
+        stream: true,
+        max_tokens: maxTokens,
+    };
+
+    // Only include tools if we have any
+    if (tools.length > 0) {
+        requestBody.tools = tools;
+    }
+
+    return fetch(config.baseUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-API-Key': config.apiKey,
+        },
+        body: JSON.stringify(requestBody),
+        signal,
+    });
+}
+
+module.exports = {
+    name: 'dat1',
+    defaults: {
+        baseUrl: DEFAULT_BASE_URL,
+        model: 'gpt-oss-120b',
+        apiKeyEnv: 'DAT1_API_KEY',
+        requiresApiKey: true,
+        toolSchema: 'simple',
+    },
+    streamChat,
+};
@@ -0,0 +1,145 @@
+/**
+ * LLM Providers
+ *
+ * Selects the chat backend from configuration. Every provider returns a
+ * Response streaming OpenAI-format SSE chunks, so the agent loop in
+ * server.js works the same whichever backend is used.
+ *
+ * Configuration (environment):
+ *   LLM_PROVIDER  dat1 (default) | openai | anthropic
+ *   LLM_MODEL     Model name (provider default if unset)
+ *   LLM_BASE_URL  Endpoint base URL (provider default if unset)
+ *   LLM_API_KEY   Credentials (falls back to DAT1_API_KEY / OPENAI_API_KEY / ANTHROPIC_API_KEY)
+ *   LLM_TOOL_SCHEMA  full | simple: tool schemas as MCP servers describe them, or reduced to
+ *                 what models with limited JSON Schema support handle (provider default if unset)
+ */
+
+const dat1 = require('./dat1');
+const openai = require('./openai');
+const anthropic = require('./anthropic');
+const { llmRequestDuration, secondsSince } = require('../metrics');
+const { createLogger } = require('../logger');
+const { SCHEMA_MODES } = require('../mcp/schema');
+
+const log = createLogger('LLM');
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+const PROVIDERS = {
+    [dat1.name]: dat1,
+    [openai.name]: openai,
+    [anthropic.name]: anthropic,
+};
+
+/**
+ * Resolves the LLM configuration from the environment
+ * @returns {{ provider: string, model: string, baseUrl: string, apiKey: string|null, apiKeyEnv: string, requiresApiKey: boolean, toolSchema: 'full'|'simple' }}
+ */
+function getLLMConfig() {
+    const providerName = (process.env.LLM_PROVIDER || dat1.name).toLowerCase();
+    const provider = PROVIDERS[providerName];
+
+    if (!provider) {
+        throw new Error(`Unknown LLM_PROVIDER "${providerName}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    const { defaults } = provider;
+    const toolSchema = (process.env.LLM_TOOL_SCHEMA || defaults.toolSchema).toLowerCase();
+    if (!SCHEMA_MODES.includes(toolSchema)) {
+        throw new Error(`Unknown LLM_TOOL_SCHEMA "${toolSchema}" (expected one of: ${SCHEMA_MODES.join(', ')})`);
+    }
+
+    return {
+        provider: provider.name,
+        model: process.env.LLM_MODEL || defaults.model,
+        baseUrl: process.env.LLM_BASE_URL || defaults.baseUrl,
+        apiKey: process.env.LLM_API_KEY || process.env[defaults.apiKeyEnv] || null,
+        apiKeyEnv: defaults.apiKeyEnv,
+        requiresApiKey: defaults.requiresApiKey,
+        toolSchema,
+    };
+}
+
+/**
+ * Returns a configuration error message, or null if the LLM is usable
+ * @returns {string|null} Error message
+ */
+function getLLMConfigError() {
+    let config;
+    try {
+        config = getLLMConfig();
+    } catch (error) {
+        return error.message;
+    }
+
+    if (config.requiresApiKey && !config.apiKey) {
+        return `LLM_API_KEY (or ${config.apiKeyEnv}) is not configured for provider ${config.provider}`;
+    }
+    return null;
+}
+
+// ============================================================================
+// REQUEST
+// ============================================================================
+
+/**
+ * Makes a streaming chat request to the configured provider with tool support
+ * @param {Array} messages - OpenAI-format chat messages
+ * @param {Array} tools - OpenAI-format tool definitions
+ * @param {number} temperature - Sampling temperature
+ * @param {number} maxTokens - Maximum tokens to generate
+ * @param {{ signal?: AbortSignal }} [options] - signal aborts the request and its response stream
+ * @returns {Promise<Response>} Response streaming OpenAI-format SSE chunks
+ */
+async function makeLLMRequest(messages, tools, temperature, maxTokens, options = {}) {
+    const config = getLLMConfig();
+    const logFields = { provider: config.provider, model: config.model };
+    log.info(`Making ${config.provider} request`, {
+        ...logFields,
+        messageCount: messages.length,
+        toolCount: tools.length,
+        temperature,
+        maxTokens
+    });
+
+    const configError = getLLMConfigError();
+    if (configError) {
+        log.error(configError, logFields);
+        throw new Error(configError);
+    }
+
+    const startTime = Date.now();
+    try {
+        const response = await PROVIDERS[config.provider].streamChat(config, {
+            messages,
+            tools,
+            temperature,
+            maxTokens,
+            signal: options.signal,
+        });
+        const elapsed = Date.now() - startTime;
+        log.info(`${config.provider} request completed (${elapsed}ms)`, { ...logFields, status: response.status, elapsedMs: elapsed });
+        llmRequestDuration.observe({ provider: config.provider, status: response.status }, secondsSince(startTime));
+        return response;
+    } catch (error) {
+        const elapsed = Date.now() - startTime;
+        llmRequestDuration.observe(
+            { provider: config.provider, status: options.signal?.aborted ? 'aborted' : 'error' },
+            secondsSince(startTime)
+        );
+        if (options.signal?.aborted) {
+            log.info(`${config.provider} request aborted (${elapsed}ms)`, { ...logFields, elapsedMs: elapsed });
+            throw error;
+        }
+        log.error(`${config.provider} request failed (${elapsed}ms)`, { ...logFields, elapsedMs: elapsed, error });
+        throw error;
+    }
+}
+
+module.exports = {
+    getLLMConfig,
+    getLLMConfigError,
+    makeLLMRequest,
+};
@@ -0,0 +1,63 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Any server implementing /v1/chat/completions with streaming: OpenAI,
+ * a local llama.cpp server, Ollama, vLLM, LM Studio, ...
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// ============================================================================
+// REQUEST
+// ============================================================================
+
+/**
+ * Makes a streaming chat completions request
+ * @param {{ baseUrl: string, apiKey: string|null, model: string }} config - Provider configuration
+ * @param {{ messages: Array, tools: Array, temperature: number, maxTokens: number, signal?: AbortSignal }} request
+ * @returns {Promise<Response>} Response streaming OpenAI-format SSE chunks
+ */
+async function streamChat(config, { messages, tools, temperature, maxTokens, signal }) {
+    const requestBody = {
+        model: config.model,
+        messages,
+        temperature,
+        stream: true,
+        // Ask for a final usage chunk (ignored by servers that do not support it)
+        stream_options: { include_usage: true },
+        max_tokens: maxTokens,
+    };
+
+    if (tools.length > 0) {
+        requestBody.tools = tools;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    // Local servers (llama.cpp, Ollama) usually run without authentication
+    if (config.apiKey) {
+        headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    return fetch(`${config.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(requestBody),
+        signal,
+    });
+}
+
+module.exports = {
+    name: 'openai',
+    defaults: {
+        baseUrl: DEFAULT_BASE_URL,
+        model: 'gpt-4o-mini',
+        apiKeyEnv: 'OPENAI_API_KEY',
+        requiresApiKey: false,
+        toolSchema: 'full',
+    },
+    streamChat,
+};
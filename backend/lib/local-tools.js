@@ -0,0 +1,55 @@
+/**
+ * Local Tools
+ *
+ * Tools implemented by this server (rather than an MCP server) that are
+ * offered to the model next to the Stripe MCP tools.
+ */
+
+const { fridgeTools } = require('./fridge/tools');
+const { groupOrderTools } = require('./group-orders/tools');
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+const localTools = new Map(
+    [...fridgeTools, ...groupOrderTools].map((tool) => [tool.definition.function.name, tool])
+);
+
+/**
+ * Returns OpenAI-compatible definitions of all local tools
+ * @returns {Array} Tool definitions
+ */
+function getLocalTools() {
+    return [...localTools.values()].map((tool) => tool.definition);
+}
+
+/**
+ * Checks whether a tool name refers to a local tool
+ * @param {string} name - Tool name
+ * @returns {boolean} True for local tools
+ */
+function isLocalTool(name) {
+    return localTools.has(name);
+}
+
+/**
+ * Runs a local tool
+ * @param {string} name - Tool name
+ * @param {Record<string, any>} args - Parsed tool arguments
+ * @param {{ conversationId?: string, member?: any }} [context] - Who the agent is acting for
+ * @returns {Promise<string>} Tool result text
+ */
+async function callLocalTool(name, args, context = {}) {
+    const tool = localTools.get(name);
+    if (!tool) {
+        throw new Error(`Unknown local tool: ${name}`);
+    }
+    return tool.handler(args, context);
+}
+
+module.exports = {
+    getLocalTools,
+    isLocalTool,
+    callLocalTool,
+};
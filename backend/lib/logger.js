@@ -0,0 +1,203 @@
+/**
+ * Logger
+ *
+ * Structured logs: one JSON object per line with the time, level,
+ * component, message, the correlation ID of the HTTP request being served
+ * and any extra fields. Secrets and personal data are masked by
+ * lib/redact before anything is written.
+ *
+ *   {"time":"...","level":"info","component":"LLM","msg":"openai request completed",
+ *    "correlationId":"7f3c...","memberId":"mem_...","provider":"openai","elapsedMs":412}
+ *
+ * The correlation ID is minted per HTTP request (or taken from a valid
+ * X-Correlation-Id header) and follows the request through every await via
+ * AsyncLocalStorage, so the LLM calls, tool executions and MCP calls of one
+ * chat can be found with a single filter. It is echoed in the response's
+ * X-Correlation-Id header.
+ *
+ * Modules may log through createLogger(component), or keep using console:
+ * installConsoleLogger() routes console.* through the same pipeline, taking
+ * the component from the "[Component]" prefix of the message.
+ *
+ * Configuration (environment):
+ *   LOG_LEVEL   debug | info (default) | warn | error
+ *   LOG_FORMAT  json (default) | pretty (human-readable, for local development)
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { redactText, redactForLog } = require('./redact');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+const CORRELATION_ID_HEADER = 'x-correlation-id';
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._-]{8,64}$/;
+const COMPONENT_PREFIX_PATTERN = /^\[([A-Za-z0-9:_ -]+)\]\s*/;
+
+// Untouched console methods, so the logger can write even after console is redirected
+const originalConsole = {
+    log: console.log.bind(console),
+    error: console.error.bind(console),
+};
+
+// ============================================================================
+// CONTEXT
+// ============================================================================
+
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Fields of the current request (correlationId, memberId, conversationId, ...)
+ * @returns {Record<string, any>}
+ */
+function getLogContext() {
+    return logContext.getStore() || {};
+}
+
+/**
+ * Adds fields to the current request's log context (e.g. the member once they are known)
+ * @param {Record<string, any>} fields - Fields to add
+ */
+function addLogContext(fields) {
+    const store = logContext.getStore();
+    if (store) {
+        Object.assign(store, fields);
+    }
+}
+
+/**
+ * Runs a function with its own log context
+ * @param {Record<string, any>} fields - Context fields
+ * @param {() => any} fn - Function to run
+ * @returns {any} What fn returns
+ */
+function runWithLogContext(fields, fn) {
+    return logContext.run({ ...fields }, fn);
+}
+
+/**
+ * Express middleware: mints the request's correlation ID and opens its log context
+ */
+function correlationMiddleware(req, res, next) {
+    const incoming = req.get(CORRELATION_ID_HEADER);
+    const correlationId = incoming && CORRELATION_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.correlationId = correlationId;
+    res.setHeader('X-Correlation-Id', correlationId);
+    runWithLogContext({ correlationId }, next);
+}
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+/**
+ * Writes one log record
+ * @param {'debug'|'info'|'warn'|'error'} level - Level
+ * @param {string} component - e.g. "API", "MCP:stripe"
+ * @param {string} msg - Message
+ * @param {Record<string, any>} [fields] - Extra fields
+ */
+function writeLog(level, component, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+        return;
+    }
+    const record = redactForLog({
+        time: new Date().toISOString(),
+        level,
+        component,
+        msg,
+        ...getLogContext(),
+        ...fields,
+    });
+    const write = LEVELS[level] >= LEVELS.warn ? originalConsole.error : originalConsole.log;
+
+    if (LOG_FORMAT === 'pretty') {
+        const { time, level: recordLevel, component: recordComponent, msg: recordMsg, correlationId, ...rest } = record;
+        const extra = Object.keys(rest).length > 0 ? ` ${util.inspect(rest, { depth: 4, breakLength: Infinity })}` : '';
+        const id = correlationId ? ` (${correlationId.slice(0, 8)})` : '';
+        write(`${time} ${recordLevel.toUpperCase()} [${recordComponent}]${id} ${recordMsg}${extra}`);
+        return;
+    }
+    write(JSON.stringify(record));
+}
+
+/**
+ * Creates a logger for a component
+ * @param {string} component - Component name, e.g. "LLM"
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function }} Each takes (msg, fields?)
+ */
+function createLogger(component) {
+    const logger = {};
+    for (const level of Object.keys(LEVELS)) {
+        logger[level] = (msg, fields) => writeLog(level, component, msg, fields);
+    }
+    return logger;
+}
+
+// ============================================================================
+// CONSOLE
+// ============================================================================
+
+/**
+ * Turns console arguments into a record: "[API] Loaded 9 tools (12ms):", { ... } becomes
+ * component "API", msg "Loaded 9 tools (12ms):" and the object as "data"
+ */
+function fromConsoleArgs(args) {
+    const texts = [];
+    const data = [];
+    let error = null;
+    for (const arg of args) {
+        if (arg instanceof Error) {
+            error = error || arg;
+        } else if (arg !== null && typeof arg === 'object') {
+            data.push(arg);
+        } else {
+            texts.push(String(arg));
+        }
+    }
+
+    let msg = redactText(util.format(...texts));
+    let component = 'App';
+    const prefix = msg.match(COMPONENT_PREFIX_PATTERN);
+    if (prefix) {
+        component = prefix[1];
+        msg = msg.slice(prefix[0].length);
+    }
+
+    const fields = {};
+    if (data.length > 0) {
+        fields.data = data.length === 1 ? data[0] : data;
+    }
+    if (error) {
+        fields.error = error;
+    }
+    return { component, msg, fields };
+}
+
+/**
+ * Routes console.debug/log/info/warn/error through the logger
+ */
+function installConsoleLogger() {
+    const levels = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+    for (const [method, level] of Object.entries(levels)) {
+        console[method] = (...args) => {
+            const { component, msg, fields } = fromConsoleArgs(args);
+            writeLog(level, component, msg, fields);
+        };
+    }
+}
+
+module.exports = {
+    createLogger,
+    installConsoleLogger,
+    correlationMiddleware,
+    runWithLogContext,
+    addLogContext,
+    getLogContext,
+};
@@ -0,0 +1,442 @@
+/**
+ * MCP Client
+ *
+ * Protocol-level client for a single MCP server: performs the initialize
+ * handshake, negotiates capabilities and exposes tools/list and tools/call
+ * over either the Streamable HTTP or the stdio transport.
+ *
+ * Transient failures (5xx, network errors) are retried with exponential
+ * backoff for the handshake, tools/list and read-only tool calls only.
+ * Mutating tool calls are sent once. With a call key from the caller,
+ * repeats within this process share the first result (see
+ * ./repeat-guard); the server is not asked to de-duplicate anything.
+ *
+ * Rate limits are recognized from an HTTP 429, or from a tool result whose
+ * structured error has Stripe's "rate_limit" code (how Stripe's own 429
+ * comes back); the wording of an error is never enough. The whole client
+ * then pauses for the server's Retry-After (or a backoff): every request to
+ * that server, from any chat, waits before it goes out. Only requests that
+ * are safe to repeat are sent again after the pause. A rate limited
+ * mutating tool call fails: nothing proves it did not run, and the server
+ * would not recognize a repeat (see ./repeat-guard).
+ *
+ * Requests take an optional AbortSignal. Aborting stops waiting for the
+ * response and tells the server with notifications/cancelled; the server
+ * may still have finished the work.
+ */
+
+const crypto = require('crypto');
+const { createHttpTransport } = require('./transports/http');
+const { createStdioTransport } = require('./transports/stdio');
+const { runOnce } = require('./repeat-guard');
+const { mcpRequestDuration, mcpRateLimits, secondsSince } = require('../metrics');
+const packageJson = require('../../package.json');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PROTOCOL_VERSION = '2025-06-18';
+const SUPPORTED_PROTOCOL_VERSIONS = [PROTOCOL_VERSION, '2025-03-26', '2024-11-05'];
+
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.MCP_RETRY_ATTEMPTS, 10) || 3);
+const RETRY_BASE_DELAY_MS = parseInt(process.env.MCP_RETRY_BASE_DELAY_MS, 10) || 250;
+// Pause after a rate limit without Retry-After (doubling with each attempt), and the longest pause
+const RATE_LIMIT_DELAY_MS = parseInt(process.env.MCP_RATE_LIMIT_DELAY_MS, 10) || 1000;
+const MAX_RATE_LIMIT_DELAY_MS = parseInt(process.env.MCP_RATE_LIMIT_MAX_DELAY_MS, 10) || 30000;
+
+// Stripe's error code for a rate limited request, in the structured error of a tool result
+const RATE_LIMIT_ERROR_CODE = 'rate_limit';
+
+// JSON-RPC request IDs must be unique per session. A process-wide counter covers every
+// client; the random prefix keeps IDs from repeating across restarts in server logs.
+const REQUEST_ID_PREFIX = crypto.randomBytes(4).toString('hex');
+let nextRequestId = 1;
+
+// ============================================================================
+// RETRIES
+// ============================================================================
+
+/**
+ * Waits, or rejects with the signal's reason once it aborts
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Exponential backoff with jitter: ~250ms, ~500ms, ~1s, ...
+ */
+function backoffDelay(attempt) {
+    return RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * RETRY_BASE_DELAY_MS);
+}
+
+/**
+ * How long to pause after a rate limit: the server's Retry-After, else ~1s, ~2s, ~4s, ...
+ */
+function rateLimitDelay(error, attempt) {
+    return Math.min(error.retryAfterMs ?? RATE_LIMIT_DELAY_MS * 2 ** (attempt - 1), MAX_RATE_LIMIT_DELAY_MS);
+}
+
+/**
+ * Turns a tool result reporting a rate limit into a rate limited error
+ * @param {any} result - tools/call result; its structuredContent, or its text when that is JSON,
+ *   must hold { error: { code: "rate_limit" } }
+ * @returns {Error|null}
+ */
+function rateLimitFromResult(result) {
+    if (!result?.isError) {
+        return null;
+    }
+    const text = result.content?.find((item) => item.type === 'text')?.text || '';
+    let details = result.structuredContent;
+    if (!details) {
+        try {
+            details = JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (details?.error?.code !== RATE_LIMIT_ERROR_CODE) {
+        return null;
+    }
+    const error = new Error(text);
+    error.rateLimited = true;
+    error.retryAfterMs = null;
+    return error;
+}
+
+/**
+ * Creates the pause a client's requests wait for after the server rate limited one of them
+ * @param {string} serverName - For metrics
+ * @returns {{ pause: (ms: number) => void, wait: (signal?: AbortSignal) => Promise<void> }}
+ */
+function createRateLimitPause(serverName) {
+    let pausedUntil = 0;
+    return {
+        pause(ms) {
+            mcpRateLimits.inc({ server: serverName });
+            pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+        },
+
+        async wait(signal) {
+            // Another rate limit may extend the pause while waiting
+            while (Date.now() < pausedUntil) {
+                await sleep(pausedUntil - Date.now(), signal);
+            }
+        },
+    };
+}
+
+/**
+ * Runs an operation, retrying the failures it may retry
+ * @param {string} label - What is being attempted (for logs)
+ * @param {() => Promise<any>} operation - Operation to run
+ * @param {{ attempts: number, logPrefix: string, signal?: AbortSignal, retryable?: (error: any) => boolean, pause?: any }} options -
+ *   attempts: total attempts allowed; signal: stops further attempts once aborted; retryable: whether a
+ *   failure may be retried (default: error.transient, set by the transports); pause: the client's rate
+ *   limit pause, waited for before each attempt and extended by any rate limited failure, retried or not
+ */
+async function withRetries(label, operation, { attempts, logPrefix, signal, retryable = (error) => error.transient, pause }) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await pause?.wait(signal);
+            return await operation();
+        } catch (error) {
+            const rateLimitPauseMs = error.rateLimited && pause ? rateLimitDelay(error, attempt) : null;
+            if (rateLimitPauseMs !== null) {
+                pause.pause(rateLimitPauseMs);
+            }
+            if (attempt >= attempts || !retryable(error) || signal?.aborted) {
+                if (rateLimitPauseMs !== null) {
+                    console.warn(`${logPrefix} ${label} rate limited, pausing requests for ${rateLimitPauseMs}ms (not sent again)`);
+                }
+                throw error;
+            }
+            if (rateLimitPauseMs !== null) {
+                console.warn(`${logPrefix} ${label} rate limited, pausing requests for ${rateLimitPauseMs}ms (attempt ${attempt + 1}/${attempts})`);
+                continue;
+            }
+            const delay = backoffDelay(attempt);
+            console.warn(`${logPrefix} ${label} failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${attempts})`);
+            await sleep(delay, signal);
+        }
+    }
+}
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+/**
+ * Creates the transport described by a server config
+ * @param {any} serverConfig - Server entry from the MCP config file
+ * @returns {any} Transport
+ */
+function createTransport(serverConfig) {
+    if (serverConfig.transport === 'stdio') {
+        return createStdioTransport(serverConfig);
+    }
+    if (serverConfig.transport === 'http' || !serverConfig.transport) {
+        return createHttpTransport(serverConfig);
+    }
+    throw new Error(`Unsupported MCP transport "${serverConfig.transport}" for server ${serverConfig.name}`);
+}
+
+/**
+ * Creates a client for one MCP server
+ * @param {{ name: string, transport?: 'http'|'stdio', url?: string, headers?: Record<string, string>, command?: string, args?: string[], env?: Record<string, string> }} serverConfig
+ * @returns {any} MCP client
+ */
+function createMCPClient(serverConfig) {
+    const { name } = serverConfig;
+    const logPrefix = `[MCP:${name}]`;
+    const transport = createTransport(serverConfig);
+    const notificationHandlers = [];
+    const rateLimitPause = createRateLimitPause(name);
+
+    let initializePromise = null;
+    let serverInfo = null;
+    let serverCapabilities = null;
+
+    transport.onMessage((message) => {
+        // Server-initiated request: only ping is supported
+        if (message.id !== undefined && message.method) {
+            const reply = message.method === 'ping'
+                ? { jsonrpc: '2.0', id: message.id, result: {} }
+                : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+            transport.notify(reply).catch(() => {});
+            return;
+        }
+
+        if (message.method) {
+            console.log(`${logPrefix} Notification: ${message.method}`);
+            for (const handler of notificationHandlers) {
+                handler(message);
+            }
+        }
+    });
+
+    async function send(method, params, signal) {
+        const message = { jsonrpc: '2.0', id: `${REQUEST_ID_PREFIX}-${nextRequestId++}`, method };
+        if (params !== undefined) {
+            message.params = params;
+        }
+
+        let response;
+        try {
+            response = await transport.request(message, { signal });
+        } catch (error) {
+            if (signal?.aborted) {
+                console.warn(`${logPrefix} ${method} ${message.id} aborted: ${signal.reason?.message || 'cancelled'}`);
+                transport.notify({
+                    jsonrpc: '2.0',
+                    method: 'notifications/cancelled',
+                    params: { requestId: message.id, reason: signal.reason?.message || 'Cancelled by the client' },
+                }).catch(() => {});
+            }
+            throw error;
+        }
+        if (response.error) {
+            throw new Error(`MCP error: ${response.error.message} (code: ${response.error.code})`);
+        }
+        return response.result;
+    }
+
+    async function initialize() {
+        const startTime = Date.now();
+        console.log(`${logPrefix} Initializing (${transport.type})...`);
+
+        const result = await send('initialize', {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: { name: packageJson.name, version: packageJson.version },
+        });
+
+        if (!SUPPORTED_PROTOCOL_VERSIONS.includes(result.protocolVersion)) {
+            throw new Error(`MCP server ${name} uses unsupported protocol version ${result.protocolVersion}`);
+        }
+
+        transport.setProtocolVersion(result.protocolVersion);
+        serverInfo = result.serverInfo || null;
+        serverCapabilities = result.capabilities || {};
+
+        await transport.notify({ jsonrpc: '2.0', method: 'notifications/initialized' });
+        if (transport.listen) {
+            // Not awaited: a server may hold the stream's headers back until it has something to send
+            transport.listen().catch(() => {});
+        }
+
+        const elapsed = Date.now() - startTime;
+        console.log(`${logPrefix} Initialized (${elapsed}ms):`, {
+            protocolVersion: result.protocolVersion,
+            server: serverInfo ? `${serverInfo.name} ${serverInfo.version}` : 'unknown',
+            capabilities: Object.keys(serverCapabilities),
+            sessionId: transport.sessionId ? 'yes' : 'no',
+        });
+    }
+
+    /**
+     * Runs the handshake once; concurrent callers share the same promise
+     */
+    function ensureInitialized() {
+        if (!initializePromise) {
+            initializePromise = initialize().catch((error) => {
+                initializePromise = null;
+                throw error;
+            });
+        }
+        return initializePromise;
+    }
+
+    /**
+     * Sends a request, re-initializing once if the server dropped the session
+     */
+    async function sendInSession(method, params, signal) {
+        try {
+            return await send(method, params, signal);
+        } catch (error) {
+            if (!error.sessionExpired) {
+                throw error;
+            }
+            console.warn(`${logPrefix} Session expired, re-initializing`);
+            transport.resetSession();
+            initializePromise = null;
+            await ensureInitialized();
+            return send(method, params, signal);
+        }
+    }
+
+    /**
+     * Sends a request once the handshake is done
+     * @param {string} method - JSON-RPC method
+     * @param {any} [params] - Request params
+     * @param {{ retry?: boolean, signal?: AbortSignal, checkResult?: (result: any) => Error|null }} [options] - retry:
+     *   safe to send again after a transient failure or a rate limit; signal: aborts the request (waiting out a rate limit
+     *   included); checkResult: turns a result into the error it reports, e.g. a rate limit
+     */
+    async function request(method, params, options = {}) {
+        const { signal } = options;
+        const startTime = Date.now();
+        const observe = (outcome) => mcpRequestDuration.observe({ server: name, method, outcome }, secondsSince(startTime));
+        try {
+            // Nothing has been sent for the request yet, so the handshake can always be retried.
+            // The handshake is shared by every caller, so it is not aborted with this request.
+            await withRetries('initialize', ensureInitialized, { attempts: MAX_ATTEMPTS, logPrefix, pause: rateLimitPause });
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+            const result = await withRetries(
+                method,
+                async () => {
+                    const response = await sendInSession(method, params, signal);
+                    const error = options.checkResult?.(response);
+                    if (error) {
+                        throw error;
+                    }
+                    return response;
+                },
+                {
+                    attempts: MAX_ATTEMPTS,
+                    logPrefix,
+                    signal,
+                    // Mutating calls are never sent twice, rate limited or not
+                    retryable: (error) => options.retry === true && (error.transient || error.rateLimited),
+                    pause: rateLimitPause,
+                }
+            );
+            observe('success');
+            return result;
+        } catch (error) {
+            observe(signal?.aborted ? 'aborted' : 'error');
+            throw error;
+        }
+    }
+
+    return {
+        name,
+
+        request,
+
+        /**
+         * Lists all tools, following pagination cursors
+         * @returns {Promise<Array>} MCP tool definitions
+         */
+        async listTools() {
+            await ensureInitialized();
+            if (!serverCapabilities.tools) {
+                console.warn(`${logPrefix} Server does not advertise the tools capability`);
+                return [];
+            }
+
+            const tools = [];
+            let cursor;
+            do {
+                const result = await request('tools/list', cursor ? { cursor } : undefined, { retry: true });
+                tools.push(...(result?.tools || []));
+                cursor = result?.nextCursor;
+            } while (cursor);
+            return tools;
+        },
+
+        /**
+         * Calls a tool
+         * @param {string} toolName - Tool name on this server
+         * @param {Record<string, any>} args - Tool arguments
+         * @param {{ readOnly?: boolean, callKey?: string, signal?: AbortSignal }} [options] - readOnly
+         *   calls are retried, also after a rate limit; calls with a call key run at most once per key in
+         *   this process (the key is not sent to the server); signal aborts the call
+         * @returns {Promise<any>} tools/call result; throws when the call was rate limited and not sent again
+         */
+        callTool(toolName, args, options = {}) {
+            const params = { name: toolName, arguments: args };
+            const { signal } = options;
+            if (!options.callKey) {
+                return request('tools/call', params, {
+                    retry: options.readOnly === true,
+                    signal,
+                    checkResult: rateLimitFromResult,
+                });
+            }
+            return runOnce(
+                `${name}:${options.callKey}`,
+                () => request('tools/call', params, { signal, checkResult: rateLimitFromResult })
+            );
+        },
+
+        onNotification(handler) {
+            notificationHandlers.push(handler);
+        },
+
+        get serverInfo() {
+            return serverInfo;
+        },
+
+        get capabilities() {
+            return serverCapabilities;
+        },
+
+        async close() {
+            initializePromise = null;
+            await transport.close();
+        },
+    };
+}
+
+module.exports = {
+    createMCPClient,
+};
@@ -0,0 +1,247 @@
+/**
+ * MCP Server Registry
+ *
+ * Loads the MCP servers to connect to from a config file and keeps one
+ * client per server. Tools are exposed to the model under namespaced
+ * names ("<server>__<tool>") so servers can't shadow each other.
+ *
+ * Config file: MCP_CONFIG or backend/mcp-servers.json. When the file does
+ * not exist, only Stripe's hosted MCP server is registered.
+ *
+ * {
+ *   "servers": {
+ *     "stripe": { "transport": "http", "url": "https://mcp.stripe.com/",
+ *                 "headers": { "Authorization": "Bearer ${STRIPE_SECRET_KEY}" } },
+ *     "inventory": { "transport": "stdio", "command": "node", "args": ["inventory-mcp.js"] }
+ *   }
+ * }
+ *
+ * "${VAR}" placeholders in string values are replaced with environment variables.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMCPClient } = require('./client');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CONFIG_PATH = process.env.MCP_CONFIG || path.join(__dirname, '../../mcp-servers.json');
+const STRIPE_MCP_URL = process.env.STRIPE_MCP_URL || 'https://mcp.stripe.com/';
+// Name the Stripe server is registered under, and so the prefix of its tools ("stripe__...")
+const STRIPE_SERVER_NAME = 'stripe';
+const NAMESPACE_SEPARATOR = '__';
+const SERVER_NAME_PATTERN = /^[A-Za-z0-9-]+(_[A-Za-z0-9-]+)*$/;
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Replaces ${VAR} placeholders with environment variables, recursively
+ * @param {any} value - Config value
+ * @param {string} serverName - Server name (for warnings)
+ * @returns {any} Interpolated value
+ */
+function interpolateEnv(value, serverName) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (match, variable) => {
+            if (process.env[variable] === undefined) {
+                console.warn(`[MCP] ${variable} is not set (used by server ${serverName})`);
+                return '';
+            }
+            return process.env[variable];
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => interpolateEnv(item, serverName));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, interpolateEnv(item, serverName)])
+        );
+    }
+    return value;
+}
+
+/**
+ * Default configuration: Stripe's hosted MCP server authenticated with STRIPE_SECRET_KEY
+ */
+function getDefaultConfig() {
+    return {
+        servers: {
+            [STRIPE_SERVER_NAME]: {
+                transport: 'http',
+                url: STRIPE_MCP_URL,
+                headers: { Authorization: 'Bearer ${STRIPE_SECRET_KEY}' },
+            },
+        },
+    };
+}
+
+/**
+ * Reads the MCP config file, falling back to the default configuration
+ * @returns {Array} Enabled server configs
+ */
+function loadServerConfigs() {
+    let config;
+    if (fs.existsSync(CONFIG_PATH)) {
+        config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+        console.log(`[MCP] Loaded server config from ${CONFIG_PATH}`);
+    } else {
+        config = getDefaultConfig();
+        console.log('[MCP] No MCP config file found, using Stripe MCP only');
+    }
+
+    const servers = [];
+    for (const [name, serverConfig] of Object.entries(config.servers || {})) {
+        if (serverConfig.enabled === false) {
+            console.log(`[MCP] Server ${name} is disabled`);
+            continue;
+        }
+        if (!SERVER_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid MCP server name "${name}" (letters, digits, "-" and single "_" only)`);
+        }
+        servers.push({ ...interpolateEnv(serverConfig, name), name });
+    }
+    return servers;
+}
+
+// ============================================================================
+// CLIENTS
+// ============================================================================
+
+let clients = null;
+
+/**
+ * Returns the clients for all configured servers, creating them on first use
+ * @returns {Map<string, any>} Server name -> MCP client
+ */
+function getClients() {
+    if (!clients) {
+        clients = new Map(loadServerConfigs().map((config) => [config.name, createMCPClient(config)]));
+        console.log(`[MCP] Registered ${clients.size} server(s): ${[...clients.keys()].join(', ')}`);
+    }
+    return clients;
+}
+
+/**
+ * Gets the client for a server
+ * @param {string} serverName - Server name from the config
+ * @returns {any} MCP client
+ */
+function getClient(serverName) {
+    const client = getClients().get(serverName);
+    if (!client) {
+        throw new Error(`MCP server "${serverName}" is not configured`);
+    }
+    return client;
+}
+
+// ============================================================================
+// NAMESPACING
+// ============================================================================
+
+/**
+ * Builds the name a tool is exposed under
+ * @param {string} serverName - Server name
+ * @param {string} toolName - Tool name on that server
+ * @returns {string} Namespaced tool name
+ */
+function toNamespacedName(serverName, toolName) {
+    return `${serverName}${NAMESPACE_SEPARATOR}${toolName}`;
+}
+
+/**
+ * Splits a namespaced tool name
+ * @param {string} namespacedName - Tool name as seen by the model
+ * @returns {{ server: string, tool: string }|null} Null if the name is not namespaced
+ */
+function parseNamespacedName(namespacedName) {
+    const index = namespacedName.indexOf(NAMESPACE_SEPARATOR);
+    if (index <= 0) {
+        return null;
+    }
+    return {
+        server: namespacedName.slice(0, index),
+        tool: namespacedName.slice(index + NAMESPACE_SEPARATOR.length),
+    };
+}
+
+// ============================================================================
+// TOOLS
+// ============================================================================
+
+/**
+ * Lists tools from every server. A failing server is skipped unless all fail.
+ * @returns {Promise<Array<{ server: string, name: string, tool: any }>>} Tools with their namespaced names
+ */
+async function listAllTools() {
+    const entries = [...getClients().values()];
+    const results = await Promise.allSettled(entries.map((client) => client.listTools()));
+
+    const tools = [];
+    const errors = [];
+    results.forEach((result, index) => {
+        const serverName = entries[index].name;
+        if (result.status === 'rejected') {
+            console.error(`[MCP] Failed to list tools from ${serverName}:`, result.reason.message);
+            errors.push(`${serverName}: ${result.reason.message}`);
+            return;
+        }
+        console.log(`[MCP] ${serverName} provides ${result.value.length} tool(s)`);
+        for (const tool of result.value) {
+            tools.push({ server: serverName, name: toNamespacedName(serverName, tool.name), tool });
+        }
+    });
+
+    if (entries.length > 0 && errors.length === entries.length) {
+        throw new Error(`All MCP servers failed: ${errors.join('; ')}`);
+    }
+    return tools;
+}
+
+/**
+ * Calls a tool by its namespaced name
+ * @param {string} namespacedName - Tool name as seen by the model (e.g. "stripe__list_products")
+ * @param {Record<string, any>} args - Tool arguments
+ * @param {{ readOnly?: boolean, callKey?: string, signal?: AbortSignal }} [options] - See client.callTool
+ * @returns {Promise<any>} tools/call result
+ */
+async function callMCPTool(namespacedName, args, options = {}) {
+    const target = parseNamespacedName(namespacedName);
+    if (!target) {
+        throw new Error(`Unknown tool: ${namespacedName}`);
+    }
+
+    const startTime = Date.now();
+    console.log(`[MCP] Calling ${target.tool} on ${target.server}`);
+    try {
+        const result = await getClient(target.server).callTool(target.tool, args, options);
+        console.log(`[MCP] ${namespacedName} completed (${Date.now() - startTime}ms)`);
+        return result;
+    } catch (error) {
+        console.error(`[MCP] ${namespacedName} failed (${Date.now() - startTime}ms):`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Closes every client (stops stdio child processes, ends HTTP sessions)
+ */
+async function closeAll() {
+    if (!clients) return;
+    await Promise.allSettled([...clients.values()].map((client) => client.close()));
+}
+
+module.exports = {
+    STRIPE_SERVER_NAME,
+    getClient,
+    getClients,
+    toNamespacedName,
+    parseNamespacedName,
+    listAllTools,
+    callMCPTool,
+    closeAll,
+};
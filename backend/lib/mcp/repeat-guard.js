@@ -0,0 +1,113 @@
+/**
+ * Repeat Guard for Mutating MCP Tool Calls
+ *
+ * Mutating tool calls get a deterministic call key derived from where the
+ * call comes from (the conversation and the model's tool call ID, or a
+ * server-side operation) and its arguments. The first successful result
+ * for a key is reused for any repeat made by this process, so the agent
+ * loop running the same tool call twice does not create a second payment
+ * link or refund.
+ *
+ * This is not idempotency: the results live in memory, per process, and
+ * are lost on restart, and nothing is sent to the MCP server. Stripe's MCP
+ * server takes no idempotency key, so Stripe itself never de-duplicates a
+ * call. A mutating call whose answer was lost may have run and must not be
+ * sent again blindly.
+ */
+
+const crypto = require('crypto');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const REMEMBER_RESULT_MS = 24 * 60 * 60 * 1000; // Longer than any chat that could repeat a call
+const MAX_REMEMBERED_RESULTS = 1000;
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+/**
+ * JSON.stringify with object keys sorted, so equal arguments always serialize the same way
+ * @param {any} value - Value to serialize
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter((key) => value[key] !== undefined)
+            .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Builds the call key for a mutating tool call
+ * @param {{ scope: string, operationId: string, toolName: string, args: any }} call - scope is usually the
+ *   conversation ID and operationId the model's tool call ID
+ * @returns {string} Key, e.g. "fridge-3f2a..."
+ */
+function buildCallKey({ scope, operationId, toolName, args }) {
+    const hash = crypto.createHash('sha256')
+        .update(stableStringify([scope || '', operationId || '', toolName, args ?? {}]))
+        .digest('hex');
+    return `fridge-${hash.slice(0, 40)}`;
+}
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+const results = new Map(); // key -> { promise, expiresAt }
+
+function pruneExpired(now) {
+    for (const [key, entry] of results) {
+        if (entry.expiresAt <= now) {
+            results.delete(key);
+        }
+    }
+    // Map iteration order is insertion order, so the oldest entries go first
+    while (results.size >= MAX_REMEMBERED_RESULTS) {
+        results.delete(results.keys().next().value);
+    }
+}
+
+/**
+ * Runs a call once per call key in this process. Concurrent and later calls with the same
+ * key share the first result; failures (thrown or isError results) are forgotten
+ * so the call can be tried again.
+ * @param {string} key - Call key
+ * @param {() => Promise<any>} call - Performs the tool call
+ * @returns {Promise<any>} tools/call result
+ */
+function runOnce(key, call) {
+    const now = Date.now();
+    pruneExpired(now);
+
+    const existing = results.get(key);
+    if (existing) {
+        console.log(`[Repeats] Reusing the result of ${key}`);
+        return existing.promise;
+    }
+
+    const promise = call();
+    results.set(key, { promise, expiresAt: now + REMEMBER_RESULT_MS });
+    promise.then(
+        (result) => {
+            if (result?.isError) results.delete(key);
+        },
+        () => results.delete(key)
+    );
+    return promise;
+}
+
+module.exports = {
+    stableStringify,
+    buildCallKey,
+    runOnce,
+};
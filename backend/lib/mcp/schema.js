@@ -0,0 +1,418 @@
+/**
+ * MCP Tool Schemas
+ *
+ * Turns an MCP tool's inputSchema (JSON Schema) into the "parameters" the
+ * LLM sees, and checks the arguments the model produced against it before
+ * the tool is called.
+ *
+ * Conversion modes (LLM_TOOL_SCHEMA, with a default per provider):
+ *   full    The schema as the server describes it, with local $refs
+ *           inlined and meta keywords ($schema, $defs, ...) removed
+ *   simple  For models with limited schema support: only type,
+ *           properties, required, items, enum and description are kept.
+ *           Unions collapse to their first non-null branch (enums of
+ *           constants are merged), allOf is merged, and the constraints
+ *           that are dropped (minimum, pattern, default, ...) are written
+ *           into the description so the model still knows about them.
+ *
+ * Validation always uses the server's own schema, whatever the mode.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const SCHEMA_MODES = ['full', 'simple'];
+
+// Keywords whose values are schemas, lists of schemas or maps of name -> schema
+const SCHEMA_KEYWORDS = ['items', 'additionalProperties', 'not', 'if', 'then', 'else', 'contains', 'propertyNames'];
+const SCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', '$defs', 'definitions', 'dependentSchemas'];
+
+// Keywords that describe the schema document rather than the value
+const META_KEYWORDS = ['$schema', '$id', '$defs', 'definitions', '$comment'];
+
+const SIMPLE_KEYWORDS = ['type', 'description', 'properties', 'required', 'items', 'enum'];
+
+// Constraints dropped in simple mode, and how they read in a description
+const DESCRIBED_CONSTRAINTS = {
+    const: (value) => `must be ${JSON.stringify(value)}`,
+    minimum: (value) => `minimum ${value}`,
+    maximum: (value) => `maximum ${value}`,
+    exclusiveMinimum: (value) => `greater than ${value}`,
+    exclusiveMaximum: (value) => `less than ${value}`,
+    minLength: (value) => `at least ${value} characters`,
+    maxLength: (value) => `at most ${value} characters`,
+    pattern: (value) => `must match ${value}`,
+    format: (value) => `format: ${value}`,
+    minItems: (value) => `at least ${value} items`,
+    maxItems: (value) => `at most ${value} items`,
+    default: (value) => `default: ${JSON.stringify(value)}`,
+};
+
+const MAX_REF_DEPTH = 20;
+const MAX_VALIDATION_ERRORS = 10;
+
+// ============================================================================
+// REFERENCES
+// ============================================================================
+
+/**
+ * Resolves a local reference ("#/$defs/address", "#/properties/items/items")
+ * @param {any} root - Schema the reference points into
+ * @param {string} ref - JSON pointer
+ * @returns {any|undefined} Referenced schema, or undefined when it is not a local reference or missing
+ */
+function resolveRef(root, ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) {
+        return undefined;
+    }
+    const segments = ref.slice(1).split('/').filter(Boolean)
+        .map((segment) => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+    let target = root;
+    for (const segment of segments) {
+        if (!target || typeof target !== 'object') {
+            return undefined;
+        }
+        target = target[segment];
+    }
+    return target;
+}
+
+/**
+ * Applies a function to the direct sub-schemas of a schema; other keywords are copied as they are
+ * @param {any} schema - Schema object
+ * @param {(subSchema: any) => any} fn - Applied to each sub-schema
+ * @returns {any} New schema
+ */
+function mapSubSchemas(schema, fn) {
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (SCHEMA_KEYWORDS.includes(key)) {
+            result[key] = Array.isArray(value) ? value.map(fn) : fn(value);
+        } else if (SCHEMA_LIST_KEYWORDS.includes(key) && Array.isArray(value)) {
+            result[key] = value.map(fn);
+        } else if (SCHEMA_MAP_KEYWORDS.includes(key) && value && typeof value === 'object') {
+            result[key] = Object.fromEntries(Object.entries(value).map(([name, subSchema]) => [name, fn(subSchema)]));
+        } else {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Replaces local $refs with what they point to. A reference back into itself
+ * (a recursive type) becomes an untyped placeholder saying so.
+ * @param {any} schema - Schema or sub-schema
+ * @param {any} root - Whole schema, for resolving
+ * @param {string[]} [seen] - References being expanded, to stop recursion
+ * @returns {any} Schema without local $refs
+ */
+function inlineRefs(schema, root = schema, seen = []) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return schema;
+    }
+
+    if (typeof schema.$ref === 'string') {
+        const { $ref, ...siblings } = schema;
+        const target = resolveRef(root, $ref);
+        if (target === undefined) {
+            // Remote references can't be followed; keep what describes the value
+            return inlineRefs(siblings, root, seen);
+        }
+        if (seen.includes($ref) || seen.length >= MAX_REF_DEPTH) {
+            return { description: `${siblings.description || target.description || ''} (same structure as its parent)`.trim() };
+        }
+        return { ...inlineRefs(target, root, [...seen, $ref]), ...inlineRefs(siblings, root, seen) };
+    }
+    return mapSubSchemas(schema, (subSchema) => inlineRefs(subSchema, root, seen));
+}
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+/**
+ * Removes meta keywords at every level
+ */
+function stripMeta(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return schema;
+    }
+    const withoutMeta = Object.fromEntries(Object.entries(schema).filter(([key]) => !META_KEYWORDS.includes(key)));
+    return mapSubSchemas(withoutMeta, stripMeta);
+}
+
+function isNullSchema(schema) {
+    return schema?.type === 'null' || (Array.isArray(schema?.enum) && schema.enum.length === 1 && schema.enum[0] === null);
+}
+
+/**
+ * Merges allOf branches into one schema (properties and required are combined)
+ */
+function mergeAllOf(schema) {
+    const { allOf, ...rest } = schema;
+    return allOf.reduce((merged, branch) => {
+        const combined = { ...branch, ...merged };
+        if (merged.properties || branch.properties) {
+            combined.properties = { ...(branch.properties || {}), ...(merged.properties || {}) };
+        }
+        if (merged.required || branch.required) {
+            combined.required = [...new Set([...(merged.required || []), ...(branch.required || [])])];
+        }
+        return combined;
+    }, rest);
+}
+
+/**
+ * Collapses anyOf/oneOf for simple mode: enums of constants are merged,
+ * otherwise the first non-null branch is kept and the others are described
+ */
+function collapseUnion(schema) {
+    const { anyOf, oneOf, ...rest } = schema;
+    const branches = (anyOf || oneOf).filter((branch) => !isNullSchema(branch));
+    if (branches.length === 0) {
+        return rest;
+    }
+
+    const constants = branches.every((branch) => 'const' in branch || Array.isArray(branch.enum))
+        ? branches.flatMap((branch) => ('const' in branch ? [branch.const] : branch.enum))
+        : null;
+    if (constants) {
+        const types = [...new Set(constants.map((value) => typeof value))];
+        return {
+            ...rest,
+            type: rest.type || (types.length === 1 ? { string: 'string', number: 'number', boolean: 'boolean' }[types[0]] : undefined),
+            enum: constants,
+        };
+    }
+
+    const [first, ...others] = branches;
+    const alternatives = others.map((branch) => branch.description || branch.title || branch.type).filter(Boolean);
+    const description = [rest.description || first.description, alternatives.length > 0 ? `Also accepts: ${alternatives.join('; ')}` : null]
+        .filter(Boolean).join('. ');
+    return { ...first, ...rest, ...(description ? { description } : {}) };
+}
+
+/**
+ * Simplifies a schema (already without $refs) for simple mode
+ */
+function simplify(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return {};
+    }
+    let current = schema;
+    if (Array.isArray(current.allOf)) {
+        current = mergeAllOf(current);
+    }
+    if (Array.isArray(current.anyOf) || Array.isArray(current.oneOf)) {
+        current = collapseUnion(current);
+    }
+    if (Array.isArray(current.type)) {
+        current = { ...current, type: current.type.find((type) => type !== 'null') || 'string' };
+    }
+
+    const notes = Object.entries(DESCRIBED_CONSTRAINTS)
+        .filter(([keyword]) => current[keyword] !== undefined)
+        .map(([keyword, describe]) => describe(current[keyword]));
+    const result = {};
+    for (const keyword of SIMPLE_KEYWORDS) {
+        if (current[keyword] !== undefined) {
+            result[keyword] = current[keyword];
+        }
+    }
+    if ('const' in current && !result.enum) {
+        result.enum = [current.const];
+    }
+    if (notes.length > 0) {
+        result.description = [current.description, `(${notes.join(', ')})`].filter(Boolean).join(' ');
+    }
+    if (result.properties) {
+        result.properties = Object.fromEntries(
+            Object.entries(result.properties).map(([name, property]) => [name, simplify(property)])
+        );
+    }
+    if (result.items) {
+        result.items = simplify(Array.isArray(result.items) ? result.items[0] : result.items);
+    }
+    return result;
+}
+
+/**
+ * Converts an MCP inputSchema to LLM tool parameters
+ * @param {any} inputSchema - JSON Schema from tools/list
+ * @param {'full'|'simple'} [mode] - See the module comment
+ * @returns {any} Parameters schema, always an object schema at the top
+ */
+function toToolParameters(inputSchema, mode = 'full') {
+    if (!inputSchema || typeof inputSchema !== 'object' || Array.isArray(inputSchema)) {
+        return { type: 'object', properties: {} };
+    }
+
+    let parameters = stripMeta(inlineRefs(inputSchema));
+    if (mode === 'simple') {
+        parameters = simplify(parameters);
+    }
+    // Function calling needs an object at the top, even when the server leaves the type out
+    return { ...parameters, type: 'object', properties: parameters.properties || {} };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function formatPath(path) {
+    return path || '(arguments)';
+}
+
+/**
+ * Checks a value against a schema, collecting errors
+ */
+function validateValue(schema, value, path, root, errors, depth = 0) {
+    if (errors.length >= MAX_VALIDATION_ERRORS || schema === true || schema === undefined || depth > MAX_REF_DEPTH) {
+        return;
+    }
+    if (schema === false) {
+        errors.push({ path: formatPath(path), message: 'is not allowed' });
+        return;
+    }
+    if (!schema || typeof schema !== 'object') {
+        return;
+    }
+    const fail = (message) => errors.push({ path: formatPath(path), message });
+
+    if (typeof schema.$ref === 'string') {
+        validateValue(resolveRef(root, schema.$ref), value, path, root, errors, depth + 1);
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((type) => matchesType(value, type))) {
+            fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some((allowed) => JSON.stringify(allowed) === JSON.stringify(value))) {
+        fail(`must be one of ${schema.enum.map((allowed) => JSON.stringify(allowed)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+        if (typeof schema.maximum === 'number' && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) fail(`must be greater than ${schema.exclusiveMinimum}`);
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) fail(`must be less than ${schema.exclusiveMaximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        if (typeof schema.pattern === 'string') {
+            try {
+                if (!new RegExp(schema.pattern, 'u').test(value)) fail(`must match ${schema.pattern}`);
+            } catch (error) {
+                // A pattern JavaScript can't compile is the server's to check
+            }
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        value.forEach((item, index) => {
+            const itemSchema = Array.isArray(schema.items) ? schema.items[index] : schema.items;
+            validateValue(itemSchema, item, `${path}[${index}]`, root, errors, depth);
+        });
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                errors.push({ path: formatPath(path ? `${path}.${name}` : name), message: 'is required' });
+            }
+        }
+        for (const [name, propertyValue] of Object.entries(value)) {
+            const propertyPath = path ? `${path}.${name}` : name;
+            if (properties[name] !== undefined) {
+                validateValue(properties[name], propertyValue, propertyPath, root, errors, depth);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: propertyPath, message: `is not a known argument (expected ${Object.keys(properties).join(', ') || 'none'})` });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validateValue(schema.additionalProperties, propertyValue, propertyPath, root, errors, depth);
+            }
+        }
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach((branch) => validateValue(branch, value, path, root, errors, depth + 1));
+    }
+    for (const keyword of ['anyOf', 'oneOf']) {
+        if (!Array.isArray(schema[keyword])) continue;
+        const matching = schema[keyword].filter((branch) => {
+            const branchErrors = [];
+            validateValue(branch, value, path, root, branchErrors, depth + 1);
+            return branchErrors.length === 0;
+        }).length;
+        if (matching === 0) {
+            fail(`does not match any of the ${schema[keyword].length} allowed shapes`);
+        } else if (keyword === 'oneOf' && matching > 1) {
+            fail(`matches more than one of the allowed shapes`);
+        }
+    }
+}
+
+/**
+ * Checks tool arguments against the tool's inputSchema
+ * @param {any} inputSchema - JSON Schema from tools/list
+ * @param {any} args - Parsed arguments
+ * @returns {Array<{ path: string, message: string }>} Problems found (empty when valid), at most 10
+ */
+function validateArguments(inputSchema, args) {
+    if (!inputSchema || typeof inputSchema !== 'object') {
+        return [];
+    }
+    const errors = [];
+    validateValue(inputSchema, args, '', inputSchema, errors);
+    return errors;
+}
+
+/**
+ * Builds the tool result the model sees for arguments that don't match the schema
+ * @param {string} toolName - Tool name as the model sees it
+ * @param {Array<{ path: string, message: string }>} errors - From validateArguments
+ * @returns {string} JSON tool result
+ */
+function formatValidationErrors(toolName, errors) {
+    return JSON.stringify({
+        error: {
+            type: 'invalid_arguments',
+            tool: toolName,
+            message: `The arguments don't match the ${toolName} schema; fix them and call the tool again.`,
+            errors,
+        },
+    });
+}
+
+module.exports = {
+    SCHEMA_MODES,
+    inlineRefs,
+    toToolParameters,
+    validateArguments,
+    formatValidationErrors,
+};
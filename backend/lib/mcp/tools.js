@@ -1,19 +1,58 @@
 /**
  * MCP Tools - Tool Definitions and Conversion
  *
- * Fetches tool definitions from Stripe MCP server and converts them
- * to OpenAI-compatible format for use with dat1 API.
+ * Fetches tool definitions from every configured MCP server, namespaces
+ * them and converts them to OpenAI-compatible format for the LLM.
+ *
+ * The tool list is cached. startToolCache() warms it when the server
+ * starts, refreshes it in the background and again whenever a server sends
+ * notifications/tools/list_changed (stdio servers, or HTTP servers on
+ * their listening stream or a response stream), so chats never wait for
+ * tools/list. Each successful fetch is written to
+ * DATA_DIR/tool-cache.json; at startup that copy is used until the servers
+ * answer, so the hub starts with tools even while offline. A failed
+ * refresh keeps the tools it has.
+ *
+ * Configuration (environment):
+ *   TOOL_CACHE_TTL_MS               Age after which a chat triggers a refresh (default 3600000)
+ *   TOOL_CACHE_REFRESH_INTERVAL_MS  Background refresh interval (default 900000, 0 turns it off)
+ *   TOOL_CACHE_PERSIST              false keeps the cache in memory only
  */
 
-const { listStripeMCPTools } = require('./stripe-mcp');
+const { getClients, listAllTools, parseNamespacedName } = require('./registry');
+const { toToolParameters, validateArguments } = require('./schema');
+const { createGauge, toolCacheRefreshes } = require('../metrics');
+const { getLLMConfig } = require('../llm');
+const { createJsonStore } = require('../json-store');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CACHE_TTL = parseInt(process.env.TOOL_CACHE_TTL_MS, 10) || 60 * 60 * 1000; // 1 hour
+const REFRESH_INTERVAL_MS = process.env.TOOL_CACHE_REFRESH_INTERVAL_MS === '0'
+    ? 0
+    : parseInt(process.env.TOOL_CACHE_REFRESH_INTERVAL_MS, 10) || 15 * 60 * 1000;
+const PERSIST = process.env.TOOL_CACHE_PERSIST !== 'false';
+
+// Naming convention for tools that only read (Stripe MCP: list_*, retrieve_*, search_*, fetch_*)
+const READ_ONLY_TOOL_PATTERN = /^(list|retrieve|get|search|fetch|check)_/;
 
 // ============================================================================
 // TOOL CACHE
 // ============================================================================
 
+const store = createJsonStore('tool-cache.json', () => null);
+
+let cachedEntries = null; // [{ server, name, tool }] as listed by the servers
 let cachedTools = null;
+let cachedToolIndex = new Map(); // namespaced name -> { server, name, tool }
 let cacheTimestamp = 0;
-const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+let cacheSource = null; // 'mcp' | 'disk'
+let refreshing = null; // Promise of the fetch in progress
+let lastFetch = null; // { at, ok, reason, elapsedMs, error? }
+let lastSuccessAt = null;
+let refreshTimer = null;
 
 // ============================================================================
 // TOOL CONVERSION
@@ -21,63 +60,147 @@ const CACHE_TTL = 60 * 60 * 1000; // 1 hour
 
 /**
  * Converts MCP tool schema to OpenAI tool format
- * @param {any} mcpTool - MCP tool definition
+ * @param {{ server: string, name: string, tool: any }} entry - Namespaced MCP tool definition
+ * @param {'full'|'simple'} [schemaMode] - How much of the input schema the model gets (see ./schema)
  * @returns {any} OpenAI-compatible tool definition
  */
-function convertMCPToolToOpenAI(mcpTool) {
+function convertMCPToolToOpenAI({ server, name, tool: mcpTool }, schemaMode = 'full') {
     return {
         type: 'function',
         function: {
-            name: mcpTool.name,
-            description: mcpTool.description || `Execute ${mcpTool.name} on Stripe`,
-            parameters: (mcpTool.inputSchema && typeof mcpTool.inputSchema === 'object')
-                ? {
-                    type: mcpTool.inputSchema.type || 'object',
-                    properties: (mcpTool.inputSchema.properties) || {},
-                    required: mcpTool.inputSchema.required,
-                }
-                : {
-                    type: 'object',
-                    properties: {},
-                },
+            name,
+            description: mcpTool.description || `Execute ${mcpTool.name} on ${server}`,
+            parameters: toToolParameters(mcpTool.inputSchema, schemaMode),
         },
     };
 }
 
 /**
- * Fetches tools from Stripe MCP server and converts to OpenAI format
- * Uses caching to avoid repeated API calls
- * @param {boolean} forceRefresh - Force refresh of cached tools
+ * Replaces the cache with a tool list
+ * @param {Array<{ server: string, name: string, tool: any }>} entries - Namespaced MCP tools
+ * @param {number} fetchedAt - When the list was fetched
+ * @param {'mcp'|'disk'} source - Where it came from
+ */
+function fillCache(entries, fetchedAt, source) {
+    const { toolSchema } = getLLMConfig();
+    cachedTools = entries.map((entry) => convertMCPToolToOpenAI(entry, toolSchema));
+    cachedEntries = entries;
+    cachedToolIndex = new Map(entries.map((entry) => [entry.name, entry]));
+    cacheTimestamp = fetchedAt;
+    cacheSource = source;
+    console.log(`[Tools] Converted ${cachedTools.length} tools to OpenAI format, ${toolSchema} schemas (from ${source})`);
+}
+
+/**
+ * Describes how the tool list changed, e.g. "+stripe__create_coupon -stripe__list_coupons"
+ */
+function describeChanges(previous, next) {
+    const before = new Set(previous.map((entry) => entry.name));
+    const after = new Set(next.map((entry) => entry.name));
+    const changes = [
+        ...[...after].filter((name) => !before.has(name)).map((name) => `+${name}`),
+        ...[...before].filter((name) => !after.has(name)).map((name) => `-${name}`),
+    ];
+    return changes.length > 0 ? changes.join(' ') : 'no tools added or removed';
+}
+
+/**
+ * Loads the tools saved by the last successful fetch, for servers that are still configured
+ */
+function loadPersistedTools() {
+    if (!PERSIST || cachedTools !== null) {
+        return;
+    }
+    const saved = store.load();
+    if (!saved || !Array.isArray(saved.tools)) {
+        return;
+    }
+    const servers = getClients();
+    const entries = saved.tools.filter((entry) => servers.has(entry.server));
+    try {
+        fillCache(entries, saved.fetchedAt || 0, 'disk');
+        lastSuccessAt = lastSuccessAt ?? (saved.fetchedAt || null);
+        console.log(`[Tools] Loaded ${entries.length} tools saved at ${new Date(cacheTimestamp).toISOString()}`);
+    } catch (error) {
+        console.error('[Tools] Failed to load the saved tools:', error.message);
+    }
+}
+
+/**
+ * Fetches the tools from every MCP server and replaces the cache. Calls made while
+ * a fetch is running share it.
+ * @param {string} [reason] - Why, for logs and the admin view (e.g. "startup", "list_changed")
+ * @returns {Promise<Array>} OpenAI-compatible tool definitions
+ * @throws {Error} When the fetch fails; the cache keeps the tools it had
+ */
+function refreshToolCache(reason = 'request') {
+    if (refreshing) {
+        return refreshing;
+    }
+
+    console.log(`[Tools] Fetching tools from MCP servers (${reason})...`);
+    const startTime = Date.now();
+    refreshing = (async () => {
+        try {
+            const mcpTools = await listAllTools();
+            const changes = cachedEntries ? `: ${describeChanges(cachedEntries, mcpTools)}` : '';
+            console.log(`[Tools] Received ${mcpTools.length} tools from MCP${changes}`);
+            fillCache(mcpTools, Date.now(), 'mcp');
+            lastSuccessAt = cacheTimestamp;
+            lastFetch = { at: cacheTimestamp, ok: true, reason, elapsedMs: Date.now() - startTime };
+            toolCacheRefreshes.inc({ outcome: 'success' });
+            if (PERSIST) {
+                try {
+                    store.save({ fetchedAt: cacheTimestamp, tools: mcpTools });
+                } catch (error) {
+                    console.error('[Tools] Failed to save the tool cache:', error.message);
+                }
+            }
+            return cachedTools;
+        } catch (error) {
+            const elapsed = Date.now() - startTime;
+            console.error(`[Tools] Failed to fetch tools (${elapsed}ms):`, error.message);
+            lastFetch = { at: Date.now(), ok: false, reason, elapsedMs: elapsed, error: error.message };
+            toolCacheRefreshes.inc({ outcome: 'error' });
+            throw error;
+        } finally {
+            refreshing = null;
+        }
+    })();
+    return refreshing;
+}
+
+/**
+ * Refreshes the cache without waiting; failures are logged only
+ * @param {string} reason - See refreshToolCache
+ */
+function refreshInBackground(reason) {
+    refreshToolCache(reason).catch(() => {});
+}
+
+/**
+ * Returns the tools for a chat: the cache, refreshed in the background once it is
+ * older than TOOL_CACHE_TTL_MS. Only a cold cache (or forceRefresh) waits for the servers.
+ * @param {boolean} forceRefresh - Fetch the tools now
  * @returns {Promise<Array>} Array of OpenAI-compatible tool definitions
  */
-async function getStripeTools(forceRefresh = false) {
-    const now = Date.now();
-    console.log('[Tools] getStripeTools called', { forceRefresh, hasCache: cachedTools !== null });
-
-    // Return cached tools if still valid
-    if (
-        !forceRefresh &&
-        cachedTools !== null &&
-        now - cacheTimestamp < CACHE_TTL
-    ) {
-        const cacheAge = now - cacheTimestamp;
-        console.log(`[Tools] Using cached tools (age: ${Math.round(cacheAge / 1000)}s)`);
+async function getMCPTools(forceRefresh = false) {
+    if (cachedTools === null) {
+        loadPersistedTools();
+    }
+
+    if (!forceRefresh && cachedTools !== null) {
+        const cacheAge = Date.now() - cacheTimestamp;
+        if (cacheAge >= CACHE_TTL || cacheSource === 'disk') {
+            refreshInBackground(cacheSource === 'disk' ? 'saved tools in use' : 'expired');
+        }
+        console.log(`[Tools] Using cached tools (age: ${Math.round(cacheAge / 1000)}s, from ${cacheSource})`);
         return cachedTools;
     }
 
-    console.log('[Tools] Fetching tools from MCP server...');
-    const startTime = Date.now();
     try {
-        const mcpTools = await listStripeMCPTools();
-        console.log(`[Tools] Received ${mcpTools.length} tools from MCP`);
-        cachedTools = mcpTools.map(convertMCPToolToOpenAI);
-        cacheTimestamp = now;
-        const elapsed = Date.now() - startTime;
-        console.log(`[Tools] Converted ${cachedTools.length} tools to OpenAI format (${elapsed}ms)`);
-        return cachedTools;
+        return await refreshToolCache(forceRefresh ? 'forced' : 'cold cache');
     } catch (error) {
-        const elapsed = Date.now() - startTime;
-        console.error(`[Tools] Failed to fetch tools (${elapsed}ms):`, error.message);
         // If fetch fails and we have cached tools, return cache
         if (cachedTools !== null) {
             console.warn('[Tools] Using stale cache due to fetch failure');
@@ -88,15 +211,105 @@ async function getStripeTools(forceRefresh = false) {
 }
 
 /**
- * Clears the tool cache
+ * Warms the cache (from disk, then from the servers), refreshes it every
+ * TOOL_CACHE_REFRESH_INTERVAL_MS and whenever a server reports that its tools changed.
+ * Call once at startup.
  */
-function clearToolCache() {
-    cachedTools = null;
-    cacheTimestamp = 0;
+function startToolCache() {
+    loadPersistedTools();
+    refreshInBackground('startup');
+
+    for (const client of getClients().values()) {
+        client.onNotification((message) => {
+            if (message.method === 'notifications/tools/list_changed') {
+                console.log(`[Tools] ${client.name} reported a changed tool list`);
+                refreshInBackground(`list_changed from ${client.name}`);
+            }
+        });
+    }
+
+    if (REFRESH_INTERVAL_MS > 0 && !refreshTimer) {
+        refreshTimer = setInterval(() => refreshInBackground('scheduled'), REFRESH_INTERVAL_MS);
+        // Never keeps the process alive on its own
+        refreshTimer.unref();
+    }
 }
 
+/**
+ * Looks up the MCP definition behind a namespaced tool name
+ * @param {string} name - Namespaced tool name
+ * @returns {{ server: string, name: string, tool: any }|null} Cached entry or null
+ */
+function getToolInfo(name) {
+    return cachedToolIndex.get(name) || null;
+}
+
+/**
+ * Whether a tool only reads data, so calling it twice is harmless. Uses the
+ * server's readOnlyHint annotation when there is one, the tool name otherwise.
+ * @param {string} name - Namespaced tool name (or a local tool name)
+ * @returns {boolean}
+ */
+function isReadOnlyTool(name) {
+    const info = getToolInfo(name);
+    const hint = info?.tool?.annotations?.readOnlyHint;
+    if (typeof hint === 'boolean') {
+        return hint;
+    }
+    const bareName = info?.tool?.name || parseNamespacedName(name)?.tool || name;
+    return READ_ONLY_TOOL_PATTERN.test(bareName);
+}
+
+/**
+ * Checks a call's arguments against the tool's inputSchema, so the model can fix
+ * them before the call reaches the MCP server
+ * @param {string} name - Namespaced tool name (local and unknown tools have no schema here)
+ * @param {any} args - Parsed arguments
+ * @returns {Array<{ path: string, message: string }>} Problems found, empty when valid
+ */
+function validateToolArguments(name, args) {
+    return validateArguments(getToolInfo(name)?.tool?.inputSchema, args);
+}
+
+/**
+ * Describes the tool cache, for readiness checks and the admin view
+ * @returns {{ warm: boolean, toolCount: number, ageMs: number|null, source: 'mcp'|'disk'|null, refreshing: boolean,
+ *   lastFetch: any|null, lastSuccessAt: number|null, ttlMs: number, refreshIntervalMs: number, persisted: boolean }}
+ *   warm once tools were fetched or loaded (a stale cache still counts: it is what chats would use)
+ */
+function getToolCacheStatus() {
+    return {
+        warm: cachedTools !== null,
+        toolCount: cachedTools ? cachedTools.length : 0,
+        ageMs: cachedTools ? Date.now() - cacheTimestamp : null,
+        source: cacheSource,
+        refreshing: refreshing !== null,
+        lastFetch,
+        lastSuccessAt,
+        ttlMs: CACHE_TTL,
+        refreshIntervalMs: REFRESH_INTERVAL_MS,
+        persisted: PERSIST,
+    };
+}
+
+/**
+ * Lists the cached tools as the servers describe them
+ * @returns {Array<{ server: string, name: string, tool: any }>}
+ */
+function listCachedTools() {
+    return cachedEntries || [];
+}
+
+createGauge('tool_cache_tools', 'MCP tools in the cache (0 when cold)', () => getToolCacheStatus().toolCount);
+createGauge('tool_cache_age_seconds', 'Age of the MCP tool cache', () => (getToolCacheStatus().ageMs ?? 0) / 1000);
+
 module.exports = {
-    getStripeTools,
-    clearToolCache,
+    getMCPTools,
+    refreshToolCache,
+    startToolCache,
+    getToolInfo,
+    isReadOnlyTool,
+    validateToolArguments,
+    getToolCacheStatus,
+    listCachedTools,
 };
-
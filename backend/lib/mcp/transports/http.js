@@ -0,0 +1,256 @@
+/**
+ * MCP Streamable HTTP Transport
+ *
+ * Sends JSON-RPC messages as HTTP POSTs. Responses may be plain JSON or an
+ * SSE stream (which can also carry server notifications before the
+ * response). Tracks the Mcp-Session-Id assigned during initialization.
+ *
+ * After initialization the client calls listen(), which opens the GET
+ * stream the server uses for messages outside any request, such as
+ * notifications/tools/list_changed. Servers without one answer 405; their
+ * notifications then only arrive on response streams.
+ */
+
+const { readSSEEvents } = require('../../sse');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Reads a Retry-After header: seconds or an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} Milliseconds to wait, or null when absent or unreadable
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// ============================================================================
+// TRANSPORT
+// ============================================================================
+
+/**
+ * Creates a Streamable HTTP transport
+ * @param {{ url: string, headers?: Record<string, string> }} options - Server URL and extra headers
+ * @returns {any} Transport
+ */
+function createHttpTransport({ url, headers = {} }) {
+    let sessionId = null;
+    let protocolVersion = null;
+    let messageHandler = () => {};
+    let listening = null; // AbortController of the open GET stream
+
+    function buildHeaders() {
+        const result = {
+            'Content-Type': 'application/json',
+            Accept: 'application/json, text/event-stream',
+            ...headers,
+        };
+        if (sessionId) {
+            result['Mcp-Session-Id'] = sessionId;
+        }
+        if (protocolVersion) {
+            result['MCP-Protocol-Version'] = protocolVersion;
+        }
+        return result;
+    }
+
+    async function post(message, signal) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: buildHeaders(),
+                body: JSON.stringify(message),
+                signal,
+            });
+        } catch (fetchError) {
+            if (signal?.aborted) {
+                throw fetchError;
+            }
+            const error = new Error(`MCP server unreachable: ${fetchError.cause?.message || fetchError.message}`);
+            error.transient = true;
+            throw error;
+        }
+
+        const newSessionId = response.headers.get('mcp-session-id');
+        if (newSessionId) {
+            sessionId = newSessionId;
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            const error = new Error(`MCP server error: ${response.status} ${response.statusText} - ${errorText}`);
+            error.status = response.status;
+            error.transient = response.status >= 500 || response.status === 408 || response.status === 429;
+            // The client pauses for Retry-After, if the server says, and sends again what is safe to repeat
+            if (response.status === 429) {
+                error.rateLimited = true;
+                error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            }
+            // 404 on a request carrying a session ID means the session expired
+            error.sessionExpired = response.status === 404 && message.method !== 'initialize' && sessionId !== null;
+            throw error;
+        }
+
+        return response;
+    }
+
+    /**
+     * Passes the messages of a response or listening stream to the handler
+     * @param {ReadableStream} body - SSE response body
+     * @param {string|number} [responseId] - Request whose response ends the stream
+     * @returns {Promise<any|null>} The response with that ID, or null when the stream ended
+     */
+    async function readMessages(body, responseId) {
+        for await (const event of readSSEEvents(body)) {
+            let incoming;
+            try {
+                incoming = JSON.parse(event.data);
+            } catch (e) {
+                console.warn('[MCP] Skipping non-JSON SSE event');
+                continue;
+            }
+            if (responseId !== undefined && incoming.id === responseId && ('result' in incoming || 'error' in incoming)) {
+                // Leaving the loop cancels the rest of the stream (see readSSEEvents)
+                return incoming;
+            }
+            messageHandler(incoming);
+        }
+        return null;
+    }
+
+    function stopListening() {
+        if (listening) {
+            listening.abort();
+            listening = null;
+        }
+    }
+
+    return {
+        type: 'http',
+
+        /**
+         * Sends a request and resolves with the matching JSON-RPC response
+         * @param {any} message - JSON-RPC request
+         * @param {{ signal?: AbortSignal }} [options] - signal aborts the POST and stops reading its response
+         */
+        async request(message, options = {}) {
+            const response = await post(message, options.signal);
+            const contentType = response.headers.get('content-type') || '';
+
+            if (contentType.includes('text/event-stream')) {
+                const incoming = await readMessages(response.body, message.id);
+                if (incoming) {
+                    return incoming;
+                }
+                const error = new Error(`MCP stream ended without a response to ${message.method}`);
+                error.transient = true;
+                throw error;
+            }
+
+            return response.json();
+        },
+
+        /**
+         * Sends a notification (no response expected)
+         */
+        async notify(message) {
+            const response = await post(message);
+            // Drain the body so the connection can be reused
+            await response.text();
+        },
+
+        /**
+         * Opens the GET stream for server messages outside any request and reads it in the
+         * background until the session is reset or closed. A server that does not offer one
+         * (405, or no event stream) is left alone.
+         * @returns {Promise<boolean>} True if the stream is open
+         */
+        async listen() {
+            stopListening();
+            const controller = new AbortController();
+            listening = controller;
+
+            const streamHeaders = { ...buildHeaders(), Accept: 'text/event-stream' };
+            delete streamHeaders['Content-Type'];
+            let response;
+            try {
+                response = await fetch(url, { method: 'GET', headers: streamHeaders, signal: controller.signal });
+            } catch (fetchError) {
+                if (!controller.signal.aborted) {
+                    console.warn(`[MCP] Could not open the listening stream: ${fetchError.cause?.message || fetchError.message}`);
+                }
+                return false;
+            }
+
+            const contentType = response.headers.get('content-type') || '';
+            if (!response.ok || !contentType.includes('text/event-stream')) {
+                await response.body?.cancel().catch(() => {});
+                if (response.status !== 405) {
+                    console.warn(`[MCP] Server offers no listening stream (${response.status} ${contentType || 'no content type'})`);
+                }
+                if (listening === controller) {
+                    listening = null;
+                }
+                return false;
+            }
+
+            readMessages(response.body)
+                .catch((error) => {
+                    if (!controller.signal.aborted) {
+                        console.warn(`[MCP] Listening stream failed: ${error.message}`);
+                    }
+                })
+                .finally(() => {
+                    // The next session opens a new one
+                    if (listening === controller) {
+                        listening = null;
+                    }
+                });
+            return true;
+        },
+
+        onMessage(handler) {
+            messageHandler = handler;
+        },
+
+        setProtocolVersion(version) {
+            protocolVersion = version;
+        },
+
+        resetSession() {
+            stopListening();
+            sessionId = null;
+        },
+
+        get sessionId() {
+            return sessionId;
+        },
+
+        async close() {
+            stopListening();
+            if (!sessionId) return;
+            // Politely end the session; servers may not support DELETE
+            try {
+                await fetch(url, { method: 'DELETE', headers: buildHeaders() });
+            } catch (e) {
+                // Ignore
+            }
+            sessionId = null;
+        },
+    };
+}
+
+module.exports = {
+    createHttpTransport,
+};
@@ -0,0 +1,162 @@
+/**
+ * MCP stdio Transport
+ *
+ * Runs an MCP server as a child process and exchanges newline-delimited
+ * JSON-RPC messages over its stdin/stdout.
+ */
+
+const { spawn } = require('child_process');
+
+// ============================================================================
+// TRANSPORT
+// ============================================================================
+
+/**
+ * Creates a stdio transport
+ * @param {{ name: string, command: string, args?: string[], env?: Record<string, string>, cwd?: string }} options
+ * @returns {any} Transport
+ */
+function createStdioTransport({ name, command, args = [], env = {}, cwd }) {
+    let child = null;
+    let buffer = '';
+    let messageHandler = () => {};
+    const pending = new Map(); // request id -> { resolve, reject }
+
+    function rejectAll(error) {
+        for (const { reject } of pending.values()) {
+            reject(error);
+        }
+        pending.clear();
+    }
+
+    function handleLine(line) {
+        if (!line.trim()) return;
+
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (e) {
+            console.warn(`[MCP:${name}] Ignoring non-JSON output:`, line.substring(0, 200));
+            return;
+        }
+
+        const isResponse = message.id !== undefined && ('result' in message || 'error' in message);
+        if (isResponse && pending.has(message.id)) {
+            pending.get(message.id).resolve(message);
+            pending.delete(message.id);
+            return;
+        }
+
+        messageHandler(message);
+    }
+
+    function start() {
+        if (child) return;
+
+        console.log(`[MCP:${name}] Spawning ${command} ${args.join(' ')}`);
+        child = spawn(command, args, {
+            cwd,
+            env: { ...process.env, ...env },
+            stdio: ['pipe', 'pipe', 'pipe'],
+        });
+
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', (data) => {
+            buffer += data;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        });
+
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', (data) => {
+            console.log(`[MCP:${name}] stderr: ${data.trimEnd()}`);
+        });
+
+        child.on('error', (error) => {
+            console.error(`[MCP:${name}] Process error:`, error.message);
+            rejectAll(error);
+            child = null;
+        });
+
+        child.on('exit', (code, signal) => {
+            console.warn(`[MCP:${name}] Process exited (code: ${code}, signal: ${signal})`);
+            rejectAll(new Error(`MCP server process "${name}" exited`));
+            child = null;
+            buffer = '';
+        });
+    }
+
+    function write(message) {
+        start();
+        child.stdin.write(JSON.stringify(message) + '\n');
+    }
+
+    return {
+        type: 'stdio',
+
+        /**
+         * Sends a request and resolves with the matching JSON-RPC response
+         * @param {any} message - JSON-RPC request
+         * @param {{ signal?: AbortSignal }} [options] - signal stops waiting for the response
+         */
+        request(message, options = {}) {
+            const { signal } = options;
+            if (signal?.aborted) {
+                return Promise.reject(signal.reason);
+            }
+            return new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    pending.delete(message.id);
+                    reject(signal.reason);
+                };
+                const settle = (callback) => (value) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    callback(value);
+                };
+                pending.set(message.id, { resolve: settle(resolve), reject: settle(reject) });
+                signal?.addEventListener('abort', onAbort, { once: true });
+                try {
+                    write(message);
+                } catch (error) {
+                    pending.delete(message.id);
+                    settle(reject)(error);
+                }
+            });
+        },
+
+        /**
+         * Sends a notification or a response to a server request
+         */
+        async notify(message) {
+            write(message);
+        },
+
+        onMessage(handler) {
+            messageHandler = handler;
+        },
+
+        setProtocolVersion() {
+            // Not needed for stdio
+        },
+
+        resetSession() {
+            // stdio sessions last as long as the process
+        },
+
+        get sessionId() {
+            return null;
+        },
+
+        async close() {
+            if (!child) return;
+            child.stdin.end();
+            child.kill();
+            child = null;
+        },
+    };
+}
+
+module.exports = {
+    createStdioTransport,
+};
@@ -0,0 +1,124 @@
+/**
+ * Member Scope
+ *
+ * Keeps the agent working on behalf of the signed-in member: tells the
+ * model who it is talking to, pins the `customer` argument of Stripe tools
+ * to the member's own Stripe customer, and hides tools that would expose
+ * other members' data from non-admins.
+ */
+
+const { parseNamespacedName } = require('./mcp/registry');
+const { getToolInfo } = require('./mcp/tools');
+const { STRIPE_SERVER_NAME } = require('./mcp/stripe-mcp');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Stripe tools that read or change the customer directory as a whole
+const ADMIN_ONLY_STRIPE_TOOLS = new Set([
+    'list_customers',
+    'create_customer',
+    'update_customer',
+    'search_stripe_resources',
+    'fetch_stripe_resources',
+]);
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function isStripeTool(toolName) {
+    return parseNamespacedName(toolName)?.server === STRIPE_SERVER_NAME;
+}
+
+function isAdminOnly(toolName) {
+    const target = parseNamespacedName(toolName);
+    return target?.server === STRIPE_SERVER_NAME && ADMIN_ONLY_STRIPE_TOOLS.has(target.tool);
+}
+
+/**
+ * Whether a tool's input schema has a `customer` argument
+ */
+function takesCustomer(toolName) {
+    return Boolean(getToolInfo(toolName)?.tool?.inputSchema?.properties?.customer);
+}
+
+// ============================================================================
+// SCOPE
+// ============================================================================
+
+/**
+ * Builds the system message describing the signed-in member
+ * @param {any} member - Public member record
+ * @returns {{ role: 'system', content: string }}
+ */
+function buildMemberSystemMessage(member) {
+    const lines = [
+        `You are talking to ${member.name}, a Commons Hub ${member.role === 'admin' ? 'admin' : 'member'}.`,
+    ];
+    if (member.stripeCustomerId) {
+        lines.push(
+            `Their Stripe customer ID is ${member.stripeCustomerId}. Use it as the \`customer\` for invoices, ` +
+            'payments and anything else you create or look up for them.'
+        );
+    } else {
+        lines.push('They are not linked to a Stripe customer yet, so you cannot create invoices for them.');
+    }
+    if (member.role !== 'admin') {
+        lines.push('Only share information about this member\'s own orders and payments.');
+    }
+    return { role: 'system', content: lines.join(' ') };
+}
+
+/**
+ * Removes tools a member is not allowed to use
+ * @param {Array} tools - OpenAI tool definitions
+ * @param {any} member - Public member record
+ * @returns {Array} Tools the member may use
+ */
+function filterToolsForMember(tools, member) {
+    if (member?.role === 'admin') {
+        return tools;
+    }
+    return tools.filter((tool) => !isAdminOnly(tool.function.name));
+}
+
+/**
+ * Applies the member's scope to tool arguments before the call is made
+ * @param {string} toolName - Namespaced tool name
+ * @param {Record<string, any>} args - Parsed tool arguments
+ * @param {any} member - Public member record
+ * @returns {Record<string, any>} Arguments to call the tool with
+ */
+function applyMemberScope(toolName, args, member) {
+    if (!member || !isStripeTool(toolName)) {
+        return args;
+    }
+    const isAdmin = member.role === 'admin';
+
+    if (!isAdmin && isAdminOnly(toolName)) {
+        throw new Error(`${toolName} is only available to admins`);
+    }
+    if (!takesCustomer(toolName)) {
+        return args;
+    }
+
+    // Admins may act on any customer; members only ever on their own
+    if (isAdmin && args.customer) {
+        return args;
+    }
+    if (!member.stripeCustomerId) {
+        throw new Error(`${toolName} needs a Stripe customer, but ${member.name} is not linked to one`);
+    }
+    if (args.customer && args.customer !== member.stripeCustomerId) {
+        console.warn(`[Scope] Replaced customer ${args.customer} with ${member.stripeCustomerId} for ${toolName} (${member.id})`);
+    }
+    return { ...args, customer: member.stripeCustomerId };
+}
+
+module.exports = {
+    buildMemberSystemMessage,
+    filterToolsForMember,
+    applyMemberScope,
+};
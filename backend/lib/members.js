@@ -0,0 +1,420 @@
+/**
+ * Members
+ *
+ * Commons Hub member accounts. Members sign in with their email and a PIN,
+ * or with a single-use magic link, and get a session token stored in a
+ * cookie. Each member is linked to a Stripe customer so the agent can put
+ * payments and invoices on the right person.
+ *
+ * The store is re-read on every operation so members added with
+ * scripts/create-member.js show up without restarting the server.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { callStripeMCPTool } = require('./mcp/stripe-mcp');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const ROLES = ['member', 'admin'];
+const PIN_PATTERN = /^\d{4,8}$/;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+const SCRYPT_KEY_LENGTH = 32;
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+const store = createJsonStore('members.json', () => ({ members: {}, sessions: {}, loginTokens: {} }));
+
+/**
+ * Loads the store, applies a change and saves it if anything was returned
+ * @param {(data: any) => any} fn - Mutation; return undefined to skip saving
+ * @returns {any} Whatever fn returned
+ */
+function update(fn) {
+    const data = store.load();
+    const result = fn(data);
+    if (result !== undefined) {
+        store.save(data);
+    }
+    return result;
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hashPin(pin) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(pin, salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function pinMatches(pin, pinHash) {
+    const [scheme, salt, hash] = String(pinHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(pin), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Drops expired sessions and login tokens
+ */
+function pruneExpired(data) {
+    const now = Date.now();
+    for (const collection of [data.sessions, data.loginTokens]) {
+        for (const [key, entry] of Object.entries(collection)) {
+            if (entry.expiresAt < now) {
+                delete collection[key];
+            }
+        }
+    }
+}
+
+/**
+ * Returns the public view of a member (no secrets)
+ * @param {any} member - Stored member
+ * @returns {{ id: string, name: string, email: string, role: string, stripeCustomerId: string|null, createdAt: string }}
+ */
+function toPublicMember(member) {
+    const { id, name, email, role, stripeCustomerId, createdAt } = member;
+    return { id, name, email, role, stripeCustomerId: stripeCustomerId || null, createdAt };
+}
+
+// ============================================================================
+// MEMBERS
+// ============================================================================
+
+function validateFields({ name, email, role, pin, stripeCustomerId }, isNew) {
+    if (isNew || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) throw new Error('name is required');
+    }
+    if (isNew || email !== undefined) {
+        if (!/^[^@\s]+@[^@\s]+$/.test(normalizeEmail(email))) throw new Error('A valid email is required');
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+        throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (pin !== undefined && pin !== null && !PIN_PATTERN.test(String(pin))) {
+        throw new Error('PIN must be 4 to 8 digits');
+    }
+    if (stripeCustomerId !== undefined && stripeCustomerId !== null && !/^cus_\w+$/.test(stripeCustomerId)) {
+        throw new Error('stripeCustomerId must be a Stripe customer ID (cus_...)');
+    }
+}
+
+/**
+ * Lists all members
+ * @returns {Array} Public member records, sorted by name
+ */
+function listMembers() {
+    return Object.values(store.load().members)
+        .map(toPublicMember)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Gets a member by ID
+ * @param {string} memberId - Member ID
+ * @returns {any|null} Public member record or null
+ */
+function getMember(memberId) {
+    const member = store.load().members[memberId];
+    return member ? toPublicMember(member) : null;
+}
+
+/**
+ * Creates a member
+ * @param {{ name: string, email: string, role?: string, pin?: string, stripeCustomerId?: string }} fields
+ * @returns {any} Public member record
+ */
+function createMember(fields) {
+    validateFields(fields, true);
+    const email = normalizeEmail(fields.email);
+
+    return update((data) => {
+        if (Object.values(data.members).some((member) => member.email === email)) {
+            throw new Error(`A member with email ${email} already exists`);
+        }
+        const member = {
+            id: `mem_${crypto.randomUUID()}`,
+            name: fields.name.trim(),
+            email,
+            role: fields.role || 'member',
+            pinHash: fields.pin ? hashPin(String(fields.pin)) : null,
+            stripeCustomerId: fields.stripeCustomerId || null,
+            failedPinAttempts: 0,
+            lockedUntil: null,
+            createdAt: new Date().toISOString(),
+        };
+        data.members[member.id] = member;
+        console.log(`[Members] Created ${member.id} (${member.role})`);
+        return toPublicMember(member);
+    });
+}
+
+/**
+ * Updates a member's name, email, role, PIN or Stripe customer
+ * @param {string} memberId - Member ID
+ * @param {{ name?: string, email?: string, role?: string, pin?: string|null, stripeCustomerId?: string|null }} fields
+ * @returns {any|null} Updated public member record, or null if not found
+ */
+function updateMember(memberId, fields) {
+    validateFields(fields, false);
+
+    return update((data) => {
+        const member = data.members[memberId];
+        if (!member) {
+            return null;
+        }
+        if (fields.email !== undefined) {
+            const email = normalizeEmail(fields.email);
+            if (Object.values(data.members).some((other) => other.email === email && other.id !== memberId)) {
+                throw new Error(`A member with email ${email} already exists`);
+            }
+            member.email = email;
+        }
+        if (fields.name !== undefined) member.name = fields.name.trim();
+        if (fields.role !== undefined) member.role = fields.role;
+        if (fields.stripeCustomerId !== undefined) member.stripeCustomerId = fields.stripeCustomerId;
+        if (fields.pin !== undefined) {
+            member.pinHash = fields.pin ? hashPin(String(fields.pin)) : null;
+            member.failedPinAttempts = 0;
+            member.lockedUntil = null;
+        }
+        return toPublicMember(member);
+    });
+}
+
+/**
+ * Deletes a member and ends their sessions
+ * @param {string} memberId - Member ID
+ * @returns {boolean} False if the member did not exist
+ */
+function deleteMember(memberId) {
+    return update((data) => {
+        if (!data.members[memberId]) {
+            return false;
+        }
+        delete data.members[memberId];
+        for (const [key, session] of Object.entries(data.sessions)) {
+            if (session.memberId === memberId) delete data.sessions[key];
+        }
+        console.log(`[Members] Deleted ${memberId}`);
+        return true;
+    });
+}
+
+// ============================================================================
+// LOGIN
+// ============================================================================
+
+/**
+ * Checks an email and PIN; too many wrong PINs lock the account for a while
+ * @param {string} email - Member email
+ * @param {string} pin - PIN
+ * @returns {any|null} Public member record, or null if the credentials are wrong
+ */
+function verifyPin(email, pin) {
+    const normalized = normalizeEmail(email);
+
+    return update((data) => {
+        const member = Object.values(data.members).find((item) => item.email === normalized);
+        if (!member || !member.pinHash) {
+            return null;
+        }
+        if (member.lockedUntil && member.lockedUntil > Date.now()) {
+            throw new Error('Too many wrong PINs, try again later or use a login link');
+        }
+
+        if (!pinMatches(pin, member.pinHash)) {
+            member.failedPinAttempts = (member.failedPinAttempts || 0) + 1;
+            if (member.failedPinAttempts >= MAX_PIN_ATTEMPTS) {
+                member.lockedUntil = Date.now() + PIN_LOCKOUT_MS;
+                member.failedPinAttempts = 0;
+                console.warn(`[Members] ${member.id} locked after ${MAX_PIN_ATTEMPTS} wrong PINs`);
+            }
+            return null;
+        }
+
+        member.failedPinAttempts = 0;
+        member.lockedUntil = null;
+        return toPublicMember(member);
+    }) || null;
+}
+
+/**
+ * Issues a single-use magic link token for a member
+ * @param {string} email - Member email
+ * @returns {{ token: string, member: any }|null} Token and member, or null if no member has that email
+ */
+function createLoginToken(email) {
+    const normalized = normalizeEmail(email);
+
+    return update((data) => {
+        const member = Object.values(data.members).find((item) => item.email === normalized);
+        if (!member) {
+            return null;
+        }
+        pruneExpired(data);
+        const token = crypto.randomBytes(32).toString('base64url');
+        data.loginTokens[hashToken(token)] = { memberId: member.id, expiresAt: Date.now() + MAGIC_LINK_TTL_MS };
+        return { token, member: toPublicMember(member) };
+    }) || null;
+}
+
+/**
+ * Redeems a magic link token
+ * @param {string} token - Token from the link
+ * @returns {any|null} Public member record, or null if the token is unknown or expired
+ */
+function consumeLoginToken(token) {
+    if (typeof token !== 'string' || !token) {
+        return null;
+    }
+    const key = hashToken(token);
+
+    return update((data) => {
+        const entry = data.loginTokens[key];
+        if (!entry) {
+            return null;
+        }
+        delete data.loginTokens[key];
+        const member = data.members[entry.memberId];
+        return entry.expiresAt >= Date.now() && member ? toPublicMember(member) : null;
+    }) || null;
+}
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+/**
+ * Starts a session for a member
+ * @param {string} memberId - Member ID
+ * @returns {{ token: string, expiresAt: number }} Session token (only its hash is stored)
+ */
+function createSession(memberId) {
+    return update((data) => {
+        pruneExpired(data);
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = Date.now() + SESSION_TTL_MS;
+        data.sessions[hashToken(token)] = { memberId, expiresAt };
+        return { token, expiresAt };
+    });
+}
+
+/**
+ * Resolves a session token to its member
+ * @param {string} token - Session token
+ * @returns {any|null} Public member record or null
+ */
+function getSessionMember(token) {
+    if (typeof token !== 'string' || !token) {
+        return null;
+    }
+    const data = store.load();
+    const session = data.sessions[hashToken(token)];
+    if (!session || session.expiresAt < Date.now()) {
+        return null;
+    }
+    const member = data.members[session.memberId];
+    return member ? toPublicMember(member) : null;
+}
+
+/**
+ * Ends a session
+ * @param {string} token - Session token
+ */
+function destroySession(token) {
+    if (typeof token !== 'string' || !token) {
+        return;
+    }
+    update((data) => {
+        delete data.sessions[hashToken(token)];
+        return true;
+    });
+}
+
+// ============================================================================
+// STRIPE CUSTOMERS
+// ============================================================================
+
+/**
+ * Reads a Stripe object or list from a Stripe MCP tool result
+ */
+function parseStripeResult(result) {
+    const text = result?.content?.find((item) => item.type === 'text')?.text;
+    if (result?.isError || !text) {
+        throw new Error(text || 'Empty response from Stripe MCP');
+    }
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        const match = /\bcus_\w+/.exec(text);
+        return match ? { id: match[0] } : {};
+    }
+}
+
+/**
+ * Makes sure a member is linked to a Stripe customer, finding one by email
+ * or creating it through Stripe MCP
+ * @param {any} member - Public member record
+ * @returns {Promise<any>} Member record, with stripeCustomerId set if it could be linked
+ */
+async function ensureStripeCustomer(member) {
+    if (member.stripeCustomerId) {
+        return member;
+    }
+
+    const startTime = Date.now();
+    const actor = { source: 'member_sync', member, operationId: `${member.id}:link-customer` };
+    try {
+        const existing = parseStripeResult(await callStripeMCPTool('list_customers', { email: member.email, limit: 1 }, actor));
+        let customerId = Array.isArray(existing.data) ? existing.data[0]?.id : null;
+        if (!customerId) {
+            const created = parseStripeResult(
+                await callStripeMCPTool('create_customer', { name: member.name, email: member.email }, actor)
+            );
+            customerId = created.id;
+        }
+        if (!customerId) {
+            throw new Error('Stripe MCP did not return a customer ID');
+        }
+
+        console.log(`[Members] Linked ${member.id} to ${customerId} (${Date.now() - startTime}ms)`);
+        return updateMember(member.id, { stripeCustomerId: customerId }) || member;
+    } catch (error) {
+        console.error(`[Members] Failed to link ${member.id} to a Stripe customer (${Date.now() - startTime}ms):`, error.message);
+        return member;
+    }
+}
+
+module.exports = {
+    ROLES,
+    listMembers,
+    getMember,
+    createMember,
+    updateMember,
+    deleteMember,
+    verifyPin,
+    createLoginToken,
+    consumeLoginToken,
+    createSession,
+    getSessionMember,
+    destroySession,
+    ensureStripeCustomer,
+};
@@ -0,0 +1,224 @@
+/**
+ * Metrics
+ *
+ * In-process counters and histograms rendered in the Prometheus text
+ * exposition format at GET /metrics. Counters and histograms are defined
+ * here so the full list can be read in one place; the modules that
+ * measure things only call inc() and observe(). Gauges that read a
+ * module's own state (e.g. the tool cache) are registered by that module.
+ *
+ * Label values must come from small, known sets (routes, tool names,
+ * outcomes), never from user input, to keep the number of series bounded.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const METRIC_PREFIX = 'fridge_';
+
+// Seconds; covers quick local calls up to slow model streams
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const ITERATION_BUCKETS = [1, 2, 3, 4, 5, 6, 8, 10];
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+const registry = [];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a label set, e.g. {tool="x",outcome="success"}
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Keeps only the declared labels, in declaration order, so equal sets share a series
+ */
+function pickLabels(labelNames, labels = {}) {
+    return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+}
+
+/**
+ * Creates a counter
+ * @param {string} name - Name without the fridge_ prefix (should end in _total)
+ * @param {string} help - Description
+ * @param {string[]} [labelNames] - Allowed labels
+ * @returns {{ inc: (labels?: Record<string, string>, value?: number) => void }}
+ */
+function createCounter(name, help, labelNames = []) {
+    const series = new Map(); // formatted labels -> value
+
+    registry.push({
+        render() {
+            const lines = [`# HELP ${METRIC_PREFIX}${name} ${help}`, `# TYPE ${METRIC_PREFIX}${name} counter`];
+            for (const [labels, value] of series) {
+                lines.push(`${METRIC_PREFIX}${name}${labels} ${value}`);
+            }
+            return lines;
+        },
+    });
+
+    return {
+        inc(labels, value = 1) {
+            if (!(value >= 0)) return;
+            const key = formatLabels(pickLabels(labelNames, labels));
+            series.set(key, (series.get(key) || 0) + value);
+        },
+    };
+}
+
+/**
+ * Creates a histogram
+ * @param {string} name - Name without the fridge_ prefix
+ * @param {string} help - Description
+ * @param {string[]} [labelNames] - Allowed labels
+ * @param {number[]} [buckets] - Upper bounds, ascending
+ * @returns {{ observe: (labels: Record<string, string>, value: number) => void }}
+ */
+function createHistogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    const series = new Map(); // formatted labels -> { labels, counts, sum, count }
+
+    registry.push({
+        render() {
+            const lines = [`# HELP ${METRIC_PREFIX}${name} ${help}`, `# TYPE ${METRIC_PREFIX}${name} histogram`];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((bound, index) => {
+                    lines.push(`${METRIC_PREFIX}${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+                });
+                lines.push(`${METRIC_PREFIX}${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${METRIC_PREFIX}${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${METRIC_PREFIX}${name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines;
+        },
+    });
+
+    return {
+        observe(labels, value) {
+            if (typeof value !== 'number' || Number.isNaN(value)) return;
+            const picked = pickLabels(labelNames, labels);
+            const key = formatLabels(picked);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            // Buckets are cumulative: a value counts in every bucket whose bound it fits under
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+    };
+}
+
+/**
+ * Creates a gauge whose value is read when /metrics is scraped
+ * @param {string} name - Name without the fridge_ prefix
+ * @param {string} help - Description
+ * @param {() => number|Array<{ labels: Record<string, string>, value: number }>} collect - Current value(s)
+ */
+function createGauge(name, help, collect) {
+    registry.push({
+        render() {
+            const lines = [`# HELP ${METRIC_PREFIX}${name} ${help}`, `# TYPE ${METRIC_PREFIX}${name} gauge`];
+            const collected = collect();
+            const values = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+            for (const { labels, value } of values) {
+                lines.push(`${METRIC_PREFIX}${name}${formatLabels(labels)} ${Number(value) || 0}`);
+            }
+            return lines;
+        },
+    });
+}
+
+/**
+ * Renders every metric in the Prometheus text format
+ * @returns {string}
+ */
+function renderMetrics() {
+    return `${registry.flatMap((metric) => metric.render()).join('\n')}\n`;
+}
+
+/**
+ * Seconds elapsed since a Date.now() timestamp
+ */
+function secondsSince(startTime) {
+    return (Date.now() - startTime) / 1000;
+}
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+const httpRequests = createCounter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpRequestDuration = createHistogram('http_request_duration_seconds', 'HTTP request duration (SSE chats included)', ['method', 'route']);
+
+const llmRequestDuration = createHistogram('llm_request_duration_seconds', 'Time until the LLM provider answers (response headers)', ['provider', 'status']);
+const llmTokens = createCounter('llm_tokens_total', 'Tokens reported by the LLM provider', ['provider', 'type']);
+
+const mcpRequestDuration = createHistogram('mcp_request_duration_seconds', 'MCP JSON-RPC requests, retries included', ['server', 'method', 'outcome']);
+const mcpRateLimits = createCounter('mcp_rate_limits_total', 'MCP requests refused as rate limited (HTTP 429 or a rate_limit tool error)', ['server']);
+
+const toolCalls = createCounter('tool_calls_total', 'Agent tool calls by outcome (success, error, denied, invalid_arguments, rejected, cancelled, skipped, rate_limited, spend_capped)', ['tool', 'outcome']);
+const toolExecutionDuration = createHistogram('tool_execution_duration_seconds', 'Agent tool calls from start to result, approval wait included', ['tool', 'outcome']);
+const toolCacheRefreshes = createCounter('tool_cache_refreshes_total', 'Fetches of the MCP tool list', ['outcome']);
+
+const chatRequests = createCounter('chat_requests_total', 'Chat requests by how they ended', ['outcome']);
+const agentIterations = createHistogram('agent_iterations', 'LLM round trips per chat request', [], ITERATION_BUCKETS);
+
+const processStartTime = Date.now();
+createGauge('process_uptime_seconds', 'Seconds since the server started', () => secondsSince(processStartTime));
+createGauge('process_heap_used_bytes', 'V8 heap in use', () => process.memoryUsage().heapUsed);
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+/**
+ * Express middleware counting requests; the route label is the matched route pattern,
+ * so "/api/conversations/:id" is one series whatever the ID
+ */
+function httpMetricsMiddleware(req, res, next) {
+    const startTime = Date.now();
+    // "close" also fires for chats the client walked away from
+    res.on('close', () => {
+        let route = 'other';
+        if (req.route) {
+            route = `${req.baseUrl}${req.route.path}`;
+        } else if (res.statusCode === 404) {
+            route = 'not_found';
+        }
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        httpRequestDuration.observe({ method: req.method, route }, secondsSince(startTime));
+    });
+    next();
+}
+
+module.exports = {
+    createGauge,
+    renderMetrics,
+    secondsSince,
+    httpMetricsMiddleware,
+    llmRequestDuration,
+    llmTokens,
+    mcpRequestDuration,
+    mcpRateLimits,
+    toolCalls,
+    toolExecutionDuration,
+    toolCacheRefreshes,
+    chatRequests,
+    agentIterations,
+};
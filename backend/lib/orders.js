@@ -0,0 +1,350 @@
+/**
+ * Orders
+ *
+ * Remembers the payment links the agent creates, which conversation they
+ * belong to and what they sell, so Stripe webhook events can be matched
+ * back to the chat and the fridge stock can be updated once paid.
+ *
+ * A link can be meant to be paid several times (a group order split
+ * evenly): such orders stay partially_paid until every share is in.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { recordSale, findItemByPriceId } = require('./fridge/catalog');
+const { publish } = require('./conversation-events');
+const { appendBetweenTurns } = require('./conversations');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const MAX_PROCESSED_EVENTS = 1000; // Remembered webhook event IDs for de-duplication
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+const store = createJsonStore('orders.json', () => ({ orders: {}, processedEventIds: [] }));
+const data = store.load();
+console.log(`[Orders] Loaded ${Object.keys(data.orders).length} order(s)`);
+
+const paymentListeners = [];
+
+function persist() {
+    store.save(data);
+}
+
+/**
+ * Registers a callback for every payment applied to an order
+ * @param {(order: any, payment: any) => void} listener - Called after the order is updated
+ */
+function onOrderPayment(listener) {
+    paymentListeners.push(listener);
+}
+
+// ============================================================================
+// PAYMENT LINKS
+// ============================================================================
+
+/**
+ * Extracts the payment link ID and URL from a create_payment_link tool result
+ * @param {string} resultText - Tool result text returned by Stripe MCP
+ * @returns {{ id: string|null, url: string|null }}
+ */
+function extractPaymentLink(resultText) {
+    try {
+        const parsed = JSON.parse(resultText);
+        if (parsed && typeof parsed === 'object' && (parsed.id || parsed.url)) {
+            return { id: parsed.id || null, url: parsed.url || null };
+        }
+    } catch (e) {
+        // Not JSON, fall through to pattern matching
+    }
+
+    const idMatch = /\bplink_[A-Za-z0-9]+/.exec(resultText || '');
+    const urlMatch = /https:\/\/buy\.stripe\.com\/[^\s"')\]]+/.exec(resultText || '');
+    return {
+        id: idMatch ? idMatch[0] : null,
+        url: urlMatch ? urlMatch[0] : null,
+    };
+}
+
+/**
+ * Normalizes create_payment_link arguments into line items
+ * @param {Record<string, any>} args - Tool arguments
+ * @returns {Array<{ priceId: string, productId: string|null, quantity: number }>}
+ */
+function lineItemsFromArguments(args) {
+    const rawItems = Array.isArray(args?.line_items)
+        ? args.line_items
+        : [{ price: args?.price, quantity: args?.quantity }];
+
+    return rawItems
+        .filter((item) => item && item.price)
+        .map((item) => ({
+            priceId: item.price,
+            productId: findItemByPriceId(item.price)?.productId || null,
+            quantity: parseInt(item.quantity, 10) || 1,
+        }));
+}
+
+/**
+ * Records an order for a payment link the agent (or a group order) just created
+ * @param {{
+ *   conversationId: string|null,
+ *   memberId?: string|null,
+ *   toolArguments: Record<string, any>,
+ *   resultText: string,
+ *   lineItems?: Array,
+ *   groupOrderId?: string,
+ *   expectedPayments?: number,
+ * }} params - lineItems overrides what is derived from the arguments (e.g. a custom share price)
+ * @returns {any|null} The new order, or null if no payment link could be found in the result
+ */
+function recordPaymentLinkOrder({ conversationId, memberId, toolArguments, resultText, lineItems, groupOrderId, expectedPayments = 1 }) {
+    const link = extractPaymentLink(resultText);
+    if (!link.id) {
+        console.warn('[Orders] Could not find a payment link ID in create_payment_link result');
+        return null;
+    }
+
+    const order = {
+        id: `ord_${crypto.randomUUID()}`,
+        conversationId: conversationId || null,
+        memberId: memberId || null,
+        paymentLinkId: link.id,
+        url: link.url,
+        lineItems: lineItems || lineItemsFromArguments(toolArguments),
+        groupOrderId: groupOrderId || null,
+        expectedPayments,
+        payments: [],
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        paidAt: null,
+        checkoutSessionId: null,
+        paymentIntentId: null,
+        amountTotal: null,
+        currency: null,
+    };
+
+    data.orders[order.id] = order;
+    persist();
+    console.log(`[Orders] Recorded ${order.id} for ${link.id} (conversation: ${order.conversationId || 'none'})`);
+    return order;
+}
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+function findOrder(predicate) {
+    return Object.values(data.orders).find(predicate) || null;
+}
+
+/**
+ * Gets an order by ID
+ * @param {string} orderId - Order ID
+ * @returns {any|null} Order or null
+ */
+function getOrder(orderId) {
+    return data.orders[orderId] || null;
+}
+
+/**
+ * Lists orders, newest first
+ * @param {{ conversationId?: string, memberId?: string }} [filter] - Optional filter
+ * @returns {Array} Orders
+ */
+function listOrders(filter = {}) {
+    return Object.values(data.orders)
+        .filter((order) => !filter.conversationId || order.conversationId === filter.conversationId)
+        .filter((order) => !filter.memberId || order.memberId === filter.memberId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// ============================================================================
+// PAYMENTS
+// ============================================================================
+
+function hasPayment(order, predicate) {
+    return (order.payments || []).some(predicate);
+}
+
+/**
+ * Applies a payment to an order, updates stock once it is fully paid and notifies the open chat
+ * @param {any} order - Order to update
+ * @param {{ checkoutSessionId?: string, paymentIntentId?: string, amountTotal?: number, currency?: string, email?: string }} details
+ */
+function markOrderPaid(order, details) {
+    const payment = {
+        checkoutSessionId: details.checkoutSessionId || null,
+        paymentIntentId: details.paymentIntentId || null,
+        amountTotal: details.amountTotal ?? null,
+        currency: details.currency || null,
+        email: details.email || null,
+        paidAt: new Date().toISOString(),
+    };
+    order.payments = [...(order.payments || []), payment];
+    const expectedPayments = order.expectedPayments || 1;
+    const isFullyPaid = order.payments.length >= expectedPayments;
+
+    order.status = isFullyPaid ? 'paid' : 'partially_paid';
+    order.paidAt = isFullyPaid ? payment.paidAt : null;
+    order.checkoutSessionId = payment.checkoutSessionId || order.checkoutSessionId;
+    order.paymentIntentId = payment.paymentIntentId || order.paymentIntentId;
+    order.amountTotal = order.payments.reduce((sum, item) => sum + (item.amountTotal || 0), 0);
+    order.currency = payment.currency || order.currency;
+    persist();
+    console.log(`[Orders] ${order.id} ${order.status} (${order.payments.length}/${expectedPayments} payment(s), ${order.amountTotal} ${order.currency})`);
+
+    if (isFullyPaid) {
+        recordSale(order.lineItems);
+    }
+
+    if (order.conversationId) {
+        const amount = payment.amountTotal !== null
+            ? ` of ${(payment.amountTotal / 100).toFixed(2)} ${(payment.currency || '').toUpperCase()}`
+            : '';
+        const progress = expectedPayments > 1 ? ` (${order.payments.length}/${expectedPayments} shares paid)` : '';
+        // Keep the confirmation in the history so the model knows the order was paid; a chat
+        // running on the conversation gets it once its turn is over. A conversation that was never
+        // stored only gets the live event below
+        try {
+            appendBetweenTurns(order.conversationId, [{
+                role: 'assistant',
+                content: `✅ Payment received${amount} for payment link ${order.paymentLinkId}${progress}.`,
+            }]);
+        } catch (error) {
+            console.error(`[Orders] Failed to save payment message for ${order.conversationId}:`, error.message);
+        }
+
+        publish(order.conversationId, {
+            type: 'payment_received',
+            order: {
+                id: order.id,
+                status: order.status,
+                payment_link: order.paymentLinkId,
+                amount_total: payment.amountTotal,
+                currency: payment.currency,
+                line_items: order.lineItems,
+                group_order_id: order.groupOrderId || null,
+            },
+        });
+    }
+
+    for (const listener of paymentListeners) {
+        try {
+            listener(order, payment);
+        } catch (error) {
+            console.error(`[Orders] Payment listener failed for ${order.id}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Handles checkout.session.completed
+ */
+function handleCheckoutSessionCompleted(session) {
+    const order = (session.payment_link && findOrder((o) => o.paymentLinkId === session.payment_link)) ||
+        (session.metadata?.order_id && getOrder(session.metadata.order_id)) ||
+        null;
+
+    if (!order) {
+        console.warn(`[Orders] No order for checkout session ${session.id} (payment link: ${session.payment_link})`);
+        return null;
+    }
+
+    if (session.payment_status && session.payment_status !== 'paid') {
+        console.log(`[Orders] Checkout session ${session.id} completed but not paid yet (${session.payment_status})`);
+        order.checkoutSessionId = session.id;
+        order.paymentIntentId = session.payment_intent || order.paymentIntentId;
+        persist();
+        return order;
+    }
+
+    const isKnownPayment = hasPayment(order, (payment) =>
+        payment.checkoutSessionId === session.id ||
+        (session.payment_intent && payment.paymentIntentId === session.payment_intent));
+    if (order.status === 'paid' || isKnownPayment) {
+        console.log(`[Orders] ${order.id} already paid, ignoring checkout session ${session.id}`);
+        return order;
+    }
+
+    markOrderPaid(order, {
+        checkoutSessionId: session.id,
+        paymentIntentId: session.payment_intent,
+        amountTotal: session.amount_total,
+        currency: session.currency,
+        email: session.customer_details?.email,
+    });
+    return order;
+}
+
+/**
+ * Handles payment_intent.succeeded
+ */
+function handlePaymentIntentSucceeded(paymentIntent) {
+    const order = findOrder((o) => o.paymentIntentId === paymentIntent.id) ||
+        (paymentIntent.metadata?.order_id && getOrder(paymentIntent.metadata.order_id)) ||
+        null;
+
+    if (!order) {
+        // Payment link checkouts usually report the order via checkout.session.completed
+        console.log(`[Orders] No order for payment intent ${paymentIntent.id}`);
+        return null;
+    }
+
+    if (order.status === 'paid' || hasPayment(order, (payment) => payment.paymentIntentId === paymentIntent.id)) {
+        console.log(`[Orders] ${order.id} already paid, ignoring payment intent ${paymentIntent.id}`);
+        return order;
+    }
+
+    markOrderPaid(order, {
+        paymentIntentId: paymentIntent.id,
+        amountTotal: paymentIntent.amount_received ?? paymentIntent.amount,
+        currency: paymentIntent.currency,
+    });
+    return order;
+}
+
+/**
+ * Applies a verified Stripe event to the orders it concerns
+ * @param {any} event - Stripe event
+ * @returns {{ duplicate: boolean, order: any|null }}
+ */
+function handleStripeEvent(event) {
+    if (data.processedEventIds.includes(event.id)) {
+        console.log(`[Orders] Event ${event.id} already processed`);
+        return { duplicate: true, order: null };
+    }
+
+    let order = null;
+    switch (event.type) {
+        case 'checkout.session.completed':
+            order = handleCheckoutSessionCompleted(event.data.object);
+            break;
+        case 'payment_intent.succeeded':
+            order = handlePaymentIntentSucceeded(event.data.object);
+            break;
+        default:
+            console.log(`[Orders] Ignoring event type ${event.type}`);
+    }
+
+    data.processedEventIds.push(event.id);
+    if (data.processedEventIds.length > MAX_PROCESSED_EVENTS) {
+        data.processedEventIds.splice(0, data.processedEventIds.length - MAX_PROCESSED_EVENTS);
+    }
+    persist();
+
+    return { duplicate: false, order };
+}
+
+module.exports = {
+    extractPaymentLink,
+    recordPaymentLinkOrder,
+    getOrder,
+    listOrders,
+    handleStripeEvent,
+    onOrderPayment,
+};
@@ -0,0 +1,264 @@
+/**
+ * Tool Policy
+ *
+ * Decides whether a tool call the model asked for may run. A call is denied
+ * when the tool was not offered to the model in this chat, when the
+ * profile does not allow it, or when an argument breaks one of the
+ * profile's argument rules. Denied calls never reach the tool; the model
+ * gets a structured error instead. Every decision is logged.
+ *
+ * Policy fields of a profile (see lib/profiles):
+ *
+ * {
+ *   "allowedTools": ["check_fridge_stock", "stripe__*"],
+ *   "deniedTools": ["stripe__create_refund"],
+ *   "argumentRules": {
+ *     "stripe__create_payment_link": {
+ *       "price": { "enum": "$fridgePriceIds" },
+ *       "quantity": { "min": 1, "max": 24 }
+ *     },
+ *     "stripe__create_*": { "currency": { "enum": ["eur"] } }
+ *   }
+ * }
+ *
+ * Tool names may use "*" wildcards; denied tools win over allowed ones.
+ * Argument paths are dotted, with "[]" for every element of an array
+ * ("line_items[].price"). Constraints: required, enum (a list, or one of
+ * the VALUE_SETS below), min, max and pattern. Constraints only apply to
+ * arguments that are present unless "required" is set.
+ */
+
+const { listItems } = require('./fridge/catalog');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CONSTRAINT_KEYS = ['required', 'enum', 'min', 'max', 'pattern'];
+
+// Named value lists for "enum", resolved when the call is checked
+const VALUE_SETS = {
+    $fridgePriceIds: () => listItems().map((item) => item.priceId).filter(Boolean),
+    $fridgeProductIds: () => listItems().map((item) => item.productId),
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Turns a tool name pattern into a regular expression ("*" matches anything)
+ * @param {string} pattern - Tool name, optionally with "*" wildcards
+ * @returns {RegExp}
+ */
+function toolPatternToRegExp(pattern) {
+    const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+/**
+ * Validates the constraints for one argument path
+ * @returns {any} Constraints, with pattern compiled
+ */
+function parseConstraints(constraints, describe) {
+    if (!constraints || typeof constraints !== 'object' || Array.isArray(constraints)) {
+        throw new Error(`${describe()} must be an object of constraints`);
+    }
+    const unknown = Object.keys(constraints).filter((key) => !CONSTRAINT_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`${describe()} has unknown constraint(s) ${unknown.join(', ')} (use ${CONSTRAINT_KEYS.join(', ')})`);
+    }
+    const { enum: allowed, min, max, pattern } = constraints;
+    if (allowed !== undefined && !Array.isArray(allowed) && !VALUE_SETS[allowed]) {
+        throw new Error(`${describe()} enum must be a list or one of ${Object.keys(VALUE_SETS).join(', ')}`);
+    }
+    for (const [name, value] of [['min', min], ['max', max]]) {
+        if (value !== undefined && typeof value !== 'number') {
+            throw new Error(`${describe()} ${name} must be a number`);
+        }
+    }
+    if (pattern !== undefined && typeof pattern !== 'string') {
+        throw new Error(`${describe()} pattern must be a string`);
+    }
+    return { ...constraints, pattern: pattern === undefined ? undefined : new RegExp(pattern) };
+}
+
+/**
+ * Validates the policy fields of a profile
+ * @param {{ allowedTools: string[], deniedTools?: string[], argumentRules?: Record<string, any> }} config
+ * @returns {any} Compiled policy
+ * @throws {Error} Describing the first problem found
+ */
+function parseToolPolicy({ allowedTools, deniedTools = [], argumentRules = {} }) {
+    const isNameList = (list) => Array.isArray(list) && list.every((name) => typeof name === 'string');
+    if (!isNameList(allowedTools)) {
+        throw new Error('allowedTools must be a list of tool names');
+    }
+    if (!isNameList(deniedTools)) {
+        throw new Error('deniedTools must be a list of tool names');
+    }
+    if (!argumentRules || typeof argumentRules !== 'object' || Array.isArray(argumentRules)) {
+        throw new Error('argumentRules must map tool names to argument constraints');
+    }
+
+    const rules = [];
+    for (const [toolPattern, argumentsConfig] of Object.entries(argumentRules)) {
+        if (!argumentsConfig || typeof argumentsConfig !== 'object') {
+            throw new Error(`argumentRules["${toolPattern}"] must map argument paths to constraints`);
+        }
+        for (const [argumentPath, constraints] of Object.entries(argumentsConfig)) {
+            rules.push({
+                toolPattern: toolPatternToRegExp(toolPattern),
+                path: argumentPath,
+                constraints: parseConstraints(constraints, () => `argumentRules["${toolPattern}"]["${argumentPath}"]`),
+            });
+        }
+    }
+
+    return {
+        allowedPatterns: allowedTools.map(toolPatternToRegExp),
+        deniedPatterns: deniedTools.map(toolPatternToRegExp),
+        argumentRules: rules,
+    };
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Whether a policy allows a tool by name
+ * @param {any} policy - Compiled policy
+ * @param {string} toolName - Tool name as the model sees it
+ */
+function isToolAllowed(policy, toolName) {
+    return policy.allowedPatterns.some((pattern) => pattern.test(toolName)) &&
+        !policy.deniedPatterns.some((pattern) => pattern.test(toolName));
+}
+
+/**
+ * Collects the values at an argument path ("line_items[].price")
+ * @returns {Array} Values found (empty when the path is absent)
+ */
+function valuesAtPath(args, argumentPath) {
+    let values = [args];
+    for (const segment of argumentPath.split('.')) {
+        const eachElement = segment.endsWith('[]');
+        const key = eachElement ? segment.slice(0, -2) : segment;
+        values = values
+            .map((value) => (value && typeof value === 'object' ? value[key] : undefined))
+            .filter((value) => value !== undefined && value !== null);
+        if (eachElement) {
+            values = values.flatMap((value) => (Array.isArray(value) ? value : [value]));
+        }
+    }
+    return values;
+}
+
+/**
+ * Checks one argument rule
+ * @returns {string|null} Why the arguments break the rule, or null when they don't
+ */
+function checkArgumentRule(rule, args) {
+    const { required, enum: allowed, min, max, pattern } = rule.constraints;
+    const values = valuesAtPath(args, rule.path);
+
+    if (values.length === 0) {
+        return required ? `${rule.path} is required` : null;
+    }
+
+    const allowedValues = typeof allowed === 'string' ? VALUE_SETS[allowed]() : allowed;
+    for (const value of values) {
+        if (allowedValues && !allowedValues.includes(value)) {
+            return `${rule.path} must be one of ${allowedValues.join(', ') || '(none available)'}, got ${JSON.stringify(value)}`;
+        }
+        if (min !== undefined || max !== undefined) {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || Number.isNaN(number)) {
+                return `${rule.path} must be a number, got ${JSON.stringify(value)}`;
+            }
+            if (min !== undefined && number < min) {
+                return `${rule.path} must be at least ${min}, got ${number}`;
+            }
+            if (max !== undefined && number > max) {
+                return `${rule.path} must be at most ${max}, got ${number}`;
+            }
+        }
+        if (pattern && !pattern.test(String(value))) {
+            return `${rule.path} must match ${pattern.source}, got ${JSON.stringify(value)}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Decides whether a tool call may run, and logs the decision
+ * @param {{
+ *   toolName: string,
+ *   toolArguments: string,
+ *   profile: any,
+ *   member?: any,
+ *   offeredToolNames: Set<string>,
+ * }} call - toolArguments is the raw JSON from the model
+ * @returns {{ allowed: boolean, tool: string, code?: string, reason?: string, argument?: string }}
+ */
+function evaluateToolCall({ toolName, toolArguments, profile, member, offeredToolNames }) {
+    const decide = (decision) => {
+        const who = `profile ${profile.id}, member ${member?.id || 'none'}`;
+        if (decision.allowed) {
+            console.log(`[Policy] allow ${toolName} (${who})`);
+        } else {
+            console.warn(`[Policy] deny ${toolName} (${who}): ${decision.code} - ${decision.reason}`);
+        }
+        return { tool: toolName, ...decision };
+    };
+
+    if (!offeredToolNames.has(toolName)) {
+        return decide({ allowed: false, code: 'tool_not_offered', reason: `${toolName} is not one of the tools available in this chat` });
+    }
+    if (!isToolAllowed(profile.policy, toolName)) {
+        return decide({ allowed: false, code: 'tool_not_allowed', reason: `${toolName} is not allowed for the ${profile.name} profile` });
+    }
+
+    let args = {};
+    try {
+        args = toolArguments ? JSON.parse(toolArguments) : {};
+    } catch (error) {
+        return decide({ allowed: false, code: 'invalid_arguments', reason: `Arguments are not valid JSON: ${error.message}` });
+    }
+
+    for (const rule of profile.policy.argumentRules) {
+        if (!rule.toolPattern.test(toolName)) {
+            continue;
+        }
+        const problem = checkArgumentRule(rule, args);
+        if (problem) {
+            return decide({ allowed: false, code: 'argument_not_allowed', reason: problem, argument: rule.path });
+        }
+    }
+    return decide({ allowed: true });
+}
+
+/**
+ * Builds the tool result the model sees for a denied call
+ * @param {{ tool: string, code: string, reason: string, argument?: string }} decision
+ * @returns {string} JSON tool result
+ */
+function formatDenial(decision) {
+    return JSON.stringify({
+        error: {
+            type: 'policy_denied',
+            code: decision.code,
+            tool: decision.tool,
+            argument: decision.argument,
+            message: decision.reason,
+        },
+    });
+}
+
+module.exports = {
+    parseToolPolicy,
+    isToolAllowed,
+    evaluateToolCall,
+    formatDenial,
+};
@@ -0,0 +1,71 @@
+/**
+ * Prices
+ *
+ * What a Stripe price costs, for spend caps and checkout cards. Fridge
+ * prices come from the catalog; other prices are remembered from the
+ * Stripe tool results they appear in (create_price, list_prices, ...),
+ * in memory only.
+ */
+
+const { findItemByPriceId } = require('./fridge/catalog');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const MAX_REMEMBERED_PRICES = 1000;
+
+// ============================================================================
+// PRICES
+// ============================================================================
+
+const seenPrices = new Map(); // price ID -> { unitAmount, currency, productId }
+
+/**
+ * Remembers the prices in a Stripe tool result (a price, a list of prices or an array)
+ * @param {string} resultText - Tool result text
+ */
+function rememberPrices(resultText) {
+    let parsed;
+    try {
+        parsed = JSON.parse(resultText);
+    } catch (error) {
+        return;
+    }
+    const prices = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.data) ? parsed.data : [parsed];
+    for (const price of prices) {
+        if (typeof price?.id !== 'string' || !price.id.startsWith('price_') || !Number.isInteger(price.unit_amount)) {
+            continue;
+        }
+        // Re-inserted so the oldest prices are the ones forgotten
+        seenPrices.delete(price.id);
+        seenPrices.set(price.id, {
+            unitAmount: price.unit_amount,
+            currency: price.currency || null,
+            productId: typeof price.product === 'string' ? price.product : price.product?.id || null,
+        });
+        if (seenPrices.size > MAX_REMEMBERED_PRICES) {
+            seenPrices.delete(seenPrices.keys().next().value);
+        }
+    }
+}
+
+/**
+ * Looks up a price in the fridge catalog, then in the prices seen so far
+ * @param {string} priceId - Stripe price ID (price_...)
+ * @returns {{ unitAmount: number, currency: string|null, productId: string|null, name: string|null }|null}
+ *   Null when the amount is not known
+ */
+function getPrice(priceId) {
+    const item = findItemByPriceId(priceId);
+    if (item && Number.isInteger(item.unitAmount)) {
+        return { unitAmount: item.unitAmount, currency: item.currency, productId: item.productId, name: item.name };
+    }
+    const seen = seenPrices.get(priceId);
+    return seen ? { ...seen, name: item?.name || null } : null;
+}
+
+module.exports = {
+    rememberPrices,
+    getPrice,
+};
@@ -0,0 +1,203 @@
+/**
+ * Agent Profiles
+ *
+ * Server-owned personas for the agent. Each profile is a JSON file in
+ * PROFILES_DIR (default backend/profiles), named after its ID:
+ *
+ * {
+ *   "name": "Fridge cashier",
+ *   "description": "Sells drinks from the fridge.",
+ *   "roles": ["member", "admin"],
+ *   "temperature": 0.3,
+ *   "maxTokens": 1500,
+ *   "systemPrompt": "You are the cashier of the Commons Hub fridge...",
+ *   "allowedTools": ["check_fridge_stock", "stripe__create_payment_link", "stripe__list_*"],
+ *   "deniedTools": [],
+ *   "argumentRules": { "stripe__create_payment_link": { "price": { "enum": "$fridgePriceIds" } } }
+ * }
+ *
+ * allowedTools entries are tool names as the model sees them, where "*"
+ * matches any run of characters ("*" alone allows every tool). deniedTools
+ * and argumentRules are enforced by lib/policy. The client only picks a
+ * profile by ID; the system prompt always comes from here.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseToolPolicy, isToolAllowed } = require('./policy');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PROFILES_DIR = process.env.PROFILES_DIR || path.join(__dirname, '../profiles');
+const DEFAULT_PROFILE_ID = process.env.DEFAULT_PROFILE || 'cashier';
+const PROFILE_ID_PATTERN = /^[a-z0-9-]+$/;
+const ROLES = ['member', 'admin'];
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Validates a profile file and fills in defaults
+ * @param {string} id - Profile ID (file name without .json)
+ * @param {any} config - Parsed file contents
+ * @returns {any} Profile
+ */
+function parseProfile(id, config) {
+    const problem = (message) => new Error(`Invalid profile "${id}": ${message}`);
+
+    if (!config || typeof config !== 'object') {
+        throw problem('expected a JSON object');
+    }
+    if (typeof config.systemPrompt !== 'string' || !config.systemPrompt.trim()) {
+        throw problem('systemPrompt is required');
+    }
+    if (config.temperature !== undefined &&
+        (typeof config.temperature !== 'number' || config.temperature < 0 || config.temperature > 2)) {
+        throw problem('temperature must be a number between 0 and 2');
+    }
+    if (config.maxTokens !== undefined && (!Number.isInteger(config.maxTokens) || config.maxTokens < 1)) {
+        throw problem('maxTokens must be a positive integer');
+    }
+    let policy;
+    try {
+        policy = parseToolPolicy(config);
+    } catch (error) {
+        throw problem(error.message);
+    }
+    const roles = config.roles || ROLES;
+    if (!Array.isArray(roles) || !roles.every((role) => ROLES.includes(role))) {
+        throw problem(`roles must be a list of ${ROLES.join(', ')}`);
+    }
+
+    return {
+        id,
+        name: config.name || id,
+        description: config.description || '',
+        roles,
+        systemPrompt: config.systemPrompt.trim(),
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        policy,
+    };
+}
+
+let profiles = null;
+
+/**
+ * Reads every profile in PROFILES_DIR on first use
+ * @returns {Map<string, any>} Profile ID -> profile
+ */
+function loadProfiles() {
+    if (profiles) {
+        return profiles;
+    }
+
+    const loaded = new Map();
+    const files = fs.existsSync(PROFILES_DIR) ? fs.readdirSync(PROFILES_DIR) : [];
+    for (const file of files.filter((name) => name.endsWith('.json')).sort()) {
+        const id = path.basename(file, '.json');
+        if (!PROFILE_ID_PATTERN.test(id)) {
+            throw new Error(`Invalid profile file name "${file}" (lowercase letters, digits and "-" only)`);
+        }
+        const config = JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, file), 'utf8'));
+        loaded.set(id, parseProfile(id, config));
+    }
+
+    if (!loaded.has(DEFAULT_PROFILE_ID)) {
+        throw new Error(`Default profile "${DEFAULT_PROFILE_ID}" not found in ${PROFILES_DIR}`);
+    }
+    console.log(`[Profiles] Loaded ${loaded.size} profile(s) from ${PROFILES_DIR}: ${[...loaded.keys()].join(', ')}`);
+    profiles = loaded;
+    return profiles;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Whether a member's role may use a profile
+ */
+function canUseProfile(profile, member) {
+    return profile.roles.includes(member?.role);
+}
+
+/**
+ * Lists the profiles a member may pick
+ * @param {any} member - Public member record
+ * @returns {Array<{ id: string, name: string, description: string, isDefault: boolean }>}
+ */
+function listProfiles(member) {
+    return [...loadProfiles().values()]
+        .filter((profile) => canUseProfile(profile, member))
+        .map((profile) => ({
+            id: profile.id,
+            name: profile.name,
+            description: profile.description,
+            isDefault: profile.id === DEFAULT_PROFILE_ID,
+        }));
+}
+
+/**
+ * Picks the profile for a chat request
+ * @param {string|undefined} profileId - Profile requested by the client (default profile when omitted)
+ * @param {any} member - Public member record
+ * @returns {any} Profile
+ * @throws {Error} With status 400 for unknown profiles, 403 when the member's role may not use it
+ */
+function resolveProfile(profileId, member) {
+    const id = profileId || DEFAULT_PROFILE_ID;
+    const profile = typeof id === 'string' ? loadProfiles().get(id) : null;
+    if (!profile) {
+        throw Object.assign(new Error(`Unknown profile: ${id}`), { status: 400 });
+    }
+    if (!canUseProfile(profile, member)) {
+        throw Object.assign(new Error(`The ${profile.name} profile is not available to you`), { status: 403 });
+    }
+    return profile;
+}
+
+/**
+ * Removes tools a profile does not allow
+ * @param {Array} tools - OpenAI tool definitions
+ * @param {any} profile - Profile
+ * @returns {Array} Allowed tools
+ */
+function filterToolsForProfile(tools, profile) {
+    return tools.filter((tool) => isToolAllowed(profile.policy, tool.function.name));
+}
+
+/**
+ * Builds the profile's system message
+ * @param {any} profile - Profile
+ * @returns {{ role: 'system', content: string }}
+ */
+function buildProfileSystemMessage(profile) {
+    return { role: 'system', content: profile.systemPrompt };
+}
+
+/**
+ * Drops system messages from a client-supplied history; only the server writes those
+ * @param {Array} messages - Chat messages
+ * @returns {Array} Messages without system messages
+ */
+function stripSystemMessages(messages) {
+    const kept = messages.filter((message) => message?.role !== 'system');
+    if (kept.length !== messages.length) {
+        console.warn(`[Profiles] Stripped ${messages.length - kept.length} client-supplied system message(s)`);
+    }
+    return kept;
+}
+
+module.exports = {
+    DEFAULT_PROFILE_ID,
+    loadProfiles,
+    listProfiles,
+    resolveProfile,
+    filterToolsForProfile,
+    buildProfileSystemMessage,
+    stripSystemMessages,
+};
@@ -0,0 +1,156 @@
+/**
+ * Redaction
+ *
+ * Produces short, privacy-safe summaries of tool arguments for display in
+ * the chat: personal data and secrets are masked and long values trimmed.
+ * Log records go through redactForLog, which keeps values whole but masks
+ * secrets and personal data by key and inside free text.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const SENSITIVE_KEY_PATTERN = /email|phone|address|card|iban|secret|token|password|api_?key|fingerprint/i;
+// A name is personal data when it names a person: an argument of a tool about customers, or a field
+// of an object describing someone (customer_details, billing_details, shipping, ...); product and
+// price names stay readable
+const NAME_KEY_PATTERN = /^(name|(first|last|full|given|family)_?name)$/i;
+const PERSONAL_TOOL_PATTERN = /customer|member|person|contact|recipient/i;
+const PERSONAL_OBJECT_KEY_PATTERN = /customer|billing|shipping|recipient|payer|owner|individual|person|contact/i;
+const MAX_STRING_LENGTH = 40;
+const MAX_DEPTH = 3;
+const MAX_KEYS = 12;
+const REDACTED = '[redacted]';
+
+// Keys whose values never reach the logs ("name" is left out: tool and product names are useful)
+const LOG_SENSITIVE_KEY_PATTERN = /email|phone|address|card|iban|secret|token|password|passwd|api_?key|authorization|cookie|fingerprint|^pin$|pin_?hash|session/i;
+const LOG_MAX_DEPTH = 8;
+// Secrets and personal data inside strings (messages, JSON tool results, URLs)
+const LOG_TEXT_PATTERNS = [
+    [/\b(sk|rk|pk)_(live|test)_[A-Za-z0-9]+/g, '$1_$2_[redacted]'],
+    [/\bwhsec_[A-Za-z0-9]+/g, 'whsec_[redacted]'],
+    [/\bBearer\s+[A-Za-z0-9._~+/=-]+/gi, 'Bearer [redacted]'],
+    [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[email]'],
+    [/("(?:email|phone|fingerprint|iban|card_?number|secret|password|token|pin)"\s*:\s*)"[^"]*"/gi, '$1"[redacted]"'],
+];
+
+// ============================================================================
+// SUMMARIES
+// ============================================================================
+
+/**
+ * Summarizes a value for display
+ * @param {any} value - Value to summarize
+ * @param {number} depth - Current nesting depth
+ * @returns {any} Summary
+ */
+function summarizeValue(value, depth, personal) {
+    if (typeof value === 'string') {
+        return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+    }
+    if (Array.isArray(value)) {
+        return depth >= MAX_DEPTH
+            ? `[${value.length} item(s)]`
+            : value.slice(0, MAX_KEYS).map((item) => summarizeValue(item, depth + 1, personal));
+    }
+    if (value && typeof value === 'object') {
+        return depth >= MAX_DEPTH ? '{…}' : summarizeObject(value, depth + 1, personal);
+    }
+    return value;
+}
+
+/**
+ * @param {boolean} personal - Whether the object describes a person, so its name is masked too
+ */
+function summarizeObject(object, depth, personal) {
+    const summary = {};
+    const entries = Object.entries(object);
+
+    for (const [key, value] of entries.slice(0, MAX_KEYS)) {
+        const sensitive = SENSITIVE_KEY_PATTERN.test(key) || (personal && NAME_KEY_PATTERN.test(key));
+        summary[key] = sensitive
+            ? REDACTED
+            : summarizeValue(value, depth, PERSONAL_OBJECT_KEY_PATTERN.test(key));
+    }
+    if (entries.length > MAX_KEYS) {
+        summary['…'] = `${entries.length - MAX_KEYS} more`;
+    }
+    return summary;
+}
+
+/**
+ * Builds a redacted summary of tool arguments
+ * @param {string|Record<string, any>} toolArguments - Raw JSON string or parsed arguments
+ * @param {string} [toolName] - Tool the arguments are for; a name argument is masked for tools about people
+ * @returns {Record<string, any>} Redacted summary
+ */
+function summarizeArguments(toolArguments, toolName = '') {
+    let parsed = toolArguments;
+    if (typeof toolArguments === 'string') {
+        if (!toolArguments.trim()) {
+            return {};
+        }
+        try {
+            parsed = JSON.parse(toolArguments);
+        } catch (e) {
+            return { _invalid: `${toolArguments.length} characters of invalid JSON` };
+        }
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return {};
+    }
+    return summarizeObject(parsed, 0, PERSONAL_TOOL_PATTERN.test(toolName));
+}
+
+// ============================================================================
+// LOGS
+// ============================================================================
+
+/**
+ * Masks secrets and personal data in a string
+ * @param {string} text - Free text
+ * @returns {string}
+ */
+function redactText(text) {
+    return LOG_TEXT_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * Masks secrets and personal data in a value about to be logged
+ * @param {any} value - Log field value
+ * @param {number} [depth] - Current nesting depth
+ * @returns {any} Copy with sensitive keys and text masked
+ */
+function redactForLog(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (value instanceof Error) {
+        return { message: redactText(value.message), stack: value.stack && redactText(value.stack) };
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= LOG_MAX_DEPTH) {
+        return '[…]';
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redactForLog(item, depth + 1));
+    }
+    const redacted = {};
+    for (const [key, field] of Object.entries(value)) {
+        // Flags and counts (hasStripeKey, maxTokens) are kept
+        const isSecretValue = typeof field === 'string' || (field !== null && typeof field === 'object');
+        redacted[key] = LOG_SENSITIVE_KEY_PATTERN.test(key) && isSecretValue
+            ? REDACTED
+            : redactForLog(field, depth + 1);
+    }
+    return redacted;
+}
+
+module.exports = {
+    summarizeArguments,
+    redactText,
+    redactForLog,
+};
@@ -0,0 +1,48 @@
+/**
+ * SSE Decoder
+ *
+ * The decoder lives in frontend/sse.js so the browser can load it as a
+ * plain script; the backend uses the same implementation, plus a helper
+ * for reading fetch() response bodies.
+ */
+
+const { createSSEDecoder } = require('../../frontend/sse');
+
+/**
+ * Reads SSE events from a fetch() response body
+ *
+ * A caller that stops early (return or break out of the loop, or a throw) cancels the
+ * body, so the connection is closed instead of left open with nobody reading it.
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<{ event: string, data: string, id: string, retry?: number }>} Decoded events
+ */
+async function* readSSEEvents(body) {
+    const reader = body.getReader();
+    const textDecoder = new TextDecoder();
+    const sseDecoder = createSSEDecoder();
+    let ended = false;
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+                ended = true;
+                yield* sseDecoder.push(textDecoder.decode());
+                yield* sseDecoder.flush();
+                return;
+            }
+            yield* sseDecoder.push(textDecoder.decode(value, { stream: true }));
+        }
+    } finally {
+        if (!ended) {
+            // Fails when the stream already errored, which closes it just the same
+            await reader.cancel().catch(() => {});
+        }
+        reader.releaseLock();
+    }
+}
+
+module.exports = {
+    createSSEDecoder,
+    readSSEEvents,
+};
@@ -0,0 +1,107 @@
+/**
+ * Stripe Webhook Verification
+ *
+ * Verifies the Stripe-Signature header the same way the official Stripe
+ * libraries do (HMAC-SHA256 over "<timestamp>.<payload>"), without
+ * depending on the Stripe SDK.
+ */
+
+const crypto = require('crypto');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEFAULT_TOLERANCE_SECONDS = 300; // 5 minutes, same as the Stripe SDKs
+
+// ============================================================================
+// SIGNATURES
+// ============================================================================
+
+/**
+ * Computes the v1 signature for a payload
+ * @param {string} payload - Raw request body
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} secret - Webhook signing secret (whsec_...)
+ * @returns {string} Hex-encoded HMAC-SHA256 signature
+ */
+function computeSignature(payload, timestamp, secret) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${payload}`, 'utf8')
+        .digest('hex');
+}
+
+/**
+ * Builds a Stripe-Signature header value, e.g. for signing test fixtures
+ * @param {string} payload - Raw request body
+ * @param {string} secret - Webhook signing secret
+ * @param {number} [timestamp] - Unix timestamp in seconds (defaults to now)
+ * @returns {string} Header value ("t=...,v1=...")
+ */
+function generateSignatureHeader(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${computeSignature(payload, timestamp, secret)}`;
+}
+
+/**
+ * Parses a Stripe-Signature header into its timestamp and v1 signatures
+ * @param {string} header - Stripe-Signature header value
+ * @returns {{ timestamp: number, signatures: string[] }}
+ */
+function parseSignatureHeader(header) {
+    const result = { timestamp: NaN, signatures: [] };
+
+    for (const part of header.split(',')) {
+        const [key, value] = part.split('=', 2).map((s) => s.trim());
+        if (key === 't') {
+            result.timestamp = parseInt(value, 10);
+        } else if (key === 'v1' && value) {
+            result.signatures.push(value);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Verifies a webhook request and returns the parsed event
+ * @param {Buffer|string} rawBody - Raw request body, exactly as received
+ * @param {string} header - Stripe-Signature header value
+ * @param {string} secret - Webhook signing secret
+ * @param {number} [toleranceSeconds] - Maximum allowed age of the signature
+ * @returns {any} Parsed Stripe event
+ */
+function constructEvent(rawBody, header, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+    if (!header) {
+        throw new Error('Missing Stripe-Signature header');
+    }
+
+    const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+    const { timestamp, signatures } = parseSignatureHeader(header);
+
+    if (!Number.isFinite(timestamp) || signatures.length === 0) {
+        throw new Error('Malformed Stripe-Signature header');
+    }
+
+    const expected = Buffer.from(computeSignature(payload, timestamp, secret), 'hex');
+    const matches = signatures.some((signature) => {
+        const candidate = Buffer.from(signature, 'hex');
+        return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+    });
+
+    if (!matches) {
+        throw new Error('No signature matches the expected signature for the payload');
+    }
+
+    const age = Math.floor(Date.now() / 1000) - timestamp;
+    if (toleranceSeconds > 0 && age > toleranceSeconds) {
+        throw new Error(`Signature timestamp is outside the tolerance zone (${age}s old)`);
+    }
+
+    return JSON.parse(payload);
+}
+
+module.exports = {
+    constructEvent,
+    generateSignatureHeader,
+};
@@ -0,0 +1,312 @@
+/**
+ * Tool Scheduler
+ *
+ * Runs the tool calls the model makes in one response. Read-only calls run
+ * side by side, up to TOOL_CALL_CONCURRENCY at a time. Calls that change
+ * something run MUTATING_TOOL_CONCURRENCY at a time (one by default) and
+ * start in the order the model made them, so a "create product" has
+ * finished before the next mutation goes out.
+ *
+ * A call can use the result of another call in the same response: a string
+ * argument holding {{N.path}} waits for call N (its position, 1 for the
+ * first, or its tool call ID) and gets the value at path in its JSON result
+ * filled in, e.g. "product": "{{1.id}}". A call whose input failed, or
+ * whose references go round in a circle, is not run. Braces that name no
+ * call in the response are left as written.
+ *
+ * Rate limits from the MCP servers are waited out by the MCP client (see
+ * lib/mcp/client): the calls after a 429 wait, and a refused read is sent
+ * again, so the batch slows down. A refused mutation fails like any other
+ * error.
+ *
+ * Configuration (environment):
+ *   TOOL_CALL_CONCURRENCY      Tool calls of one response running at once (default 4)
+ *   MUTATING_TOOL_CONCURRENCY  Of those, calls that change something (default 1)
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('Tools');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const TOOL_CALL_CONCURRENCY = Math.max(1, parseInt(process.env.TOOL_CALL_CONCURRENCY, 10) || 4);
+const MUTATING_TOOL_CONCURRENCY = Math.max(1, parseInt(process.env.MUTATING_TOOL_CONCURRENCY, 10) || 1);
+
+// {{2.id}}, {{call_abc.data.0.id}}, {{1}}
+const REFERENCE_PATTERN = /\{\{\s*([A-Za-z0-9_-]+)((?:\.[A-Za-z0-9_-]+)*)\s*\}\}/g;
+
+/**
+ * Tells the model how to chain calls; sent with the system messages
+ */
+const TOOL_REFERENCE_PROMPT =
+    'When a tool call needs the result of another call in the same response (e.g. a price for a product ' +
+    'you are creating), write {{N.field}} in its arguments, where N is the position of the other call ' +
+    'in your response (1 for the first) and field the path to the value in its JSON result, e.g. ' +
+    '"product": "{{1.id}}". The call then runs once call N has finished, with the value filled in.';
+
+// ============================================================================
+// REFERENCES
+// ============================================================================
+
+/**
+ * Visits every string in parsed tool arguments
+ * @param {any} value - Parsed arguments
+ * @param {(text: string) => any} replace - Returns the new value of a string
+ * @returns {any} Copy with the strings replaced
+ */
+function mapStrings(value, replace) {
+    if (typeof value === 'string') {
+        return replace(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => mapStrings(item, replace));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, replace)]));
+    }
+    return value;
+}
+
+function parseArguments(toolCall) {
+    try {
+        return toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Finds which call of the response a reference names
+ * @returns {number} Index of the call, or -1 when it names none
+ */
+function findCall(toolCalls, name) {
+    if (/^\d+$/.test(name)) {
+        const position = parseInt(name, 10);
+        return position >= 1 && position <= toolCalls.length ? position - 1 : -1;
+    }
+    return toolCalls.findIndex((toolCall) => toolCall.id === name);
+}
+
+/**
+ * Reads the value a reference points at in a call's result
+ * @param {string} output - Result text of the call
+ * @param {string} path - e.g. ".data.0.id", or "" for the whole result
+ * @param {number} index - Index of the call, for messages
+ */
+function readReference(output, path, index) {
+    if (!path) {
+        return output;
+    }
+    let value;
+    try {
+        value = JSON.parse(output);
+    } catch (e) {
+        throw new Error(`the result of call ${index + 1} is not JSON, so it has no ${path.slice(1)}`);
+    }
+    for (const key of path.slice(1).split('.')) {
+        value = value === null || typeof value !== 'object' ? undefined : value[key];
+    }
+    if (value === undefined) {
+        throw new Error(`the result of call ${index + 1} has no ${path.slice(1)}`);
+    }
+    return value;
+}
+
+/**
+ * Fills in the references of a call from the results of the calls it waited for
+ * @param {Array} toolCalls - Calls of the response
+ * @param {number} index - Call to resolve
+ * @param {Array<{ output?: string }>} results - Results so far, by index
+ * @returns {any} The tool call, with its arguments rewritten if they held references
+ */
+function resolveReferences(toolCalls, index, results) {
+    const toolCall = toolCalls[index];
+    const args = parseArguments(toolCall);
+    if (!args) {
+        return toolCall;
+    }
+    let changed = false;
+    const resolved = mapStrings(args, (text) => {
+        const valueOf = (match, name, path) => {
+            const target = findCall(toolCalls, name);
+            if (target === -1) {
+                return match;
+            }
+            changed = true;
+            return readReference(results[target].output ?? '', path, target);
+        };
+        // A string that is just a reference takes the value as it is (a number stays a number)
+        const whole = text.match(new RegExp(`^${REFERENCE_PATTERN.source}$`));
+        if (whole) {
+            return valueOf(...whole);
+        }
+        return text.replace(REFERENCE_PATTERN, (...match) => {
+            const value = valueOf(...match);
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        });
+    });
+    return changed
+        ? { ...toolCall, function: { ...toolCall.function, arguments: JSON.stringify(resolved) } }
+        : toolCall;
+}
+
+// ============================================================================
+// PLANNING
+// ============================================================================
+
+/**
+ * Works out what each call waits for and the order the calls start in
+ * @param {Array} toolCalls - Calls of the response
+ * @param {(name: string) => boolean} isMutating - Whether a tool changes something
+ * @returns {{ order: number[], calls: Array<{ mutating: boolean, dependsOn: number[], error: string|null }> }}
+ *   order: the calls in the order the model made them, moved after the calls they wait for
+ */
+function planToolCalls(toolCalls, isMutating) {
+    const calls = toolCalls.map((toolCall) => {
+        const dependsOn = new Set();
+        const args = parseArguments(toolCall);
+        if (args) {
+            mapStrings(args, (text) => {
+                for (const [, name] of text.matchAll(REFERENCE_PATTERN)) {
+                    const target = findCall(toolCalls, name);
+                    if (target !== -1) {
+                        dependsOn.add(target);
+                    }
+                }
+                return text;
+            });
+        }
+        return { mutating: isMutating(toolCall.function.name), dependsOn: [...dependsOn], error: null };
+    });
+
+    // Stable topological sort: the earliest call whose inputs are ordered goes next
+    const order = [];
+    const placed = new Set();
+    while (order.length < calls.length) {
+        const next = calls.findIndex((call, index) => !placed.has(index) && call.dependsOn.every((target) => placed.has(target)));
+        if (next === -1) {
+            break;
+        }
+        order.push(next);
+        placed.add(next);
+    }
+    calls.forEach((call, index) => {
+        if (!placed.has(index)) {
+            call.error = 'its references to other calls go round in a circle';
+            order.push(index);
+        }
+    });
+    return { order, calls };
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+/**
+ * Runs the tool calls of one response
+ * @param {Array} toolCalls - Calls of the response, as the model made them
+ * @param {{ isMutating: (name: string) => boolean, run: (toolCall: any, index: number, notRunReason?: string) => Promise<{ ok: boolean, output?: string }> }} options -
+ *   run executes a call (its references filled in), or reports it as not run when given a reason;
+ *   output is the result text other calls can refer to. When run throws, it is called again with
+ *   the error as the reason; when that throws too, the call's result is { ok: false, error }
+ * @returns {Promise<Array>} What run returned for each call, in the order of toolCalls; always resolves
+ */
+function runToolCalls(toolCalls, { isMutating, run }) {
+    const plan = planToolCalls(toolCalls, isMutating);
+    for (const [index, call] of plan.calls.entries()) {
+        if (call.dependsOn.length > 0) {
+            log.info(`Call ${index + 1} (${toolCalls[index].function.name}) waits for call(s) ${call.dependsOn.map((target) => target + 1).join(', ')}`);
+        }
+    }
+
+    const results = new Array(toolCalls.length);
+    const state = toolCalls.map(() => 'waiting'); // waiting, running, done
+    let running = 0;
+    let runningMutations = 0;
+    let remaining = toolCalls.length;
+
+    return new Promise((resolve) => {
+        if (remaining === 0) {
+            resolve(results);
+            return;
+        }
+
+        const start = (index, toolCall, notRunReason) => {
+            const counted = notRunReason === undefined;
+            const { mutating } = plan.calls[index];
+            state[index] = 'running';
+            if (counted) {
+                running++;
+                runningMutations += mutating ? 1 : 0;
+            }
+            Promise.resolve()
+                .then(() => run(toolCall, index, notRunReason))
+                .catch((error) => run(toolCall, index, error.message))
+                // Reporting the failure failed too: the call still gets a result, so the batch settles
+                .catch((error) => {
+                    log.error(`Call ${index + 1} (${toolCall.function.name}) failed and could not be reported`, { error: error.message });
+                    return { ok: false, error: error.message };
+                })
+                .then((result) => {
+                    results[index] = result;
+                    state[index] = 'done';
+                    if (counted) {
+                        running--;
+                        runningMutations -= mutating ? 1 : 0;
+                    }
+                    remaining--;
+                    if (remaining === 0) {
+                        resolve(results);
+                    } else {
+                        schedule();
+                    }
+                });
+        };
+
+        function schedule() {
+            // Once a mutation has to wait, later ones wait behind it
+            let mutationWaiting = false;
+            for (const index of plan.order) {
+                const call = plan.calls[index];
+                if (state[index] !== 'waiting' || (call.mutating && mutationWaiting)) {
+                    continue;
+                }
+                if (call.error) {
+                    start(index, toolCalls[index], call.error);
+                    continue;
+                }
+                const failed = call.dependsOn.find((target) => state[target] === 'done' && !results[target].ok);
+                if (failed !== undefined) {
+                    start(index, toolCalls[index], `it needs the result of call ${failed + 1} (${toolCalls[failed].function.name}), which failed`);
+                    continue;
+                }
+                const ready = call.dependsOn.every((target) => state[target] === 'done') &&
+                    running < TOOL_CALL_CONCURRENCY &&
+                    (!call.mutating || runningMutations < MUTATING_TOOL_CONCURRENCY);
+                if (!ready) {
+                    mutationWaiting = mutationWaiting || call.mutating;
+                    continue;
+                }
+                let toolCall;
+                try {
+                    toolCall = resolveReferences(toolCalls, index, results);
+                } catch (error) {
+                    start(index, toolCalls[index], error.message);
+                    continue;
+                }
+                start(index, toolCall);
+            }
+        }
+
+        schedule();
+    });
+}
+
+module.exports = {
+    TOOL_REFERENCE_PROMPT,
+    runToolCalls,
+};
@@ -0,0 +1,93 @@
+/**
+ * Admin Report Routes
+ *
+ * Admin API behind the dashboard: sales, unpaid payment links, top buyers,
+ * tool error rates and recent conversations (see lib/admin-reports).
+ *
+ * Reports over a period take from and to (YYYY-MM-DD, both included) or
+ * days (counted back from to, default 30); lists take limit.
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const { createLogger } = require('../lib/logger');
+const {
+    parseRange,
+    parseLimit,
+    buildSalesReport,
+    listUnpaidLinks,
+    listTopBuyers,
+    buildToolStats,
+    listRecentConversations,
+    buildDashboard,
+} = require('../lib/admin-reports');
+
+const router = express.Router();
+const log = createLogger('API');
+
+router.use(requireAdmin);
+
+/**
+ * Wraps a report handler: logs the request and answers errors with their status
+ * @param {(req: any) => any} build - Returns (or resolves to) the JSON response
+ */
+function report(build) {
+    return async (req, res) => {
+        log.info(`GET ${req.baseUrl}${req.path}`, { query: req.query });
+        try {
+            res.json(await build(req));
+        } catch (error) {
+            log.error(`${req.baseUrl}${req.path} failed`, { error: error.message });
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+}
+
+/**
+ * GET /api/admin/dashboard
+ * Everything the dashboard shows; Stripe lookups that fail are reported in the response
+ * Query: from, to, days, limit
+ */
+router.get('/dashboard', report((req) =>
+    buildDashboard(parseRange(req.query), { member: req.member, limit: parseLimit(req.query.limit) })));
+
+/**
+ * GET /api/admin/sales
+ * Sales per product and per day
+ * Query: from, to, days
+ */
+router.get('/sales', report((req) => buildSalesReport(parseRange(req.query), { member: req.member })));
+
+/**
+ * GET /api/admin/unpaid-links
+ * Payment links not fully paid yet, oldest first
+ * Query: limit (default 100)
+ */
+router.get('/unpaid-links', report((req) =>
+    listUnpaidLinks({ limit: req.query.limit === undefined ? undefined : parseLimit(req.query.limit) })));
+
+/**
+ * GET /api/admin/top-buyers
+ * Query: from, to, days, limit
+ */
+router.get('/top-buyers', report((req) => ({
+    buyers: listTopBuyers(parseRange(req.query), { limit: parseLimit(req.query.limit) }),
+})));
+
+/**
+ * GET /api/admin/tool-stats
+ * Stripe tool calls and error rates per tool, from the audit log
+ * Query: from, to, days
+ */
+router.get('/tool-stats', report((req) => buildToolStats(parseRange(req.query))));
+
+/**
+ * GET /api/admin/conversations
+ * Recently active conversations of every member
+ * Query: limit
+ */
+router.get('/conversations', report((req) => ({
+    conversations: listRecentConversations({ limit: parseLimit(req.query.limit) }),
+})));
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * Audit Log Routes
+ *
+ * Admin API to search and export the Stripe audit log (see lib/audit-log).
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const { searchAuditLog, toCsv } = require('../lib/audit-log');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const FILTER_KEYS = ['memberId', 'conversationId', 'tool', 'outcome', 'objectId', 'from', 'to', 'q'];
+
+/**
+ * Picks the supported filters from the query string
+ */
+function filtersFrom(query) {
+    const filters = {};
+    for (const key of FILTER_KEYS) {
+        if (typeof query[key] === 'string' && query[key] !== '') {
+            filters[key] = query[key];
+        }
+    }
+    return filters;
+}
+
+/**
+ * GET /api/admin/audit-log
+ * Searches the audit log, newest first
+ * Query: memberId, conversationId, tool, outcome, objectId, from, to, q, limit
+ */
+router.get('/', (req, res) => {
+    console.log('[API] GET /api/admin/audit-log', req.query);
+    try {
+        res.json(searchAuditLog({ ...filtersFrom(req.query), limit: req.query.limit }));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/admin/audit-log/export.csv
+ * Exports every matching entry as CSV (same filters as the search, no limit)
+ */
+router.get('/export.csv', (req, res) => {
+    console.log('[API] GET /api/admin/audit-log/export.csv', req.query);
+    try {
+        const { entries } = searchAuditLog(filtersFrom(req.query), { all: true });
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="fridge-audit-log-${date}.csv"`);
+        res.send(toCsv(entries));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+/**
+ * Auth Routes
+ *
+ * Member sign-in with email + PIN or a magic link, and sign-out.
+ * Magic links are written to the server log; there is no mail setup yet,
+ * so whoever runs the hub passes them on. The line names the member;
+ * emails are kept out of the log. Links are built on PUBLIC_URL only: the
+ * Host header is whatever the client sent, and would let anyone have a
+ * link to their own site logged for a member.
+ */
+
+const express = require('express');
+const {
+    verifyPin,
+    createLoginToken,
+    consumeLoginToken,
+    createSession,
+    destroySession,
+} = require('../lib/members');
+const {
+    getSessionToken,
+    setSessionCookie,
+    clearSessionCookie,
+    requireMember,
+} = require('../lib/auth');
+
+const router = express.Router();
+
+/**
+ * Starts a session and replies with the member
+ */
+function signIn(res, member) {
+    setSessionCookie(res, createSession(member.id));
+    console.log(`[Auth] ${member.id} signed in`);
+    res.json({ member });
+}
+
+/**
+ * GET /api/auth/me
+ * Returns the signed-in member
+ */
+router.get('/me', requireMember, (req, res) => {
+    res.json({ member: req.member });
+});
+
+/**
+ * POST /api/auth/pin
+ * Signs in with email and PIN
+ * Body: { email, pin }
+ */
+router.post('/pin', (req, res) => {
+    const { email, pin } = req.body || {};
+    if (!email || !pin) {
+        return res.status(400).json({ error: 'email and pin are required' });
+    }
+
+    let member;
+    try {
+        member = verifyPin(email, pin);
+    } catch (error) {
+        return res.status(429).json({ error: error.message });
+    }
+    if (!member) {
+        console.warn('[Auth] Wrong email or PIN');
+        return res.status(401).json({ error: 'Wrong email or PIN' });
+    }
+    signIn(res, member);
+});
+
+/**
+ * POST /api/auth/magic-link
+ * Issues a login link for a member. Always answers the same way so the
+ * endpoint cannot be used to find out who is a member.
+ * Body: { email }
+ */
+router.post('/magic-link', (req, res) => {
+    const { email } = req.body || {};
+    if (!email) {
+        return res.status(400).json({ error: 'email is required' });
+    }
+
+    const baseUrl = process.env.PUBLIC_URL;
+    if (!baseUrl) {
+        console.error('[Auth] ERROR: PUBLIC_URL is not configured, cannot build magic links');
+        return res.status(500).json({ error: 'Magic links are not configured on this hub' });
+    }
+
+    const login = createLoginToken(email);
+    if (login) {
+        const link = `${baseUrl.replace(/\/+$/, '')}/?login=${encodeURIComponent(login.token)}`;
+        console.log(`[Auth] Magic link for ${login.member.name} (${login.member.id}): ${link}`);
+    } else {
+        console.warn('[Auth] Magic link requested for an unknown email');
+    }
+    res.status(202).json({ ok: true });
+});
+
+/**
+ * POST /api/auth/magic-link/verify
+ * Redeems a magic link token
+ * Body: { token }
+ */
+router.post('/magic-link/verify', (req, res) => {
+    const member = consumeLoginToken(req.body?.token);
+    if (!member) {
+        return res.status(401).json({ error: 'This login link is invalid or has expired' });
+    }
+    signIn(res, member);
+});
+
+/**
+ * POST /api/auth/logout
+ * Ends the current session
+ */
+router.post('/logout', (req, res) => {
+    destroySession(getSessionToken(req));
+    clearSessionCookie(res);
+    res.status(204).end();
+});
+
+module.exports = router;
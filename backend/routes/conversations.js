@@ -0,0 +1,91 @@
+/**
+ * Conversation Routes
+ *
+ * Stored chat history and the server-to-client event stream for an open chat.
+ * A conversation is resumed by posting to /api/chat-stream with its ID.
+ */
+
+const express = require('express');
+const { subscribe } = require('../lib/conversation-events');
+const { requireMember } = require('../lib/auth');
+const {
+    isValidConversationId,
+    canAccessConversation,
+    getConversation,
+    listConversations,
+    deleteConversation,
+} = require('../lib/conversations');
+
+const router = express.Router();
+
+const KEEPALIVE_INTERVAL_MS = 25000;
+
+router.use(requireMember);
+
+router.param('id', (req, res, next, id) => {
+    if (!isValidConversationId(id)) {
+        return res.status(400).json({ error: 'Invalid conversation ID' });
+    }
+    // Other members' conversations look the same as missing ones
+    const conversation = getConversation(id);
+    if (conversation && !canAccessConversation(conversation, req.member)) {
+        return res.status(404).json({ error: 'Conversation not found' });
+    }
+    req.conversation = conversation;
+    next();
+});
+
+/**
+ * GET /api/conversations
+ * Lists the signed-in member's conversation summaries, most recent first
+ */
+router.get('/', (req, res) => {
+    console.log('[API] GET /api/conversations');
+    res.json({ conversations: listConversations({ memberId: req.member.id }) });
+});
+
+/**
+ * GET /api/conversations/:id
+ * Returns a conversation with its full message history (including tool calls and results)
+ */
+router.get('/:id', (req, res) => {
+    if (!req.conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(req.conversation);
+});
+
+/**
+ * DELETE /api/conversations/:id
+ * Deletes a conversation
+ */
+router.delete('/:id', (req, res) => {
+    console.log(`[API] DELETE /api/conversations/${req.params.id}`);
+    if (!req.conversation || !deleteConversation(req.params.id)) {
+        return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.status(204).end();
+});
+
+/**
+ * GET /api/conversations/:id/events
+ * Long-lived SSE stream of server-initiated events (e.g. payment_received); the conversation
+ * must exist, so nobody can wait on an ID another member is about to use
+ */
+router.get('/:id/events', (req, res) => {
+    if (!req.conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    subscribe(req.params.id, res);
+
+    // SSE comment lines keep proxies from closing an idle connection
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+    res.on('close', () => clearInterval(keepalive));
+});
+
+module.exports = router;
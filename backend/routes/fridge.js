@@ -0,0 +1,56 @@
+/**
+ * Fridge Routes
+ *
+ * REST API for viewing and restocking the fridge inventory.
+ */
+
+const express = require('express');
+const { listItems, getItem, restock } = require('../lib/fridge/catalog');
+const { requireAdmin } = require('../lib/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/fridge/stock
+ * Lists all catalog items with their stock levels
+ */
+router.get('/stock', (req, res) => {
+    console.log('[API] GET /api/fridge/stock');
+    res.json({ items: listItems() });
+});
+
+/**
+ * GET /api/fridge/stock/:productId
+ * Returns a single catalog item
+ */
+router.get('/stock/:productId', (req, res) => {
+    const item = getItem(req.params.productId);
+    if (!item) {
+        return res.status(404).json({ error: 'Product not found in fridge catalog' });
+    }
+    res.json(item);
+});
+
+/**
+ * POST /api/fridge/stock/:productId/restock
+ * Adds units of a Stripe product to the fridge (admins only)
+ * Body: { quantity, name?, priceId?, unitAmount?, currency? }
+ */
+router.post('/stock/:productId/restock', requireAdmin, (req, res) => {
+    const { productId } = req.params;
+    const { quantity, name, priceId, unitAmount, currency } = req.body || {};
+    console.log(`[API] POST /api/fridge/stock/${productId}/restock - +${quantity}`);
+
+    if (!productId.startsWith('prod_')) {
+        return res.status(400).json({ error: 'productId must be a Stripe product ID (prod_...)' });
+    }
+
+    try {
+        const item = restock(productId, quantity, { name, priceId, unitAmount, currency });
+        res.json(item);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+/**
+ * Group Order Routes
+ *
+ * REST API behind the group order card and the shared join link
+ * (/?group=<id>). The chat drives the same lifecycle through local tools.
+ */
+
+const express = require('express');
+const { requireMember } = require('../lib/auth');
+const { accessibleConversationId } = require('../lib/conversations');
+const {
+    toGroupOrderView,
+    getGroupOrder,
+    listGroupOrders,
+    createGroupOrder,
+    joinGroupOrder,
+    setParticipantItems,
+    cancelGroupOrder,
+    lockGroupOrder,
+} = require('../lib/group-orders');
+
+const router = express.Router();
+
+router.use(requireMember);
+
+/**
+ * Replies with the member's view of a group order, or the error status set by lib/group-orders
+ */
+async function respond(res, action) {
+    try {
+        const group = await action();
+        res.json(toGroupOrderView(group, res.req.member.id));
+    } catch (error) {
+        res.status(error.status || 400).json({ error: error.message });
+    }
+}
+
+/**
+ * The chat that should receive updates, if the client sent one of the member's own conversations
+ */
+function conversationIdFrom(req) {
+    return accessibleConversationId(req.body?.conversationId, req.member);
+}
+
+/**
+ * GET /api/group-orders
+ * Lists the group orders the signed-in member takes part in
+ */
+router.get('/', (req, res) => {
+    console.log('[API] GET /api/group-orders');
+    const groups = listGroupOrders({ memberId: req.member.id });
+    res.json({ group_orders: groups.map((group) => toGroupOrderView(group, req.member.id)) });
+});
+
+/**
+ * POST /api/group-orders
+ * Starts a group order
+ * Body: { title?, splitMode?, conversationId? }
+ */
+router.post('/', (req, res) => {
+    console.log('[API] POST /api/group-orders');
+    respond(res, () => createGroupOrder({
+        host: req.member,
+        conversationId: conversationIdFrom(req),
+        title: req.body?.title,
+        splitMode: req.body?.splitMode,
+    }));
+});
+
+/**
+ * GET /api/group-orders/:id
+ * Returns a group order (anyone with the link can look before joining)
+ */
+router.get('/:id', (req, res) => {
+    respond(res, () => {
+        const group = getGroupOrder(req.params.id);
+        if (!group) {
+            throw Object.assign(new Error('Group order not found'), { status: 404 });
+        }
+        return group;
+    });
+});
+
+/**
+ * POST /api/group-orders/:id/join
+ * Joins a group order
+ * Body: { conversationId? }
+ */
+router.post('/:id/join', (req, res) => {
+    console.log(`[API] POST /api/group-orders/${req.params.id}/join`);
+    respond(res, () => joinGroupOrder(req.params.id, req.member, conversationIdFrom(req)));
+});
+
+/**
+ * PUT /api/group-orders/:id/items
+ * Replaces the signed-in member's items
+ * Body: { items: [{ productId, quantity }] }
+ */
+router.put('/:id/items', (req, res) => {
+    console.log(`[API] PUT /api/group-orders/${req.params.id}/items`);
+    respond(res, () => setParticipantItems(req.params.id, req.member, req.body?.items));
+});
+
+/**
+ * POST /api/group-orders/:id/lock
+ * Locks the group order and creates its payment links (host only)
+ * Body: { splitMode? }
+ */
+router.post('/:id/lock', (req, res) => {
+    console.log(`[API] POST /api/group-orders/${req.params.id}/lock`);
+    respond(res, () => lockGroupOrder(req.params.id, req.member, { splitMode: req.body?.splitMode }));
+});
+
+/**
+ * POST /api/group-orders/:id/cancel
+ * Cancels an open group order (host only)
+ */
+router.post('/:id/cancel', (req, res) => {
+    console.log(`[API] POST /api/group-orders/${req.params.id}/cancel`);
+    respond(res, () => cancelGroupOrder(req.params.id, req.member));
+});
+
+module.exports = router;
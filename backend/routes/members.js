@@ -0,0 +1,97 @@
+/**
+ * Member Routes
+ *
+ * Admin API for managing hub members and their Stripe customers.
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const {
+    listMembers,
+    getMember,
+    createMember,
+    updateMember,
+    deleteMember,
+    ensureStripeCustomer,
+} = require('../lib/members');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/members
+ * Lists all members
+ */
+router.get('/', (req, res) => {
+    console.log('[API] GET /api/members');
+    res.json({ members: listMembers() });
+});
+
+/**
+ * POST /api/members
+ * Creates a member. Without a stripeCustomerId the member is linked to the
+ * Stripe customer with the same email, or a new one.
+ * Body: { name, email, role?, pin?, stripeCustomerId? }
+ */
+router.post('/', async (req, res) => {
+    const { name, email, role, pin, stripeCustomerId } = req.body || {};
+    console.log('[API] POST /api/members');
+
+    let member;
+    try {
+        member = createMember({ name, email, role, pin, stripeCustomerId });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    res.status(201).json(await ensureStripeCustomer(member));
+});
+
+/**
+ * GET /api/members/:id
+ * Returns a member
+ */
+router.get('/:id', (req, res) => {
+    const member = getMember(req.params.id);
+    if (!member) {
+        return res.status(404).json({ error: 'Member not found' });
+    }
+    res.json(member);
+});
+
+/**
+ * PATCH /api/members/:id
+ * Updates a member (set pin or stripeCustomerId to null to clear it)
+ * Body: { name?, email?, role?, pin?, stripeCustomerId? }
+ */
+router.patch('/:id', (req, res) => {
+    const { name, email, role, pin, stripeCustomerId } = req.body || {};
+    console.log(`[API] PATCH /api/members/${req.params.id}`);
+
+    try {
+        const member = updateMember(req.params.id, { name, email, role, pin, stripeCustomerId });
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        res.json(member);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/members/:id
+ * Deletes a member and signs them out everywhere
+ */
+router.delete('/:id', (req, res) => {
+    console.log(`[API] DELETE /api/members/${req.params.id}`);
+    if (req.params.id === req.member.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (!deleteMember(req.params.id)) {
+        return res.status(404).json({ error: 'Member not found' });
+    }
+    res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+/**
+ * Monitoring Routes
+ *
+ * GET /healthz  Liveness: the process is up and serving requests
+ * GET /readyz   Readiness: credentials are configured and the MCP tool cache is warm
+ * GET /metrics  Prometheus metrics (see lib/metrics)
+ *
+ * Probes are frequent, so they are not logged; readiness changes are.
+ * When METRICS_TOKEN is set, /metrics requires "Authorization: Bearer <token>".
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { renderMetrics } = require('../lib/metrics');
+const { refreshToolCache, getToolCacheStatus } = require('../lib/mcp/tools');
+const { getLLMConfigError } = require('../lib/llm');
+const { createLogger } = require('../lib/logger');
+
+const router = express.Router();
+const log = createLogger('Monitoring');
+
+// ============================================================================
+// READINESS
+// ============================================================================
+
+let lastReady = null;
+
+/**
+ * Runs the readiness checks
+ * @returns {Record<string, { ok: boolean, error?: string }>}
+ */
+function runReadinessChecks() {
+    const llmConfigError = getLLMConfigError();
+    const toolCache = getToolCacheStatus();
+    if (!toolCache.warm) {
+        // Retried by each probe until the servers answer (a fetch in progress is shared)
+        refreshToolCache('readiness probe').catch(() => {});
+    }
+
+    return {
+        stripe_key: process.env.STRIPE_SECRET_KEY
+            ? { ok: true }
+            : { ok: false, error: 'STRIPE_SECRET_KEY is not configured' },
+        llm_key: llmConfigError ? { ok: false, error: llmConfigError } : { ok: true },
+        tool_cache: toolCache.warm
+            ? { ok: true, tools: toolCache.toolCount, age_seconds: Math.round(toolCache.ageMs / 1000) }
+            : { ok: false, error: 'MCP tools have not been fetched yet' },
+    };
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * GET /healthz
+ * Liveness probe
+ */
+router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+});
+
+/**
+ * GET /readyz
+ * Readiness probe: 200 when every check passes, 503 otherwise
+ */
+router.get('/readyz', (req, res) => {
+    const checks = runReadinessChecks();
+    const ready = Object.values(checks).every((check) => check.ok);
+
+    if (ready !== lastReady) {
+        const failing = Object.entries(checks).filter(([, check]) => !check.ok).map(([name, check]) => `${name}: ${check.error}`);
+        log.info(ready ? 'Ready' : `Not ready (${failing.join('; ')})`);
+        lastReady = ready;
+    }
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+/**
+ * GET /metrics
+ * Prometheus text format
+ */
+router.get('/metrics', (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token) {
+        const expected = Buffer.from(`Bearer ${token}`);
+        const given = Buffer.from(req.headers.authorization || '');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return res.status(401).type('text/plain').send('Unauthorized\n');
+        }
+    }
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+module.exports = router;
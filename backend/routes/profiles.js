@@ -0,0 +1,24 @@
+/**
+ * Profile Routes
+ *
+ * Lists the agent profiles the signed-in member can chat with.
+ */
+
+const express = require('express');
+const { requireMember } = require('../lib/auth');
+const { listProfiles } = require('../lib/profiles');
+
+const router = express.Router();
+
+router.use(requireMember);
+
+/**
+ * GET /api/profiles
+ * Lists the profiles available to the signed-in member
+ */
+router.get('/', (req, res) => {
+    console.log('[API] GET /api/profiles');
+    res.json({ profiles: listProfiles(req.member) });
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+/**
+ * Stripe Routes
+ *
+ * Webhook endpoint that confirms payments for orders created by the agent.
+ * Must be mounted before express.json() so the raw body is available for
+ * signature verification.
+ */
+
+const express = require('express');
+const { constructEvent } = require('../lib/stripe-webhook');
+const { handleStripeEvent } = require('../lib/orders');
+
+const router = express.Router();
+
+/**
+ * POST /api/stripe/webhook
+ * Receives signed Stripe events
+ */
+router.post('/webhook', express.raw({ type: '*/*' }), (req, res) => {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+        console.error('[Webhook] ERROR: STRIPE_WEBHOOK_SECRET is not configured');
+        return res.status(500).json({ error: 'STRIPE_WEBHOOK_SECRET is not configured' });
+    }
+
+    let event;
+    try {
+        event = constructEvent(req.body, req.get('stripe-signature'), secret);
+    } catch (error) {
+        console.warn('[Webhook] Signature verification failed:', error.message);
+        return res.status(400).json({ error: `Webhook signature verification failed: ${error.message}` });
+    }
+
+    console.log(`[Webhook] Received ${event.type} (${event.id})`);
+
+    try {
+        const { duplicate, order } = handleStripeEvent(event);
+        res.json({ received: true, duplicate, order_id: order?.id || null });
+    } catch (error) {
+        console.error(`[Webhook] Failed to handle ${event.type}:`, error.message);
+        // Non-2xx makes Stripe retry the delivery later
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
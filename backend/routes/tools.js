@@ -0,0 +1,76 @@
+/**
+ * Tool Cache Routes
+ *
+ * Admin API to inspect the cached MCP tools and refresh them (see lib/mcp/tools).
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const { refreshToolCache, getToolCacheStatus, listCachedTools, isReadOnlyTool } = require('../lib/mcp/tools');
+const { createLogger } = require('../lib/logger');
+
+const router = express.Router();
+const log = createLogger('API');
+
+router.use(requireAdmin);
+
+/**
+ * Describes the cache and its tools
+ */
+function describeCache() {
+    const status = getToolCacheStatus();
+    const toIso = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+    return {
+        cache: {
+            warm: status.warm,
+            source: status.source,
+            tool_count: status.toolCount,
+            age_seconds: status.ageMs === null ? null : Math.round(status.ageMs / 1000),
+            refreshing: status.refreshing,
+            last_success_at: toIso(status.lastSuccessAt),
+            last_fetch: status.lastFetch && {
+                at: toIso(status.lastFetch.at),
+                ok: status.lastFetch.ok,
+                reason: status.lastFetch.reason,
+                elapsed_ms: status.lastFetch.elapsedMs,
+                error: status.lastFetch.error || null,
+            },
+            ttl_seconds: Math.round(status.ttlMs / 1000),
+            refresh_interval_seconds: Math.round(status.refreshIntervalMs / 1000),
+            persisted: status.persisted,
+        },
+        tools: listCachedTools().map(({ server, name, tool }) => ({
+            name,
+            server,
+            description: tool.description || null,
+            read_only: isReadOnlyTool(name),
+            annotations: tool.annotations || null,
+            input_schema: tool.inputSchema || null,
+        })),
+    };
+}
+
+/**
+ * GET /api/admin/tools
+ * The cached tools and when they were fetched
+ */
+router.get('/', (req, res) => {
+    log.info('GET /api/admin/tools');
+    res.json(describeCache());
+});
+
+/**
+ * POST /api/admin/tools/refresh
+ * Fetches the tools from the MCP servers now; 502 (with the tools still cached) when that fails
+ */
+router.post('/refresh', async (req, res) => {
+    log.info(`POST /api/admin/tools/refresh by ${req.member.id}`);
+    try {
+        await refreshToolCache(`admin ${req.member.id}`);
+        res.json(describeCache());
+    } catch (error) {
+        res.status(502).json({ error: `Failed to fetch the tools: ${error.message}`, ...describeCache() });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Creates a hub member (use --admin for the first account)
+ *
+ * Usage:
+ *   node scripts/create-member.js --name "Ada Lovelace" --email ada@example.com [--pin 1234] [--customer cus_...] [--admin]
+ *
+ * Writes to the members store in DATA_DIR directly, so it works while the
+ * server is running. Without --customer the member is linked to a Stripe
+ * customer the first time they chat.
+ */
+
+const path = require('path');
+
+try {
+    require('dotenv').config({ path: path.join(__dirname, '../.env') });
+} catch (e) {
+    // dotenv is optional here
+}
+
+const { createMember } = require('../lib/members');
+
+function parseArgs(argv) {
+    const options = { role: 'member' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--name') options.name = argv[++i];
+        else if (arg === '--email') options.email = argv[++i];
+        else if (arg === '--pin') options.pin = argv[++i];
+        else if (arg === '--customer') options.stripeCustomerId = argv[++i];
+        else if (arg === '--admin') options.role = 'admin';
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    if (!options.name || !options.email) {
+        console.error('Usage: node scripts/create-member.js --name "..." --email ... [--pin 1234] [--customer cus_...] [--admin]');
+        process.exit(1);
+    }
+
+    try {
+        const member = createMember(options);
+        console.log(`Created ${member.role} ${member.name} <${member.email}> (${member.id})`);
+        if (!options.pin) {
+            console.log('No PIN set: sign in with a magic link (printed in the server log)');
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+main();
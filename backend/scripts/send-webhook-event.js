@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Sends a signed Stripe webhook fixture to the local server
+ *
+ * Usage:
+ *   node scripts/send-webhook-event.js <fixture> [--payment-link plink_...] [--payment-intent pi_...] [--url http://...]
+ *
+ * <fixture> is a file in fixtures/stripe-events (with or without .json) or a path.
+ * Signs with STRIPE_WEBHOOK_SECRET, so no Stripe CLI or network access is needed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+try {
+    require('dotenv').config({ path: path.join(__dirname, '../.env') });
+} catch (e) {
+    // dotenv is optional here
+}
+
+const { generateSignatureHeader } = require('../lib/stripe-webhook');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures/stripe-events');
+
+function parseArgs(argv) {
+    const options = { fixture: null, url: `http://localhost:${process.env.PORT || 3000}/api/stripe/webhook` };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--payment-link') options.paymentLink = argv[++i];
+        else if (arg === '--payment-intent') options.paymentIntent = argv[++i];
+        else if (arg === '--url') options.url = argv[++i];
+        else if (arg === '--keep-id') options.keepId = true;
+        else options.fixture = arg;
+    }
+    return options;
+}
+
+function resolveFixture(name) {
+    const candidates = [name, path.join(FIXTURES_DIR, name), path.join(FIXTURES_DIR, `${name}.json`)];
+    const found = candidates.find((candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+    if (!found) {
+        const available = fs.readdirSync(FIXTURES_DIR).join(', ');
+        throw new Error(`Fixture not found: ${name} (available: ${available})`);
+    }
+    return found;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.fixture) {
+        console.error('Usage: node scripts/send-webhook-event.js <fixture> [--payment-link plink_...] [--payment-intent pi_...] [--url ...]');
+        process.exit(1);
+    }
+
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+        console.error('STRIPE_WEBHOOK_SECRET is not configured');
+        process.exit(1);
+    }
+
+    const event = JSON.parse(fs.readFileSync(resolveFixture(options.fixture), 'utf8'));
+    const object = event.data.object;
+
+    // Fresh event and checkout session IDs so the server's de-duplication does not
+    // swallow repeated sends (a shared payment link gets one session per payer)
+    if (!options.keepId) {
+        event.id = `evt_test_${crypto.randomBytes(8).toString('hex')}`;
+        if (object.object === 'checkout.session') {
+            object.id = `cs_test_${crypto.randomBytes(8).toString('hex')}`;
+            if (object.payment_intent) {
+                object.payment_intent = `pi_test_${crypto.randomBytes(8).toString('hex')}`;
+            }
+        }
+    }
+    event.created = Math.floor(Date.now() / 1000);
+    if (options.paymentLink && 'payment_link' in object) {
+        object.payment_link = options.paymentLink;
+    }
+    if (options.paymentIntent) {
+        if (object.object === 'payment_intent') object.id = options.paymentIntent;
+        else if ('payment_intent' in object) object.payment_intent = options.paymentIntent;
+    }
+
+    const payload = JSON.stringify(event, null, 2);
+    const response = await fetch(options.url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Stripe-Signature': generateSignatureHeader(payload, secret),
+        },
+        body: payload,
+    });
+
+    console.log(`${event.type} (${event.id}) -> ${response.status}`, await response.text());
+    process.exit(response.ok ? 0 : 1);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
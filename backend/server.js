@@ -4,6 +4,16 @@
  * Provides streaming chat API with Stripe MCP tool integration
  */
 
+// Structured JSON logs from here on, console.* included (see lib/logger)
+const {
+    createLogger,
+    installConsoleLogger,
+    correlationMiddleware,
+    addLogContext,
+} = require('./lib/logger');
+installConsoleLogger();
+const toolLog = createLogger('ToolCall');
+
 // Load environment variables from .env file if available
 try {
     require('dotenv').config();
@@ -12,29 +22,76 @@ try {
     console.warn('[Config] dotenv not available:', e.message);
 }
 
-// Log environment variable status (without exposing values)
+// Log which credentials are configured (never any part of their values)
 console.log('[Config] Environment check:', {
+    llmProvider: process.env.LLM_PROVIDER || 'dat1',
+    hasLLMKey: !!process.env.LLM_API_KEY,
     hasDat1Key: !!process.env.DAT1_API_KEY,
     hasStripeKey: !!process.env.STRIPE_SECRET_KEY,
-    dat1KeyLength: process.env.DAT1_API_KEY ? process.env.DAT1_API_KEY.length : 0,
-    stripeKeyLength: process.env.STRIPE_SECRET_KEY ? process.env.STRIPE_SECRET_KEY.length : 0,
-    stripeKeyPrefix: process.env.STRIPE_SECRET_KEY ? process.env.STRIPE_SECRET_KEY.substring(0, 7) : 'missing'
+    stripeMode: process.env.STRIPE_SECRET_KEY?.includes('_live_') ? 'live' : 'test',
 });
 
 const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const { getStripeTools } = require('./lib/mcp/tools');
-const { callStripeMCPTool } = require('./lib/mcp/stripe-mcp');
+const { getMCPTools, startToolCache, isReadOnlyTool, validateToolArguments } = require('./lib/mcp/tools');
+const { formatValidationErrors } = require('./lib/mcp/schema');
+const { stableStringify, buildCallKey } = require('./lib/mcp/repeat-guard');
+const { callMCPTool, parseNamespacedName, closeAll: closeMCPClients } = require('./lib/mcp/registry');
+const { STRIPE_SERVER_NAME } = require('./lib/mcp/stripe-mcp');
+const { getLLMConfig, getLLMConfigError, makeLLMRequest } = require('./lib/llm');
+const { getLocalTools, isLocalTool, callLocalTool } = require('./lib/local-tools');
+const { recordPaymentLinkOrder } = require('./lib/orders');
+const { buildCheckouts } = require('./lib/checkout');
+const {
+    isValidConversationId,
+    canAccessConversation,
+    getConversation,
+    appendMessages,
+    beginTurn,
+    endTurn,
+    getModelContext,
+    saveSummary,
+} = require('./lib/conversations');
+const { summarizeArguments } = require('./lib/redact');
+const { readSSEEvents } = require('./lib/sse');
+const { requiresApproval, requestApproval, resolveApproval, cancelApprovals } = require('./lib/approvals');
+const { loadMember, requireMember } = require('./lib/auth');
+const { ensureStripeCustomer, listMembers } = require('./lib/members');
+const { buildMemberSystemMessage, filterToolsForMember, applyMemberScope } = require('./lib/member-scope');
+const {
+    loadProfiles,
+    resolveProfile,
+    filterToolsForProfile,
+    buildProfileSystemMessage,
+    stripSystemMessages,
+} = require('./lib/profiles');
+const { evaluateToolCall, formatDenial } = require('./lib/policy');
+const { chatRateLimit, toolCallRateLimit, checkSpendCap, runWithSpendCap, formatLimit } = require('./lib/limits');
+const { recordStripeAction } = require('./lib/audit-log');
+const { limitToolResult, buildSummaryMessage, fitToBudget, describeBudget } = require('./lib/context');
+const { TOOL_REFERENCE_PROMPT, runToolCalls } = require('./lib/tool-scheduler');
+const {
+    httpMetricsMiddleware,
+    secondsSince,
+    llmTokens,
+    toolCalls: toolCallsMetric,
+    toolExecutionDuration,
+    chatRequests,
+    agentIterations,
+} = require('./lib/metrics');
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
-const DAT1_API_URL = 'https://api.dat1.co/api/v1/collection/gpt-120-oss/invoke-chat';
+// Used when a profile does not set its own
 const DEFAULT_TEMPERATURE = 0.7;
 const DEFAULT_MAX_TOKENS = 5000;
 const PORT = process.env.PORT || 3000;
+// Wall-clock limits for one chat request (every iteration included) and for each tool call in it
+const CHAT_REQUEST_TIMEOUT_MS = parseInt(process.env.CHAT_REQUEST_TIMEOUT_MS, 10) || 120000;
+const TOOL_CALL_TIMEOUT_MS = parseInt(process.env.TOOL_CALL_TIMEOUT_MS, 10) || 30000;
 
 // ============================================================================
 // SERVER SETUP
@@ -42,130 +99,301 @@ const PORT = process.env.PORT || 3000;
 
 const app = express();
 
+// Behind a reverse proxy, e.g. TRUST_PROXY=1, so rate limits see the client's IP (req.ip)
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+app.use(correlationMiddleware);
+app.use(httpMetricsMiddleware);
 app.use(cors());
+// Webhooks need the raw body for signature verification, so mount before express.json()
+app.use('/api/stripe', require('./routes/stripe'));
 app.use(express.json());
+app.use(require('./routes/monitoring'));
 app.use(express.static(path.join(__dirname, '../frontend')));
+app.use(loadMember);
+
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/members', require('./routes/members'));
+app.use('/api/fridge', require('./routes/fridge'));
+app.use('/api/conversations', require('./routes/conversations'));
+app.use('/api/group-orders', require('./routes/group-orders'));
+app.use('/api/profiles', require('./routes/profiles'));
+app.use('/api/admin/audit-log', require('./routes/audit-log'));
+app.use('/api/admin/tools', require('./routes/tools'));
+app.use('/api/admin', require('./routes/admin'));
 
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
 
 /**
- * Parses SSE chunk and extracts JSON data
+ * Writes a JSON payload to the client as an SSE data event
+ *
+ * Events sent to the client all carry a "type": content, usage (with the
+ * context budget, see lib/context), error, limit_exceeded (a rate limit or
+ * spend cap refused the chat or a tool call, see lib/limits), checkout (a
+ * payment card for a Stripe payment link, see lib/checkout),
+ * tool_call_started/finished/failed and approval_required/resolved,
+ * followed by a final "data: [DONE]". Tool call events for a repeated call
+ * carry "duplicate_of" with the ID of the call whose result was reused.
  */
-function parseSSEChunk(chunk) {
-    const lines = chunk.split('\n');
-    
-    for (const line of lines) {
-        if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            
-            if (data === '[DONE]') {
-                return null;
-            }
+function sendEvent(res, payload) {
+    // Tool calls that outlive a disconnected client still report here
+    if (res.destroyed || res.writableEnded) {
+        return;
+    }
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
 
-            try {
-                return JSON.parse(data);
-            } catch (e) {
-                continue;
-            }
-        }
+/**
+ * Creates a signal that aborts after a delay, with an Error carrying the given message as the reason
+ * @param {number} ms - Delay
+ * @param {string} message - Reason message
+ * @returns {AbortSignal}
+ */
+function abortAfter(ms, message) {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error(message)), ms).unref();
+    return controller.signal;
+}
+
+/**
+ * Parses tool arguments for display and records, keeping the raw text when it is not valid JSON
+ * (executeToolCall reports the parse error if the call goes ahead)
+ */
+function parseToolArgumentsLoosely(toolArguments) {
+    try {
+        return toolArguments ? JSON.parse(toolArguments) : {};
+    } catch (e) {
+        return { _raw: toolArguments };
+    }
+}
+
+/**
+ * Tool arguments as executeToolCall will send them, with the member's scope applied (e.g. their
+ * own `customer`), for the checks made before a call
+ * @returns {Record<string, any>|null} Null when the arguments are not JSON or the scope refuses
+ *   the call; executeToolCall reports either
+ */
+function scopeToolArguments(toolName, parsedArgs, member) {
+    if (parsedArgs._raw !== undefined) {
+        return null;
     }
+    try {
+        return applyMemberScope(toolName, parsedArgs, member);
+    } catch (e) {
+        return null;
+    }
+}
 
-    return null;
+/**
+ * Identifies calls to the same tool with the same arguments, or null when the arguments don't parse
+ */
+function getDuplicateKey(toolCall) {
+    try {
+        const args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+        return `${toolCall.function.name}:${stableStringify(args)}`;
+    } catch (e) {
+        return null;
+    }
 }
 
 /**
- * Executes a tool call via Stripe MCP
+ * Records an agent's Stripe tool call in the audit log; other MCP servers and local tools are not audited
+ * @param {string} toolName - Namespaced tool name
+ * @param {{ conversationId?: string, member?: any, profile?: any }} context - Tool call context
+ * @param {{ arguments: any, outcome: string, error?: string|null, resultText?: string, elapsedMs?: number }} details
  */
-async function executeToolCall(toolName, toolArguments) {
-    console.log(`[ToolCall] Executing ${toolName}`, {
-        argumentsLength: toolArguments ? toolArguments.length : 0
+function auditToolCall(toolName, context, details) {
+    const target = parseNamespacedName(toolName);
+    if (target?.server !== STRIPE_SERVER_NAME) {
+        return;
+    }
+    recordStripeAction({
+        source: 'agent',
+        member: context.member,
+        conversationId: context.conversationId,
+        profileId: context.profile?.id,
+        tool: target.tool,
+        ...details,
     });
+}
+
+/**
+ * Asks the client to approve a state-changing tool call and waits for the decision
+ * @param {string} memberId - Member the chat runs for, who alone may decide
+ * @returns {Promise<{ approved: boolean, reason?: string }>}
+ */
+async function awaitToolApproval(res, toolCall, pendingApprovalIds, memberId) {
+    const parsedArgs = parseToolArgumentsLoosely(toolCall.function.arguments);
+
+    const { id, decision } = requestApproval(toolCall.function.name, parsedArgs, memberId);
+    pendingApprovalIds.add(id);
+
+    sendEvent(res, {
+        type: 'approval_required',
+        approval: {
+            id,
+            tool_call_id: toolCall.id,
+            tool: toolCall.function.name,
+            arguments: parsedArgs,
+        },
+    });
+
+    const result = await decision;
+    pendingApprovalIds.delete(id);
+
+    if (!res.writableEnded) {
+        sendEvent(res, {
+            type: 'approval_resolved',
+            approval: { id, approved: result.approved, reason: result.reason },
+        });
+    }
+    return result;
+}
+
+/**
+ * Saves messages to the conversation history; persistence problems never break the chat
+ */
+function persistMessages(conversationId, messages, owner) {
+    if (!conversationId || messages.length === 0) {
+        return;
+    }
+    try {
+        appendMessages(conversationId, messages, owner);
+    } catch (error) {
+        console.error(`[API] Failed to save messages for ${conversationId}:`, error.message);
+    }
+}
+
+/**
+ * Saves a conversation's running summary; like persistMessages, failures never break the chat
+ */
+function persistSummary(conversationId, summary) {
+    if (!conversationId) {
+        return;
+    }
+    try {
+        saveSummary(conversationId, summary);
+    } catch (error) {
+        console.error(`[API] Failed to save the summary of ${conversationId}:`, error.message);
+    }
+}
+
+/**
+ * Executes a tool call via a local handler or the MCP server it belongs to
+ *
+ * context.member scopes Stripe tools to the signed-in member (see lib/member-scope).
+ * Stripe calls are recorded in the audit log with their full, scoped arguments.
+ * Read-only MCP tools are retried on transient errors and rate limits; mutating ones are sent
+ * once, and a repeat of the same call (conversation, context.toolCallId and arguments) in this
+ * process gets the first result back. Stripe does not de-duplicate them
+ * (see lib/mcp/repeat-guard).
+ * context.signal aborts the MCP call (local tools run to completion).
+ * Money-moving Stripe calls are checked against the member's daily spend cap (see lib/limits).
+ * Payment links and Checkout URLs in the result come back as checkout cards (see lib/checkout).
+ * @returns {Promise<{ content: string, error: string|null, limit?: any, checkouts?: Array }>} Result text for
+ *   the model, the error if the call failed, the limit it broke if that is why, and the checkout cards
+ */
+async function executeToolCall(toolName, toolArguments, context = {}) {
+    const logFields = { tool: toolName, toolCallId: context.toolCallId };
+    toolLog.info(`Executing ${toolName}`, { ...logFields, argumentsLength: toolArguments ? toolArguments.length : 0 });
     const startTime = Date.now();
+    // Set once the member's scope has been applied, so failures are audited with what was actually sent
+    let scopedArgs = null;
     try {
         let parsedArgs = {};
         
         if (toolArguments) {
             try {
                 parsedArgs = JSON.parse(toolArguments);
-                console.log(`[ToolCall] Parsed arguments for ${toolName}`);
+                toolLog.debug(`Parsed arguments for ${toolName}`, { ...logFields, arguments: parsedArgs });
             } catch (parseError) {
-                console.error(`[ToolCall] Failed to parse arguments for ${toolName}:`, parseError.message);
+                toolLog.error(`Failed to parse arguments for ${toolName}`, { ...logFields, error: parseError.message });
                 throw new Error(`Invalid tool arguments JSON: ${parseError.message}`);
             }
         }
 
-        const result = await callStripeMCPTool(toolName, parsedArgs);
+        if (isLocalTool(toolName)) {
+            const localResult = await callLocalTool(toolName, parsedArgs, context);
+            toolLog.info(`Local tool ${toolName} returned result`, { ...logFields, elapsedMs: Date.now() - startTime });
+            return { content: localResult, error: null };
+        }
+
+        parsedArgs = applyMemberScope(toolName, parsedArgs, context.member);
+        scopedArgs = parsedArgs;
+        const readOnly = isReadOnlyTool(toolName);
+        const callKey = readOnly ? undefined : buildCallKey({
+            scope: context.conversationId || context.member?.id,
+            operationId: context.toolCallId,
+            toolName,
+            args: parsedArgs,
+        });
+        const result = await runWithSpendCap(
+            { toolName, args: parsedArgs, member: context.member, signal: context.signal },
+            () => callMCPTool(toolName, parsedArgs, { readOnly, callKey, signal: context.signal })
+        );
         const elapsed = Date.now() - startTime;
-        console.log(`[ToolCall] ${toolName} returned result (${elapsed}ms)`);
-        
+        toolLog.info(`${toolName} returned result`, { ...logFields, elapsedMs: elapsed, readOnly, isError: !!result?.isError });
+
         // MCP returns result in content array format
+        let resultText = null;
         if (result?.content && Array.isArray(result.content)) {
             const textContent = result.content.find((item) => item.type === 'text');
             if (textContent?.text) {
-                console.log(`[ToolCall] Extracted text content from ${toolName} result`);
-                return textContent.text;
+                resultText = textContent.text;
             }
         }
 
-        // Fallback: stringify the entire result
-        console.log(`[ToolCall] Returning stringified result for ${toolName}`);
-        return JSON.stringify(result);
-    } catch (error) {
-        const elapsed = Date.now() - startTime;
-        const errorMessage = error instanceof Error ? error.message : String(error);
-        console.error(`[ToolCall] ${toolName} failed (${elapsed}ms):`, errorMessage);
-        return JSON.stringify({ error: errorMessage });
-    }
-}
-
-/**
- * Makes a streaming request to dat1 API with tool support
- */
-async function makeDat1Request(messages, tools, temperature, maxTokens) {
-    console.log('[dat1] Making request:', {
-        messageCount: messages.length,
-        toolCount: tools.length,
-        temperature,
-        maxTokens
-    });
-    
-    if (!process.env.DAT1_API_KEY) {
-        console.error('[dat1] ERROR: DAT1_API_KEY is not configured');
-        throw new Error('DAT1_API_KEY is not configured');
-    }
-
-    const requestBody = {
-        messages,
-        temperature,
-        stream: true,
-        max_tokens: maxTokens,
-    };
+        if (resultText === null) {
+            // Fallback: stringify the entire result
+            toolLog.debug(`Returning stringified result for ${toolName}`, logFields);
+            resultText = JSON.stringify(result);
+        }
 
-    // Only include tools if we have any
-    if (tools.length > 0) {
-        requestBody.tools = tools;
-        console.log(`[dat1] Including ${tools.length} tool(s) in request`);
-    }
+        // Remember payment links so webhooks can be matched back to this conversation
+        const target = parseNamespacedName(toolName);
+        if (target?.server === STRIPE_SERVER_NAME && target.tool === 'create_payment_link' && !result?.isError) {
+            recordPaymentLinkOrder({
+                conversationId: context.conversationId,
+                memberId: context.member?.id,
+                toolArguments: parsedArgs,
+                resultText,
+            });
+        }
 
-    const startTime = Date.now();
-    try {
-        const response = await fetch(DAT1_API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-API-Key': process.env.DAT1_API_KEY,
-            },
-            body: JSON.stringify(requestBody),
+        // MCP reports tool-level failures in the result rather than as JSON-RPC errors
+        auditToolCall(toolName, context, {
+            arguments: parsedArgs,
+            outcome: result?.isError ? 'error' : 'success',
+            error: result?.isError ? resultText : null,
+            resultText,
+            elapsedMs: elapsed,
         });
-        const elapsed = Date.now() - startTime;
-        console.log(`[dat1] Request completed (${elapsed}ms):`, response.status);
-        return response;
+        // Every link created gets a card; read results (e.g. a list of links) only when they hold a single one
+        const checkouts = result?.isError ? [] : await buildCheckouts({ resultText, singleOnly: readOnly });
+        return { content: resultText, error: result?.isError ? resultText : null, checkouts };
     } catch (error) {
         const elapsed = Date.now() - startTime;
-        console.error(`[dat1] Request failed (${elapsed}ms):`, error.message);
-        throw error;
+        let errorMessage = error instanceof Error ? error.message : String(error);
+        if (context.signal?.aborted && scopedArgs && !isReadOnlyTool(toolName)) {
+            // The request went out; only the wait for the answer was abandoned
+            errorMessage += ' (the call may still have completed, check before trying again)';
+        }
+        toolLog.error(`${toolName} failed`, { ...logFields, elapsedMs: elapsed, error: errorMessage });
+        auditToolCall(toolName, context, {
+            arguments: scopedArgs ?? parseToolArgumentsLoosely(toolArguments),
+            outcome: error?.limit ? 'denied' : 'error',
+            error: errorMessage,
+            elapsedMs: elapsed,
+        });
+        if (error?.limit) {
+            return { content: formatLimit(error.limit), error: errorMessage, limit: error.limit };
+        }
+        return { content: JSON.stringify({ error: errorMessage }), error: errorMessage };
     }
 }
 
@@ -176,93 +404,382 @@ async function makeDat1Request(messages, tools, temperature, maxTokens) {
 /**
  * POST /api/chat-stream
  * Streaming chat endpoint with Stripe MCP tool support
+ *
+ * Body: { conversationId, message } continues (or starts) a stored conversation;
+ * { messages } runs a stateless chat over the client-supplied history.
+ * Optional "profile" picks the agent profile (see lib/profiles); system
+ * messages in the history are dropped in favour of the profile's prompt.
+ * Requires a signed-in member; the agent acts on their behalf.
  */
-app.post('/api/chat-stream', async (req, res) => {
+app.post('/api/chat-stream', requireMember, async (req, res) => {
     const requestStartTime = Date.now();
-    const { messages } = req.body;
+    const { conversationId } = req.body;
+
+    if (conversationId !== undefined && !isValidConversationId(conversationId)) {
+        return res.status(400).json({ error: 'Invalid conversation ID' });
+    }
+    const existingConversation = conversationId ? getConversation(conversationId) : null;
+    if (existingConversation && !canAccessConversation(existingConversation, req.member)) {
+        return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    let profile;
+    try {
+        profile = resolveProfile(req.body.profile, req.member);
+    } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    // Checked before the message is stored, so a refused message leaves nothing behind
+    const rateLimit = chatRateLimit.check({ ip: req.ip, memberId: req.member.id });
+    if (rateLimit) {
+        chatRequests.inc({ outcome: 'rate_limited' });
+        res.status(429);
+        res.setHeader('Retry-After', String(rateLimit.retry_after_seconds));
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        sendEvent(res, { type: 'limit_exceeded', limit: rateLimit });
+        res.write('data: [DONE]\n\n');
+        return res.end();
+    }
+
+    let messages;
+    // Running summary of a stored conversation, and how many of its stored messages it replaces
+    let storedSummary = { summary: null, summarizedCount: 0 };
+    if (conversationId && typeof req.body.message === 'string') {
+        const userMessage = { role: 'user', content: req.body.message };
+        const { messages: storedMessages, ...summary } = getModelContext(conversationId);
+        storedSummary = summary;
+        messages = [...storedMessages, userMessage];
+        // Webhook messages wait until this request is done (see lib/conversations)
+        beginTurn(conversationId);
+        persistMessages(conversationId, [userMessage], { memberId: req.member.id });
+    } else if (Array.isArray(req.body.messages)) {
+        messages = req.body.messages;
+    } else {
+        return res.status(400).json({ error: 'Expected { conversationId, message } or { messages }' });
+    }
+    messages = stripSystemMessages(messages);
+    // Only conversations the server owns are persisted
+    const storedConversationId = typeof req.body.message === 'string' ? conversationId : null;
+    // Every log line of this chat (LLM, tools, MCP) carries these next to the correlation ID
+    addLogContext({ memberId: req.member.id, conversationId: conversationId || null, profile: profile.id });
     console.log(`[API] POST /api/chat-stream - ${messages.length} messages`);
 
-    if (!process.env.DAT1_API_KEY) {
-        console.error('[API] ERROR: DAT1_API_KEY is not configured');
-        return res.status(500).json({ error: 'DAT1_API_KEY is not configured' });
+    const llmConfigError = getLLMConfigError();
+    if (llmConfigError) {
+        console.error(`[API] ERROR: ${llmConfigError}`);
+        if (storedConversationId) {
+            endTurn(storedConversationId);
+        }
+        return res.status(500).json({ error: llmConfigError });
     }
 
-    // Get Stripe tools (cached)
-    let tools = [];
+    // Cancellation: the client closing the stream (tab closed, stop button) or the wall-clock
+    // limit stops the loop. Rule for work in flight: the LLM stream is abandoned, approvals still
+    // waiting are rejected, read-only tool calls are aborted and no new tool call starts, but
+    // mutating calls already sent run to completion (each within its own timeout) so their
+    // outcome is audited and saved to the conversation. Nothing more is asked of the model.
+    const chatController = new AbortController();
+    const requestSignal = chatController.signal;
+    const pendingApprovalIds = new Set();
+    const cancelChat = (reason) => {
+        if (requestSignal.aborted) return;
+        console.warn(`[API] Cancelling chat (${Date.now() - requestStartTime}ms): ${reason}`);
+        chatController.abort(new Error(reason));
+        if (pendingApprovalIds.size > 0) {
+            cancelApprovals([...pendingApprovalIds], reason);
+        }
+    };
+    const requestTimer = setTimeout(
+        () => cancelChat(`Request timed out after ${CHAT_REQUEST_TIMEOUT_MS}ms`),
+        CHAT_REQUEST_TIMEOUT_MS
+    );
+    res.on('close', () => {
+        clearTimeout(requestTimer);
+        if (!res.writableFinished) {
+            cancelChat('Client disconnected');
+        }
+    });
+
+    // Members added before Stripe was reachable get linked on their next chat
+    const member = await ensureStripeCustomer(req.member);
+
+    // Get MCP tools (cached) plus the server's own tools
+    let tools = getLocalTools();
     const toolsStartTime = Date.now();
     try {
-        console.log('[API] Fetching Stripe tools...');
-        tools = await getStripeTools();
+        console.log('[API] Fetching MCP tools...');
+        const mcpTools = await getMCPTools();
+        tools = [...tools, ...mcpTools];
         const toolsElapsed = Date.now() - toolsStartTime;
-        console.log(`[API] Loaded ${tools.length} Stripe tools (${toolsElapsed}ms)`);
+        console.log(`[API] Loaded ${mcpTools.length} MCP tools (${toolsElapsed}ms)`);
     } catch (error) {
         const toolsElapsed = Date.now() - toolsStartTime;
-        console.error(`[API] Failed to fetch Stripe tools (${toolsElapsed}ms):`, error.message);
+        console.error(`[API] Failed to fetch MCP tools (${toolsElapsed}ms):`, error.message);
         // Continue without tools if fetch fails
     }
+    tools = filterToolsForProfile(filterToolsForMember(tools, member), profile);
+    // Calls to anything else are denied by the policy, whatever the model claims
+    const offeredToolNames = new Set(tools.map((tool) => tool.function.name));
+    const toolContext = { conversationId, member, profile };
+    // Tool calls made so far in this request, so a repeated call is answered from the first one
+    const loopToolCalls = new Map(); // duplicate key -> { toolCallId, readOnly, execution, ok }
 
     // Set up SSE headers
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
 
-    const temperature = req.body.temperature || DEFAULT_TEMPERATURE;
-    const maxTokens = req.body.max_tokens || DEFAULT_MAX_TOKENS;
-    let conversationMessages = [...messages];
+    const temperature = profile.temperature ?? DEFAULT_TEMPERATURE;
+    const maxTokens = profile.maxTokens ?? DEFAULT_MAX_TOKENS;
+    const systemMessages = [buildProfileSystemMessage(profile), buildMemberSystemMessage(member)];
+    if (tools.length > 0) {
+        systemMessages.push({ role: 'system', content: TOOL_REFERENCE_PROMPT });
+    }
+    // The model sees the system messages, the running summary and the history after it (lib/context)
+    let contextSummary = storedSummary.summary;
+    let history = messages;
+    let conversationMessages = [];
+    const contextStats = { summarizedMessages: 0, truncatedToolResults: 0 };
     let iterationCount = 0;
     const MAX_ITERATIONS = 10; // Prevent infinite loops
+    // Text streamed in the current iteration, saved on its own if the chat is cancelled mid-stream
+    let accumulatedContent = '';
+    // How the request ended, for metrics: completed, max_iterations, llm_error, cancelled or error
+    let chatOutcome = 'error';
+
+    /**
+     * Runs one tool call: policy check, approval if needed, then execution
+     * @param {string} position - e.g. "2/3", for logs
+     * @param {string} [notRunReason] - Why the scheduler won't run the call (see lib/tool-scheduler)
+     * @returns {Promise<{ message: any, ok: boolean, output?: string }>} Tool message for the model, whether
+     *   the call succeeded, and its full result text
+     */
+    async function runToolCall(toolCall, position, toolEvent, toolStartTime, notRunReason) {
+        // Large results (e.g. a long list_customers) are shortened before the model sees them
+        const toToolMessage = (content) => {
+            const limited = limitToolResult(content);
+            if (limited.truncated) {
+                contextStats.truncatedToolResults++;
+                console.log(`[Context] Shortened the ${toolCall.function.name} result from about ${limited.originalTokens} tokens`);
+            }
+            return { role: 'tool', content: limited.content, tool_call_id: toolCall.id };
+        };
+        // Names the model made up are counted together, so they can't add series
+        const metricLabels = (outcome) => ({
+            tool: offeredToolNames.has(toolCall.function.name) ? toolCall.function.name : 'unknown',
+            outcome,
+        });
+        const recordOutcome = (outcome) => {
+            toolCallsMetric.inc(metricLabels(outcome));
+            toolExecutionDuration.observe(metricLabels(outcome), secondsSince(toolStartTime));
+        };
+        const reportFailure = (errorMessage, content = JSON.stringify({ error: errorMessage }), outcome = 'error') => {
+            recordOutcome(outcome);
+            const toolElapsed = Date.now() - toolStartTime;
+            console.error(`[API] Tool ${toolCall.function.name} failed (${toolElapsed}ms):`, errorMessage);
+            sendEvent(res, {
+                type: 'tool_call_failed',
+                tool_call: { ...toolEvent, elapsed_ms: toolElapsed, error: errorMessage },
+            });
+            return { message: toToolMessage(content), ok: false };
+        };
+        // Limits are shown in the chat, not only on the tool card
+        const reportLimit = (limit) => {
+            sendEvent(res, { type: 'limit_exceeded', tool_call_id: toolCall.id, limit });
+            return reportFailure(limit.message, formatLimit(limit), limit.code === 'rate_limited' ? 'rate_limited' : 'spend_capped');
+        };
+
+        console.log(`[API] Executing tool ${position}: ${toolCall.function.name}`);
+        sendEvent(res, { type: 'tool_call_started', tool_call: { ...toolEvent, elapsed_ms: 0 } });
+        if (notRunReason) {
+            return reportFailure(`Not run: ${notRunReason}`, undefined, 'skipped');
+        }
+        try {
+            // Checked before asking for approval: nobody should approve a call that can't run
+            const decision = evaluateToolCall({
+                toolName: toolCall.function.name,
+                toolArguments: toolCall.function.arguments,
+                profile,
+                member,
+                offeredToolNames,
+            });
+            if (!decision.allowed) {
+                auditToolCall(toolCall.function.name, toolContext, {
+                    arguments: parseToolArgumentsLoosely(toolCall.function.arguments),
+                    outcome: 'denied',
+                    error: decision.reason,
+                });
+                return reportFailure(`Denied by policy: ${decision.reason}`, formatDenial(decision), 'denied');
+            }
+
+            // Arguments the MCP server would reject go back to the model to fix. They are checked as
+            // they will be sent, so a `customer` the member's scope fills in is never reported missing
+            const looseArgs = parseToolArgumentsLoosely(toolCall.function.arguments);
+            const scopedArgs = scopeToolArguments(toolCall.function.name, looseArgs, member);
+            const parsedArgs = scopedArgs ?? looseArgs;
+            const argumentErrors = scopedArgs ? validateToolArguments(toolCall.function.name, scopedArgs) : [];
+            if (argumentErrors.length > 0) {
+                const summary = argumentErrors.map(({ path, message }) => (path ? `${path}: ${message}` : message)).join('; ');
+                auditToolCall(toolCall.function.name, toolContext, {
+                    arguments: parsedArgs,
+                    outcome: 'denied',
+                    error: `Invalid arguments: ${summary}`,
+                });
+                return reportFailure(
+                    `Invalid arguments: ${summary}`,
+                    formatValidationErrors(toolCall.function.name, argumentErrors),
+                    'invalid_arguments'
+                );
+            }
+
+            // Limits are also checked before approval; the spend cap is checked again when the call runs
+            const limit = toolCallRateLimit.check({ ip: req.ip, memberId: member.id }) ||
+                checkSpendCap({ toolName: toolCall.function.name, args: parsedArgs, member });
+            if (limit) {
+                auditToolCall(toolCall.function.name, toolContext, {
+                    arguments: parsedArgs,
+                    outcome: 'denied',
+                    error: limit.message,
+                });
+                return reportLimit(limit);
+            }
+
+            // Cancelled while the batch started, or while this call waited for approval
+            const notRun = () => reportFailure(`Not run: ${requestSignal.reason.message}`, undefined, 'cancelled');
+            if (requestSignal.aborted) {
+                return notRun();
+            }
+            if (requiresApproval(toolCall.function.name)) {
+                const approval = await awaitToolApproval(res, toolCall, pendingApprovalIds, member.id);
+                if (!approval.approved) {
+                    auditToolCall(toolCall.function.name, toolContext, {
+                        arguments: parseToolArgumentsLoosely(toolCall.function.arguments),
+                        outcome: 'rejected',
+                        error: approval.reason,
+                    });
+                    return reportFailure(`Tool call was not approved: ${approval.reason}`, undefined, 'rejected');
+                }
+            }
+
+            if (requestSignal.aborted) {
+                return notRun();
+            }
+            const timeoutSignal = abortAfter(
+                TOOL_CALL_TIMEOUT_MS,
+                `${toolCall.function.name} timed out after ${TOOL_CALL_TIMEOUT_MS}ms`
+            );
+            const { content, error, limit: executionLimit, checkouts = [] } = await executeToolCall(
+                toolCall.function.name,
+                toolCall.function.arguments,
+                {
+                    ...toolContext,
+                    toolCallId: toolCall.id,
+                    // See the cancellation rule above: only reads are abandoned with the chat
+                    signal: isReadOnlyTool(toolCall.function.name)
+                        ? AbortSignal.any([requestSignal, timeoutSignal])
+                        : timeoutSignal,
+                }
+            );
+            if (executionLimit) {
+                return reportLimit(executionLimit);
+            }
+            if (error) {
+                return reportFailure(error, content);
+            }
+
+            recordOutcome('success');
+            const toolElapsed = Date.now() - toolStartTime;
+            console.log(`[API] Tool ${toolCall.function.name} completed (${toolElapsed}ms)`);
+            sendEvent(res, {
+                type: 'tool_call_finished',
+                tool_call: { ...toolEvent, elapsed_ms: toolElapsed },
+            });
+            for (const checkout of checkouts) {
+                sendEvent(res, { type: 'checkout', tool_call_id: toolCall.id, checkout });
+            }
+            return { message: toToolMessage(content), ok: true, output: content };
+        } catch (error) {
+            return reportFailure(error.message);
+        }
+    }
 
     try {
         while (iterationCount < MAX_ITERATIONS) {
+            accumulatedContent = '';
+            if (requestSignal.aborted) {
+                throw requestSignal.reason;
+            }
             iterationCount++;
             console.log(`[API] Iteration ${iterationCount}/${MAX_ITERATIONS}`);
 
-            // Make request to dat1 API
-            console.log(`[API] Making request to dat1 API with ${conversationMessages.length} messages, ${tools.length} tools`);
-            const dat1StartTime = Date.now();
-            const response = await makeDat1Request(conversationMessages, tools, temperature, maxTokens);
-            const dat1Elapsed = Date.now() - dat1StartTime;
-            console.log(`[API] dat1 API response received (${dat1Elapsed}ms):`, response.status, response.statusText);
+            // Fold older turns into the summary when the prompt nears the token budget
+            const fitted = await fitToBudget({ systemMessages, summary: contextSummary, history, tools, signal: requestSignal });
+            if (fitted.foldedCount > 0) {
+                contextSummary = fitted.summary;
+                history = fitted.history;
+                contextStats.summarizedMessages += fitted.foldedCount;
+                storedSummary.summarizedCount += fitted.foldedCount;
+                persistSummary(storedConversationId, { text: contextSummary, messageCount: storedSummary.summarizedCount });
+            }
+            conversationMessages = [
+                ...systemMessages,
+                ...(contextSummary ? [buildSummaryMessage(contextSummary)] : []),
+                ...history,
+            ];
+
+            // Make request to the configured LLM provider
+            console.log(`[API] Making LLM request with ${conversationMessages.length} messages, ${tools.length} tools`);
+            const llmStartTime = Date.now();
+            const response = await makeLLMRequest(conversationMessages, tools, temperature, maxTokens, {
+                signal: requestSignal,
+            });
+            const llmElapsed = Date.now() - llmStartTime;
+            console.log(`[API] LLM response received (${llmElapsed}ms):`, response.status, response.statusText);
 
             if (!response.ok) {
                 const errorText = await response.text();
-                res.write(`data: ${JSON.stringify({ error: `dat1 API error: ${errorText}` })}\n\n`);
+                sendEvent(res, { type: 'error', error: `${getLLMConfig().provider} API error: ${errorText}` });
                 res.end();
+                chatOutcome = 'llm_error';
                 return;
             }
 
             // Process streaming response
-            const reader = response.body?.getReader();
-            const decoder = new TextDecoder();
-
-            if (!reader) {
-                res.write(`data: ${JSON.stringify({ error: 'Response body is not readable' })}\n\n`);
+            if (!response.body) {
+                sendEvent(res, { type: 'error', error: 'Response body is not readable' });
                 res.end();
+                chatOutcome = 'llm_error';
                 return;
             }
 
-            let accumulatedContent = '';
             let toolCalls = [];
             let finalData = null;
             let hasToolCalls = false;
 
-            // Read streaming chunks
-            while (true) {
-                const { done, value } = await reader.read();
+            // Read streaming events; upstream bytes are never forwarded as-is
+            for await (const event of readSSEEvents(response.body)) {
+                if (event.data === '[DONE]') {
+                    continue;
+                }
 
-                if (done) {
-                    break;
+                let parsed;
+                try {
+                    parsed = JSON.parse(event.data);
+                } catch (e) {
+                    console.warn('[API] Skipping non-JSON upstream event:', event.data.substring(0, 200));
+                    continue;
                 }
 
-                const chunk = decoder.decode(value, { stream: true });
-                const parsed = parseSSEChunk(chunk);
+                if (parsed.error) {
+                    const upstreamError = typeof parsed.error === 'string' ? parsed.error : parsed.error.message;
+                    throw new Error(`${getLLMConfig().provider} stream error: ${upstreamError}`);
+                }
 
-                if (!parsed) {
-                    // Forward [DONE] marker
-                    if (chunk.includes('[DONE]')) {
-                        res.write('data: [DONE]\n\n');
-                    }
-                    continue;
+                // Capture final data (some providers send usage in a chunk without choices)
+                if (parsed.usage || parsed.timings) {
+                    finalData = parsed;
                 }
 
                 // Check for tool calls
@@ -272,8 +789,7 @@ app.post('/api/chat-stream', async (req, res) => {
                     if (choice.delta) {
                         if (choice.delta.content) {
                             accumulatedContent += choice.delta.content;
-                            // Forward content chunks
-                            res.write(chunk + '\n');
+                            sendEvent(res, { type: 'content', content: choice.delta.content });
                         }
 
                         if (choice.delta.tool_calls) {
@@ -303,7 +819,11 @@ app.post('/api/chat-stream', async (req, res) => {
                         }
                     }
 
-                    // Handle complete message (non-streaming tool calls)
+                    // Handle complete message (non-streaming responses)
+                    if (choice.message?.content && !choice.delta) {
+                        accumulatedContent += choice.message.content;
+                        sendEvent(res, { type: 'content', content: choice.message.content });
+                    }
                     if (choice.message?.tool_calls) {
                         hasToolCalls = true;
                         toolCalls = choice.message.tool_calls;
@@ -313,98 +833,207 @@ app.post('/api/chat-stream', async (req, res) => {
                     if (choice.finish_reason === 'tool_calls') {
                         hasToolCalls = true;
                     }
-
-                    // Capture final data
-                    if (parsed.usage || parsed.timings) {
-                        finalData = parsed;
-                    }
                 }
             }
 
+            if (finalData?.usage) {
+                const { provider } = getLLMConfig();
+                llmTokens.inc({ provider, type: 'prompt' }, finalData.usage.prompt_tokens || 0);
+                llmTokens.inc({ provider, type: 'completion' }, finalData.usage.completion_tokens || 0);
+            }
+
             // If we have tool calls, execute them
             if (hasToolCalls && toolCalls.length > 0) {
                 console.log(`[API] Executing ${toolCalls.length} tool call(s):`, 
                     toolCalls.map(tc => tc.function.name).join(', '));
                 
                 // Add assistant message with tool calls
-                conversationMessages.push({
+                const assistantMessage = {
                     role: 'assistant',
                     content: accumulatedContent || null,
                     tool_calls: toolCalls,
-                });
+                };
+                history.push(assistantMessage);
 
-                // Execute all tool calls
+                // Execute all tool calls: reads side by side, mutations one at a time, chained calls in order
                 const toolExecutionStartTime = Date.now();
-                const toolResults = await Promise.all(
-                    toolCalls.map(async (toolCall, index) => {
+                const toolResults = await runToolCalls(toolCalls, {
+                    isMutating: (name) => !isReadOnlyTool(name),
+                    run: async (toolCall, index, notRunReason) => {
                         const toolStartTime = Date.now();
-                        console.log(`[API] Executing tool ${index + 1}/${toolCalls.length}: ${toolCall.function.name}`);
-                        try {
-                            const result = await executeToolCall(
-                                toolCall.function.name,
-                                toolCall.function.arguments
-                            );
-                            const toolElapsed = Date.now() - toolStartTime;
-                            console.log(`[API] Tool ${toolCall.function.name} completed (${toolElapsed}ms)`);
-                            return {
-                                role: 'tool',
-                                content: result,
-                                tool_call_id: toolCall.id,
-                            };
-                        } catch (error) {
-                            const toolElapsed = Date.now() - toolStartTime;
-                            console.error(`[API] Tool ${toolCall.function.name} failed (${toolElapsed}ms):`, error.message);
-                            return {
-                                role: 'tool',
-                                content: JSON.stringify({ error: error.message }),
-                                tool_call_id: toolCall.id,
+                        const toolEvent = {
+                            id: toolCall.id,
+                            name: toolCall.function.name,
+                            arguments: summarizeArguments(toolCall.function.arguments, toolCall.function.name),
+                        };
+
+                        // Same tool with the same arguments as an earlier call in this loop: reuse its result
+                        const duplicateKey = notRunReason ? null : getDuplicateKey(toolCall);
+                        const original = duplicateKey ? loopToolCalls.get(duplicateKey) : null;
+                        if (original) {
+                            console.log(`[API] Tool call ${toolCall.id} duplicates ${original.toolCallId}, reusing its result`);
+                            sendEvent(res, { type: 'tool_call_started', tool_call: { ...toolEvent, elapsed_ms: 0 } });
+                            const { message, ok, output } = await original.execution;
+                            sendEvent(res, {
+                                type: ok ? 'tool_call_finished' : 'tool_call_failed',
+                                tool_call: {
+                                    ...toolEvent,
+                                    elapsed_ms: Date.now() - toolStartTime,
+                                    duplicate_of: original.toolCallId,
+                                    ...(ok ? {} : { error: 'Same call as an earlier one that failed' }),
+                                },
+                            });
+                            return { message: { ...message, tool_call_id: toolCall.id }, ok, output };
+                        }
+
+                        const execution = runToolCall(
+                            toolCall,
+                            `${index + 1}/${toolCalls.length}`,
+                            toolEvent,
+                            toolStartTime,
+                            notRunReason
+                        );
+                        if (duplicateKey) {
+                            const entry = {
+                                toolCallId: toolCall.id,
+                                readOnly: isReadOnlyTool(toolCall.function.name),
+                                execution,
+                                ok: false,
                             };
+                            execution.then(({ ok }) => { entry.ok = ok; });
+                            loopToolCalls.set(duplicateKey, entry);
                         }
-                    })
-                );
+                        return execution;
+                    },
+                });
+                // Reads may give a different answer next time, and failed calls may be retried
+                for (const [key, entry] of loopToolCalls) {
+                    if (entry.readOnly || !entry.ok) {
+                        loopToolCalls.delete(key);
+                    }
+                }
                 const toolExecutionElapsed = Date.now() - toolExecutionStartTime;
                 console.log(`[API] All ${toolCalls.length} tool(s) executed (${toolExecutionElapsed}ms)`);
 
-                // Add tool results to messages
-                conversationMessages.push(...toolResults);
+                // Add tool results to messages; a call whose failure could not even be reported still needs one
+                const toolMessages = toolResults.map((result, index) => result.message || {
+                    role: 'tool',
+                    content: JSON.stringify({ error: result.error }),
+                    tool_call_id: toolCalls[index].id,
+                });
+                history.push(...toolMessages);
+                persistMessages(storedConversationId, [assistantMessage, ...toolMessages]);
 
                 // Continue loop to get final response
-                console.log(`[API] Continuing to next iteration with ${conversationMessages.length} messages`);
+                console.log(`[API] Continuing to next iteration with ${history.length} messages after the summary`);
                 continue;
             }
 
             // No tool calls, send final data and close
+            persistMessages(storedConversationId, [{ role: 'assistant', content: accumulatedContent }]);
             const totalElapsed = Date.now() - requestStartTime;
             console.log(`[API] Request completed successfully (${totalElapsed}ms, ${iterationCount} iteration(s))`);
-            if (finalData) {
-                res.write(`data: ${JSON.stringify(finalData)}\n\n`);
-            }
+            sendEvent(res, {
+                type: 'usage',
+                usage: finalData?.usage,
+                timings: finalData?.timings,
+                context: describeBudget({ messages: conversationMessages, tools, ...contextStats }),
+            });
 
             res.write('data: [DONE]\n\n');
             res.end();
+            chatOutcome = 'completed';
             return;
         }
 
         // Max iterations reached
         const totalElapsed = Date.now() - requestStartTime;
         console.warn(`[API] Maximum iterations reached (${totalElapsed}ms)`);
-        res.write(`data: ${JSON.stringify({ error: 'Maximum iterations reached' })}\n\n`);
+        sendEvent(res, { type: 'error', error: 'Maximum iterations reached' });
         res.end();
+        chatOutcome = 'max_iterations';
     } catch (error) {
         const totalElapsed = Date.now() - requestStartTime;
+        if (requestSignal.aborted) {
+            chatOutcome = 'cancelled';
+            const reason = requestSignal.reason.message;
+            console.warn(`[API] Chat stopped (${totalElapsed}ms, ${iterationCount} iteration(s)): ${reason}`);
+            if (accumulatedContent) {
+                persistMessages(storedConversationId, [{ role: 'assistant', content: accumulatedContent }]);
+            }
+            // Only reaches a client that is still connected, i.e. after a timeout
+            sendEvent(res, { type: 'error', error: reason });
+            res.end();
+            return;
+        }
         console.error(`[API] Error in chat-stream (${totalElapsed}ms):`, error);
         console.error('[API] Error stack:', error.stack);
-        res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
+        sendEvent(res, { type: 'error', error: error.message });
         res.end();
+    } finally {
+        if (storedConversationId) {
+            endTurn(storedConversationId);
+        }
+        chatRequests.inc({ outcome: chatOutcome });
+        agentIterations.observe({}, iterationCount);
     }
 });
 
+/**
+ * POST /api/approvals/:id
+ * Approves or rejects a pending state-changing tool call
+ */
+app.post('/api/approvals/:id', requireMember, (req, res) => {
+    const { id } = req.params;
+    const approved = req.body?.approved === true;
+    console.log(`[API] POST /api/approvals/${id} - ${approved ? 'approve' : 'reject'}`);
+
+    let resolved;
+    try {
+        resolved = resolveApproval(id, approved, req.member.id);
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message });
+    }
+    if (!resolved) {
+        return res.status(404).json({ error: 'Approval not found or already resolved' });
+    }
+
+    res.json({ id, approved });
+});
+
 // ============================================================================
 // START SERVER
 // ============================================================================
 
-app.listen(PORT, () => {
+// Fail fast on broken profile files rather than on the first chat
+loadProfiles();
+
+const server = app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
-    console.log(`Make sure DAT1_API_KEY and STRIPE_SECRET_KEY are set in your environment`);
+    const llmConfigError = getLLMConfigError();
+    if (llmConfigError) {
+        console.warn(`[Config] ${llmConfigError}`);
+    } else {
+        const { provider, model, baseUrl } = getLLMConfig();
+        console.log(`[Config] LLM provider: ${provider} (${model}) at ${baseUrl}`);
+    }
+    // Chats find the tools ready instead of waiting for tools/list
+    try {
+        startToolCache();
+    } catch (error) {
+        console.error('[Tools] Failed to start the tool cache:', error.message);
+    }
+    console.log(`Make sure STRIPE_SECRET_KEY is set in your environment`);
+    if (!listMembers().some((member) => member.role === 'admin')) {
+        console.warn('[Config] No admin yet: create one with npm run member:create -- --name "..." --email ... --pin ... --admin');
+    }
 });
 
+// Stop stdio MCP servers and end HTTP sessions on shutdown
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        console.log(`[Server] ${signal} received, shutting down`);
+        server.close();
+        closeMCPClients().finally(() => process.exit(0));
+    });
+}
@@ -0,0 +1,68 @@
+/**
+ * Approval tests: without APPROVAL_REQUIRED_TOOLS, every tool that is not
+ * read-only needs approval, whether it is listed anywhere or not. The
+ * tools come from the stripe-agent-toolkit corpus in fixtures/mcp-tools,
+ * plus one the hub has never heard of.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Modules loaded below keep their stores in DATA_DIR
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fridge-approvals-'));
+process.env.DATA_DIR = dataDir;
+process.env.TOOL_CACHE_PERSIST = 'false';
+delete process.env.APPROVAL_REQUIRED_TOOLS;
+
+const registry = require('../lib/mcp/registry');
+
+const { tools: corpusTools } = require('../fixtures/mcp-tools/stripe-agent-toolkit.json');
+
+// A mutating tool without annotations, added by the server after the hub was written
+const unlistedTool = {
+    name: 'archive_product',
+    description: 'Archives a product',
+    inputSchema: { type: 'object', properties: { product: { type: 'string' } }, required: ['product'] },
+};
+
+// tools.js reads listAllTools when it is loaded, so it is replaced first
+test.mock.method(registry, 'listAllTools', async () => [...corpusTools, unlistedTool].map((tool) => ({
+    server: registry.STRIPE_SERVER_NAME,
+    name: registry.toNamespacedName(registry.STRIPE_SERVER_NAME, tool.name),
+    tool,
+})));
+
+const { getMCPTools } = require('../lib/mcp/tools');
+const { requiresApproval } = require('../lib/approvals');
+
+const stripeTool = (name) => registry.toNamespacedName(registry.STRIPE_SERVER_NAME, name);
+
+test.before(() => getMCPTools(true));
+
+test.after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// ============================================================================
+// DEFAULT
+// ============================================================================
+
+test('every MCP tool the server marks as not read-only needs approval', () => {
+    for (const tool of corpusTools) {
+        assert.equal(requiresApproval(stripeTool(tool.name)), !tool.annotations.readOnlyHint, tool.name);
+    }
+});
+
+test('a mutating MCP tool nobody listed needs approval', () => {
+    assert.equal(requiresApproval(stripeTool('archive_product')), true);
+});
+
+test('local tools need approval unless their name says they only read', () => {
+    assert.equal(requiresApproval('check_fridge_stock'), false);
+    assert.equal(requiresApproval('get_group_order'), false);
+    assert.equal(requiresApproval('start_group_order'), true);
+    assert.equal(requiresApproval('lock_group_order'), true);
+});
@@ -0,0 +1,176 @@
+/**
+ * End-to-end chat tests: the hub runs against the fake Stripe MCP server and
+ * the scripted fake LLM (dev/scenarios/default.json), and /api/chat-stream is
+ * driven through whole multi-iteration tool loops, approvals included.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startStack } = require('./helpers/stack');
+
+let stack;
+
+test.before(async () => {
+    stack = await startStack();
+});
+
+test.after(async () => {
+    await stack?.stop();
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Event types in order, streamed content counted once per run of chunks
+ */
+function eventTypes(events) {
+    return events
+        .map((event) => event.type)
+        .filter((type, index, types) => type !== 'content' || types[index - 1] !== 'content');
+}
+
+/**
+ * Approves every approval the chat asks for
+ * @param {Array<any>} approvals - Receives the approval requests, in order
+ */
+function approveAll(approvals) {
+    return async (event) => {
+        if (event.type !== 'approval_required') {
+            return;
+        }
+        approvals.push(event.approval);
+        const { status } = await stack.api('POST', `/api/approvals/${event.approval.id}`, { approved: true });
+        assert.equal(status, 200);
+    };
+}
+
+function contentOf(events) {
+    return events.filter((event) => event.type === 'content').map((event) => event.content).join('');
+}
+
+// ============================================================================
+// SCENARIOS
+// ============================================================================
+
+test('club-mate: finds the price, creates an approved payment link and records the payment', async () => {
+    const restocked = await stack.api('POST', '/api/fridge/stock/prod_fake_club_mate/restock', {
+        quantity: 10, name: 'Club-Mate', priceId: 'price_fake_club_mate', unitAmount: 250, currency: 'eur',
+    });
+    assert.equal(restocked.status, 200);
+
+    const conversationId = 'c_e2e_club_mate';
+    const approvals = [];
+    const events = await stack.chat(
+        { conversationId, message: 'One Club-Mate please', profile: 'cashier' },
+        approveAll(approvals),
+    );
+
+    assert.deepEqual(eventTypes(events), [
+        'content',
+        'tool_call_started', 'tool_call_finished',
+        'tool_call_started', 'approval_required', 'approval_resolved', 'tool_call_finished', 'checkout',
+        'content',
+        'usage',
+        'done',
+    ]);
+
+    const [listPrices, , createLink] = events.filter((event) => event.type.startsWith('tool_call_')).map((event) => event.tool_call);
+    assert.equal(listPrices.name, 'stripe__list_prices');
+    assert.equal(createLink.name, 'stripe__create_payment_link');
+
+    // The price found by the first iteration went into the link of the second
+    assert.equal(approvals.length, 1);
+    assert.equal(approvals[0].tool, 'stripe__create_payment_link');
+    assert.equal(approvals[0].arguments.price, 'price_fake_club_mate');
+
+    const { checkout } = events.find((event) => event.type === 'checkout');
+    assert.equal(checkout.kind, 'payment_link');
+    assert.equal(checkout.status, 'pending');
+    assert.equal(checkout.amount_total, 250);
+    assert.match(checkout.url, /^https:\/\/buy\.stripe\.com\//);
+    assert.match(checkout.qr_svg, /^<svg/);
+    assert.match(contentOf(events), new RegExp(`Here is your payment link for one \\*\\*Club-Mate\\*\\*: ${checkout.url}`));
+
+    // Final state: the conversation holds the whole loop and the order waits for its payment
+    const conversation = await stack.api('GET', `/api/conversations/${conversationId}`);
+    assert.equal(conversation.status, 200);
+    const roles = conversation.body.messages.map((message) => message.role);
+    assert.deepEqual(roles, ['user', 'assistant', 'tool', 'assistant', 'tool', 'assistant']);
+
+    const order = Object.values(stack.readData('orders.json').orders).find((candidate) => candidate.url === checkout.url);
+    assert.ok(order, 'the payment link is recorded as an order');
+    assert.equal(order.status, 'pending');
+    assert.equal(order.conversationId, conversationId);
+    assert.equal(order.memberId, stack.member.id);
+    assert.deepEqual(order.lineItems.map(({ priceId, quantity }) => ({ priceId, quantity })), [
+        { priceId: 'price_fake_club_mate', quantity: 1 },
+    ]);
+
+    await stack.sendWebhook('checkout.session.completed', checkout.payment_link);
+
+    const paid = stack.readData('orders.json').orders[order.id];
+    assert.equal(paid.status, 'paid');
+    const stock = await stack.api('GET', '/api/fridge/stock/prod_fake_club_mate');
+    assert.equal(stock.body.stock, 9);
+    const afterPayment = await stack.api('GET', `/api/conversations/${conversationId}`);
+    assert.match(afterPayment.body.messages.at(-1).content, /Payment received .* for payment link /);
+});
+
+test('new product: creates the price for the product made in the same response', async () => {
+    const conversationId = 'c_e2e_new_product';
+    const approvals = [];
+    const events = await stack.chat(
+        { conversationId, message: 'Add a new product: Mate Light at 2.50', profile: 'admin' },
+        approveAll(approvals),
+    );
+
+    assert.deepEqual(approvals.map((approval) => approval.tool), ['stripe__create_product', 'stripe__create_price']);
+    assert.equal(events.filter((event) => event.type === 'tool_call_finished').length, 3);
+    assert.equal(events.some((event) => event.type === 'tool_call_failed' || event.type === 'error'), false);
+    assert.deepEqual(eventTypes(events).slice(-3), ['content', 'usage', 'done']);
+    assert.match(contentOf(events), /\*\*Mate Light\*\* is on sale for €2\.50\./);
+
+    // The price waited for the product and got its ID filled in
+    const productFinished = events.findIndex((event) => event.type === 'tool_call_finished' && event.tool_call.name === 'stripe__create_product');
+    const priceStarted = events.findIndex((event) => event.type === 'tool_call_started' && event.tool_call.name === 'stripe__create_price');
+    assert.ok(productFinished !== -1 && productFinished < priceStarted, 'create_price starts once create_product has finished');
+
+    const state = await stack.stripeState();
+    const product = state.products.find((candidate) => candidate.name === 'Mate Light');
+    assert.ok(product, 'the product exists in Stripe');
+    assert.equal(approvals[1].arguments.product, product.id);
+    const prices = state.prices.filter((price) => price.product === product.id);
+    assert.deepEqual(prices.map(({ unit_amount, currency }) => ({ unit_amount, currency })), [{ unit_amount: 250, currency: 'eur' }]);
+
+    // One assistant message with the three calls, their results in order, then the answer
+    const { body } = await stack.api('GET', `/api/conversations/${conversationId}`);
+    const [, request, ...rest] = body.messages;
+    assert.deepEqual(request.tool_calls.map((toolCall) => toolCall.function.name), [
+        'stripe__create_product', 'stripe__create_price', 'stripe__list_products',
+    ]);
+    assert.deepEqual(rest.map((message) => message.tool_call_id || message.role), [
+        ...request.tool_calls.map((toolCall) => toolCall.id), 'assistant',
+    ]);
+});
+
+test('bill me: a customer filled in by the member scope passes argument validation', async () => {
+    const conversationId = 'c_e2e_bill_me';
+    const approvals = [];
+    // create_invoice requires a customer; the model leaves it to the member scope
+    const events = await stack.chat(
+        { conversationId, message: 'Bill me for this month please', profile: 'admin' },
+        approveAll(approvals),
+    );
+
+    assert.deepEqual(approvals.map((approval) => approval.tool), ['stripe__create_invoice']);
+    assert.equal(events.some((event) => event.type === 'tool_call_failed' || event.type === 'error'), false);
+
+    const { body: { member } } = await stack.api('GET', '/api/auth/me');
+    assert.match(member.stripeCustomerId, /^cus_/);
+    const state = await stack.stripeState();
+    assert.deepEqual(state.invoices.map((invoice) => invoice.customer), [member.stripeCustomerId]);
+    assert.match(contentOf(events), new RegExp(`is for ${member.stripeCustomerId}, due in 14 days`));
+});
@@ -0,0 +1,89 @@
+/**
+ * Conversation tests for messages from outside a chat (payment
+ * confirmations): they wait for a running turn and only ever go to
+ * conversations that were started, never create one. Conversation IDs
+ * from clients are only kept for the member's own conversations.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fridge-conversations-'));
+process.env.DATA_DIR = dataDir;
+
+const {
+    getConversation,
+    accessibleConversationId,
+    appendMessages,
+    appendBetweenTurns,
+    beginTurn,
+    endTurn,
+    deleteConversation,
+} = require('../lib/conversations');
+
+const confirmation = { role: 'assistant', content: '✅ Payment received for payment link plink_test.' };
+
+test.after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// ============================================================================
+// BETWEEN TURNS
+// ============================================================================
+
+test('a confirmation for a conversation that was never stored does not create it', () => {
+    assert.equal(appendBetweenTurns('c_never_stored', [confirmation]), false);
+    assert.equal(getConversation('c_never_stored'), null);
+});
+
+test('a confirmation is appended to a stored conversation right away', () => {
+    appendMessages('c_stored', [{ role: 'user', content: 'One Club-Mate please' }], { memberId: 'mem_ada' });
+
+    assert.equal(appendBetweenTurns('c_stored', [confirmation]), true);
+    const conversation = getConversation('c_stored');
+    assert.equal(conversation.memberId, 'mem_ada');
+    assert.deepEqual(conversation.messages.map((message) => message.content), ['One Club-Mate please', confirmation.content]);
+});
+
+test('a confirmation waits for the running turn and follows its messages', () => {
+    appendMessages('c_running', [{ role: 'user', content: 'One Club-Mate please' }], { memberId: 'mem_ada' });
+    beginTurn('c_running');
+
+    assert.equal(appendBetweenTurns('c_running', [confirmation]), false);
+    appendMessages('c_running', [{ role: 'assistant', content: 'Here is your payment link.' }]);
+    endTurn('c_running');
+
+    assert.deepEqual(getConversation('c_running').messages.map((message) => message.role), ['user', 'assistant', 'assistant']);
+    assert.equal(getConversation('c_running').messages.at(-1).content, confirmation.content);
+});
+
+test('a confirmation kept for a conversation deleted during the turn is not stored', () => {
+    appendMessages('c_deleted', [{ role: 'user', content: 'One Club-Mate please' }], { memberId: 'mem_ada' });
+    beginTurn('c_deleted');
+    appendBetweenTurns('c_deleted', [confirmation]);
+    deleteConversation('c_deleted');
+    endTurn('c_deleted');
+
+    assert.equal(getConversation('c_deleted'), null);
+});
+
+// ============================================================================
+// CLIENT-SUPPLIED IDS
+// ============================================================================
+
+test('a conversation ID is only accepted from the member who started it, or an admin', () => {
+    appendMessages('c_ada', [{ role: 'user', content: 'Group order for lunch?' }], { memberId: 'mem_ada' });
+    const ada = { id: 'mem_ada', role: 'member' };
+    const grace = { id: 'mem_grace', role: 'member' };
+    const admin = { id: 'mem_admin', role: 'admin' };
+
+    assert.equal(accessibleConversationId('c_ada', ada), 'c_ada');
+    assert.equal(accessibleConversationId('c_ada', admin), 'c_ada');
+    assert.equal(accessibleConversationId('c_ada', grace), null);
+    assert.equal(accessibleConversationId('c_not_started', ada), null);
+    assert.equal(accessibleConversationId('../members', ada), null);
+    assert.equal(accessibleConversationId(undefined, ada), null);
+});
@@ -0,0 +1,221 @@
+/**
+ * End-to-end test stack: the fake Stripe MCP server, the fake LLM and the
+ * hub itself, each a child process on a free port, sharing a temporary
+ * DATA_DIR with one admin member.
+ */
+
+const { spawn, execFile } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+
+const { readSSEEvents } = require('../../lib/sse');
+
+const BACKEND_DIR = path.join(__dirname, '../..');
+const STARTUP_TIMEOUT_MS = 15000;
+const WEBHOOK_SECRET = 'whsec_e2e_test';
+
+const MEMBER = { name: 'Ada', email: 'ada@example.com', pin: '1234' };
+
+const run = promisify(execFile);
+
+// ============================================================================
+// PROCESSES
+// ============================================================================
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Starts a backend script and keeps the tail of its output for failure messages
+ */
+function startProcess(script, args, env) {
+    const child = spawn(process.execPath, [script, ...args], {
+        cwd: BACKEND_DIR,
+        env,
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    child.output = '';
+    const keep = (chunk) => {
+        child.output = (child.output + chunk).slice(-20000);
+    };
+    child.stdout.on('data', keep);
+    child.stderr.on('data', keep);
+    return child;
+}
+
+/**
+ * Polls a URL until it answers 200, or answers at all when anyStatus is set
+ */
+async function waitFor(url, child, { anyStatus = false } = {}) {
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) {
+            throw new Error(`${child.spawnargs[1]} exited (${child.exitCode}):\n${child.output}`);
+        }
+        try {
+            const response = await fetch(url);
+            await response.arrayBuffer();
+            if (response.ok || anyStatus) {
+                return;
+            }
+        } catch (e) {
+            // Not listening yet
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error(`${url} did not come up within ${STARTUP_TIMEOUT_MS} ms:\n${child.output}`);
+}
+
+// ============================================================================
+// STACK
+// ============================================================================
+
+/**
+ * Starts the fakes and the hub, and signs the admin member in
+ * @param {{ env?: Record<string, string> }} options - Extra environment for the hub
+ */
+async function startStack({ env: extraEnv = {} } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fridge-e2e-'));
+    const [stripePort, llmPort, port] = [await freePort(), await freePort(), await freePort()];
+    const children = [];
+
+    // Settings a developer's backend/.env might hold are pinned here, since dotenv never overrides them
+    const env = {
+        ...process.env,
+        DATA_DIR: dataDir,
+        PORT: String(port),
+        STRIPE_SECRET_KEY: 'sk_test_e2e_not_a_real_key',
+        STRIPE_MCP_URL: `http://127.0.0.1:${stripePort}/mcp`,
+        STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+        MCP_CONFIG: path.join(dataDir, 'mcp-servers.json'),
+        LLM_PROVIDER: 'openai',
+        LLM_API_KEY: 'e2e',
+        LLM_BASE_URL: `http://127.0.0.1:${llmPort}/v1`,
+        LLM_MODEL: 'fake',
+        PUBLIC_URL: `http://127.0.0.1:${port}`,
+        TOOL_CACHE_PERSIST: 'false',
+        LOG_FORMAT: 'pretty',
+        ...extraEnv,
+    };
+
+    const stop = async () => {
+        for (const child of children) {
+            if (child.exitCode === null) {
+                const exited = new Promise((resolve) => child.once('exit', resolve));
+                child.kill();
+                await exited;
+            }
+        }
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+
+    try {
+        await run(process.execPath, [
+            'scripts/create-member.js', '--name', MEMBER.name, '--email', MEMBER.email, '--pin', MEMBER.pin, '--admin',
+        ], { cwd: BACKEND_DIR, env });
+
+        const stripe = startProcess('dev/fake-stripe-mcp.js', ['--port', String(stripePort)], env);
+        children.push(stripe);
+        const llm = startProcess('dev/fake-llm.js', ['--port', String(llmPort), '--delay', '0'], env);
+        children.push(llm);
+        await waitFor(`http://127.0.0.1:${stripePort}/state`, stripe);
+        // The fake LLM only serves chat completions, so any answer means it is listening
+        await waitFor(`http://127.0.0.1:${llmPort}/v1`, llm, { anyStatus: true });
+
+        const hub = startProcess('server.js', [], env);
+        children.push(hub);
+        // Ready once the MCP tools have been fetched from the fake Stripe server
+        await waitFor(`http://127.0.0.1:${port}/readyz`, hub);
+    } catch (error) {
+        await stop();
+        throw error;
+    }
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    const signIn = await fetch(`${baseUrl}/api/auth/pin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: MEMBER.email, pin: MEMBER.pin }),
+    });
+    const { member } = await signIn.json();
+    const cookie = signIn.headers.get('set-cookie').split(';')[0];
+
+    /**
+     * Calls the hub's API as the signed-in member
+     * @returns {Promise<{ status: number, body: any }>}
+     */
+    async function api(method, route, body) {
+        const response = await fetch(`${baseUrl}${route}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    }
+
+    /**
+     * Sends a chat message and reads the whole event stream
+     * @param {any} body - Request body of /api/chat-stream
+     * @param {(event: any) => Promise<void>|void} onEvent - Called for each event as it arrives
+     * @returns {Promise<Array<any>>} The events, with "[DONE]" as { type: 'done' }
+     */
+    async function chat(body, onEvent = () => {}) {
+        const response = await fetch(`${baseUrl}/api/chat-stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify(body),
+        });
+        if (!response.ok) {
+            throw new Error(`chat-stream answered ${response.status}: ${await response.text()}`);
+        }
+        const events = [];
+        for await (const { data } of readSSEEvents(response.body)) {
+            const event = data === '[DONE]' ? { type: 'done' } : JSON.parse(data);
+            events.push(event);
+            await onEvent(event);
+        }
+        return events;
+    }
+
+    /**
+     * Sends a signed Stripe webhook fixture, as Stripe would once a link is paid
+     */
+    async function sendWebhook(fixture, paymentLink) {
+        await run(process.execPath, [
+            'scripts/send-webhook-event.js', fixture, '--payment-link', paymentLink, '--url', `${baseUrl}/api/stripe/webhook`,
+        ], { cwd: BACKEND_DIR, env });
+    }
+
+    /**
+     * Dumps the fake Stripe account (products, prices, payment links...)
+     */
+    async function stripeState() {
+        const response = await fetch(`http://127.0.0.1:${stripePort}/state`);
+        return response.json();
+    }
+
+    /**
+     * Reads a JSON file the hub wrote to DATA_DIR
+     */
+    function readData(filename) {
+        return JSON.parse(fs.readFileSync(path.join(dataDir, filename), 'utf8'));
+    }
+
+    return { member, api, chat, sendWebhook, stripeState, readData, stop };
+}
+
+module.exports = {
+    startStack,
+};
@@ -0,0 +1,62 @@
+/**
+ * Spend cap tests for payment link quantities: only positive whole numbers
+ * are counted, anything else is refused before it reaches Stripe instead
+ * of being counted as one item.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fridge-limits-'));
+process.env.DATA_DIR = dataDir;
+process.env.PAYMENT_LINK_DAILY_CAP = '5000';
+
+const { rememberPrices } = require('../lib/prices');
+const { checkSpendCap } = require('../lib/limits');
+
+const PAYMENT_LINK_TOOL = 'stripe__create_payment_link';
+const member = { id: 'mem_ada', name: 'Ada', role: 'member' };
+
+rememberPrices(JSON.stringify({ id: 'price_club_mate', unit_amount: 250, currency: 'eur', product: 'prod_club_mate' }));
+
+/**
+ * What the spend cap says about a payment link for Club-Mate
+ */
+function checkQuantity(quantity) {
+    return checkSpendCap({ toolName: PAYMENT_LINK_TOOL, args: { price: 'price_club_mate', quantity }, member });
+}
+
+test.after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// ============================================================================
+// QUANTITIES
+// ============================================================================
+
+test('positive whole quantities are counted, a missing one as 1', () => {
+    assert.equal(checkQuantity(undefined), null);
+    assert.equal(checkQuantity(2), null);
+    assert.equal(checkQuantity('20'), null);
+    assert.equal(checkQuantity(21)?.code, 'spend_cap_exceeded');
+});
+
+for (const quantity of [0, -3, 1.5, '0', '-1', '1e9', 'lots', true, [2]]) {
+    test(`quantity ${JSON.stringify(quantity)} is refused`, () => {
+        const denial = checkQuantity(quantity);
+        assert.equal(denial?.code, 'spend_quantity_invalid');
+        assert.match(denial.message, /not a positive whole number/);
+    });
+}
+
+test('one bad quantity among the line items refuses the whole link', () => {
+    const denial = checkSpendCap({
+        toolName: PAYMENT_LINK_TOOL,
+        args: { line_items: [{ price: 'price_club_mate', quantity: 1 }, { price: 'price_club_mate', quantity: -1 }] },
+        member,
+    });
+    assert.equal(denial?.code, 'spend_quantity_invalid');
+});
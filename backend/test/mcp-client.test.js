@@ -0,0 +1,174 @@
+/**
+ * MCP client tests, against a minimal Streamable HTTP server in this
+ * process: what counts as a rate limit, which calls are sent again, and
+ * notifications on the GET listening stream.
+ */
+
+process.env.MCP_RATE_LIMIT_DELAY_MS = '5';
+process.env.MCP_RETRY_BASE_DELAY_MS = '5';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createMCPClient } = require('../lib/mcp/client');
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+let server;
+let url;
+// Answers for the next tools/call requests, in order; an empty queue answers with a result
+let answers = [];
+let toolCalls = 0;
+// Whether GET opens a listening stream (otherwise 405), and the streams opened
+let offerListening = false;
+let listeningStreams = [];
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+test.before(async () => {
+    server = http.createServer(async (req, res) => {
+        if (req.method === 'GET') {
+            if (!offerListening) {
+                res.writeHead(405);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.flushHeaders();
+            listeningStreams.push({ res, sessionId: req.headers['mcp-session-id'] });
+            return;
+        }
+        if (req.method === 'DELETE') {
+            res.writeHead(200);
+            return res.end();
+        }
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+        }
+        const message = JSON.parse(body);
+        if (message.method === 'initialize') {
+            return sendJson(res, 200, {
+                jsonrpc: '2.0',
+                id: message.id,
+                result: { protocolVersion: '2025-06-18', capabilities: { tools: {} }, serverInfo: { name: 'test', version: '1' } },
+            }, { 'Mcp-Session-Id': 'session' });
+        }
+        if (message.id === undefined) {
+            res.writeHead(202);
+            return res.end();
+        }
+        toolCalls++;
+        const answer = answers.shift() || { result: { content: [{ type: 'text', text: '{"ok":true}' }] } };
+        if (answer.status) {
+            return sendJson(res, answer.status, { error: 'Too many requests' });
+        }
+        sendJson(res, 200, { jsonrpc: '2.0', id: message.id, result: answer.result });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/mcp`;
+});
+
+test.after(() => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+}));
+
+test.beforeEach(() => {
+    answers = [];
+    toolCalls = 0;
+    offerListening = false;
+    listeningStreams = [];
+});
+
+/**
+ * Resolves once the server has seen a listening stream, or rejects after a second
+ */
+async function waitForListeningStream() {
+    for (let attempt = 0; attempt < 100 && listeningStreams.length === 0; attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.equal(listeningStreams.length, 1, 'no listening stream was opened');
+    return listeningStreams[0];
+}
+
+function textError(text, structuredContent) {
+    return { result: { isError: true, content: [{ type: 'text', text }], ...(structuredContent ? { structuredContent } : {}) } };
+}
+
+// ============================================================================
+// RATE LIMITS
+// ============================================================================
+
+test('sends a read-only call again after an HTTP 429', async () => {
+    const client = createMCPClient({ name: 'test', url });
+    answers = [{ status: 429 }];
+    const result = await client.callTool('list_products', {}, { readOnly: true });
+    assert.equal(result.isError, undefined);
+    assert.equal(toolCalls, 2);
+});
+
+test('never sends a mutating call again after an HTTP 429', async () => {
+    const client = createMCPClient({ name: 'test', url });
+    answers = [{ status: 429 }];
+    await assert.rejects(client.callTool('create_payment_link', { price: 'price_1' }), { rateLimited: true, status: 429 });
+    assert.equal(toolCalls, 1);
+});
+
+test('never sends a mutating call again after a rate_limit tool error, with or without a call key', async () => {
+    const client = createMCPClient({ name: 'test', url });
+    const rateLimited = () => textError(JSON.stringify({ error: { code: 'rate_limit', message: 'Too many requests' } }));
+
+    answers = [rateLimited()];
+    await assert.rejects(client.callTool('create_refund', { amount: 100 }), { rateLimited: true });
+    answers = [rateLimited()];
+    await assert.rejects(client.callTool('create_refund', { amount: 100 }, { callKey: 'fridge-test' }), { rateLimited: true });
+    assert.equal(toolCalls, 2);
+});
+
+test('sends a read-only call again after a rate_limit code in the structured error', async () => {
+    const client = createMCPClient({ name: 'test', url });
+    answers = [textError('Request failed', { error: { code: 'rate_limit' } })];
+    const result = await client.callTool('list_prices', {}, { readOnly: true });
+    assert.equal(result.isError, undefined);
+    assert.equal(toolCalls, 2);
+});
+
+test('takes an error mentioning a rate limit in its text for an ordinary tool error', async () => {
+    const client = createMCPClient({ name: 'test', url });
+    answers = [textError('Rate limit for this coupon reached: too many requests to redeem it')];
+    const result = await client.callTool('list_coupons', {}, { readOnly: true });
+    assert.equal(result.isError, true);
+    assert.equal(toolCalls, 1);
+});
+
+// ============================================================================
+// LISTENING STREAM
+// ============================================================================
+
+test('receives notifications/tools/list_changed on the listening stream', async () => {
+    offerListening = true;
+    const client = createMCPClient({ name: 'test', url });
+    const notified = new Promise((resolve) => client.onNotification(resolve));
+    await client.listTools();
+
+    const stream = await waitForListeningStream();
+    assert.equal(stream.sessionId, 'session');
+    stream.res.write(`data: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' })}\n\n`);
+    assert.equal((await notified).method, 'notifications/tools/list_changed');
+
+    await client.close();
+    await new Promise((resolve) => (stream.res.closed ? resolve() : stream.res.on('close', resolve)));
+});
+
+test('works without a listening stream when the server answers 405', async () => {
+    const client = createMCPClient({ name: 'test', url });
+    const result = await client.callTool('list_products', {}, { readOnly: true });
+    assert.equal(result.isError, undefined);
+    await client.close();
+});
@@ -0,0 +1,69 @@
+/**
+ * Member scope tests: Stripe tool arguments are checked against the tool's
+ * schema as they will be sent, so a `customer` the member's scope fills in
+ * never counts as missing. The tools come from the stripe-agent-toolkit
+ * corpus in fixtures/mcp-tools instead of a running MCP server.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Modules loaded below keep their stores (audit log, spend caps...) in DATA_DIR
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fridge-member-scope-'));
+process.env.DATA_DIR = dataDir;
+
+const registry = require('../lib/mcp/registry');
+
+const { tools: corpusTools } = require('../fixtures/mcp-tools/stripe-agent-toolkit.json');
+
+// tools.js reads listAllTools when it is loaded, so it is replaced first
+test.mock.method(registry, 'listAllTools', async () => corpusTools.map((tool) => ({
+    server: registry.STRIPE_SERVER_NAME,
+    name: registry.toNamespacedName(registry.STRIPE_SERVER_NAME, tool.name),
+    tool,
+})));
+
+const { getMCPTools, validateToolArguments } = require('../lib/mcp/tools');
+const { applyMemberScope } = require('../lib/member-scope');
+
+const CREATE_INVOICE = registry.toNamespacedName(registry.STRIPE_SERVER_NAME, 'create_invoice');
+
+const member = { id: 'mem_ada', name: 'Ada', role: 'member', stripeCustomerId: 'cus_ada' };
+
+test.before(() => getMCPTools(true));
+
+test.after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// ============================================================================
+// VALIDATION AFTER SCOPING
+// ============================================================================
+
+test('create_invoice without a customer is invalid as the model wrote it', () => {
+    const errors = validateToolArguments(CREATE_INVOICE, { days_until_due: 14 });
+    assert.deepEqual(errors.map(({ path: at }) => at), ['customer']);
+});
+
+test('a member call without a customer passes validation once the scope fills it in', () => {
+    const scoped = applyMemberScope(CREATE_INVOICE, { days_until_due: 14 }, member);
+
+    assert.deepEqual(scoped, { days_until_due: 14, customer: 'cus_ada' });
+    assert.deepEqual(validateToolArguments(CREATE_INVOICE, scoped), []);
+});
+
+test('a member naming another customer gets their own, which validates', () => {
+    const scoped = applyMemberScope(CREATE_INVOICE, { customer: 'cus_someone_else', days_until_due: 14 }, member);
+
+    assert.equal(scoped.customer, 'cus_ada');
+    assert.deepEqual(validateToolArguments(CREATE_INVOICE, scoped), []);
+});
+
+test('a member without a Stripe customer is refused before validation', () => {
+    const unlinked = { ...member, stripeCustomerId: null };
+
+    assert.throws(() => applyMemberScope(CREATE_INVOICE, { days_until_due: 14 }, unlinked), /not linked/);
+});
@@ -0,0 +1,181 @@
+/**
+ * SSE decoder tests: the chunk-split fixtures in fixtures/sse-streams.json,
+ * decoded as they arrive, re-split at every position and byte by byte,
+ * through readSSEEvents and through the browser build of frontend/sse.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { createSSEDecoder, readSSEEvents } = require('../lib/sse');
+
+const { streams } = require('./fixtures/sse-streams.json');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Feeds chunks to a fresh decoder
+ * @returns {{ events: Array, comments: string[], lastEventId: string }}
+ */
+function decode(chunks, create = createSSEDecoder) {
+    const comments = [];
+    const decoder = create({ onComment: (text) => comments.push(text) });
+    const events = [];
+    for (const chunk of chunks) {
+        events.push(...decoder.push(chunk));
+    }
+    events.push(...decoder.flush());
+    return { events, comments, lastEventId: decoder.lastEventId };
+}
+
+/**
+ * Builds a fetch()-like body streaming the given byte chunks
+ */
+function streamOf(byteChunks) {
+    return new ReadableStream({
+        start(controller) {
+            for (const chunk of byteChunks) {
+                controller.enqueue(chunk);
+            }
+            controller.close();
+        },
+    });
+}
+
+async function collect(iterator) {
+    const items = [];
+    for await (const item of iterator) {
+        items.push(item);
+    }
+    return items;
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+for (const stream of streams) {
+    test(`decodes ${stream.name}`, () => {
+        const result = decode(stream.chunks);
+        assert.deepEqual(result.events, stream.events);
+        if (stream.comments) {
+            assert.deepEqual(result.comments, stream.comments);
+        }
+        if (stream.lastEventId !== undefined) {
+            assert.equal(result.lastEventId, stream.lastEventId);
+        }
+    });
+
+    test(`decodes ${stream.name} split at any position`, () => {
+        const text = stream.chunks.join('');
+        for (let at = 0; at <= text.length; at++) {
+            const { events } = decode([text.slice(0, at), text.slice(at)]);
+            assert.deepEqual(events, stream.events, `split at ${at}`);
+        }
+    });
+
+    test(`decodes ${stream.name} one character at a time`, () => {
+        const { events } = decode([...stream.chunks.join('')]);
+        assert.deepEqual(events, stream.events);
+    });
+}
+
+// ============================================================================
+// DECODER
+// ============================================================================
+
+test('returns events as soon as their blank line arrives', () => {
+    const decoder = createSSEDecoder();
+    assert.deepEqual(decoder.push('data: a\n'), []);
+    assert.deepEqual(decoder.push('\ndata: b'), [{ event: 'message', data: 'a', id: '' }]);
+    assert.deepEqual(decoder.push('\n\n'), [{ event: 'message', data: 'b', id: '' }]);
+    assert.deepEqual(decoder.flush(), []);
+});
+
+test('holds a trailing CR back until it knows whether LF follows', () => {
+    const decoder = createSSEDecoder();
+    assert.deepEqual(decoder.push('data: a\r'), []);
+    assert.deepEqual(decoder.push('\n'), []);
+    assert.deepEqual(decoder.push('\r\n'), [{ event: 'message', data: 'a', id: '' }]);
+});
+
+// ============================================================================
+// RESPONSE BODIES
+// ============================================================================
+
+test('readSSEEvents decodes a body whose chunks split a UTF-8 character', async () => {
+    const bytes = new TextEncoder().encode('data: Club-Mate für 2,50 €\n\ndata: [DONE]\n\n');
+    const euro = bytes.indexOf(0xe2); // First byte of the three-byte euro sign
+    const body = streamOf([bytes.slice(0, euro + 1), bytes.slice(euro + 1, euro + 2), bytes.slice(euro + 2)]);
+
+    assert.deepEqual(await collect(readSSEEvents(body)), [
+        { event: 'message', data: 'Club-Mate für 2,50 €', id: '' },
+        { event: 'message', data: '[DONE]', id: '' },
+    ]);
+});
+
+test('readSSEEvents cancels the body when the caller stops early', async () => {
+    let cancelled = false;
+    const body = new ReadableStream({
+        start(controller) {
+            controller.enqueue(new TextEncoder().encode('data: one\n\ndata: two\n\n'));
+        },
+        cancel() {
+            cancelled = true;
+        },
+    });
+
+    for await (const event of readSSEEvents(body)) {
+        assert.equal(event.data, 'one');
+        break;
+    }
+    assert.equal(cancelled, true);
+    assert.equal(body.locked, false);
+});
+
+test('readSSEEvents cancels the body when the caller throws', async () => {
+    let cancelled = false;
+    const body = new ReadableStream({
+        start(controller) {
+            controller.enqueue(new TextEncoder().encode('data: {"error":"boom"}\n\n'));
+        },
+        cancel() {
+            cancelled = true;
+        },
+    });
+
+    await assert.rejects(async () => {
+        for await (const event of readSSEEvents(body)) {
+            throw new Error(JSON.parse(event.data).error);
+        }
+    }, /boom/);
+    assert.equal(cancelled, true);
+});
+
+test('readSSEEvents flushes a last event without a blank line', async () => {
+    const body = streamOf([new TextEncoder().encode('data: one\n\ndata: two')]);
+    const events = await collect(readSSEEvents(body));
+    assert.deepEqual(events.map((event) => event.data), ['one', 'two']);
+});
+
+// ============================================================================
+// BROWSER BUILD
+// ============================================================================
+
+test('frontend/sse.js exposes the same decoder to the browser', () => {
+    const source = fs.readFileSync(path.join(__dirname, '../../frontend/sse.js'), 'utf8');
+    const browser = { self: {} };
+    vm.runInNewContext(source, browser);
+    assert.equal(typeof browser.self.createSSEDecoder, 'function');
+
+    for (const stream of streams) {
+        const { events } = decode(stream.chunks, browser.self.createSSEDecoder);
+        // Objects from another context compare by structure once serialized
+        assert.deepEqual(JSON.parse(JSON.stringify(events)), stream.events, stream.name);
+    }
+});
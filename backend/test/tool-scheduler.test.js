@@ -0,0 +1,369 @@
+/**
+ * Tool scheduler tests: {{N.path}} references and the order they impose,
+ * how many calls run at once, and that every call of a batch gets a
+ * result, even when running it and then reporting its failure both throw.
+ * Rate limits are tested through callStripeMCPTool against a minimal
+ * Streamable HTTP server in this process.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Modules loaded below keep their stores in DATA_DIR and reach Stripe MCP at STRIPE_MCP_URL
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fridge-tool-scheduler-'));
+process.env.DATA_DIR = dataDir;
+process.env.TOOL_CACHE_PERSIST = 'false';
+process.env.MCP_CONFIG = path.join(dataDir, 'no-mcp-servers.json');
+process.env.STRIPE_SECRET_KEY = 'sk_test_scheduler';
+delete process.env.TOOL_CALL_CONCURRENCY;
+delete process.env.MUTATING_TOOL_CONCURRENCY;
+
+const { runToolCalls } = require('../lib/tool-scheduler');
+
+const SCHEDULER_PATH = require.resolve('../lib/tool-scheduler');
+
+/**
+ * Loads a fresh copy of the scheduler, which reads its limits from the environment when loaded
+ */
+function loadScheduler(env) {
+    Object.assign(process.env, env);
+    delete require.cache[SCHEDULER_PATH];
+    try {
+        return require(SCHEDULER_PATH);
+    } finally {
+        for (const name of Object.keys(env)) {
+            delete process.env[name];
+        }
+        delete require.cache[SCHEDULER_PATH];
+    }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const isMutating = (name) => /^(create|update|cancel)_/.test(name);
+
+function toolCall(id, name, args = {}) {
+    return { id, type: 'function', function: { name, arguments: JSON.stringify(args) } };
+}
+
+/**
+ * Runs a batch with a run that records when calls start and how many run at once
+ * @param {Array} toolCalls - Calls of the response
+ * @param {{ outputs?: Record<string, string>, delays?: Record<string, number>, schedulerRun?: Function }} [options] -
+ *   outputs and delays by tool call ID; schedulerRun is runToolCalls of a freshly loaded scheduler
+ */
+async function runRecorded(toolCalls, { outputs = {}, delays = {}, schedulerRun = runToolCalls } = {}) {
+    const started = [];
+    const notRun = {};
+    const args = {};
+    let running = 0;
+    let runningMutations = 0;
+    let maxRunning = 0;
+    let maxRunningMutations = 0;
+    const results = await schedulerRun(toolCalls, {
+        isMutating,
+        run: async (call, index, notRunReason) => {
+            if (notRunReason) {
+                notRun[call.id] = notRunReason;
+                return { ok: false };
+            }
+            const mutating = isMutating(call.function.name);
+            started.push(call.id);
+            args[call.id] = JSON.parse(call.function.arguments);
+            running++;
+            runningMutations += mutating ? 1 : 0;
+            maxRunning = Math.max(maxRunning, running);
+            maxRunningMutations = Math.max(maxRunningMutations, runningMutations);
+            await sleep(delays[call.id] ?? 5);
+            running--;
+            runningMutations -= mutating ? 1 : 0;
+            return { ok: true, output: outputs[call.id] ?? '{}' };
+        },
+    });
+    return { results, started, notRun, args, maxRunning, maxRunningMutations };
+}
+
+// ============================================================================
+// STRIPE MCP SERVER
+// ============================================================================
+
+let server;
+// Seconds in the Retry-After of the next rate limited tools/call, and the tools/call requests seen
+let rateLimitNext = null;
+let toolCallsSeen = [];
+let callStripeMCPTool;
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+test.before(async () => {
+    server = http.createServer(async (req, res) => {
+        if (req.method !== 'POST') {
+            res.writeHead(405);
+            return res.end();
+        }
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+        }
+        const message = JSON.parse(body);
+        if (message.method === 'initialize') {
+            return sendJson(res, 200, {
+                jsonrpc: '2.0',
+                id: message.id,
+                result: { protocolVersion: '2025-06-18', capabilities: { tools: {} }, serverInfo: { name: 'stripe', version: '1' } },
+            }, { 'Mcp-Session-Id': 'session' });
+        }
+        if (message.id === undefined) {
+            res.writeHead(202);
+            return res.end();
+        }
+        const rateLimited = rateLimitNext !== null;
+        toolCallsSeen.push({ tool: message.params.name, at: Date.now(), rateLimited });
+        if (rateLimited) {
+            const retryAfter = rateLimitNext;
+            rateLimitNext = null;
+            return sendJson(res, 429, { error: 'Too many requests' }, { 'Retry-After': String(retryAfter) });
+        }
+        const text = JSON.stringify({ object: 'list', data: [{ id: `${message.params.name}_1` }] });
+        sendJson(res, 200, { jsonrpc: '2.0', id: message.id, result: { content: [{ type: 'text', text }] } });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    process.env.STRIPE_MCP_URL = `http://127.0.0.1:${server.address().port}/mcp`;
+    // The registry reads STRIPE_MCP_URL when it is loaded
+    ({ callStripeMCPTool } = require('../lib/mcp/stripe-mcp'));
+});
+
+test.after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+    rateLimitNext = null;
+    toolCallsSeen = [];
+});
+
+/**
+ * Runs a batch through callStripeMCPTool, the way the chat runs Stripe tools
+ */
+function runStripeCalls(toolCalls) {
+    return runToolCalls(toolCalls, {
+        isMutating,
+        run: async (call, index, notRunReason) => {
+            if (notRunReason) {
+                return { ok: false, reason: notRunReason };
+            }
+            const result = await callStripeMCPTool(call.function.name, JSON.parse(call.function.arguments), { source: 'test' });
+            return { ok: !result.isError, output: result.content[0].text };
+        },
+    });
+}
+
+// ============================================================================
+// REFERENCES
+// ============================================================================
+
+test('a call referring to a later call starts after it, with the values filled in', async () => {
+    const { started, args } = await runRecorded([
+        toolCall('call_price', 'create_price', {
+            product: '{{2.id}}',
+            nickname: 'Price of {{call_product.name}}',
+            unit_amount: '{{3.data.0.unit_amount}}',
+        }),
+        toolCall('call_product', 'create_product', { name: 'Club-Mate' }),
+        toolCall('call_prices', 'list_prices', { limit: 1 }),
+    ], {
+        outputs: {
+            call_product: JSON.stringify({ id: 'prod_mate', name: 'Club-Mate' }),
+            call_prices: JSON.stringify({ data: [{ unit_amount: 250 }] }),
+        },
+    });
+
+    assert.ok(started.indexOf('call_product') < started.indexOf('call_price'));
+    assert.ok(started.indexOf('call_prices') < started.indexOf('call_price'));
+    // A string that is only a reference keeps the value's type
+    assert.deepEqual(args.call_price, { product: 'prod_mate', nickname: 'Price of Club-Mate', unit_amount: 250 });
+});
+
+test('calls whose references go round in a circle are not run, the others are', async () => {
+    const { started, notRun } = await runRecorded([
+        toolCall('call_1', 'create_product', { name: '{{2.name}}' }),
+        toolCall('call_2', 'create_price', { product: '{{1.id}}' }),
+        toolCall('call_3', 'list_products'),
+    ]);
+
+    assert.deepEqual(started, ['call_3']);
+    assert.deepEqual(notRun, {
+        call_1: 'its references to other calls go round in a circle',
+        call_2: 'its references to other calls go round in a circle',
+    });
+});
+
+test('braces naming no call in the response are left as written and wait for nothing', async () => {
+    const { started, args } = await runRecorded([
+        toolCall('call_1', 'create_product', { name: 'Mate {{0.id}}', description: '{{3.id}}', metadata: { note: '{{call_other}}' } }),
+        toolCall('call_2', 'list_products'),
+    ]);
+
+    assert.deepEqual(started, ['call_1', 'call_2']);
+    assert.deepEqual(args.call_1, { name: 'Mate {{0.id}}', description: '{{3.id}}', metadata: { note: '{{call_other}}' } });
+});
+
+test('a reference to a value the result does not have keeps the call from running', async () => {
+    const { started, notRun } = await runRecorded([
+        toolCall('call_1', 'list_prices'),
+        toolCall('call_2', 'list_products'),
+        toolCall('call_3', 'create_payment_link', { price: '{{1.data.0.id}}', quantity: '{{2.count}}' }),
+    ], {
+        outputs: { call_1: JSON.stringify({ data: [] }), call_2: 'not json' },
+    });
+
+    assert.deepEqual(started, ['call_1', 'call_2']);
+    assert.equal(notRun.call_3, 'the result of call 1 has no data.0.id');
+});
+
+// ============================================================================
+// CONCURRENCY
+// ============================================================================
+
+test('mutations run one at a time in the order the model made them, reads alongside', async () => {
+    const { started, maxRunning, maxRunningMutations } = await runRecorded([
+        toolCall('call_1', 'create_product', { name: 'Club-Mate' }),
+        toolCall('call_2', 'list_products'),
+        toolCall('call_3', 'create_product', { name: 'Mate light' }),
+        toolCall('call_4', 'update_product', { id: 'prod_1' }),
+        toolCall('call_5', 'list_prices'),
+    ], {
+        // The first mutation takes longest, so starting a later one early would show
+        delays: { call_1: 40, call_3: 5, call_4: 20 },
+    });
+
+    assert.deepEqual(started.filter((id) => ['call_1', 'call_3', 'call_4'].includes(id)), ['call_1', 'call_3', 'call_4']);
+    assert.deepEqual(started.slice(0, 3), ['call_1', 'call_2', 'call_5']);
+    assert.equal(maxRunningMutations, 1);
+    assert.equal(maxRunning, 3);
+});
+
+test('at most 4 calls of a response run at once by default', async () => {
+    const reads = Array.from({ length: 7 }, (_, index) => toolCall(`call_${index + 1}`, 'list_products'));
+    const { maxRunning, started } = await runRecorded(reads);
+
+    assert.equal(maxRunning, 4);
+    assert.equal(started.length, 7);
+});
+
+test('TOOL_CALL_CONCURRENCY sets how many calls run at once', async () => {
+    const { runToolCalls: schedulerRun } = loadScheduler({ TOOL_CALL_CONCURRENCY: '2' });
+    const reads = Array.from({ length: 5 }, (_, index) => toolCall(`call_${index + 1}`, 'list_products'));
+    const { maxRunning, started } = await runRecorded(reads, { schedulerRun });
+
+    assert.equal(maxRunning, 2);
+    assert.equal(started.length, 5);
+});
+
+test('MUTATING_TOOL_CONCURRENCY lets that many mutations run at once, still started in order', async () => {
+    const { runToolCalls: schedulerRun } = loadScheduler({ MUTATING_TOOL_CONCURRENCY: '2' });
+    const mutations = Array.from({ length: 5 }, (_, index) => toolCall(`call_${index + 1}`, 'create_product'));
+    const { maxRunningMutations, started } = await runRecorded(mutations, {
+        schedulerRun,
+        delays: { call_1: 30, call_2: 5, call_3: 20 },
+    });
+
+    assert.equal(maxRunningMutations, 2);
+    assert.deepEqual(started, ['call_1', 'call_2', 'call_3', 'call_4', 'call_5']);
+});
+
+test('invalid concurrency settings fall back to at least one call at a time', async () => {
+    const { runToolCalls: schedulerRun } = loadScheduler({ TOOL_CALL_CONCURRENCY: '0', MUTATING_TOOL_CONCURRENCY: 'many' });
+    const { maxRunning, maxRunningMutations, started } = await runRecorded([
+        toolCall('call_1', 'create_product'),
+        toolCall('call_2', 'create_product'),
+        toolCall('call_3', 'list_products'),
+        toolCall('call_4', 'list_products'),
+        toolCall('call_5', 'list_products'),
+    ], { schedulerRun });
+
+    // 0 is no number of calls, so the default of 4 applies; the mutations fall back to one
+    assert.equal(maxRunning, 4);
+    assert.equal(maxRunningMutations, 1);
+    assert.equal(started.length, 5);
+});
+
+// ============================================================================
+// FAILURES
+// ============================================================================
+
+test('a call whose failure cannot be reported still settles the batch', async () => {
+    const calls = [];
+    const results = await runToolCalls([toolCall('call_1', 'create_product'), toolCall('call_2', 'list_products')], {
+        isMutating: (name) => name.startsWith('create_'),
+        run: async (call, index, notRunReason) => {
+            calls.push([call.id, notRunReason]);
+            if (call.id === 'call_1') {
+                throw new Error(notRunReason ? 'reporting broke too' : 'tool broke');
+            }
+            return { ok: true, output: '[]' };
+        },
+    });
+
+    assert.deepEqual(calls, [['call_1', undefined], ['call_2', undefined], ['call_1', 'tool broke']]);
+    assert.deepEqual(results, [{ ok: false, error: 'reporting broke too' }, { ok: true, output: '[]' }]);
+});
+
+test('calls waiting for a call whose failure cannot be reported are not run', async () => {
+    const results = await runToolCalls([
+        toolCall('call_1', 'create_product'),
+        toolCall('call_2', 'create_price', { product: '{{1.id}}' }),
+    ], {
+        isMutating: () => true,
+        run: async (call, index, notRunReason) => {
+            if (call.id === 'call_1') {
+                throw new Error('down');
+            }
+            return { ok: !notRunReason, reason: notRunReason };
+        },
+    });
+
+    assert.deepEqual(results, [
+        { ok: false, error: 'down' },
+        { ok: false, reason: 'it needs the result of call 1 (create_product), which failed' },
+    ]);
+});
+
+// ============================================================================
+// RATE LIMITS
+// ============================================================================
+
+test('a read refused with a 429 is sent again once Retry-After has passed', async () => {
+    rateLimitNext = 0.2;
+    const results = await runStripeCalls([
+        toolCall('call_1', 'list_products'),
+        toolCall('call_2', 'create_price', { product: '{{1.data.0.id}}' }),
+    ]);
+
+    assert.deepEqual(results.map((result) => result.ok), [true, true]);
+    assert.deepEqual(toolCallsSeen.map(({ tool, rateLimited }) => [tool, rateLimited]), [
+        ['list_products', true],
+        ['list_products', false],
+        ['create_price', false],
+    ]);
+    assert.ok(toolCallsSeen[1].at - toolCallsSeen[0].at >= 190, 'the read was sent again before Retry-After');
+});
+
+test('a mutation refused with a 429 is not sent again, and the calls after it wait', async () => {
+    rateLimitNext = 0.2;
+    const [refused] = await runStripeCalls([toolCall('call_1', 'create_customer', { email: 'ada@example.com' })]);
+    const [next] = await runStripeCalls([toolCall('call_1', 'list_customers')]);
+
+    assert.equal(refused.ok, false);
+    assert.match(refused.reason, /429/);
+    assert.equal(next.ok, true);
+    assert.deepEqual(toolCallsSeen.map(({ tool }) => tool), ['create_customer', 'list_customers']);
+    assert.ok(toolCallsSeen[1].at - toolCallsSeen[0].at >= 190, 'the next call did not wait for Retry-After');
+});
@@ -0,0 +1,95 @@
+/**
+ * Tool schema tests against the corpus in fixtures/mcp-tools: tools as
+ * tools/list returns them, and argument cases that must pass or fail
+ * validation. Each tool is converted in every LLM_TOOL_SCHEMA mode and the
+ * result checked.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { SCHEMA_MODES, toToolParameters, validateArguments } = require('../lib/mcp/schema');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures/mcp-tools');
+const SIMPLE_KEYWORDS = ['type', 'description', 'properties', 'required', 'items', 'enum'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Lists the problems with converted parameters
+ * @returns {string[]}
+ */
+function checkParameters(parameters, mode) {
+    const problems = [];
+    if (parameters?.type !== 'object' || !parameters.properties || typeof parameters.properties !== 'object') {
+        problems.push('top level is not an object schema with properties');
+    }
+
+    const visit = (schema, at) => {
+        if (!schema || typeof schema !== 'object') {
+            return;
+        }
+        if ('$ref' in schema) {
+            problems.push(`${at}: $ref left in`);
+        }
+        if (mode === 'simple') {
+            const extra = Object.keys(schema).filter((key) => !SIMPLE_KEYWORDS.includes(key));
+            if (extra.length > 0) {
+                problems.push(`${at}: unsupported keywords ${extra.join(', ')}`);
+            }
+            if (Array.isArray(schema.type)) {
+                problems.push(`${at}: type is a list`);
+            }
+        }
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+            visit(property, `${at}.${name}`);
+        }
+        if (schema.items) {
+            visit(schema.items, `${at}[]`);
+        }
+        for (const keyword of ['anyOf', 'oneOf', 'allOf']) {
+            (Array.isArray(schema[keyword]) ? schema[keyword] : []).forEach((branch, index) => visit(branch, `${at}/${keyword}/${index}`));
+        }
+    };
+    visit(parameters, '$');
+
+    try {
+        JSON.stringify(parameters);
+    } catch (error) {
+        problems.push(`not serializable: ${error.message}`);
+    }
+    return problems;
+}
+
+// ============================================================================
+// CORPUS
+// ============================================================================
+
+const files = fs.readdirSync(FIXTURES_DIR).filter((name) => name.endsWith('.json')).sort();
+
+for (const file of files) {
+    const corpus = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+    const tools = new Map(corpus.tools.map((tool) => [tool.name, tool]));
+
+    for (const tool of corpus.tools) {
+        for (const mode of SCHEMA_MODES) {
+            test(`${file}: ${tool.name} converts to ${mode} parameters`, () => {
+                assert.deepEqual(checkParameters(toToolParameters(tool.inputSchema, mode), mode), []);
+            });
+        }
+    }
+
+    for (const [index, testCase] of (corpus.cases || []).entries()) {
+        test(`${file}: case ${index} (${testCase.tool}) is ${testCase.valid ? 'valid' : 'invalid'}`, () => {
+            const tool = tools.get(testCase.tool);
+            assert.ok(tool, `unknown tool ${testCase.tool}`);
+            const errors = validateArguments(tool.inputSchema, testCase.arguments);
+            assert.equal(errors.length === 0, testCase.valid,
+                errors.map(({ path: at, message }) => `${at || '$'}: ${message}`).join('; ') || 'no errors');
+        });
+    }
+}
@@ -1,29 +1,334 @@
 // Configuration
 const API_BASE_URL = 'http://localhost:3000';
 
+const CONVERSATION_STORAGE_KEY = 'fridge.conversationId';
+const PROFILE_STORAGE_KEY = 'fridge.profileId';
+const WELCOME_MESSAGE = "👋 Welcome! I can help you with Stripe operations using MCP tools.\n\nTry asking me to:\n• Check your Stripe balance\n• Create a customer\n• List products\n• Or any other Stripe operation!";
+
 // State management
 const state = {
-    messages: []
+    conversationId: localStorage.getItem(CONVERSATION_STORAGE_KEY) || createConversationId(),
+    conversationEvents: null,
+    member: null,
+    profileId: localStorage.getItem(PROFILE_STORAGE_KEY),
+    groupOrderId: null,
+    fridgeItems: null,
+    chatAbortController: null
 };
 
 // DOM Elements
 const chatMessages = document.getElementById('chatMessages');
 const userInput = document.getElementById('userInput');
 const sendButton = document.getElementById('sendButton');
+const stopButton = document.getElementById('stopButton');
+const conversationList = document.getElementById('conversationList');
+const newChatButton = document.getElementById('newChatButton');
+const loginOverlay = document.getElementById('loginOverlay');
+const loginForm = document.getElementById('loginForm');
+const loginEmail = document.getElementById('loginEmail');
+const loginPin = document.getElementById('loginPin');
+const loginStatus = document.getElementById('loginStatus');
+const magicLinkButton = document.getElementById('magicLinkButton');
+const memberInfo = document.getElementById('memberInfo');
+const memberName = document.getElementById('memberName');
+const logoutButton = document.getElementById('logoutButton');
+const profilePicker = document.getElementById('profilePicker');
+const profileSelect = document.getElementById('profileSelect');
+const chatContainer = document.getElementById('chatContainer');
+const dashboardButton = document.getElementById('dashboardButton');
+const dashboard = document.getElementById('dashboard');
+const dashboardBody = document.getElementById('dashboardBody');
+const dashboardRange = document.getElementById('dashboardRange');
+const dashboardRefresh = document.getElementById('dashboardRefresh');
+const dashboardClose = document.getElementById('dashboardClose');
 
 // Event Listeners
 sendButton.addEventListener('click', handleSendMessage);
+stopButton.addEventListener('click', stopChat);
+newChatButton.addEventListener('click', startNewConversation);
 userInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
         handleSendMessage();
     }
 });
+loginForm.addEventListener('submit', handlePinLogin);
+magicLinkButton.addEventListener('click', requestMagicLink);
+logoutButton.addEventListener('click', logout);
+profileSelect.addEventListener('change', () => {
+    state.profileId = profileSelect.value;
+    localStorage.setItem(PROFILE_STORAGE_KEY, state.profileId);
+});
 
 // Initialize chat
-window.addEventListener('load', () => {
-    addBotMessage("👋 Welcome! I can help you with Stripe operations using MCP tools.\n\nTry asking me to:\n• Check your Stripe balance\n• Create a customer\n• List products\n• Or any other Stripe operation!");
-});
+dashboardButton.addEventListener('click', showDashboard);
+dashboardClose.addEventListener('click', hideDashboard);
+dashboardRefresh.addEventListener('click', loadDashboard);
+dashboardRange.addEventListener('change', loadDashboard);
+window.addEventListener('load', initialize);
+
+async function initialize() {
+    // Coming back from a magic link, or opening a group order's share link
+    const params = new URLSearchParams(window.location.search);
+    const loginToken = params.get('login');
+    state.groupOrderId = params.get('group');
+    if (loginToken || state.groupOrderId) {
+        history.replaceState(null, '', window.location.pathname);
+    }
+    if (loginToken) {
+        try {
+            const { member } = await requestJson('/api/auth/magic-link/verify', { token: loginToken });
+            return showApp(member);
+        } catch (error) {
+            showLogin(error.message);
+            return;
+        }
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/auth/me`);
+        if (!response.ok) {
+            return showLogin();
+        }
+        const { member } = await response.json();
+        showApp(member);
+    } catch (error) {
+        console.error('Failed to check session:', error);
+        showLogin('Could not reach the server');
+    }
+}
+
+// Members
+function showApp(member) {
+    state.member = member;
+    loginOverlay.hidden = true;
+    memberInfo.hidden = false;
+    memberName.textContent = member.name;
+    dashboardButton.hidden = member.role !== 'admin';
+    loadProfiles();
+    openConversation(state.conversationId).then(() => {
+        if (state.groupOrderId) {
+            showGroupOrder(state.groupOrderId);
+            state.groupOrderId = null;
+        }
+    });
+    refreshConversationList();
+}
+
+function showLogin(message = '') {
+    state.member = null;
+    loginOverlay.hidden = false;
+    memberInfo.hidden = true;
+    profilePicker.hidden = true;
+    dashboardButton.hidden = true;
+    hideDashboard();
+    loginStatus.textContent = message;
+    loginEmail.focus();
+}
+
+async function requestJson(path, body, method = 'POST') {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = response.status === 204 ? {} : await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+}
+
+async function handlePinLogin(e) {
+    e.preventDefault();
+    loginStatus.textContent = '';
+    try {
+        const { member } = await requestJson('/api/auth/pin', { email: loginEmail.value, pin: loginPin.value });
+        loginPin.value = '';
+        showApp(member);
+    } catch (error) {
+        loginStatus.textContent = error.message;
+    }
+}
+
+async function requestMagicLink() {
+    if (!loginEmail.reportValidity()) return;
+    try {
+        await requestJson('/api/auth/magic-link', { email: loginEmail.value });
+        loginStatus.textContent = 'If this email belongs to a member, a login link is on its way.';
+    } catch (error) {
+        loginStatus.textContent = error.message;
+    }
+}
+
+async function logout() {
+    try {
+        await requestJson('/api/auth/logout', {});
+    } catch (error) {
+        console.error('Failed to sign out:', error);
+    }
+    closeConversationEvents();
+    // The next member starts with a clean slate
+    localStorage.removeItem(CONVERSATION_STORAGE_KEY);
+    state.conversationId = createConversationId();
+    chatMessages.innerHTML = '';
+    conversationList.innerHTML = '';
+    showLogin();
+}
+
+// Agent profiles
+async function loadProfiles() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/profiles`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const { profiles } = await response.json();
+
+        // Fall back to the server's default when the saved profile is gone (or belonged to another member)
+        if (!profiles.some((profile) => profile.id === state.profileId)) {
+            state.profileId = (profiles.find((profile) => profile.isDefault) || profiles[0])?.id || null;
+        }
+        profileSelect.innerHTML = '';
+        for (const profile of profiles) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.title = profile.description;
+            profileSelect.appendChild(option);
+        }
+        profileSelect.value = state.profileId || '';
+        // Nothing to choose between for most members
+        profilePicker.hidden = profiles.length < 2;
+    } catch (error) {
+        console.error('Failed to load profiles:', error);
+    }
+}
+
+// Conversations
+async function openConversation(conversationId) {
+    hideDashboard();
+    state.conversationId = conversationId;
+    localStorage.setItem(CONVERSATION_STORAGE_KEY, conversationId);
+    closeConversationEvents();
+
+    chatMessages.innerHTML = '';
+    addBotMessage(WELCOME_MESSAGE);
+    highlightActiveConversation();
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/conversations/${conversationId}`);
+        if (response.status === 404) {
+            return; // Not saved yet: nothing to restore, events follow the first message
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        if (state.conversationId === conversationId) {
+            subscribeToConversationEvents();
+        }
+
+        const conversation = await response.json();
+        renderHistory(conversation.messages);
+    } catch (error) {
+        console.error('Failed to load conversation:', error);
+    }
+}
+
+function renderHistory(messages) {
+    let currentAssistantId = null;
+
+    messages.forEach((message, index) => {
+        if (message.role === 'user' && message.content) {
+            addUserMessage(message.content);
+            currentAssistantId = null;
+            return;
+        }
+        if (message.role !== 'assistant') {
+            return; // Tool results are kept for the model, not shown
+        }
+
+        // One bubble per turn, like during streaming: tool cards first, then the answer
+        if (!currentAssistantId) {
+            currentAssistantId = `history-${index}`;
+            chatMessages.appendChild(createAssistantMessage(currentAssistantId));
+        }
+        for (const toolCall of message.tool_calls || []) {
+            upsertToolCard(currentAssistantId, { id: toolCall.id, name: toolCall.function.name }, 'finished');
+        }
+        if (message.content) {
+            updateAssistantMessage(currentAssistantId, message.content);
+            currentAssistantId = null;
+        }
+    });
+}
+
+function startNewConversation() {
+    openConversation(createConversationId());
+}
+
+async function refreshConversationList() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/conversations`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const { conversations } = await response.json();
+        renderConversationList(conversations);
+    } catch (error) {
+        console.error('Failed to load conversations:', error);
+    }
+}
+
+function renderConversationList(conversations) {
+    conversationList.innerHTML = '';
+
+    for (const conversation of conversations) {
+        const item = document.createElement('li');
+        item.className = 'conversation-item';
+        item.dataset.id = conversation.id;
+        item.innerHTML = `
+            <span class="conversation-title">${escapeHtml(conversation.title)}</span>
+            <span class="conversation-date">${escapeHtml(new Date(conversation.updatedAt).toLocaleString())}</span>
+            <button class="conversation-delete" title="Delete conversation">×</button>
+        `;
+
+        item.addEventListener('click', () => openConversation(conversation.id));
+        item.querySelector('.conversation-delete').addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteConversation(conversation.id);
+        });
+
+        conversationList.appendChild(item);
+    }
+
+    highlightActiveConversation();
+}
+
+function highlightActiveConversation() {
+    conversationList.querySelectorAll('.conversation-item').forEach((item) => {
+        item.classList.toggle('active', item.dataset.id === state.conversationId);
+    });
+}
+
+async function deleteConversation(conversationId) {
+    if (!confirm('Delete this conversation?')) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/conversations/${conversationId}`, { method: 'DELETE' });
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+    } catch (error) {
+        console.error('Failed to delete conversation:', error);
+        return;
+    }
+
+    if (conversationId === state.conversationId) {
+        startNewConversation();
+    }
+    refreshConversationList();
+}
 
 // Message handling
 function handleSendMessage() {
@@ -33,6 +338,7 @@ function handleSendMessage() {
     addUserMessage(message);
     userInput.value = '';
     sendButton.disabled = true;
+    stopButton.hidden = false;
 
     // Show typing indicator
     const typingId = showTypingIndicator();
@@ -41,26 +347,46 @@ function handleSendMessage() {
     processMessage(message, typingId);
 }
 
+// Closing the request makes the server stop the agent loop (tool calls already sent to Stripe still finish)
+function stopChat() {
+    if (state.chatAbortController) {
+        state.chatAbortController.abort();
+    }
+}
+
 async function processMessage(message, typingId) {
-    // Add user message to history
-    const userMessage = { role: 'user', content: message };
-    state.messages.push(userMessage);
+    const abortController = new AbortController();
+    state.chatAbortController = abortController;
+    let assistantMessageId = null;
+    let accumulatedContent = '';
 
+    // The server keeps the history, so only the new message is sent
     try {
         const response = await fetch(`${API_BASE_URL}/api/chat-stream`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ messages: state.messages })
+            body: JSON.stringify({ conversationId: state.conversationId, message, profile: state.profileId || undefined }),
+            signal: abortController.signal
         });
 
-        if (!response.ok) {
+        if (response.status === 401) {
+            removeTypingIndicator(typingId);
+            showLogin('Your session has expired, please sign in again.');
+            return;
+        }
+        // A rate-limited chat still streams its limit_exceeded event
+        if (!response.ok && response.status !== 429) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
 
         removeTypingIndicator(typingId);
+        // The first message has just created the conversation, so its events can be followed now
+        if (response.ok && !state.conversationEvents) {
+            subscribeToConversationEvents();
+        }
 
         // Create assistant message element
-        const assistantMessageId = 'msg-' + Date.now();
+        assistantMessageId = 'msg-' + Date.now();
         const assistantMessageDiv = createAssistantMessage(assistantMessageId);
         chatMessages.appendChild(assistantMessageDiv);
         scrollToBottom();
@@ -68,53 +394,94 @@ async function processMessage(message, typingId) {
         // Read streaming response
         const reader = response.body?.getReader();
         const decoder = new TextDecoder();
+        const sseDecoder = createSSEDecoder();
 
         if (!reader) {
             throw new Error('Response body is not readable');
         }
 
-        let accumulatedContent = '';
         let finalData = null;
 
+        const handleEvent = (data) => {
+            // Check for stream end marker
+            if (data === '[DONE]') {
+                return;
+            }
+
+            let parsed;
+            try {
+                parsed = JSON.parse(data);
+            } catch (e) {
+                return; // Skip invalid JSON
+            }
+
+            switch (parsed.type) {
+                case 'content':
+                    accumulatedContent += parsed.content;
+                    // Update the assistant message with accumulated content
+                    updateAssistantMessage(assistantMessageId, accumulatedContent);
+                    break;
+
+                // Final data that may contain timing info
+                case 'usage':
+                    finalData = parsed;
+                    break;
+
+                case 'error':
+                    accumulatedContent += `\n\n❌ ${parsed.error}`;
+                    updateAssistantMessage(assistantMessageId, accumulatedContent);
+                    break;
+
+                // A rate limit or spend cap refused the message or a tool call
+                case 'limit_exceeded':
+                    accumulatedContent += `${accumulatedContent ? '\n\n' : ''}⛔ ${parsed.limit.message}`;
+                    updateAssistantMessage(assistantMessageId, accumulatedContent);
+                    break;
+
+                // Tool calls waiting for the user's confirmation
+                case 'approval_required':
+                    addApprovalCard(assistantMessageId, parsed.approval);
+                    break;
+
+                case 'approval_resolved':
+                    markApprovalResolved(parsed.approval);
+                    break;
+
+                // A payment link to scan and pay at the fridge
+                case 'checkout':
+                    addCheckoutCard(assistantMessageId, parsed.checkout);
+                    break;
+
+                // What the agent is doing in Stripe
+                case 'tool_call_started':
+                    upsertToolCard(assistantMessageId, parsed.tool_call, 'running');
+                    break;
+
+                case 'tool_call_finished':
+                    upsertToolCard(assistantMessageId, parsed.tool_call, 'finished');
+                    break;
+
+                case 'tool_call_failed':
+                    upsertToolCard(assistantMessageId, parsed.tool_call, 'failed');
+                    break;
+
+                default:
+                    break;
+            }
+        };
+
         while (true) {
             const { done, value } = await reader.read();
 
+            // Events can be split across network chunks, or several packed into one
+            const events = done
+                ? [...sseDecoder.push(decoder.decode()), ...sseDecoder.flush()]
+                : sseDecoder.push(decoder.decode(value, { stream: true }));
+            events.forEach((event) => handleEvent(event.data));
+
             if (done) {
                 break;
             }
-
-            // Decode the chunk and parse SSE format
-            const chunk = decoder.decode(value, { stream: true });
-            const lines = chunk.split('\n');
-
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const data = line.slice(6);
-
-                    // Check for stream end marker
-                    if (data === '[DONE]') {
-                        continue;
-                    }
-
-                    try {
-                        const parsed = JSON.parse(data);
-                        const content = parsed.choices?.[0]?.delta?.content;
-
-                        if (content) {
-                            accumulatedContent += content;
-                            // Update the assistant message with accumulated content
-                            updateAssistantMessage(assistantMessageId, accumulatedContent);
-                        }
-
-                        // Capture final data chunk that may contain timing info
-                        if (parsed.usage || parsed.timings) {
-                            finalData = parsed;
-                        }
-                    } catch (e) {
-                        // Skip invalid JSON
-                    }
-                }
-            }
         }
 
         // Add timing info if available
@@ -132,6 +499,21 @@ async function processMessage(message, typingId) {
                 if (usage) {
                     metaInfo += ` | Tokens: ${usage.total_tokens}`;
                 }
+            } else if (usage?.total_tokens) {
+                metaInfo = `Tokens: ${usage.total_tokens}`;
+            }
+
+            // How full the model's context was, and what the server did to keep it within budget
+            const context = finalData.context;
+            if (context) {
+                const contextInfo = [`Context: ~${context.estimated_prompt_tokens}/${context.budget}`];
+                if (context.summarized_messages > 0) {
+                    contextInfo.push(`${context.summarized_messages} older message(s) summarized`);
+                }
+                if (context.truncated_tool_results > 0) {
+                    contextInfo.push(`${context.truncated_tool_results} tool result(s) shortened`);
+                }
+                metaInfo = [metaInfo, ...contextInfo].filter(Boolean).join(' | ');
             }
 
             if (metaInfo) {
@@ -139,19 +521,438 @@ async function processMessage(message, typingId) {
             }
         }
 
-        // Add assistant message to history
-        state.messages.push({ role: 'assistant', content: accumulatedContent });
+        refreshConversationList();
 
     } catch (error) {
-        console.error('Chat error:', error);
         removeTypingIndicator(typingId);
+        if (error.name === 'AbortError') {
+            if (assistantMessageId) {
+                accumulatedContent += '\n\n⏹ Stopped';
+                updateAssistantMessage(assistantMessageId, accumulatedContent);
+            } else {
+                addBotMessage('⏹ Stopped');
+            }
+            refreshConversationList();
+            return;
+        }
+        console.error('Chat error:', error);
         addBotMessage("❌ Sorry, I'm having trouble connecting to the server. Make sure the backend is running on port 3000.");
     } finally {
+        state.chatAbortController = null;
         sendButton.disabled = false;
+        stopButton.hidden = true;
         userInput.focus();
     }
 }
 
+// Server-initiated events (e.g. payment confirmations from Stripe webhooks), for saved conversations
+function closeConversationEvents() {
+    if (state.conversationEvents) {
+        state.conversationEvents.close();
+        state.conversationEvents = null;
+    }
+}
+
+function subscribeToConversationEvents() {
+    closeConversationEvents();
+
+    const events = new EventSource(`${API_BASE_URL}/api/conversations/${state.conversationId}/events`);
+    state.conversationEvents = events;
+
+    events.onmessage = (event) => {
+        try {
+            const payload = JSON.parse(event.data);
+            if (payload.type === 'payment_received') {
+                handlePaymentReceived(payload.order);
+            } else if (payload.type === 'group_order_updated') {
+                upsertGroupOrderCard(payload.group_order);
+            }
+        } catch (e) {
+            // Skip invalid JSON
+        }
+    };
+
+    events.onerror = () => {
+        // EventSource reconnects automatically
+        console.warn('Conversation event stream interrupted, reconnecting...');
+    };
+}
+
+function handlePaymentReceived(order) {
+    const amount = typeof order.amount_total === 'number'
+        ? ` of ${formatAmount(order.amount_total, order.currency)}`
+        : '';
+    updateCheckoutStatus(order);
+    addBotMessage(`✅ Payment received${amount}. Enjoy your drinks!`);
+}
+
+// Checkout cards
+const CHECKOUT_STATUS_LABELS = {
+    pending: 'Waiting for payment…',
+    partially_paid: 'Partially paid',
+    paid: '✓ Paid'
+};
+
+function addCheckoutCard(messageId, checkout) {
+    const messageDiv = document.getElementById(messageId);
+    if (!messageDiv) return;
+
+    const card = document.createElement('div');
+    card.className = 'checkout-card';
+    card.dataset.url = checkout.url;
+    if (checkout.order_id) card.dataset.orderId = checkout.order_id;
+    if (checkout.payment_link) card.dataset.paymentLink = checkout.payment_link;
+
+    const items = checkout.line_items.map((item) => `
+        <li>
+            <span>${item.quantity}× ${escapeHtml(item.name || item.price)}</span>
+            <span>${typeof item.unit_amount === 'number' ? formatAmount(item.unit_amount * item.quantity, checkout.currency) : ''}</span>
+        </li>
+    `).join('');
+    const total = typeof checkout.amount_total === 'number'
+        ? `<div class="checkout-total">Total ${formatAmount(checkout.amount_total, checkout.currency)}</div>`
+        : '';
+
+    // The QR code is an SVG drawn by the server from the payment URL
+    card.innerHTML = `
+        <div class="group-header">
+            <span class="group-title">💳 Scan to pay</span>
+            <span class="group-status checkout-status"></span>
+        </div>
+        <div class="checkout-body">
+            ${checkout.qr_svg ? `<div class="checkout-qr">${checkout.qr_svg}</div>` : ''}
+            <div class="checkout-details">
+                ${items ? `<ul class="checkout-items">${items}</ul>` : ''}
+                ${total}
+                <a class="approval-button approve checkout-open" href="${escapeHtml(checkout.url)}" target="_blank" rel="noopener">Open payment page</a>
+            </div>
+        </div>
+    `;
+    setCheckoutCardStatus(card, checkout.status);
+
+    messageDiv.appendChild(card);
+    scrollToBottom();
+}
+
+function setCheckoutCardStatus(card, status) {
+    const label = card.querySelector('.checkout-status');
+    label.className = `group-status checkout-status status-${status}`;
+    label.textContent = CHECKOUT_STATUS_LABELS[status] || status;
+    card.classList.toggle('paid', status === 'paid');
+}
+
+// Called with the order of a payment_received event
+function updateCheckoutStatus(order) {
+    document.querySelectorAll('.checkout-card').forEach((card) => {
+        if ((order.id && card.dataset.orderId === order.id) ||
+            (order.payment_link && card.dataset.paymentLink === order.payment_link)) {
+            setCheckoutCardStatus(card, order.status);
+        }
+    });
+}
+
+// Admin dashboard
+function showDashboard() {
+    chatContainer.hidden = true;
+    dashboard.hidden = false;
+    loadDashboard();
+}
+
+function hideDashboard() {
+    dashboard.hidden = true;
+    chatContainer.hidden = false;
+}
+
+async function loadDashboard() {
+    dashboardBody.innerHTML = '<p class="dashboard-note">Loading…</p>';
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/dashboard?days=${encodeURIComponent(dashboardRange.value)}`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        renderDashboard(data);
+    } catch (error) {
+        console.error('Failed to load the dashboard:', error);
+        dashboardBody.innerHTML = `<p class="dashboard-note">⚠️ ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderDashboard(data) {
+    const { sales, unpaid_links: unpaid, top_buyers: buyers, tool_stats: tools, stripe_payments: stripe } = data;
+    const currency = sales.currency || unpaid.links[0]?.currency;
+    const money = (amount) => (amount === null || amount === undefined ? '–' : formatAmount(amount, currency));
+    const percent = (rate) => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+    const stripeSummary = stripe.error
+        ? `<span title="${escapeHtml(stripe.error)}">not available</span>`
+        : `${money(stripe.amount)} in ${stripe.payments} payment(s)${stripe.complete ? '' : ' (recent only)'}`;
+    const maxDayRevenue = Math.max(1, ...sales.by_day.map((day) => day.revenue));
+
+    dashboardBody.innerHTML = `
+        <p class="dashboard-note">${escapeHtml(data.period.from)} to ${escapeHtml(data.period.to)} · Stripe reports ${stripeSummary}</p>
+        ${sales.warnings.map((warning) => `<p class="dashboard-note">⚠️ ${escapeHtml(warning)}</p>`).join('')}
+        <div class="dashboard-stats">
+            ${renderStat('Revenue', money(sales.totals.revenue))}
+            ${renderStat('Payments', sales.totals.payments)}
+            ${renderStat('Items sold', sales.totals.items)}
+            ${renderStat('Unpaid links', `${unpaid.total} · ${money(unpaid.amount_outstanding)}`)}
+            ${renderStat('Tool error rate', `${percent(tools.error_rate)} of ${tools.calls}`)}
+        </div>
+
+        <h2>Sales per day</h2>
+        <ul class="dashboard-days">
+            ${sales.by_day.map((day) => `
+                <li title="${day.payments} payment(s)">
+                    <span class="dashboard-day">${escapeHtml(day.date.slice(5))}</span>
+                    <span class="dashboard-bar"><span style="width: ${(day.revenue / maxDayRevenue) * 100}%"></span></span>
+                    <span class="dashboard-amount">${day.revenue ? money(day.revenue) : ''}</span>
+                </li>
+            `).join('')}
+        </ul>
+
+        <h2>Sales per product</h2>
+        ${renderTable(['Product', 'Sold', 'Revenue'], sales.by_product.map((product) => [
+            escapeHtml(product.name || product.product_id || product.price_ids[0]),
+            product.quantity,
+            product.revenue_unknown ? `${money(product.revenue)}+` : money(product.revenue)
+        ]), 'Nothing sold in this period.')}
+
+        <h2>Unpaid payment links</h2>
+        ${renderTable(['Member', 'Created', 'Paid', 'Outstanding', ''], unpaid.links.map((link) => [
+            escapeHtml(link.member_name || '–'),
+            escapeHtml(new Date(link.created_at).toLocaleString()),
+            escapeHtml(link.payments),
+            money(link.amount_outstanding),
+            link.url ? `<a href="${escapeHtml(link.url)}" target="_blank" rel="noopener">Open</a>` : ''
+        ]), 'Every payment link is paid.')}
+
+        <h2>Top buyers</h2>
+        ${renderTable(['Buyer', 'Payments', 'Spent'], buyers.map((buyer) => [
+            escapeHtml(buyer.name || buyer.email || 'Unknown'),
+            buyer.payments,
+            money(buyer.spent)
+        ]), 'No payments in this period.')}
+
+        <h2>Stripe tool calls</h2>
+        ${renderTable(['Tool', 'Calls', 'Errors', 'Denied', 'Rejected', 'Error rate', 'Avg time'], tools.tools.map((tool) => [
+            `<code>${escapeHtml(tool.tool)}</code>`,
+            tool.calls,
+            tool.error,
+            tool.denied,
+            tool.rejected,
+            percent(tool.error_rate),
+            tool.avg_elapsed_ms === null ? '–' : `${tool.avg_elapsed_ms} ms`
+        ]), 'No tool calls in this period.')}
+
+        <h2>Recent conversations</h2>
+        <ul class="dashboard-conversations">
+            ${data.recent_conversations.map((conversation) => `
+                <li class="conversation-item" data-id="${escapeHtml(conversation.id)}">
+                    <span class="conversation-title">${escapeHtml(conversation.title)}</span>
+                    <span class="conversation-date">${escapeHtml(conversation.member_name || 'Unknown member')} · ${escapeHtml(new Date(conversation.updated_at).toLocaleString())} · ${conversation.message_count} messages · ${conversation.paid}/${conversation.payment_links} links paid</span>
+                </li>
+            `).join('') || '<li class="dashboard-note">No conversations yet.</li>'}
+        </ul>
+    `;
+
+    dashboardBody.querySelectorAll('.dashboard-conversations .conversation-item').forEach((item) => {
+        item.addEventListener('click', () => openConversation(item.dataset.id));
+    });
+}
+
+function renderStat(label, value) {
+    return `
+        <div class="dashboard-stat">
+            <span class="dashboard-stat-value">${value}</span>
+            <span class="dashboard-stat-label">${escapeHtml(label)}</span>
+        </div>
+    `;
+}
+
+// Cells are HTML: callers escape what comes from the server
+function renderTable(headings, rows, emptyText) {
+    if (rows.length === 0) {
+        return `<p class="dashboard-note">${escapeHtml(emptyText)}</p>`;
+    }
+    return `
+        <table class="dashboard-table">
+            <thead><tr>${headings.map((heading) => `<th>${escapeHtml(heading)}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map((cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>
+    `;
+}
+
+// Group orders
+const GROUP_STATUS_LABELS = {
+    open: 'Open',
+    locked: 'Waiting for payment',
+    partially_paid: 'Partially paid',
+    paid: 'Paid',
+    cancelled: 'Cancelled'
+};
+
+async function showGroupOrder(groupOrderId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/group-orders/${encodeURIComponent(groupOrderId)}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        upsertGroupOrderCard(await response.json());
+    } catch (error) {
+        console.error('Failed to load group order:', error);
+        addBotMessage('⚠️ This group order link is not valid anymore.');
+    }
+}
+
+async function loadFridgeItems() {
+    if (!state.fridgeItems) {
+        const response = await fetch(`${API_BASE_URL}/api/fridge/stock`);
+        const { items } = await response.json();
+        state.fridgeItems = items.filter((item) => item.priceId && item.stock > 0);
+    }
+    return state.fridgeItems;
+}
+
+function upsertGroupOrderCard(group) {
+    let card = document.getElementById('group-' + group.id);
+    if (!card) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message message-bot';
+        card = document.createElement('div');
+        card.id = 'group-' + group.id;
+        card.className = 'group-order-card';
+        messageDiv.appendChild(card);
+        chatMessages.appendChild(messageDiv);
+    }
+
+    const me = group.participants.find((participant) => participant.member_id === state.member?.id);
+    const isHost = group.host.id === state.member?.id;
+    const shareUrl = new URL(group.share_path, window.location.origin).href;
+    const splitLabel = group.split_mode === 'even' ? 'Split evenly' : 'Everyone pays their own';
+
+    const participantRows = group.participants.map((participant) => {
+        const items = participant.items.length > 0
+            ? participant.items.map((item) => `${item.quantity}× ${escapeHtml(item.name)}`).join(', ')
+            : '<em>nothing yet</em>';
+        let payment = '';
+        if (group.status !== 'open' && group.status !== 'cancelled') {
+            if (participant.paid) {
+                payment = '<span class="group-paid">✓ paid</span>';
+            } else if (participant.payment_url) {
+                payment = `<a href="${escapeHtml(participant.payment_url)}" target="_blank" rel="noopener">Pay</a>`;
+            } else {
+                payment = '<span class="group-unpaid">waiting</span>';
+            }
+        }
+        return `
+            <li>
+                <span class="group-participant">${escapeHtml(participant.name)}${participant.member_id === group.host.id ? ' (host)' : ''}</span>
+                <span class="group-items">${items}</span>
+                <span class="group-amount">${participant.amount ? formatAmount(participant.amount, participant.items[0]?.currency || group.currency) : ''}</span>
+                <span class="group-payment">${payment}</span>
+            </li>
+        `;
+    }).join('');
+
+    const sharedPayment = group.payment_url && me && !me.paid
+        ? `<a class="approval-button approve group-pay" href="${escapeHtml(group.payment_url)}" target="_blank" rel="noopener">Pay your share (${formatAmount(group.share_amount, group.currency)})</a>`
+        : '';
+
+    card.innerHTML = `
+        <div class="group-header">
+            <span class="group-title">🍻 ${escapeHtml(group.title)}</span>
+            <span class="group-status status-${escapeHtml(group.status)}">${GROUP_STATUS_LABELS[group.status] || escapeHtml(group.status)}</span>
+        </div>
+        <div class="group-meta">${splitLabel} · Total ${formatAmount(group.total, group.currency || group.participants[0]?.items[0]?.currency)}</div>
+        <ul class="group-participants">${participantRows}</ul>
+        ${sharedPayment}
+        <div class="group-actions"></div>
+        <div class="approval-status group-error"></div>
+    `;
+
+    const actions = card.querySelector('.group-actions');
+    if (group.status === 'open') {
+        actions.innerHTML = `
+            <button class="link-button group-copy">Copy invite link</button>
+            ${me ? '' : '<button class="approval-button approve group-join">Join this round</button>'}
+            ${me ? '<select class="group-item-select"></select><input class="group-item-quantity" type="number" min="1" max="20" value="1"><button class="approval-button approve group-add">Add</button>' : ''}
+            ${isHost ? `<select class="group-split"><option value="per_participant">Everyone pays their own</option><option value="even">Split evenly</option></select>
+                <button class="approval-button approve group-lock">Lock &amp; create payment links</button>
+                <button class="approval-button reject group-cancel">Cancel</button>` : ''}
+        `;
+        actions.querySelector('.group-copy').addEventListener('click', () => {
+            navigator.clipboard?.writeText(shareUrl);
+            actions.querySelector('.group-copy').textContent = 'Link copied';
+        });
+        actions.querySelector('.group-join')?.addEventListener('click', () =>
+            groupOrderAction(group.id, `/api/group-orders/${group.id}/join`, { conversationId: state.conversationId }));
+        if (me) {
+            populateGroupItemSelect(actions.querySelector('.group-item-select'));
+            actions.querySelector('.group-add').addEventListener('click', () => {
+                const productId = actions.querySelector('.group-item-select').value;
+                const quantity = parseInt(actions.querySelector('.group-item-quantity').value, 10) || 1;
+                const items = me.items.map((item) => ({ productId: item.product_id, quantity: item.quantity }));
+                items.push({ productId, quantity });
+                groupOrderAction(group.id, `/api/group-orders/${group.id}/items`, { items }, 'PUT');
+            });
+        }
+        if (isHost) {
+            actions.querySelector('.group-split').value = group.split_mode;
+            actions.querySelector('.group-lock').addEventListener('click', () =>
+                groupOrderAction(group.id, `/api/group-orders/${group.id}/lock`, { splitMode: actions.querySelector('.group-split').value }));
+            actions.querySelector('.group-cancel').addEventListener('click', () =>
+                groupOrderAction(group.id, `/api/group-orders/${group.id}/cancel`, {}));
+        }
+    }
+
+    scrollToBottom();
+}
+
+async function populateGroupItemSelect(select) {
+    try {
+        const items = await loadFridgeItems();
+        select.innerHTML = items.map((item) =>
+            `<option value="${escapeHtml(item.productId)}">${escapeHtml(item.name || item.productId)} (${formatAmount(item.unitAmount, item.currency)})</option>`
+        ).join('');
+    } catch (error) {
+        console.error('Failed to load fridge items:', error);
+    }
+}
+
+async function groupOrderAction(groupOrderId, path, body, method = 'POST') {
+    const card = document.getElementById('group-' + groupOrderId);
+    card?.querySelectorAll('button').forEach((button) => {
+        button.disabled = true;
+    });
+
+    try {
+        upsertGroupOrderCard(await requestJson(path, body, method));
+    } catch (error) {
+        card?.querySelectorAll('button').forEach((button) => {
+            button.disabled = false;
+        });
+        const errorDiv = card?.querySelector('.group-error');
+        if (errorDiv) errorDiv.textContent = `⚠️ ${error.message}`;
+    }
+}
+
+function formatAmount(amount, currency) {
+    const code = (currency || 'eur').toUpperCase();
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: code }).format(amount / 100);
+    } catch (e) {
+        return `${(amount / 100).toFixed(2)} ${code}`;
+    }
+}
+
+function createConversationId() {
+    if (window.crypto?.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+    return 'conv-' + Date.now() + '-' + Math.random().toString(16).slice(2);
+}
+
 // UI Helper Functions
 function addUserMessage(text) {
     const messageDiv = document.createElement('div');
@@ -183,7 +984,7 @@ function createAssistantMessage(id) {
     const messageDiv = document.createElement('div');
     messageDiv.id = id;
     messageDiv.className = 'message message-bot';
-    messageDiv.innerHTML = '<div class="message-content"></div>';
+    messageDiv.innerHTML = '<div class="message-content"><div class="tool-calls"></div><div class="message-text"></div></div>';
     return messageDiv;
 }
 
@@ -200,13 +1001,49 @@ function updateAssistantMessage(id, content) {
         formattedContent = escapeHtml(content).replace(/\n/g, '<br>');
     }
 
-    const contentDiv = messageDiv.querySelector('.message-content');
+    const contentDiv = messageDiv.querySelector('.message-text') || messageDiv.querySelector('.message-content');
     if (contentDiv) {
         contentDiv.innerHTML = formattedContent;
     }
     scrollToBottom();
 }
 
+function upsertToolCard(messageId, toolCall, status) {
+    const messageDiv = document.getElementById(messageId);
+    const container = messageDiv?.querySelector('.tool-calls');
+    if (!container) return;
+
+    let card = container.querySelector(`[data-tool-call-id="${CSS.escape(toolCall.id)}"]`);
+    if (!card) {
+        card = document.createElement('details');
+        card.className = 'tool-card';
+        card.dataset.toolCallId = toolCall.id;
+        card.innerHTML = '<summary></summary><pre class="tool-card-body"></pre>';
+        container.appendChild(card);
+    }
+
+    // Namespaced MCP tools look like "stripe__list_products"
+    const [server, shortName] = toolCall.name.includes('__') ? toolCall.name.split('__', 2) : [null, toolCall.name];
+    const elapsed = typeof toolCall.elapsed_ms === 'number' && status !== 'running' ? ` (${toolCall.elapsed_ms}ms)` : '';
+    const labels = {
+        running: `⏳ using ${shortName}…`,
+        finished: `🔧 used ${shortName}${elapsed}`,
+        failed: `⚠️ ${shortName} failed${elapsed}`
+    };
+
+    card.className = `tool-card ${status}`;
+    card.title = server ? `${shortName} on ${server}` : shortName;
+    card.querySelector('summary').textContent = labels[status];
+
+    const details = {};
+    if (toolCall.arguments) details.arguments = toolCall.arguments;
+    if (toolCall.error) details.error = toolCall.error;
+    card.querySelector('.tool-card-body').textContent = Object.keys(details).length > 0
+        ? JSON.stringify(details, null, 2)
+        : 'No details';
+    scrollToBottom();
+}
+
 function updateAssistantMessageMeta(id, metaInfo) {
     const messageDiv = document.getElementById(id);
     if (!messageDiv) return;
@@ -220,6 +1057,65 @@ function updateAssistantMessageMeta(id, metaInfo) {
     metaDiv.textContent = metaInfo;
 }
 
+function addApprovalCard(messageId, approval) {
+    const messageDiv = document.getElementById(messageId);
+    if (!messageDiv) return;
+
+    const card = document.createElement('div');
+    card.id = 'approval-' + approval.id;
+    card.className = 'approval-card';
+    card.innerHTML = `
+        <div class="approval-title">Approve <code>${escapeHtml(approval.tool)}</code>?</div>
+        <pre class="approval-arguments">${escapeHtml(JSON.stringify(approval.arguments, null, 2))}</pre>
+        <div class="approval-actions">
+            <button class="approval-button approve">Approve</button>
+            <button class="approval-button reject">Reject</button>
+        </div>
+        <div class="approval-status"></div>
+    `;
+
+    card.querySelector('.approve').addEventListener('click', () => submitApproval(approval.id, true));
+    card.querySelector('.reject').addEventListener('click', () => submitApproval(approval.id, false));
+
+    messageDiv.appendChild(card);
+    scrollToBottom();
+}
+
+async function submitApproval(approvalId, approved) {
+    const card = document.getElementById('approval-' + approvalId);
+    if (card) {
+        card.querySelectorAll('.approval-button').forEach((button) => {
+            button.disabled = true;
+        });
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/approvals/${approvalId}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ approved })
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+    } catch (error) {
+        console.error('Approval error:', error);
+        markApprovalResolved({ id: approvalId, approved: false, reason: 'Could not reach the server' });
+    }
+}
+
+function markApprovalResolved(approval) {
+    const card = document.getElementById('approval-' + approval.id);
+    if (!card) return;
+
+    card.classList.add(approval.approved ? 'approved' : 'rejected');
+    card.querySelector('.approval-actions')?.remove();
+    card.querySelector('.approval-status').textContent = approval.approved
+        ? '✅ Approved'
+        : `🚫 ${approval.reason || 'Rejected'}`;
+}
+
 function showTypingIndicator() {
     const id = 'typing-' + Date.now();
     const typingDiv = document.createElement('div');
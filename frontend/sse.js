@@ -0,0 +1,144 @@
+/**
+ * Incremental Server-Sent Events decoder
+ *
+ * Shared by the browser (window.createSSEDecoder) and the backend
+ * (require('./lib/sse')). Feed it text as it arrives from the network, in
+ * chunks of any size, and it returns the complete events found so far.
+ * Follows the WHATWG event stream format: CR, LF and CRLF line endings,
+ * multi-line data, event/id/retry fields and ":" comment lines.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.createSSEDecoder = factory().createSSEDecoder;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Creates a decoder for one event stream
+     * @param {{ onComment?: (text: string) => void }} [options] - Optional comment callback
+     * @returns {{ push: (text: string) => Array<{ event: string, data: string, id: string, retry?: number }>, flush: () => Array, lastEventId: string }}
+     */
+    function createSSEDecoder(options = {}) {
+        let buffer = '';
+        let isFirstChunk = true;
+        let dataLines = [];
+        let eventType = '';
+        let retry;
+        let lastEventId = '';
+
+        function dispatch(events) {
+            if (dataLines.length > 0) {
+                const event = { event: eventType || 'message', data: dataLines.join('\n'), id: lastEventId };
+                if (retry !== undefined) {
+                    event.retry = retry;
+                }
+                events.push(event);
+            }
+            // Per spec an event without data is dropped, but its id still counts
+            dataLines = [];
+            eventType = '';
+            retry = undefined;
+        }
+
+        function processLine(line, events) {
+            if (line === '') {
+                dispatch(events);
+                return;
+            }
+
+            if (line[0] === ':') {
+                if (options.onComment) {
+                    options.onComment(line.slice(1).replace(/^ /, ''));
+                }
+                return;
+            }
+
+            const colonIndex = line.indexOf(':');
+            const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+            const value = colonIndex === -1 ? '' : line.slice(colonIndex + 1).replace(/^ /, '');
+
+            switch (field) {
+                case 'data':
+                    dataLines.push(value);
+                    break;
+                case 'event':
+                    eventType = value;
+                    break;
+                case 'id':
+                    if (!value.includes('\0')) {
+                        lastEventId = value;
+                    }
+                    break;
+                case 'retry':
+                    if (/^\d+$/.test(value)) {
+                        retry = parseInt(value, 10);
+                    }
+                    break;
+                default:
+                    // Unknown fields are ignored
+                    break;
+            }
+        }
+
+        function processBuffer(isFinal) {
+            const events = [];
+            let start = 0;
+
+            for (let i = 0; i < buffer.length; i++) {
+                const char = buffer[i];
+                if (char !== '\n' && char !== '\r') {
+                    continue;
+                }
+                // A CR at the very end may be the first half of a CRLF split across chunks
+                if (char === '\r' && i === buffer.length - 1 && !isFinal) {
+                    break;
+                }
+
+                processLine(buffer.slice(start, i), events);
+                if (char === '\r' && buffer[i + 1] === '\n') {
+                    i++;
+                }
+                start = i + 1;
+            }
+
+            buffer = buffer.slice(start);
+            return events;
+        }
+
+        return {
+            /**
+             * Adds decoded text and returns any events completed by it
+             */
+            push(text) {
+                if (isFirstChunk && text.length > 0) {
+                    isFirstChunk = false;
+                    // The stream may start with a UTF-8 byte order mark
+                    text = text.replace(/^\uFEFF/, '');
+                }
+                buffer += text;
+                return processBuffer(false);
+            },
+
+            /**
+             * Ends the stream. Unlike browsers, an event missing its final blank
+             * line is still dispatched: some upstreams end with a bare "data: [DONE]"
+             */
+            flush() {
+                const events = processBuffer(true);
+                if (buffer.length > 0) {
+                    processLine(buffer, events);
+                    buffer = '';
+                }
+                dispatch(events);
+                return events;
+            },
+
+            get lastEventId() {
+                return lastEventId;
+            },
+        };
+    }
+
+    return { createSSEDecoder };
+});